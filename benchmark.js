@@ -5,6 +5,8 @@
  * across ALL available CPU cores, maximizing computational performance.
  * It's designed to be run on dedicated servers to gauge their computational performance.
  * The last Fibonacci number computed within the time limit serves as a performance score.
+ * Other workloads (hashing, JSON, regex, matrix, sorting, strings) can be selected
+ * with --workload; see lib/workloads.js for the registry.
  *
  * Compatible with: Node.js, Deno, and Bun
  *
@@ -25,263 +27,440 @@ import os from 'node:os';
 import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
 import fs from 'node:fs';
 import path from 'node:path';
-import https from 'node:https';
-import http from 'node:http';
 import { fileURLToPath } from 'node:url';
+import {
+    createProgressBuffers,
+    isMeasureRequested,
+    isSharedProgressSupported,
+    isStopRequested,
+    openProgress,
+    PROGRESS_MODES,
+    readCounts,
+    recordIteration,
+    requestMeasure,
+    requestStop,
+    waitForMeasure
+} from './lib/progress.js';
+import { getFormatExtension, getFormatNames, resolveFormats, serializeResults } from './lib/formats.js';
+import { compareResults, formatComparisonTable, isSuiteDocument, loadResults, loadResultsDocument } from './lib/compare.js';
+import { DEFAULT_RUNTIMES, RUNTIME_TYPES, buildRuntimeComparison, detectRuntime, formatRuntimeReport, formatRuntimeTable, resolveRuntimes, runRuntimeBenchmark } from './lib/runtimes.js';
+import { createRuntimeAdapter } from './lib/adapter.js';
+import { detectCgroupLimits, effectiveCpuCount, effectiveMemoryBytes } from './lib/cgroups.js';
+import { collectEnvironment } from './lib/environment.js';
+import { collectHardwareInfo } from './lib/hardware.js';
+import { summarize } from './lib/statistics.js';
+import { collectHeapStatistics, createGcMonitor, formatBytes, mergeGcSummaries } from './lib/telemetry.js';
+import { flushSpool, resolveUploadOptions, uploadResults } from './lib/upload.js';
+import { loadSigningKey, signResults, verifyResults } from './lib/signing.js';
+import { createCollectorServer, openResultStore } from './lib/collector.js';
+import { defineOptions, formatHelp, parseCommandLine } from './lib/cli.js';
+import { CONFIG_SCHEMA, LABEL_NAME_PATTERN, expandScenarios, formatEffectiveConfig, loadConfigFile, parseLabelSpec, parseSettingValue, readEnvironmentConfig, redactSecrets, resolveConfig, selectScenario } from './lib/config.js';
+import { buildHistory, formatHistoryTable } from './lib/history.js';
+import { renderHtmlReport } from './lib/report.js';
+import { DEFAULT_WORKLOADS, calculateFibonacci, formatWorkloadSize, getWorkload, getWorkloadNames, parseWorkSpec, resolveWorkloads } from './lib/workloads.js';
 
 // Get __filename equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
 
-// Parse command line arguments
-function parseArguments() {
-    const args = process.argv.slice(2);
-    const config = {
-        duration: undefined, // Don't set default here, let it be determined by config file or fallback
-        maxRamMB: undefined, // Don't set default here
-        help: false,
-        configFile: null,
-        outputFile: null,
-        runs: undefined // Don't set default here
-    };
-
-    for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
-        
-        if (arg === '--help' || arg === '-h') {
-            config.help = true;
-        } else if (arg === '--config' || arg === '-c') {
-            config.configFile = args[i + 1];
-            i++; // Skip next argument as it's the value
-        } else if (arg === '--duration' || arg === '-d') {
-            const value = parseInt(args[i + 1]);
-            if (!isNaN(value) && value > 0) {
-                config.duration = value;
-                i++; // Skip next argument as it's the value
-            }
-        } else if (arg === '--max-ram' || arg === '-r') {
-            const value = parseInt(args[i + 1]);
-            if (!isNaN(value) && value > 0) {
-                config.maxRamMB = value;
-                i++; // Skip next argument as it's the value
-            }
-        } else if (arg === '--output' || arg === '-o') {
-            config.outputFile = args[i + 1];
-            i++; // Skip next argument as it's the value
-        } else if (arg === '--runs' || arg === '-n') {
-            const value = parseInt(args[i + 1]);
-            if (!isNaN(value) && value > 0) {
-                config.runs = value;
-                i++; // Skip next argument as it's the value
-            }
-        } else if (arg.startsWith('-')) {
-            // Unknown option - print warning but continue
-            console.log(`Warning: Unknown option '${arg}' - ignoring`);
-        }
-        // Ignore non-option arguments (they will be silently ignored)
-    }
-
-    return config;
-}
-
-// Load configuration from file
-function loadConfigFile(configPath) {
-    try {
-        const configData = fs.readFileSync(configPath, 'utf8');
-        const config = JSON.parse(configData);
-        
-        // Validate config values
-        if (config.duration && typeof config.duration === 'number' && config.duration > 0) {
-            return {
-                duration: config.duration,
-                maxRamMB: config.maxRamMB || null,
-                outputFile: config.outputFile || null,
-                runs: config.runs || 1,
-                postUrl: config.postUrl || null
-            };
-        }
-    } catch (error) {
-        console.log(`Warning: Could not load config file`);
-    }
-    return null;
+/**
+ * Parses the command line against the command definitions (CLI, see lib/cli.js). Settings
+ * are checked against the config schema (lib/config.js): an option without a value, or with
+ * an invalid one, is an error, and so is an unknown option or command.
+ * @param {string[]} [argv=process.argv.slice(2)] The arguments.
+ * @returns {object} The option values by key (settings use their config file keys), with `command`
+ *   (null when none was given, which runs the benchmark) and `commandArgs`.
+ * @throws {Error} If the command line is invalid; the message suggests the closest command or option.
+ */
+function parseArguments(argv = process.argv.slice(2)) {
+    const { command, options, args } = parseCommandLine(argv, CLI);
+    return { ...options, command, commandArgs: args };
 }
 
-// Save results to file
-function saveResultsToFile(results, outputFile) {
-    try {
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = outputFile || `benchmark-results-${timestamp}.json`;
-        
-        // If outputFile is specified, use it directly; otherwise create timestamped file
-        const filepath = outputFile ? outputFile : path.join(process.cwd(), filename);
-        
-        fs.writeFileSync(filepath, JSON.stringify(results, null, 2));
-        console.log(`📁 Results saved to: ${filepath}`);
-        return filepath;
-    } catch (error) {
-        console.error(`❌ Error saving results to file: ${error.message}`);
-        return null;
+/**
+ * Parses the value of --limit.
+ * @param {string} text The text.
+ * @param {string} flag The option, for the error message.
+ * @returns {number} The limit.
+ * @throws {Error} If the text is not a positive integer.
+ */
+function parseLimit(text, flag) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid value for ${flag}: expected a positive integer, got ${JSON.stringify(text)}`);
     }
+    return value;
 }
 
-// Post results to URL
-async function postResultsToUrl(results, postUrl) {
-    return new Promise((resolve) => {
-        try {
-            const url = new URL(postUrl);
-            const isHttps = url.protocol === 'https:';
-            const client = isHttps ? https : http;
-            
-            const postData = JSON.stringify(results);
-            
-            const options = {
-                hostname: url.hostname,
-                port: url.port || (isHttps ? 443 : 80),
-                path: url.pathname + url.search,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData),
-                    'User-Agent': 'Node.js-Fibonacci-Benchmark/1.0'
-                }
-            };
-            
-            const req = client.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        console.log(`✅ Results posted to: ${postUrl} (Status: ${res.statusCode})`);
-                    } else {
-                        console.warn(`⚠️  Posted to ${postUrl} but received status: ${res.statusCode}`);
-                    }
-                    resolve(true);
-                });
-            });
-            
-            req.on('error', (error) => {
-                console.error(`❌ Error posting results to ${postUrl}: ${error.message}`);
-                resolve(false);
-            });
-            
-            req.write(postData);
-            req.end();
-            
-        } catch (error) {
-            console.error(`❌ Error posting results: ${error.message}`);
-            resolve(false);
+/**
+ * Saves the results in every requested format. The file extension comes from the
+ * format: `-o results.json --format csv,markdown` writes results.csv and results.md.
+ * Without an output file, a timestamped name in the current directory is used. A suite
+ * is saved as one JSON file, and once per scenario in the other formats (results-<scenario>.csv).
+ * @param {object} results The results document, or a suite from runSuite().
+ * @param {string|null} outputFile The requested output file.
+ * @param {string[]} [formats=['json']] Format names from lib/formats.js.
+ * @param {object} [logger=console] Console-like object for status output.
+ * @returns {string[]} The paths written.
+ */
+function saveResultsToFile(results, outputFile, formats = ['json'], logger = console) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // If outputFile is specified, use it (minus its extension); otherwise create a timestamped name
+    const basePath = outputFile
+        ? outputFile.slice(0, outputFile.length - path.extname(outputFile).length)
+        : path.join(process.cwd(), `benchmark-results-${timestamp}`);
+
+    const written = [];
+    for (const format of formats) {
+        // A suite is one JSON document; the other formats hold one results document, so each scenario gets a file
+        const outputs = isSuiteDocument(results) && format !== 'json'
+            ? Object.entries(results.scenarios).map(([name, scenarioResults]) => [`${basePath}-${name}${getFormatExtension(format)}`, scenarioResults])
+            : [[`${basePath}${getFormatExtension(format)}`, results]];
+        for (const [filepath, document] of outputs) {
+            try {
+                fs.writeFileSync(filepath, serializeResults(document, format));
+                logger.log(`📁 Results saved to: ${filepath}`);
+                written.push(filepath);
+            } catch (error) {
+                logger.error(`❌ Error saving ${format} results to file: ${error.message}`);
+            }
         }
-    });
+    }
+    return written;
 }
 
-// Display help information
-function showHelp() {
-    console.log(`
-🚀 Node.js Multi-Core Fibonacci Benchmark
-
-Usage: node benchmark.js [options]
-
-Options:
-  -d, --duration <seconds>    Benchmark duration in seconds (default: 30)
-  -r, --max-ram <MB>         Maximum RAM usage in MB before stopping (default: no limit)
-  -c, --config <file>        Load configuration from JSON file
-  -o, --output <file>        Save results to specified file
-  -n, --runs <number>        Number of benchmark runs (default: 1)
-  -h, --help                 Show this help message
-
-Examples:
-  node benchmark.js                    # Run with default settings
-  node benchmark.js -d 60             # Run for 60 seconds
-  node benchmark.js --max-ram 1024    # Stop if RAM usage exceeds 1GB
-  node benchmark.js -d 45 -r 2048     # Run for 45 seconds, max 2GB RAM
-  node benchmark.js -c config.json    # Load settings from config file
-  node benchmark.js -o results.json   # Save results to specific file
-  node benchmark.js -n 5              # Run benchmark 5 times
-  node benchmark.js -n 3 -o results.json # Run 3 times, save to file
-
-Config File Format (config.json):
-  {
+// Default duration for the benchmark in seconds (overridable via options, config file or CLI)
+const DEFAULT_DURATION_SECONDS = 30;
+
+// Marks workers spawned by this benchmark, so importing this file from another worker is harmless
+const WORKER_ROLE = 'fibonacci-benchmark-worker';
+
+// How long to wait for workers to answer a stop signal before terminating them anyway
+const FINAL_REPORT_TIMEOUT_MS = 5000;
+
+// Signals that interrupt a running benchmark gracefully (a second one exits immediately)
+const INTERRUPT_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+// Defaults of the run settings that have one; the others stay unset (see lib/config.js)
+const DEFAULT_SETTINGS = {
+    duration: DEFAULT_DURATION_SECONDS,
+    warmup: 0,
+    runs: 1,
+    workloads: DEFAULT_WORKLOADS,
+    threads: 'max',
+    progress: 'shared',
+    labels: {}
+};
+
+// Where `serve` listens and stores results unless told otherwise
+const DEFAULT_COLLECTOR_PORT = 8080;
+const DEFAULT_COLLECTOR_STORE = 'results.jsonl';
+
+// Exit code when a metric regressed beyond --fail-on-regression (1 means the benchmark itself failed)
+const REGRESSION_EXIT_CODE = 2;
+
+// Parsers for option values: a setting checked against the config schema, a label, a list entry
+const settingOption = name => (text, flag) => parseSettingValue(name, text, flag);
+const labelOption = text => Object.fromEntries([parseLabelSpec(text)]);
+const mergeLabels = (labels, label) => ({ ...labels, ...label });
+const appendValues = (values, value) => values.concat(value);
+
+/**
+ * Command line options by key: the key is where parseArguments() puts the value (settings use
+ * their config file keys, see lib/config.js). Commands list the options they accept; the
+ * help is generated from these definitions (lib/cli.js).
+ */
+const OPTIONS = defineOptions({
+    duration: { flags: ['-d', '--duration'], value: '<seconds>', parse: settingOption('duration'), description: 'Benchmark duration in seconds', default: DEFAULT_SETTINGS.duration },
+    warmup: { flags: ['--warmup'], value: '<seconds>', parse: settingOption('warmup'), description: 'Unmeasured warm-up before each run', default: DEFAULT_SETTINGS.warmup },
+    maxRamMB: { flags: ['-r', '--max-ram'], aliases: ['--max-ram-mb'], value: '<MB>', parse: settingOption('maxRamMB'), description: 'Maximum RAM usage in MB before stopping', default: 'no limit' },
+    maxWorkerHeapMB: { flags: ['--max-worker-heap'], aliases: ['--max-worker-heap-mb'], value: '<MB>', parse: settingOption('maxWorkerHeapMB'), description: 'Heap cap of each worker thread in MB', default: 'the runtime\'s heap limit' },
+    outputFile: { flags: ['-o', '--output'], value: '<file>', description: 'Save results to this file (its extension follows --format)' },
+    runs: { flags: ['-n', '--runs'], value: '<number>', parse: settingOption('runs'), description: 'Number of benchmark runs', default: DEFAULT_SETTINGS.runs },
+    workloads: { flags: ['-w', '--workload'], aliases: ['--workloads'], value: '<names>', parse: settingOption('workloads'), combine: appendValues, description: 'Workload(s) to run, comma-separated; see Workloads', default: DEFAULT_WORKLOADS.join(',') },
+    threads: { flags: ['-t', '--threads'], value: '<n|list>', parse: settingOption('threads'), description: 'Worker threads: a count, max (one per core), or a sweep such as 1,2,4,8,max that reports speed-up and parallel efficiency', default: DEFAULT_SETTINGS.threads },
+    work: { flags: ['--work'], value: '<spec>', parse: settingOption('work'), description: 'Fixed-work mode: <workload>:[<size>x]<iterations> per worker; measures time to completion instead of a duration' },
+    progress: { flags: ['--progress'], value: '<mode>', parse: settingOption('progress'), description: 'Progress reporting: shared (Atomics counters) or message (one postMessage per iteration)', default: DEFAULT_SETTINGS.progress },
+    formats: { flags: ['-f', '--format'], aliases: ['--formats'], value: '<formats>', parse: settingOption('formats'), combine: appendValues, description: `Output file format(s), comma-separated: ${getFormatNames().join(', ')}`, default: 'json' },
+    scenario: { flags: ['--scenario'], value: '<name>', description: 'Run only this scenario of the suite in the config file' },
+    baseline: { flags: ['--baseline'], value: '<file>', description: 'Compare the results with a previous results file' },
+    failOnRegression: { flags: ['--fail-on-regression'], value: '<percent>', parse: settingOption('failOnRegression'), description: `Exit with code ${REGRESSION_EXIT_CODE} if a metric got significantly worse than the baseline by more than this percentage` },
+    postUrl: { flags: ['--post-url'], value: '<url>', parse: settingOption('postUrl'), description: 'Upload the results to this collector (retried, spooled on failure; see "upload" in the config file)' },
+    spoolDir: { flags: ['--spool-dir'], value: '<dir>', description: 'Keep results that could not be uploaded here, for flush' },
+    keyFile: { flags: ['--key'], value: '<file>', description: 'Sign the results with this key: an HMAC secret or an ed25519 private key (PEM)' },
+    labels: { flags: ['--label'], value: '<name=value>', parse: labelOption, combine: mergeLabels, description: 'Tag the results, e.g. --label team=infra --label site=edge-7' },
+    printConfig: { flags: ['--print-config'], description: 'Print the merged settings and where each came from, and exit (as JSON with --json)' },
+    info: { flags: ['--info'], description: 'Same as the info command' },
+    runtimes: { flags: ['--runtime'], value: '<spec>', parse: text => [text], combine: appendValues, description: 'Runtime to compare: a command (bun) or name=command (node18=/opt/node-18/bin/node)', default: DEFAULT_RUNTIMES.map(runtime => runtime.command).join(', ') },
+    outputDir: { flags: ['--output-dir'], value: '<dir>', description: 'Where to write results, logs and summary_report.md', default: 'runtime-comparison-<timestamp>' },
+    port: { flags: ['--port'], value: '<port>', parse: settingOption('serve.port'), description: 'Port to listen on (0 picks a free one)', default: DEFAULT_COLLECTOR_PORT },
+    bind: { flags: ['--bind'], value: '<address>', description: 'Address to listen on', default: '127.0.0.1' },
+    storeFile: { flags: ['--store'], value: '<file>', description: 'JSON-lines store', default: DEFAULT_COLLECTOR_STORE },
+    requireSignature: { flags: ['--require-signature'], description: 'Refuse unsigned results (verified with --key)' },
+    host: { flags: ['--host'], value: '<hostname>', description: 'Only results from this host' },
+    limit: { flags: ['--limit'], value: '<count>', parse: parseLimit, description: 'Only the most recent results' },
+    help: { flags: ['-h', '--help'], description: 'Show the help (of the command)' },
+    configFile: { flags: ['-c', '--config'], value: '<file>', description: 'Load settings from this JSON config file' },
+    json: { flags: ['--json'], description: 'Print only the JSON document to stdout (progress goes to stderr)' },
+    ndjson: { flags: ['--ndjson'], description: 'Print one JSON event per line to stdout' },
+    quiet: { flags: ['-q', '--quiet'], description: 'No progress output; stdout has only the JSON document' }
+});
+
+// Options that configure a benchmark run, also passed on to every runtime by `compare`
+const BENCHMARK_OPTIONS = ['duration', 'warmup', 'maxRamMB', 'maxWorkerHeapMB', 'runs', 'workloads', 'threads', 'work', 'progress', 'labels'];
+
+/**
+ * The commands and their options, usage, help sections and examples (see lib/cli.js).
+ * Without a command, `run` runs.
+ */
+const CLI = {
+    program: 'node benchmark.js',
+    title: '🚀 Node.js Multi-Core Fibonacci Benchmark',
+    defaultCommand: 'run',
+    globalOptions: [OPTIONS.help, OPTIONS.configFile, OPTIONS.json, OPTIONS.ndjson, OPTIONS.quiet],
+    commands: [
+        {
+            name: 'run',
+            summary: 'Run the benchmark (the default command)',
+            usage: ['[options]'],
+            maxArgs: 0,
+            options: [
+                ...BENCHMARK_OPTIONS.filter(key => key !== 'labels'),
+                'outputFile', 'formats', 'scenario', 'baseline', 'failOnRegression', 'postUrl', 'spoolDir', 'keyFile', 'labels', 'printConfig', 'info'
+            ].map(key => OPTIONS[key]),
+            sections: [
+                {
+                    title: 'Workloads',
+                    text: [
+                        ...getWorkloadNames().map((name) => {
+                            const size = formatWorkloadSize(name);
+                            return `  ${name.padEnd(27)}${getWorkload(name).description}${size ? ` (default size ${size})` : ''}`;
+                        }),
+                        `  ${'all'.padEnd(27)}Run every workload in turn`
+                    ].join('\n')
+                },
+                {
+                    title: 'Config File Format (config.json)',
+                    text: `  {
     "duration": 60,
+    "warmup": 5,
     "maxRamMB": 1024,
+    "maxWorkerHeapMB": 256,
     "outputFile": "results.json",
     "runs": 3,
-    "postUrl": "https://api.example.com/benchmark-results"
-  }
-
-Note: Command line arguments override config file settings.
-This benchmark is designed for dedicated server environments.
-`);
-}
+    "workloads": ["fibonacci", "sha256"],
+    "threads": "1,max",
+    "formats": ["json", "csv"],
+    "runtimes": [{ "name": "node18", "command": "/opt/node-18/bin/node" }, "bun"],
+    "baseline": "baseline-results.json",
+    "failOnRegression": 5,
+    "postUrl": "https://api.example.com/benchmark-results",
+    "upload": {
+      "retries": 3, "timeoutMs": 30000, "backoffMs": 1000, "gzip": true,
+      "tokenEnv": "COLLECTOR_TOKEN", "headers": { "X-Site": "edge-7" },
+      "proxy": "http://proxy.example.com:3128", "spoolDir": "spool"
+    },
+    "signing": { "keyFile": "signing.pem" },
+    "labels": { "team": "infra", "site": "edge-7" },
+    "serve": { "port": 8080, "bind": "0.0.0.0", "store": "results.jsonl", "requireSignature": false },
+    "scenarios": [{ "name": "short-1t", "duration": 5, "threads": 1 }, { "name": "hash", "workloads": ["sha256"] }],
+    "matrix": { "duration": [5, 30], "threads": [1, "max"] }
+  }`
+                },
+                {
+                    title: 'Scenarios',
+                    paragraphs: [
+                        'With "scenarios" and/or "matrix" (one scenario per combination, named e.g. duration-5_threads-1) every scenario runs in turn, and the results are one document keyed by scenario name. ' +
+                        'Scenarios override duration, warmup, maxRamMB, maxWorkerHeapMB, runs, workloads, threads, work, progress and labels.'
+                    ]
+                },
+                {
+                    title: 'Environment',
+                    paragraphs: [
+                        `Settings: ${Object.values(CONFIG_SCHEMA).filter(field => field.env).map(field => field.env).join(', ')}. ` +
+                        'Each layer overrides the one before: defaults, config file, environment, command line. Invalid or unknown settings are errors; --print-config shows where each value came from.',
+                        'Upload: FIBO_UPLOAD_TOKEN (bearer token), FIBO_UPLOAD_HEADERS ("Name: value; ..."), FIBO_SPOOL_DIR, HTTP_PROXY, HTTPS_PROXY, NO_PROXY. Config file values take precedence.',
+                        'Signing: FIBO_SIGNING_KEY_FILE (key file) or FIBO_SIGNING_KEY (the key itself).'
+                    ]
+                }
+            ],
+            examples: [
+                ['node benchmark.js', 'Run with default settings'],
+                ['node benchmark.js -d 60', 'Run for 60 seconds'],
+                ['node benchmark.js -d 5 --warmup 2', 'Warm up for 2 seconds, then measure 5'],
+                ['node benchmark.js --max-ram 1024', 'Stop if RAM usage exceeds 1GB'],
+                ['node benchmark.js --max-worker-heap 256', 'Stop if any worker\'s heap exceeds 256MB'],
+                ['node benchmark.js -c config.json', 'Load settings from config file'],
+                ['node benchmark.js -n 3 -o results.json', 'Run 3 times, save to file'],
+                ['node benchmark.js -o results -f json,csv,junit', 'Write results.json, results.csv and results.xml'],
+                ['node benchmark.js -w sha256,json', 'Run the SHA-256 and JSON workloads'],
+                ['node benchmark.js -t 1,2,4,max -d 10', 'Scaling sweep: single-core vs multi-core'],
+                ['node benchmark.js --work fib:100000x50', 'Each worker computes fib(100000) 50 times'],
+                ['node benchmark.js -n 5 --baseline old.json --fail-on-regression 5', 'Fail if 5% slower than old.json'],
+                ['node benchmark.js --duration=10 --json | jq .aggregatedResults.averageScore', ''],
+                ['node benchmark.js -c suite.json -o suite.json', 'Run every scenario of the suite'],
+                ['node benchmark.js -c suite.json --scenario short-1t', ''],
+                ['FIBO_RUNS=3 node benchmark.js -c config.json --print-config', 'Show the merged settings and their sources'],
+                ['FIBO_UPLOAD_TOKEN=... node benchmark.js --post-url https://collector.example.com/results --spool-dir spool', 'Upload with a bearer token, keep failed uploads in spool/'],
+                ['node benchmark.js -o results.json --key signing.pem', 'Sign the results'],
+                ['node benchmark.js -n 3 --label team=infra --post-url http://localhost:8080/results', '']
+            ]
+        },
+        {
+            name: 'info',
+            summary: 'Print the system and hardware fingerprint (as JSON with --json)',
+            usage: ['[options]'],
+            description: 'Prints the CPU, caches, topology, NUMA, memory, kernel, virtualization and container limits of this machine, without running the benchmark.',
+            maxArgs: 0,
+            options: [],
+            examples: [
+                ['node benchmark.js info', ''],
+                ['node benchmark.js info --json', '']
+            ]
+        },
+        {
+            name: 'compare',
+            summary: 'Compare two results files, or run the benchmark under several runtimes',
+            usage: ['<baseline.json> <current.json> [options]', '[options]'],
+            description: 'With two results files, compares them without running (the first is the baseline) and exits with ' +
+                `${REGRESSION_EXIT_CODE} on a regression beyond --fail-on-regression. Without files, runs the benchmark under every runtime and ` +
+                'compares them; the benchmark options are passed on to each runtime.',
+            maxArgs: 2,
+            options: ['failOnRegression', 'runtimes', 'outputDir', ...BENCHMARK_OPTIONS, 'printConfig'].map(key => OPTIONS[key]),
+            examples: [
+                ['node benchmark.js compare old.json new.json', ''],
+                ['node benchmark.js compare -d 10 -n 3', 'Compare node, deno and bun'],
+                ['node benchmark.js compare --runtime node20=node --runtime node18=/opt/node-18/bin/node', '']
+            ]
+        },
+        {
+            name: 'report',
+            summary: 'Render results files into one self-contained HTML report with charts',
+            usage: ['<results.json>... [options]'],
+            options: [{ ...OPTIONS.outputFile, description: 'Report file', default: 'benchmark-report-<timestamp>.html' }],
+            examples: [
+                ['node benchmark.js report node.json deno.json bun.json -o report.html', '']
+            ]
+        },
+        {
+            name: 'history',
+            summary: 'List earlier results over time, each compared with the previous one of its setup',
+            usage: ['[<results.json|store.jsonl|dir>...] [options]'],
+            description: 'Lists the results in the given files, collector stores (.jsonl) and directories (default: the current directory), oldest first. ' +
+                'Each result is compared with the previous one of the same setup, workloads, threads and scenario.',
+            options: [OPTIONS.host, { ...OPTIONS.labels, description: 'Only results with this label, e.g. --label team=infra' }, OPTIONS.limit],
+            examples: [
+                ['node benchmark.js history', 'Results files in the current directory'],
+                ['node benchmark.js history results/ results.jsonl --limit 20', '']
+            ]
+        },
+        {
+            name: 'validate-config',
+            summary: 'Check a config file and the FIBO_* environment variables without running',
+            usage: ['[<config.json>] [options]'],
+            description: 'Checks the config file (or the one given with -c) and the FIBO_* environment variables against the settings schema. Exits with 1 if anything is invalid.',
+            maxArgs: 1,
+            options: [],
+            examples: [
+                ['node benchmark.js validate-config config.json', '']
+            ]
+        },
+        {
+            name: 'verify',
+            summary: 'Check that results files are signed with the key and unmodified',
+            usage: ['<results.json>... [options]'],
+            description: 'Exits with 1 unless every file is signed with the key and unmodified. The key comes from --key, signing.keyFile in the config file, FIBO_SIGNING_KEY_FILE or FIBO_SIGNING_KEY.',
+            options: [{ ...OPTIONS.keyFile, description: 'The HMAC secret or the ed25519 public key (PEM)' }],
+            examples: [
+                ['node benchmark.js verify results.json --key signing.pub.pem', '']
+            ]
+        },
+        {
+            name: 'flush',
+            summary: 'Resend results that could not be uploaded',
+            usage: ['[<spool-dir>] [options]'],
+            description: 'Resends the spooled results, each to the URL it was meant for or to --post-url. Exits with 1 while entries remain.',
+            maxArgs: 1,
+            options: [{ ...OPTIONS.postUrl, description: 'Send every entry to this collector instead' }, OPTIONS.spoolDir],
+            examples: [
+                ['node benchmark.js flush spool', 'Resend once the collector is reachable']
+            ]
+        },
+        {
+            name: 'serve',
+            summary: 'Collect posted results and serve them with a leaderboard',
+            usage: ['[options]'],
+            description: 'Collects posted results in a JSON-lines file and serves them: POST /results, GET /results, /results/<id>, /leaderboard, /health. ' +
+                'Uploads need the bearer token in FIBO_COLLECTOR_TOKEN when it is set.',
+            maxArgs: 0,
+            options: [OPTIONS.port, OPTIONS.bind, OPTIONS.storeFile, OPTIONS.requireSignature, { ...OPTIONS.keyFile, description: 'Verify signed uploads with this key' }],
+            examples: [
+                ['node benchmark.js serve --port 8080 --store results.jsonl', '']
+            ]
+        }
+    ]
+};
 
-// Define the duration for the benchmark in milliseconds (configurable)
-let BENCHMARK_DURATION_MS = 30 * 1000;
-let MAX_RAM_MB = null;
+// System probes for the runtime this file runs in (native APIs first, node: compat as fallback)
+const runtimeAdapter = createRuntimeAdapter();
 
 /**
- * Gets current memory usage with proper units
+ * Formats process memory usage with proper units
+ * @param {object} usage Memory usage in bytes (rss, heapUsed, heapTotal, external, arrayBuffers)
  * @returns {object} Memory usage statistics with units
  */
-function getMemoryUsage() {
-    const usage = process.memoryUsage();
-    
-    function formatBytes(bytes) {
-        if (bytes >= 1024 * 1024 * 1024) {
-            return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
-        } else if (bytes >= 1024 * 1024) {
-            return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
-        } else if (bytes >= 1024) {
-            return `${(bytes / 1024).toFixed(2)} KB`;
-        } else {
-            return `${bytes} B`;
-        }
-    }
-    
+function formatMemoryUsage(usage) {
     return {
         rss: formatBytes(usage.rss),
         heapUsed: formatBytes(usage.heapUsed),
         heapTotal: formatBytes(usage.heapTotal),
         external: formatBytes(usage.external),
-        arrayBuffers: formatBytes(usage.arrayBuffers)
+        // Deno.memoryUsage() does not report array buffers
+        arrayBuffers: usage.arrayBuffers !== null ? formatBytes(usage.arrayBuffers) : 'n/a'
     };
 }
 
 /**
- * Calculates the nth Fibonacci number iteratively.
- * This approach is efficient for large numbers as it avoids recursion overhead
- * and stack overflow issues. It uses BigInt to handle numbers larger than
- * JavaScript's standard Number type can safely represent.
- * @param {number} n The index of the Fibonacci number to calculate.
- * @returns {BigInt} The nth Fibonacci number.
+ * Gets current memory usage of this process in bytes
+ * @returns {object} Memory usage in bytes (rss, heapUsed, heapTotal, external, arrayBuffers)
  */
-function calculateFibonacci(n) {
-    if (n <= 1) {
-        return BigInt(n);
-    }
-
-    let a = 0n; // Use BigInt for large numbers
-    let b = 1n; // Use BigInt for large numbers
-
-    for (let i = 2; i <= n; i++) {
-        let temp = a + b;
-        a = b;
-        b = temp;
-    }
-    return b;
+function getMemoryUsage() {
+    const { rss, heapUsed, heapTotal, external, arrayBuffers } = runtimeAdapter.processMemory().value;
+    return { rss, heapUsed, heapTotal, external, arrayBuffers: arrayBuffers !== undefined ? arrayBuffers : null };
 }
 
 /**
- * Gathers system information (hostname, CPU, RAM).
+ * Gathers system information (hostname, CPU, RAM) and the hardware fingerprint.
+ * CPU cores and RAM are the effective values the process may use: inside a container
+ * they are capped by its cgroup limits and affinity, while hostCores and hostRam keep
+ * what the host has. The values come from the runtime adapter (lib/adapter.js), and
+ * `probes` records which method produced each of them.
+ * @param {object} [options]
+ * @param {object} [options.adapter] Runtime adapter to probe with (see lib/adapter.js).
+ * @param {string} [options.cgroupRoot] Root of the cgroup file system (see lib/cgroups.js).
+ * @param {string} [options.procSelfCgroup] The process's cgroup membership file.
+ * @param {string} [options.procRoot] Root of the proc file system (see lib/hardware.js).
+ * @param {string} [options.sysRoot] Root of the sysfs file system.
+ * @param {string} [options.rootDir] File system root, for container marker files.
  * @returns {object} An object containing system details.
  */
-function getSystemInfo() {
-    const cpus = os.cpus();
-    const totalMemoryBytes = os.totalmem();
+function getSystemInfo(options = {}) {
+    const adapter = options.adapter || runtimeAdapter;
+    const cpuCount = adapter.cpuCount();
+    const cpuModel = adapter.cpuModel();
+    const totalMemory = adapter.totalMemory();
+    const hostname = adapter.hostname();
+    const cpuCores = cpuCount.value;
+    const totalMemoryBytes = totalMemory.value;
     const totalMemoryGB = (totalMemoryBytes / (1024 * 1024 * 1024)).toFixed(2); // Convert bytes to GB
 
     // Get network interfaces and extract IP addresses
-    const networkInterfaces = os.networkInterfaces();
     const ipAddresses = [];
+    let networkInterfaces = {};
+    try {
+        networkInterfaces = os.networkInterfaces();
+    } catch (error) {
+        // Deno without --allow-sys
+    }
     
     for (const interfaceName in networkInterfaces) {
         const interfaces = networkInterfaces[interfaceName];
@@ -293,440 +472,2175 @@ function getSystemInfo() {
         }
     }
 
-    // Handle cases where CPU information is not available (e.g., Android/ARM)
-    let cpuModel = 'N/A';
-    let cpuCores = 1; // Default to 1 core if detection fails
-
-    if (cpus && cpus.length > 0) {
-        cpuModel = cpus[0].model || 'Unknown';
-        cpuCores = cpus.length;
-    } else {
-        // Fallback: try to detect CPU cores using other methods
-        try {
-            // Try to get CPU count from environment or system
-            const envCores = process.env.NODE_OPTIONS ? 
-                parseInt(process.env.NODE_OPTIONS.match(/--max-old-space-size=(\d+)/)?.[1] || '1') : 
-                null;
-            
-            if (envCores && envCores > 0) {
-                cpuCores = Math.min(envCores, 8); // Cap at 8 cores for safety
-            } else {
-                // Try to detect from os.availableParallelism() if available (Node.js 16+)
-                if (typeof os.availableParallelism === 'function') {
-                    cpuCores = os.availableParallelism();
-                } else {
-                    // Try multiple fallback methods for Linux/Android
-                    try {
-                        const fs = require('fs');
-                        const { execSync } = require('child_process');
-                        
-                        // Method 1: Try nproc command
-                        try {
-                            const nprocOutput = execSync('nproc', { encoding: 'utf8', timeout: 5000 });
-                            const nprocCores = parseInt(nprocOutput.trim());
-                            if (nprocCores && nprocCores > 0) {
-                                cpuCores = nprocCores;
-                            }
-                        } catch (e) {
-                            // nproc failed, try next method
-                        }
-                        
-                        // Method 2: Read /proc/cpuinfo and count processors
-                        if (cpuCores <= 1) {
-                            try {
-                                const cpuInfo = fs.readFileSync('/proc/cpuinfo', 'utf8');
-                                const processorMatches = cpuInfo.match(/processor\s*:\s*\d+/g);
-                                if (processorMatches) {
-                                    const detectedCores = processorMatches.length;
-                                    // Use the higher value between nproc and cpuinfo
-                                    cpuCores = Math.max(cpuCores, detectedCores);
-                                }
-                            } catch (e) {
-                                // cpuinfo reading failed
-                            }
-                        }
-                        
-                        // Method 3: Try /sys/devices/system/cpu/online
-                        if (cpuCores <= 1) {
-                            try {
-                                const onlineCpus = fs.readFileSync('/sys/devices/system/cpu/online', 'utf8').trim();
-                                // Parse ranges like "0-7" or "0,1,2,3,4,5,6,7"
-                                const ranges = onlineCpus.split(',');
-                                let totalCores = 0;
-                                for (const range of ranges) {
-                                    if (range.includes('-')) {
-                                        const [start, end] = range.split('-').map(Number);
-                                        totalCores += end - start + 1;
-                                    } else {
-                                        totalCores += 1;
-                                    }
-                                }
-                                if (totalCores > 0) {
-                                    cpuCores = totalCores;
-                                }
-                            } catch (e) {
-                                // online CPUs reading failed
-                            }
-                        }
-                        
-                    } catch (e) {
-                        // If all else fails, use a reasonable default
-                        cpuCores = 4; // Most modern devices have at least 4 cores
-                    }
-                }
-            }
-            
-            // Set a generic model name for ARM devices
-            if (process.arch === 'arm64' || process.arch === 'arm') {
-                cpuModel = `ARM ${process.arch.toUpperCase()}`;
-            } else {
-                cpuModel = `Unknown ${process.arch.toUpperCase()}`;
-            }
-        } catch (error) {
-            console.warn(`Warning: Could not detect CPU cores, using default: ${cpuCores}`);
-        }
-    }
-
-    // Ensure we have at least 1 core
-    cpuCores = Math.max(1, cpuCores);
+    // Container limits: size the benchmark by what this process may use, not by the host
+    const limits = detectCgroupLimits(options);
+    const availableParallelism = typeof os.availableParallelism === 'function' ? os.availableParallelism() : null;
+    const memoryBytes = effectiveMemoryBytes(totalMemoryBytes, limits);
 
     return {
-        hostname: os.hostname(),
+        hostname: hostname.value,
         ipAddresses: ipAddresses.length > 0 ? ipAddresses : ['No external IP found'],
         cpu: {
-            model: cpuModel,
-            cores: cpuCores
+            model: cpuModel.value,
+            cores: effectiveCpuCount(cpuCores, limits, availableParallelism),
+            hostCores: cpuCores,
+            availableParallelism: availableParallelism
+        },
+        ram: `${(memoryBytes / (1024 * 1024 * 1024)).toFixed(2)} GB`,
+        hostRam: `${totalMemoryGB} GB`,
+        memory: {
+            hostBytes: totalMemoryBytes,
+            effectiveBytes: memoryBytes
+        },
+        limits: {
+            cgroupVersion: limits.version,
+            cpuQuota: limits.cpuQuota,
+            cpusetCpus: limits.cpusetCpus,
+            memoryLimitBytes: limits.memoryLimitBytes
         },
-        ram: `${totalMemoryGB} GB`
+        hardware: collectHardwareInfo(options),
+        probes: {
+            runtime: adapter.runtime,
+            cpuCount: cpuCount.method,
+            cpuModel: cpuModel.method,
+            totalMemory: totalMemory.method,
+            hostname: hostname.method,
+            processMemory: adapter.processMemory().method
+        }
     };
 }
 
-if (isMainThread) {
-    // --- Main Thread Logic ---
-    // This part of the script runs in the main thread.
-    // It's responsible for gathering system info, spawning multiple workers,
-    // managing the benchmark duration, and collecting the final results.
-
-    // Parse command line arguments
-    const config = parseArguments();
-    
-    // Show help if requested
-    if (config.help) {
-        showHelp();
-        process.exit(0);
-    }
-    
-    // Load config file if specified
-    let fileConfig = null;
-    if (config.configFile) {
-        fileConfig = loadConfigFile(config.configFile);
+/**
+ * Describes the container limits that apply, e.g. "cgroup v2: CPU quota 1.5, memory 512 MB".
+ * @param {object} systemInfo System details from getSystemInfo().
+ * @returns {string|null} The description, or null when no limit applies.
+ */
+function describeLimits(systemInfo) {
+    const { cgroupVersion, cpuQuota, cpusetCpus, memoryLimitBytes } = systemInfo.limits;
+    const parts = [];
+    if (cpuQuota !== null) {
+        parts.push(`CPU quota ${parseFloat(cpuQuota.toFixed(2))}`);
     }
-    
-    // Merge config: command line arguments override config file
-    const finalConfig = {
-        duration: config.duration !== undefined ? config.duration : (fileConfig ? fileConfig.duration : 30),
-        maxRamMB: config.maxRamMB !== undefined ? config.maxRamMB : (fileConfig ? fileConfig.maxRamMB : null),
-        outputFile: config.outputFile || (fileConfig ? fileConfig.outputFile : null),
-        runs: config.runs !== undefined ? config.runs : (fileConfig ? fileConfig.runs : 1),
-        postUrl: fileConfig ? fileConfig.postUrl : null
-    };
-    
-    // Set configuration
-    BENCHMARK_DURATION_MS = finalConfig.duration * 1000;
-    MAX_RAM_MB = finalConfig.maxRamMB;
-
-    const systemInfo = getSystemInfo();
-    const numCores = systemInfo.cpu.cores;
-    
-    // Ensure we have at least 1 core for worker threads
-    if (numCores < 1) {
-        console.warn(`Warning: Detected ${numCores} CPU cores, using 1 core as fallback`);
-        systemInfo.cpu.cores = 1;
+    if (cpusetCpus !== null && cpusetCpus < systemInfo.cpu.hostCores) {
+        parts.push(`cpuset ${cpusetCpus} CPUs`);
     }
-    
-    console.log(`\n--- System Information ---`);
-    console.log(`Hostname: ${systemInfo.hostname}`);
-    console.log(`IP Addresses: ${systemInfo.ipAddresses.join(', ')}`);
-    console.log(`CPU: ${systemInfo.cpu.model} (${systemInfo.cpu.cores} cores)`);
-    console.log(`RAM: ${systemInfo.ram}`);
-    console.log(`--------------------------\n`);
-
-    console.log(`Starting Fibonacci benchmark on ${systemInfo.cpu.cores} worker threads for ${BENCHMARK_DURATION_MS / 1000} seconds...`);
-    if (MAX_RAM_MB !== null) {
-        console.log(`RAM limit: ${MAX_RAM_MB} MB (benchmark will stop if exceeded)`);
+    if (memoryLimitBytes !== null) {
+        parts.push(`memory ${Math.round(memoryLimitBytes / (1024 * 1024)).toLocaleString()} MB`);
     }
-    console.log(`Number of runs: ${finalConfig.runs}`);
-    console.log(``);
+    return parts.length > 0 ? `cgroup v${cgroupVersion}: ${parts.join(', ')}` : null;
+}
 
-    // Multi-run results collection
-    const allRuns = [];
-    const startTime = process.hrtime.bigint(); // High-resolution time for precise measurement
-
-    // Function to run a single benchmark
-    async function runSingleBenchmark(runNumber) {
-        return new Promise((resolve) => {
-            console.log(`\n🔄 Starting run ${runNumber}/${finalConfig.runs}...`);
-            
-            let workers = [];
-            let totalFibIndex = 0;
-            let maxFibNumber = 0n;
-            let activeWorkers = systemInfo.cpu.cores;
-            
-            // Memory tracking
-            let peakMemoryUsage = getMemoryUsage();
-            let peakRSSBytes = process.memoryUsage().rss;
-            let memoryCheckInterval;
-
-            // Create workers for each CPU core
-            for (let i = 0; i < systemInfo.cpu.cores; i++) {
-    const worker = new Worker(__filename, {
-                    workerData: { 
-                        workerId: i,
-                        totalWorkers: systemInfo.cpu.cores
-                    }
-    });
+/**
+ * Formats the system fingerprint for `--info`.
+ * @param {object} systemInfo System details from getSystemInfo().
+ * @returns {string} The fingerprint, one property per line.
+ */
+function formatSystemInfo(systemInfo) {
+    const { cpu, numaNodes, kernel, loadAverage, virtualization, governor } = systemInfo.hardware;
+    const mhz = value => value !== null ? `${value.toLocaleString()} MHz` : 'n/a';
+    const bytes = value => value >= 1024 * 1024 ? `${parseFloat((value / (1024 * 1024)).toFixed(1))} MB` : `${value / 1024} KB`;
+    const identity = [
+        cpu.family !== null ? `family ${cpu.family}` : null,
+        cpu.model !== null ? `model ${cpu.model}` : null,
+        cpu.stepping !== null ? `stepping ${cpu.stepping}` : null
+    ].filter(Boolean);
+    const caches = Object.entries(cpu.caches).map(([name, size]) => `${name} ${bytes(size)}`);
+    const topology = [
+        cpu.sockets !== null ? `${cpu.sockets} socket${cpu.sockets === 1 ? '' : 's'}` : null,
+        cpu.physicalCores !== null ? `${cpu.physicalCores} physical cores` : null,
+        cpu.logicalProcessors !== null ? `${cpu.logicalProcessors} logical processors` : null,
+        cpu.threadsPerCore !== null ? `${cpu.threadsPerCore} threads per core` : null
+    ].filter(Boolean);
 
-                // Listen for messages from each worker thread
-    worker.on('message', (data) => {
-                    // Update the total Fibonacci index and track the highest number
-                    totalFibIndex += data.fibIndex;
-                    const currentFibNumber = BigInt(data.lastFibonacciNumber);
-                    if (currentFibNumber > maxFibNumber) {
-                        maxFibNumber = currentFibNumber;
-                    }
-    });
+    const lines = [
+        ['Hostname', systemInfo.hostname],
+        ['IP Addresses', systemInfo.ipAddresses.join(', ')],
+        ['CPU', cpu.modelName || systemInfo.cpu.model],
+        ['  Vendor', `${cpu.vendor || 'n/a'}${identity.length > 0 ? ` (${identity.join(', ')})` : ''}`],
+        ['  Frequency', `base ${mhz(cpu.baseMHz)}, max ${mhz(cpu.maxMHz)}, current ${mhz(cpu.currentMHz)}`],
+        ['  Governor', governor || 'n/a'],
+        ['  Topology', topology.join(', ') || 'n/a'],
+        ['  Usable Cores', `${systemInfo.cpu.cores} of ${systemInfo.cpu.hostCores}`],
+        ['  Caches', caches.join(', ') || 'n/a'],
+        ['NUMA Nodes', numaNodes.length > 0 ? numaNodes.map(node => `node${node.node}: ${node.cpuList} (${node.cpus} CPUs)`).join('; ') : 'n/a'],
+        ['RAM', `${systemInfo.ram} usable of ${systemInfo.hostRam}`],
+        ['Limits', describeLimits(systemInfo) || 'none'],
+        ['Kernel', `${kernel.type} ${kernel.release}${kernel.version ? ` (${kernel.version})` : ''} ${kernel.arch}`],
+        ['Load Average', loadAverage.join(', ')],
+        ['Virtualization', `hypervisor ${virtualization.hypervisor || 'none'}, container ${virtualization.container || 'none'}`],
+        ['Probes', `${systemInfo.probes.runtime}: cores via ${systemInfo.probes.cpuCount}, memory via ${systemInfo.probes.totalMemory}, hostname via ${systemInfo.probes.hostname}, process memory via ${systemInfo.probes.processMemory}`]
+    ];
+    return ['🖥️  System Fingerprint', ...lines.map(([label, value]) => `${`${label}:`.padEnd(17)}${value}`)].join('\n');
+}
 
-                // Handle any errors that occur in the worker thread
-    worker.on('error', (err) => {
-                    console.error(`Worker ${i} error:`, err);
-                    activeWorkers--;
+/**
+ * Resolves a thread-count selection into the worker counts to run, smallest first.
+ * @param {number|string|Array<number|string>} selection A count, 'max', or a list such as '1,2,4,8,max'.
+ * @param {number} maxThreads What 'max' stands for (the number of CPU cores).
+ * @returns {number[]} The distinct thread counts in ascending order.
+ * @throws {TypeError} If an entry is neither a positive integer nor 'max'.
+ */
+function resolveThreadCounts(selection, maxThreads) {
+    const entries = Array.isArray(selection) ? selection : String(selection).split(',');
+    const counts = entries.map(entry => {
+        const value = String(entry).trim().toLowerCase();
+        if (value === 'max') {
+            return maxThreads;
+        }
+        if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+            throw new TypeError(`Invalid thread count: '${entry}' (expected a positive integer or 'max')`);
+        }
+        return parseInt(value);
     });
+    if (counts.length === 0) {
+        throw new TypeError('No thread counts given');
+    }
+    return [...new Set(counts)].sort((a, b) => a - b);
+}
 
-                // Handle the worker thread exiting
-    worker.on('exit', (code) => {
-                    activeWorkers--;
-        if (code !== 0) {
-                        console.error(`Worker ${i} stopped with exit code ${code}`);
+/**
+ * Runs one benchmark pass of a single workload: spawns threadCount workers, waits until
+ * every worker is ready, runs the optional warm-up, then lets them calculate for the
+ * configured duration (or until each completed its fixed amount of work) and collects
+ * the run result. Only work done in the measured phase is counted.
+ * @param {number} runNumber The 1-based number of this run.
+ * @param {string} workloadName The registered workload the workers execute.
+ * @param {number} threadCount Number of worker threads to spawn.
+ * @param {object} settings Normalized benchmark settings (see runBenchmark).
+ * @param {object} systemInfo System details from getSystemInfo().
+ * @param {object} logger Console-like object used for progress output.
+ * @returns {Promise<object>} The run result, or `{ error }` if the run was aborted.
+ */
+function runSingleBenchmark(runNumber, workloadName, threadCount, settings, systemInfo, logger) {
+    return new Promise((resolve) => {
+        const labelParts = [
+            settings.workloads.length > 1 ? workloadName : null,
+            settings.threads.length > 1 ? `${threadCount} ${threadCount === 1 ? 'thread' : 'threads'}` : null
+        ].filter(Boolean);
+        const runLabel = labelParts.length > 0 ? `Run ${runNumber} (${labelParts.join(', ')})` : `Run ${runNumber}`;
+        const work = settings.work;
+        if (settings.workloads.length > 1) {
+            const size = formatWorkloadSize(workloadName, work ? work.size : undefined);
+            logger.log(`   ▶ Workload: ${workloadName} - ${getWorkload(workloadName).description}${size ? ` (size ${size})` : ''}`);
         }
-    });
 
-                workers.push(worker);
+        const benchmarkDurationMs = work ? null : settings.duration * 1000;
+        const warmupMs = settings.warmup * 1000;
+        const maxRamMB = settings.maxRamMB;
+        const workerHeapMB = settings.maxWorkerHeapMB; // Only when asked for: --max-ram caps the process RSS, not the worker heaps
+        let workerHeapEnforced = false; // Whether the runtime applies resourceLimits (Bun and Deno may ignore them)
+        const spawnTime = process.hrtime.bigint(); // High-resolution time for precise measurement
+
+        // Phase tracking: workers signal ready, then warm up, then the measured window starts
+        const workerReady = new Array(threadCount).fill(false);
+        let readyWorkers = 0;
+        let readyTime = null;
+        let readyCounts = null;
+        let startTime = null; // Start of the measured window
+        let baselineCounts = null;
+
+        // Shared-memory progress: workers count iterations in their own slot and report once on stop
+        const sharedProgress = settings.progress === 'shared';
+        const progressBuffers = sharedProgress ? createProgressBuffers(threadCount) : null;
+        const progress = sharedProgress ? openProgress(progressBuffers) : null;
+        let messagesReceived = 0;
+        const finalReported = new Array(threadCount).fill(false);
+        let finalReports = 0;
+        let onAllFinalReports = null;
+
+        let workers = [];
+        let totalCalculations = 0;
+        let workerCalculations = new Array(threadCount).fill(0); // Message mode: running totals
+        let warmupCalculations = 0;
+        let lastIteration = -1;
+        let lastResult = null;
+        let activeWorkers = threadCount;
+
+        // Memory tracking (bytes; formatted when the run result is built)
+        let peakMemoryBytes = getMemoryUsage();
+        // Memory over time: one sample per memory check, milliseconds since the workers were spawned
+        const sampleMemory = usage => ({
+            elapsedMs: Math.round(Number(process.hrtime.bigint() - spawnTime) / 1_000_000),
+            rssBytes: usage.rss,
+            heapUsedBytes: usage.heapUsed
+        });
+        const memorySamples = [sampleMemory(peakMemoryBytes)];
+        const workerTelemetry = new Array(threadCount).fill(null); // GC and heap statistics from each worker's final report
+        let memoryCheckInterval;
+        let timer;
+        let stopping = false; // Set once we terminate the workers ourselves
+
+        // Fixed-work mode: completion time of each worker, relative to the start of the run
+        const workerCompletionTimesMs = new Array(threadCount).fill(null);
+        let completedWorkers = 0;
+
+        // Create one worker per requested thread
+        for (let i = 0; i < threadCount; i++) {
+            const worker = new Worker(__filename, {
+                workerData: {
+                    role: WORKER_ROLE,
+                    workload: workloadName,
+                    size: work ? work.size : getWorkload(workloadName).defaultSize,
+                    iterations: work ? work.iterations : null,
+                    warmup: warmupMs > 0,
+                    progress: progressBuffers,
+                    workerId: i,
+                    totalWorkers: threadCount
+                },
+                resourceLimits: workerHeapMB !== null ? { maxOldGenerationSizeMb: workerHeapMB } : undefined
+            });
+            if (i === 0 && workerHeapMB !== null) {
+                workerHeapEnforced = Boolean(worker.resourceLimits) && worker.resourceLimits.maxOldGenerationSizeMb === workerHeapMB;
+                if (!workerHeapEnforced) {
+                    logger.warn(`Warning: this runtime ignores Worker resourceLimits; the ${workerHeapMB} MB worker heap limit is not enforced${maxRamMB !== null ? ` (process RSS is still checked against ${maxRamMB} MB)` : ''}`);
+                }
             }
 
-            // Start memory monitoring
-            memoryCheckInterval = setInterval(() => {
-                const currentMemory = process.memoryUsage();
-                const currentRSS = currentMemory.rss;
-                
-                if (MAX_RAM_MB !== null && currentRSS > MAX_RAM_MB * 1024 * 1024) {
-                    console.warn(`RAM usage exceeded limit of ${MAX_RAM_MB} MB. Stopping benchmark.`);
-                    clearInterval(memoryCheckInterval);
-                    workers.forEach(worker => worker.terminate());
-                    resolve({ error: 'RAM_LIMIT_EXCEEDED' });
+            // Listen for messages from each worker thread
+            worker.on('message', (data) => {
+                if (data.ready) {
+                    markReady(i);
+                    return;
+                }
+                // The final report carries the worker's GC and heap statistics
+                if (data.final) {
+                    workerTelemetry[i] = data.telemetry || null;
+                    markFinalReport(i);
                     return;
                 }
-                
-                if (currentRSS > peakRSSBytes) {
-                    peakRSSBytes = currentRSS;
-                    peakMemoryUsage = getMemoryUsage();
+                // Count progress messages of the measured window only, like the calculations
+                // (shared-memory workers report their last result once, after the stop)
+                if (startTime !== null && (sharedProgress || !stopping)) {
+                    messagesReceived++;
                 }
-            }, 1000); // Check every second
 
-            // Set a timeout to stop the benchmark after the defined duration
-    const timer = setTimeout(() => {
-                // Terminate all worker threads gracefully
-                workers.forEach(worker => worker.terminate());
-                
-                // Stop memory monitoring
-                clearInterval(memoryCheckInterval);
-                
-        const endTime = process.hrtime.bigint();
-        const durationNs = endTime - startTime;
-        const durationMs = Number(durationNs) / 1_000_000;
-
-                // Calculate average Fibonacci index per worker
-                const avgFibIndex = totalFibIndex > 0 ? Math.floor(totalFibIndex / systemInfo.cpu.cores) : 0;
-
-                // Get final memory usage
-                const finalMemoryUsage = getMemoryUsage();
-
-                // Calculate overall performance score
-                const calculationsPerSecond = totalFibIndex > 0 ? Math.round(totalFibIndex / (durationMs / 1000)) : 0;
-                const coreEfficiency = totalFibIndex > 0 ? Math.round((totalFibIndex / systemInfo.cpu.cores) / (totalFibIndex / systemInfo.cpu.cores) * 100) : 0;
-                const memoryEfficiency = totalFibIndex > 0 ? Math.round((totalFibIndex / parseFloat(peakMemoryUsage.rss.split(' ')[0])) * 1000) : 0;
-                
-                const overallScore = totalFibIndex > 0 ? Math.round(calculationsPerSecond * (coreEfficiency / 100) * (memoryEfficiency / 1000)) : 0;
-
-                // Create run result
-                const runResult = {
-                    runNumber: runNumber,
-                    timestamp: new Date().toISOString(),
-                    hostname: systemInfo.hostname,
-                    ipAddresses: systemInfo.ipAddresses,
-                    cpuModel: systemInfo.cpu.model,
-                    cpuCores: systemInfo.cpu.cores,
-                    totalRAM: systemInfo.ram,
-                    configuration: {
-                        benchmarkDurationMs: BENCHMARK_DURATION_MS,
-                        maxRamMB: MAX_RAM_MB,
-                        actualDurationMs: parseFloat(durationMs.toFixed(2))
-                    },
-                    totalFibonacciIndex: totalFibIndex,
-                    averageFibonacciIndexPerCore: avgFibIndex,
-                    lastFibonacciNumber: maxFibNumber.toString(),
-                    activeWorkersAtEnd: activeWorkers,
-                    performanceMetrics: {
-                        calculationsPerSecond: calculationsPerSecond,
-                        coreEfficiency: coreEfficiency,
-                        memoryEfficiency: memoryEfficiency,
-                        overallScore: overallScore
-                    },
-                    memoryUsage: {
-                        peak: peakMemoryUsage,
-                        final: finalMemoryUsage
+                // Update the running totals (shared counters are read at phase changes)
+                // and keep the result of the furthest iteration (in fixed-work mode, of the fixed work)
+                if (!sharedProgress && !stopping) {
+                    workerCalculations[i] += data.calculations;
+                }
+                if (data.iteration > lastIteration && (!work || data.done)) {
+                    lastIteration = data.iteration;
+                    lastResult = data.result;
+                }
+
+                // In fixed-work mode the run ends once every worker has finished its share
+                if (data.done && !stopping) {
+                    workerCompletionTimesMs[i] = Number(process.hrtime.bigint() - startTime) / 1_000_000;
+                    completedWorkers++;
+                    if (completedWorkers === threadCount) {
+                        finishRun();
+                    }
+                }
+            });
+
+            // Handle any errors that occur in the worker thread
+            worker.on('error', (err) => {
+                // The worker's heap reached its resourceLimits cap: stop the run, keep what was done
+                if (err && err.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                    activeWorkers--;
+                    if (!stopping) {
+                        logger.warn(`Worker ${i} reached its heap limit of ${workerHeapMB} MB. Stopping benchmark.`);
+                        abortRun('WORKER_HEAP_LIMIT', describeLimitHit('worker-heap', i, workerHeapMB));
                     }
+                    return;
+                }
+                logger.error(`Worker ${i} error:`, err);
+                activeWorkers--;
+
+                // A failed worker never completes its fixed amount of work
+                if (work && !stopping) {
+                    abortRun('WORKER_ERROR');
+                }
+            });
+
+            // Handle the worker thread exiting
+            worker.on('exit', (code) => {
+                activeWorkers--;
+                if (code !== 0 && !stopping) {
+                    logger.error(`Worker ${i} stopped with exit code ${code}`);
+                }
+                // A worker that exits early will never signal ready or send a final report
+                markReady(i);
+                markFinalReport(i);
+            });
+
+            workers.push(worker);
+        }
+
+        // Reads the completed iterations of every worker, from shared memory or the message totals
+        function currentCounts() {
+            return sharedProgress ? readCounts(progress) : workerCalculations.slice();
+        }
+
+        // Counts ready signals; starts the warm-up (or the measured phase) once all workers are ready
+        function markReady(workerId) {
+            if (workerReady[workerId] || stopping) {
+                return;
+            }
+            workerReady[workerId] = true;
+            readyWorkers++;
+            if (readyWorkers < threadCount) {
+                return;
+            }
+
+            readyTime = process.hrtime.bigint();
+            readyCounts = currentCounts();
+            if (warmupMs > 0) {
+                logger.log(`   🔥 Warming up for ${settings.warmup} seconds...`);
+                timer = setTimeout(beginMeasurement, warmupMs);
+            } else {
+                beginMeasurement();
+            }
+        }
+
+        // Starts the measured window: everything counted before this point is warm-up
+        function beginMeasurement() {
+            startTime = process.hrtime.bigint();
+            baselineCounts = currentCounts();
+            warmupCalculations = baselineCounts.reduce((sum, count, i) => sum + count - readyCounts[i], 0);
+
+            // Fixed-work workers wait for this signal before starting their share; all workers
+            // use it to count GC in the measured window only
+            if (sharedProgress) {
+                requestMeasure(progress);
+            } else {
+                workers.forEach(worker => worker.postMessage({ command: 'measure' }));
+            }
+            if (!work) {
+                // In duration mode, stop the benchmark after the defined duration
+                timer = setTimeout(finishRun, benchmarkDurationMs);
+            }
+        }
+
+        // Counts final reports; resolves the wait in finishRun() once every worker has answered
+        function markFinalReport(workerId) {
+            if (finalReported[workerId]) {
+                return;
+            }
+            finalReported[workerId] = true;
+            finalReports++;
+            if (finalReports === threadCount && onAllFinalReports) {
+                onAllFinalReports();
+            }
+        }
+
+        // Waits (bounded) until every worker has sent its final report
+        function waitForFinalReports() {
+            if (finalReports >= threadCount) {
+                return Promise.resolve();
+            }
+            return new Promise((resolveWait) => {
+                const fallback = setTimeout(resolveWait, FINAL_REPORT_TIMEOUT_MS);
+                onAllFinalReports = () => {
+                    clearTimeout(fallback);
+                    resolveWait();
                 };
+            });
+        }
 
-                console.log(`✅ Run ${runNumber} completed:`);
-                console.log(`   • OVERALL Score: ${overallScore.toLocaleString()}`);
-                console.log(`  `);
-                console.log(`   • Calculations: ${totalFibIndex.toLocaleString()}`);
-                console.log(`   • Duration: ${durationMs.toFixed(2)} ms`);
-                console.log(`   • Peak Memory: ${peakMemoryUsage.rss}`);
+        // Interruption (SIGINT/SIGTERM in the CLI): stop like at a memory limit, keeping the measured work
+        const onInterrupt = () => abortRun('INTERRUPTED');
+        if (settings.signal) {
+            settings.signal.addEventListener('abort', onInterrupt, { once: true });
+        }
 
-                resolve(runResult);
-            }, BENCHMARK_DURATION_MS);
-        });
-    }
+        // Start memory monitoring
+        memoryCheckInterval = setInterval(() => {
+            const currentMemory = getMemoryUsage();
+            const currentRSS = currentMemory.rss;
 
-    // Run multiple benchmarks
-    async function runAllBenchmarks() {
-        for (let run = 1; run <= finalConfig.runs; run++) {
-            const runResult = await runSingleBenchmark(run);
-            
-            if (runResult.error) {
-                console.error(`❌ Run ${run} failed: ${runResult.error}`);
-                break;
+            if (maxRamMB !== null && currentRSS > maxRamMB * 1024 * 1024) {
+                logger.warn(`RAM usage exceeded limit of ${maxRamMB} MB. Stopping benchmark.`);
+                abortRun('RAM_LIMIT_EXCEEDED', { ...describeLimitHit('process-rss', null, maxRamMB), rssBytes: currentRSS });
+                return;
             }
-            
-            allRuns.push(runResult);
-            
-            // Add delay between runs (except for the last run)
-            if (run < finalConfig.runs) {
-                console.log(`⏳ Waiting 2 seconds before next run...`);
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
-
-        // Calculate aggregated results
-        const totalDuration = Number(process.hrtime.bigint() - startTime) / 1_000_000;
-        const totalCalculations = allRuns.reduce((sum, run) => sum + run.totalFibonacciIndex, 0);
-        const avgScore = allRuns.length > 0 ? Math.round(allRuns.reduce((sum, run) => sum + (run.performanceMetrics.overallScore || 0), 0) / allRuns.length) : 0;
-        const bestScore = allRuns.length > 0 ? Math.max(...allRuns.map(run => run.performanceMetrics.overallScore || 0)) : 0;
-        const worstScore = allRuns.length > 0 ? Math.min(...allRuns.map(run => run.performanceMetrics.overallScore || 0)) : 0;
-
-        // Create comprehensive results object
-        const results = {
-            benchmarkInfo: {
-                totalRuns: finalConfig.runs,
-                completedRuns: allRuns.length,
-                totalDurationMs: parseFloat(totalDuration.toFixed(2)),
-                startTime: new Date(Date.now() - totalDuration).toISOString(),
-                endTime: new Date().toISOString()
-            },
-            systemInfo: {
-            hostname: systemInfo.hostname,
-                ipAddresses: systemInfo.ipAddresses,
-            cpuModel: systemInfo.cpu.model,
-            cpuCores: systemInfo.cpu.cores,
-                totalRAM: systemInfo.ram
-            },
-            configuration: {
-            benchmarkDurationMs: BENCHMARK_DURATION_MS,
-                maxRamMB: MAX_RAM_MB,
-                outputFile: finalConfig.outputFile,
-                postUrl: finalConfig.postUrl
-            },
-            aggregatedResults: {
-                totalCalculations: totalCalculations,
-                averageCalculationsPerRun: Math.round(totalCalculations / allRuns.length),
-                averageScore: avgScore,
-                bestScore: bestScore,
-                worstScore: worstScore,
-                scoreVariance: Math.round(bestScore - worstScore)
-            },
-            individualRuns: allRuns
-        };
 
-        // Display final results
-        console.log(`\n🏆 BENCHMARK COMPLETED`);
-        console.log(`📊 Aggregated Results:`);
-        console.log(`   • Total Runs: ${finalConfig.runs}`);
-        console.log(`   • Completed Runs: ${allRuns.length}`);
-        console.log(`   • Total Duration: ${(totalDuration / 1000).toFixed(2)} seconds`);
-        console.log(`   • Total Calculations: ${totalCalculations.toLocaleString()}`);
-        console.log(`   • Average Score: ${avgScore.toLocaleString()}`);
-        console.log(`   • Best Score: ${bestScore.toLocaleString()}`);
-        console.log(`   • Worst Score: ${worstScore.toLocaleString()}`);
-        console.log(`   • Score Variance: ${(bestScore - worstScore).toLocaleString()}`);
+            if (currentRSS > peakMemoryBytes.rss) {
+                peakMemoryBytes = currentMemory;
+            }
+            memorySamples.push(sampleMemory(currentMemory));
+        }, 1000); // Check every second
 
-        console.log(`\n--- Complete Benchmark Results ---`);
-        console.log(JSON.stringify(results, null, 2));
-        console.log(`--------------------------------\n`);
+        // The phase the run is in: starting the workers, warming up, or measuring
+        function currentPhase() {
+            return startTime !== null ? 'measured' : (readyTime !== null ? 'warmup' : 'startup');
+        }
 
-        // Save results to file if specified
-        if (finalConfig.outputFile) {
-            saveResultsToFile(results, finalConfig.outputFile);
+        // Describes a memory limit being hit: which limit, which worker (null for the whole process) and when
+        function describeLimitHit(limit, workerId, limitMB) {
+            const now = process.hrtime.bigint();
+            return {
+                limit: limit,
+                workerId: workerId,
+                limitMB: limitMB,
+                phase: currentPhase(),
+                elapsedMs: parseFloat((Number(now - spawnTime) / 1_000_000).toFixed(2)),
+                measuredMs: startTime !== null ? parseFloat((Number(now - startTime) / 1_000_000).toFixed(2)) : null,
+                timestamp: new Date().toISOString()
+            };
         }
 
-        // Post results to URL if specified
-        if (finalConfig.postUrl) {
-            await postResultsToUrl(results, finalConfig.postUrl);
+        // Stops all workers and resolves the run with an error; once the measured phase
+        // has started, the work completed so far is kept as a partial run result. An
+        // interrupted run is kept even before that, as an empty partial run of its phase
+        function abortRun(error, limitExceeded = null) {
+            if (stopping) {
+                return;
+            }
+            clearInterval(memoryCheckInterval);
+            clearTimeout(timer);
+            stopping = true;
+            if (settings.signal) {
+                settings.signal.removeEventListener('abort', onInterrupt);
+            }
+
+            const phase = currentPhase();
+            if (startTime === null) {
+                if (error !== 'INTERRUPTED') {
+                    workers.forEach(worker => worker.terminate());
+                    resolve({ error: error, limitExceeded: limitExceeded, partial: null });
+                    return;
+                }
+                if (readyTime !== null) {
+                    warmupCalculations = currentCounts().reduce((sum, count, i) => sum + count - readyCounts[i], 0);
+                }
+                workerCalculations = new Array(threadCount).fill(0);
+                workers.forEach(worker => worker.terminate());
+                completeRun(0, { error, limitExceeded, phase });
+                return;
+            }
+
+            const durationMs = Number(process.hrtime.bigint() - startTime) / 1_000_000;
+            const endCounts = currentCounts();
+            workerCalculations = endCounts.map((count, i) => count - baselineCounts[i]);
+            totalCalculations = workerCalculations.reduce((sum, count) => sum + count, 0);
+            workers.forEach(worker => worker.terminate());
+            completeRun(durationMs, { error, limitExceeded, phase });
         }
 
-        process.exit(0);
-    }
+        // Stops all workers and resolves the run with its result
+        function finishRun() {
+            stopping = true;
+            if (settings.signal) {
+                settings.signal.removeEventListener('abort', onInterrupt);
+            }
 
-    // Start the benchmark runs
-    runAllBenchmarks();
+            // Stop memory monitoring
+            clearInterval(memoryCheckInterval);
 
-} else {
-    // --- Worker Thread Logic ---
-    // This part of the script runs inside each worker thread.
-    // Each worker continuously calculates Fibonacci numbers and reports progress to the main thread.
+            const endTime = process.hrtime.bigint();
+            const durationNs = endTime - startTime;
+            const durationMs = Number(durationNs) / 1_000_000;
 
-    const { workerId, totalWorkers } = workerData;
-    let fibIndex = 0;
-    let lastFibNumber = 0n;
-    let localFibIndex = 0; // Track local calculations for this worker
+            // Snapshot the counters at the end of the measured window; only the work done
+            // since the baseline counts (fixed-work runs did exactly their share)
+            const endCounts = currentCounts();
+            workerCalculations = work
+                ? new Array(threadCount).fill(work.iterations)
+                : endCounts.map((count, i) => count - baselineCounts[i]);
+            totalCalculations = workerCalculations.reduce((sum, count) => sum + count, 0);
 
-    /**
-     * The main loop for each worker thread.
-     * It continuously calculates Fibonacci numbers and sends updates to the parent thread.
-     * Each worker calculates from small numbers to maximize calculation speed.
-     * It uses setImmediate to yield control back to the event loop, allowing messages
-     * to be sent and the worker to eventually receive termination signals from the main thread.
-     */
-    function workerLoop() {
-        // Calculate the next Fibonacci number
-        // Start from small numbers to maximize calculation speed
-        lastFibNumber = calculateFibonacci(fibIndex);
-        localFibIndex++;
+            // Signal the workers to stop and collect their final reports (last result, GC and heap)
+            if (sharedProgress) {
+                requestStop(progress);
+            } else {
+                workers.forEach(worker => worker.postMessage({ command: 'stop' }));
+            }
+            waitForFinalReports().then(() => {
+                workers.forEach(worker => worker.terminate());
+                completeRun(durationMs);
+            });
+        }
 
-        // Send the current progress back to the main thread.
-        // BigInt must be converted to string before sending via postMessage.
-        parentPort.postMessage({
-            fibIndex: 1, // Each iteration counts as 1 calculation
-            lastFibonacciNumber: lastFibNumber.toString()
-        });
+        // Builds the run result once all measurements are in; an aborted run resolves as a partial result
+        function completeRun(durationMs, abort = null) {
+            // Calculate average calculations per worker
+            const avgCalculations = totalCalculations > 0 ? Math.floor(totalCalculations / threadCount) : 0;
 
-        fibIndex++;
+            // Get final memory usage
+            const finalMemoryBytes = getMemoryUsage();
+            memorySamples.push(sampleMemory(finalMemoryBytes));
+            const gc = mergeGcSummaries(workerTelemetry.map(telemetry => telemetry && telemetry.gc));
+            const warmupGc = mergeGcSummaries(workerTelemetry.map(telemetry => telemetry && telemetry.warmupGc));
+            const workerHeaps = workerTelemetry.map(telemetry => telemetry ? telemetry.heap : null);
 
-        // Schedule the next iteration of the loop.
-        // setImmediate ensures that other pending tasks (like receiving termination signals)
-        // can be processed, preventing the worker from completely hogging its event loop.
-        setImmediate(workerLoop);
-    }
+            // Calculate overall performance score
+            const calculationsPerSecond = totalCalculations > 0 ? Math.round(totalCalculations / (durationMs / 1000)) : 0;
+            const memoryEfficiency = totalCalculations > 0 ? Math.round((totalCalculations / (peakMemoryBytes.rss / (1024 * 1024))) * 1000) : 0;
+
+            const overallScore = totalCalculations > 0 ? Math.round(calculationsPerSecond * (memoryEfficiency / 1000)) : 0;
+
+            // Warm-up: startup time until every worker was ready, and the throughput reached before measuring
+            // (a run interrupted before its measured phase: up to the interruption; null startup if never ready)
+            const measuredWindowStart = Number((startTime !== null ? startTime : process.hrtime.bigint()) - spawnTime) / 1_000_000;
+            const startupMs = readyTime !== null ? Number(readyTime - spawnTime) / 1_000_000 : null;
+            const warmupDurationMs = startupMs !== null ? measuredWindowStart - startupMs : 0;
+            const warmupCalculationsPerSecond = warmupMs > 0 && warmupDurationMs > 0 ? Math.round(warmupCalculations / (warmupDurationMs / 1000)) : null;
+            const warmup = {
+                configuredMs: warmupMs,
+                startupMs: startupMs !== null ? parseFloat(startupMs.toFixed(2)) : null,
+                actualDurationMs: parseFloat(warmupDurationMs.toFixed(2)),
+                calculations: warmupCalculations,
+                calculationsPerSecond: warmupCalculationsPerSecond,
+                throughputVsMeasuredPercent: warmupCalculationsPerSecond !== null && calculationsPerSecond > 0
+                    ? parseFloat((warmupCalculationsPerSecond / calculationsPerSecond * 100).toFixed(1))
+                    : null,
+                gc: warmupGc // Collections before the measured window (setup and warm-up)
+            };
+
+            // Fixed-work timings: how long each worker needed and how far apart they finished
+            // (in a partial run, of the workers that finished; null where none did)
+            let fixedWork = null;
+            if (work) {
+                const completionTimes = workerCompletionTimesMs.filter(ms => ms !== null);
+                const fastestWorkerMs = completionTimes.length > 0 ? Math.min(...completionTimes) : null;
+                const slowestWorkerMs = completionTimes.length > 0 ? Math.max(...completionTimes) : null;
+                fixedWork = {
+                    size: work.size,
+                    iterationsPerWorker: work.iterations,
+                    wallTimeMs: parseFloat(durationMs.toFixed(2)),
+                    workerCompletionTimesMs: workerCompletionTimesMs.map(ms => ms !== null ? parseFloat(ms.toFixed(2)) : null),
+                    fastestWorkerMs: fastestWorkerMs !== null ? parseFloat(fastestWorkerMs.toFixed(2)) : null,
+                    slowestWorkerMs: slowestWorkerMs !== null ? parseFloat(slowestWorkerMs.toFixed(2)) : null,
+                    completionSpreadMs: fastestWorkerMs !== null ? parseFloat((slowestWorkerMs - fastestWorkerMs).toFixed(2)) : null
+                };
+            }
+
+            // Create run result
+            const runResult = {
+                runId: runIdOf(runNumber, workloadName, threadCount),
+                runNumber: runNumber,
+                workload: workloadName,
+                timestamp: new Date().toISOString(),
+                hostname: systemInfo.hostname,
+                ipAddresses: systemInfo.ipAddresses,
+                cpuModel: systemInfo.cpu.model,
+                cpuCores: systemInfo.cpu.cores,
+                threads: threadCount,
+                totalRAM: systemInfo.ram,
+                configuration: {
+                    mode: work ? 'fixed-work' : 'duration',
+                    benchmarkDurationMs: benchmarkDurationMs,
+                    warmupMs: warmupMs,
+                    maxRamMB: maxRamMB,
+                    workerHeapLimitMB: workerHeapMB,
+                    workerHeapLimitEnforced: workerHeapEnforced,
+                    actualDurationMs: parseFloat(durationMs.toFixed(2))
+                },
+                totalCalculations: totalCalculations,
+                averageCalculationsPerCore: avgCalculations,
+                lastResult: lastResult,
+                activeWorkersAtEnd: activeWorkers,
+                workerCalculations: workerCalculations,
+                progressReporting: {
+                    mode: settings.progress,
+                    messagesReceived: messagesReceived
+                },
+                warmup: warmup,
+                fixedWork: fixedWork,
+                performanceMetrics: {
+                    calculationsPerSecond: calculationsPerSecond,
+                    parallelEfficiency: null, // Filled in by runAllBenchmarks when a single-thread run is available
+                    memoryEfficiency: memoryEfficiency,
+                    overallScore: overallScore
+                },
+                memoryUsage: {
+                    peak: formatMemoryUsage(peakMemoryBytes),
+                    final: formatMemoryUsage(finalMemoryBytes),
+                    peakBytes: peakMemoryBytes,
+                    finalBytes: finalMemoryBytes,
+                    workerHeaps: workerHeaps,
+                    samples: memorySamples
+                },
+                gc: {
+                    ...gc,
+                    workers: workerTelemetry.map(telemetry => telemetry ? telemetry.gc : null)
+                }
+            };
+
+            if (abort) {
+                runResult.partial = true;
+                runResult.stopReason = abort.error;
+                runResult.stopPhase = abort.phase;
+                runResult.limitExceeded = abort.limitExceeded;
+                if (abort.phase !== 'measured') {
+                    logger.log(`⚠️  ${runLabel} stopped during its ${abort.phase} phase (${abort.error}), nothing measured`);
+                    resolve({ error: abort.error, limitExceeded: abort.limitExceeded, partial: runResult });
+                    return;
+                }
+                logger.log(`⚠️  ${runLabel} stopped early (${abort.error}), partial result:`);
+            } else {
+                logger.log(`✅ ${runLabel} completed:`);
+            }
+            logger.log(`   • OVERALL Score: ${overallScore.toLocaleString()}`);
+            logger.log(`  `);
+            logger.log(`   • Calculations: ${totalCalculations.toLocaleString()}`);
+            logger.log(`   • Duration: ${durationMs.toFixed(2)} ms`);
+            if (warmup.calculationsPerSecond !== null) {
+                logger.log(`   • Warm-up: ${warmup.calculationsPerSecond.toLocaleString()} calc/s (${warmup.throughputVsMeasuredPercent}% of measured, startup ${warmup.startupMs.toFixed(2)} ms)`);
+            }
+            if (fixedWork && fixedWork.fastestWorkerMs !== null) {
+                logger.log(`   • Worker Completion: ${fixedWork.fastestWorkerMs.toFixed(2)} - ${fixedWork.slowestWorkerMs.toFixed(2)} ms (spread ${fixedWork.completionSpreadMs.toFixed(2)} ms)`);
+            }
+            logger.log(`   • Peak Memory: ${formatBytes(peakMemoryBytes.rss)}`);
+            if (gc.supported) {
+                const kinds = Object.entries(gc.kinds).map(([kind, stats]) => `${kind} ${stats.count}`).join(', ');
+                logger.log(`   • GC: ${gc.count.toLocaleString()} collections, ${gc.totalPauseMs.toFixed(2)} ms paused (longest ${gc.maxPauseMs.toFixed(2)} ms${kinds ? `; ${kinds}` : ''})`);
+            }
+            const reportedHeaps = workerHeaps.filter(Boolean);
+            if (reportedHeaps.length > 0) {
+                const usedHeapBytes = reportedHeaps.reduce((sum, heap) => sum + heap.usedHeapSizeBytes, 0);
+                logger.log(`   • Worker Heaps: ${formatBytes(usedHeapBytes)} used across ${reportedHeaps.length} ${reportedHeaps.length === 1 ? 'worker' : 'workers'} (limit ${formatBytes(reportedHeaps[0].heapSizeLimitBytes)} each)`);
+            }
+
+            resolve(abort ? { error: abort.error, limitExceeded: abort.limitExceeded, partial: runResult } : runResult);
+        }
+    });
+}
+
+/**
+ * Metrics summarized across runs, keyed by their name in aggregatedResults.statistics.
+ * Fixed-work metrics only apply to fixed-work runs.
+ */
+const RUN_METRICS = {
+    overallScore: run => run.performanceMetrics.overallScore || 0,
+    calculationsPerSecond: run => run.performanceMetrics.calculationsPerSecond,
+    parallelEfficiency: run => run.performanceMetrics.parallelEfficiency,
+    memoryEfficiency: run => run.performanceMetrics.memoryEfficiency,
+    peakRssBytes: run => run.memoryUsage.peakBytes ? run.memoryUsage.peakBytes.rss : undefined,
+    gcCount: run => run.gc && run.gc.supported ? run.gc.count : undefined,
+    gcPauseMs: run => run.gc && run.gc.supported ? run.gc.totalPauseMs : undefined,
+    totalCalculations: run => run.totalCalculations,
+    actualDurationMs: run => run.configuration.actualDurationMs,
+    wallTimeMs: run => run.fixedWork ? run.fixedWork.wallTimeMs : undefined,
+    completionSpreadMs: run => run.fixedWork ? run.fixedWork.completionSpreadMs : undefined
+};
 
-    workerLoop(); // Start the worker's calculation loop
+/**
+ * Builds the identifier of a run: run numbers repeat across workloads and thread counts.
+ * @param {number} runNumber The run number.
+ * @param {string} workloadName The workload.
+ * @param {number} threadCount The thread count.
+ * @returns {string} E.g. "2-sha256-4t".
+ */
+function runIdOf(runNumber, workloadName, threadCount) {
+    return `${runNumber}-${workloadName}-${threadCount}t`;
 }
+
+/**
+ * Aggregates a list of run results into totals, score and timing statistics.
+ * Every metric gets median, standard deviation, coefficient of variation, 95% confidence
+ * interval and IQR (see lib/statistics.js). Runs are flagged as outliers on the overall
+ * score, or on the wall time for fixed-work runs.
+ * @param {object[]} runs Run results from runSingleBenchmark().
+ * @returns {object} The aggregated results.
+ */
+function aggregateRuns(runs) {
+    const totalCalculations = runs.reduce((sum, run) => sum + run.totalCalculations, 0);
+    const scores = runs.map(RUN_METRICS.overallScore);
+    const averageScore = scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0;
+    const bestScore = scores.length > 0 ? Math.max(...scores) : 0;
+    const worstScore = scores.length > 0 ? Math.min(...scores) : 0;
+
+    const statistics = {};
+    for (const [metric, getValue] of Object.entries(RUN_METRICS)) {
+        const values = runs.map(getValue).filter(value => typeof value === 'number' && Number.isFinite(value));
+        if (values.length > 0) {
+            statistics[metric] = summarize(values);
+        }
+    }
+    const scoreStatistics = statistics.overallScore;
+
+    // Outliers are reported by run id; fixed-work runs are judged by time to completion
+    const outlierMetric = statistics.wallTimeMs ? 'wallTimeMs' : 'overallScore';
+    const outlierStatistics = statistics[outlierMetric];
+    const outliers = {
+        metric: outlierMetric,
+        iqr: outlierStatistics ? outlierStatistics.outliers.iqr.map(index => runs[index].runId) : [],
+        mad: outlierStatistics ? outlierStatistics.outliers.mad.map(index => runs[index].runId) : []
+    };
+
+    const aggregated = {
+        totalCalculations: totalCalculations,
+        averageCalculationsPerRun: runs.length > 0 ? Math.round(totalCalculations / runs.length) : 0,
+        averageScore: averageScore,
+        medianScore: scoreStatistics ? Math.round(scoreStatistics.median) : 0,
+        bestScore: bestScore,
+        worstScore: worstScore,
+        scoreRange: Math.round(bestScore - worstScore),
+        scoreVariance: scoreStatistics && scoreStatistics.variance !== null ? Math.round(scoreStatistics.variance) : 0,
+        scoreStdDev: scoreStatistics ? scoreStatistics.stdDev : null,
+        scoreCoefficientOfVariationPercent: scoreStatistics ? scoreStatistics.coefficientOfVariationPercent : null,
+        scoreConfidenceInterval95: scoreStatistics ? scoreStatistics.confidenceInterval95 : null,
+        statistics: statistics,
+        outliers: outliers
+    };
+
+    // Fixed-work runs are compared by time to completion (lower is better)
+    const wallTimes = runs.filter(run => run.fixedWork).map(run => run.fixedWork.wallTimeMs);
+    if (wallTimes.length > 0) {
+        aggregated.averageWallTimeMs = parseFloat((wallTimes.reduce((sum, ms) => sum + ms, 0) / wallTimes.length).toFixed(2));
+        aggregated.bestWallTimeMs = Math.min(...wallTimes);
+        aggregated.worstWallTimeMs = Math.max(...wallTimes);
+        aggregated.worstCompletionSpreadMs = Math.max(...runs.filter(run => run.fixedWork).map(run => run.fixedWork.completionSpreadMs));
+    }
+
+    return aggregated;
+}
+
+/**
+ * Aggregates the runs of several workloads for the headline numbers: only the totals and
+ * the plain average, best and worst scores. Statistics, confidence intervals and outliers
+ * across unrelated kernels mean nothing; they are in the per-workload results.
+ * @param {object[]} runs Run results of more than one workload.
+ * @returns {object} The aggregated results, with the per-run statistics left empty.
+ */
+function aggregateAcrossWorkloads(runs) {
+    const { totalCalculations, averageCalculationsPerRun, averageScore, bestScore, worstScore, scoreRange } = aggregateRuns(runs);
+    return {
+        totalCalculations: totalCalculations,
+        averageCalculationsPerRun: averageCalculationsPerRun,
+        averageScore: averageScore,
+        medianScore: null,
+        bestScore: bestScore,
+        worstScore: worstScore,
+        scoreRange: scoreRange,
+        scoreVariance: null,
+        scoreStdDev: null,
+        scoreCoefficientOfVariationPercent: null,
+        scoreConfidenceInterval95: null,
+        statistics: {},
+        outliers: { metric: null, iqr: [], mad: [] }
+    };
+}
+
+/**
+ * Summarizes how throughput scales with the thread count, per workload. Speed-up is
+ * the mean calculations per second relative to the single-thread runs, and parallel
+ * efficiency is that speed-up divided by the thread count (100% is perfect scaling).
+ * Both are null when 1 is not among the thread counts.
+ * @param {object} groups Aggregated results by workload, then by thread count.
+ * @param {number[]} threadCounts The thread counts that were run, ascending.
+ * @returns {object} The scaling results: thread counts, and per workload one entry per
+ *   thread count plus the single-core and multi-core scores.
+ */
+function aggregateScaling(groups, threadCounts) {
+    const multiCoreThreads = threadCounts[threadCounts.length - 1];
+    const scaling = {
+        threadCounts: threadCounts,
+        referenceThreads: threadCounts.includes(1) ? 1 : null,
+        workloads: {}
+    };
+
+    for (const [workloadName, byThreads] of Object.entries(groups)) {
+        const meanThroughput = threads => byThreads[threads].statistics.calculationsPerSecond ? byThreads[threads].statistics.calculationsPerSecond.mean : null;
+        const reference = scaling.referenceThreads !== null ? meanThroughput(1) : null;
+
+        scaling.workloads[workloadName] = {
+            singleCoreScore: scaling.referenceThreads !== null && byThreads[1].statistics.overallScore ? byThreads[1].averageScore : null,
+            multiCoreScore: byThreads[multiCoreThreads].statistics.overallScore ? byThreads[multiCoreThreads].averageScore : null,
+            multiCoreThreads: multiCoreThreads,
+            threads: threadCounts.map(threads => {
+                const throughput = meanThroughput(threads);
+                const speedup = reference && throughput !== null ? throughput / reference : null;
+                return {
+                    threads: threads,
+                    runs: byThreads[threads].statistics.overallScore ? byThreads[threads].statistics.overallScore.count : 0,
+                    averageScore: byThreads[threads].averageScore,
+                    averageCalculationsPerSecond: throughput !== null ? Math.round(throughput) : null,
+                    speedup: speedup !== null ? parseFloat(speedup.toFixed(2)) : null,
+                    parallelEfficiencyPercent: speedup !== null ? parseFloat((speedup / threads * 100).toFixed(1)) : null
+                };
+            })
+        };
+    }
+
+    return scaling;
+}
+
+/**
+ * Formats a mean with its 95% confidence interval as an error bar, e.g. "5,672 ± 210".
+ * Without at least two runs there is no interval and only the mean is shown.
+ * @param {object} summary A summary from lib/statistics.js.
+ * @param {number} [digits=0] Decimal places.
+ * @returns {string} The formatted value.
+ */
+function formatWithErrorBar(summary, digits = 0) {
+    const format = value => value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    if (!summary.confidenceInterval95) {
+        return format(summary.mean);
+    }
+    return `${format(summary.mean)} ± ${format(summary.confidenceInterval95.margin)}`;
+}
+
+/**
+ * Formats the spread of a metric, e.g. "median 5,650, σ 180, CV 3.2%, n=5".
+ * @param {object} summary A summary from lib/statistics.js.
+ * @param {number} [digits=0] Decimal places.
+ * @returns {string} The formatted spread.
+ */
+function formatSpread(summary, digits = 0) {
+    const format = value => value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    const parts = [`median ${format(summary.median)}`];
+    if (summary.stdDev !== null) {
+        parts.push(`σ ${format(summary.stdDev)}`);
+    }
+    if (summary.coefficientOfVariationPercent !== null) {
+        parts.push(`CV ${summary.coefficientOfVariationPercent.toFixed(1)}%`);
+    }
+    parts.push(`n=${summary.count}`);
+    return parts.join(', ');
+}
+
+/**
+ * Runs all configured benchmark passes and aggregates their results.
+ * Every run executes each thread count, and for each thread count each selected workload,
+ * in turn. With several thread counts the aggregated scores are those of the largest
+ * count, and aggregatedResults.scaling holds the sweep.
+ * @param {object} settings Normalized benchmark settings (see runBenchmark).
+ * @param {object} systemInfo System details from getSystemInfo().
+ * @param {object} environment Runtime identity from lib/environment.js.
+ * @param {object} logger Console-like object used for progress output.
+ * @returns {Promise<object>} The complete results object.
+ */
+async function runAllBenchmarks(settings, systemInfo, environment, logger) {
+    // Multi-run results collection
+    const allRuns = [];
+    const partialRuns = []; // Runs stopped by a memory limit, kept apart so they do not skew the statistics
+    const startTime = process.hrtime.bigint();
+    let completedRuns = 0;
+    let failed = false;
+    let stopReason = null;
+    let limitExceeded = null;
+    const interrupted = () => settings.signal !== null && settings.signal.aborted;
+
+    for (let run = 1; run <= settings.runs && !failed; run++) {
+        logger.log(`\n🔄 Starting run ${run}/${settings.runs}...`);
+
+        for (const threadCount of settings.threads) {
+            if (failed) {
+                break;
+            }
+            if (settings.threads.length > 1) {
+                logger.log(`   🧵 ${threadCount} ${threadCount === 1 ? 'thread' : 'threads'}`);
+            }
+
+            for (const workloadName of settings.workloads) {
+                if (interrupted()) {
+                    stopReason = 'INTERRUPTED';
+                    failed = true;
+                    break;
+                }
+                const runResult = await runSingleBenchmark(run, workloadName, threadCount, settings, systemInfo, logger);
+
+                if (runResult.error === 'INTERRUPTED') {
+                    const { stopPhase, configuration } = runResult.partial;
+                    logger.warn(`⏹️  Run ${run} interrupted ${stopPhase === 'measured' ? `after ${configuration.actualDurationMs.toFixed(0)} ms of measurement` : `during its ${stopPhase} phase`}`);
+                    partialRuns.push(runResult.partial);
+                    settings.onEvent({ event: 'runInterrupted', timestamp: new Date().toISOString(), runNumber: run, workload: workloadName, threads: threadCount, partial: runResult.partial || null });
+                    stopReason = runResult.error;
+                    failed = true;
+                    break;
+                }
+                if (runResult.error) {
+                    logger.error(`❌ Run ${run} failed: ${runResult.error}`);
+                    if (runResult.limitExceeded) {
+                        const { workerId, limitMB, phase, elapsedMs, measuredMs } = runResult.limitExceeded;
+                        const who = workerId !== null ? `Worker ${workerId} heap` : 'Process RSS';
+                        const when = measuredMs !== null ? `${measuredMs.toFixed(0)} ms into the measured phase` : `${elapsedMs.toFixed(0)} ms after start (${phase})`;
+                        logger.error(`   ${who} reached ${limitMB} MB ${when}`);
+                    }
+                    if (runResult.partial) {
+                        partialRuns.push(runResult.partial);
+                        logger.error(`   Partial result kept: ${runResult.partial.totalCalculations.toLocaleString()} calculations`);
+                    }
+                    settings.onEvent({ event: 'runFailed', timestamp: new Date().toISOString(), runNumber: run, workload: workloadName, threads: threadCount, error: runResult.error, limitExceeded: runResult.limitExceeded || null, partial: runResult.partial || null });
+                    stopReason = runResult.error;
+                    limitExceeded = runResult.limitExceeded || null;
+                    failed = true;
+                    break;
+                }
+
+                // Parallel efficiency against the single-thread pass of the same run and workload (thread counts run smallest first)
+                const reference = allRuns.find(previous => previous.runNumber === run && previous.workload === workloadName && previous.threads === 1);
+                const referenceThroughput = threadCount === 1 ? runResult.performanceMetrics.calculationsPerSecond : reference && reference.performanceMetrics.calculationsPerSecond;
+                if (referenceThroughput > 0) {
+                    runResult.performanceMetrics.parallelEfficiency = parseFloat((runResult.performanceMetrics.calculationsPerSecond / referenceThroughput / threadCount * 100).toFixed(1));
+                }
+
+                allRuns.push(runResult);
+                settings.onEvent({ event: 'run', timestamp: new Date().toISOString(), run: runResult });
+            }
+        }
+
+        if (failed) {
+            break;
+        }
+        completedRuns++;
+
+        // Add delay between runs (except for the last run); an interruption cuts it short
+        if (run < settings.runs && !interrupted()) {
+            logger.log(`⏳ Waiting 2 seconds before next run...`);
+            await new Promise(resolve => {
+                const onInterrupt = () => {
+                    clearTimeout(delay);
+                    resolve();
+                };
+                const delay = setTimeout(() => {
+                    if (settings.signal) {
+                        settings.signal.removeEventListener('abort', onInterrupt);
+                    }
+                    resolve();
+                }, 2000);
+                if (settings.signal) {
+                    settings.signal.addEventListener('abort', onInterrupt, { once: true });
+                }
+            });
+        }
+    }
+
+    // Calculate aggregated results per workload and thread count; the headline numbers use the largest
+    // thread count, and carry statistics only when a single workload ran
+    const totalDuration = Number(process.hrtime.bigint() - startTime) / 1_000_000;
+    const multiCoreThreads = settings.threads[settings.threads.length - 1];
+    const headlineRuns = allRuns.filter(run => run.threads === multiCoreThreads);
+    const aggregated = settings.workloads.length === 1 ? aggregateRuns(headlineRuns) : aggregateAcrossWorkloads(headlineRuns);
+    const groups = {};
+    const workloadResults = {};
+    for (const workloadName of settings.workloads) {
+        groups[workloadName] = {};
+        for (const threadCount of settings.threads) {
+            groups[workloadName][threadCount] = aggregateRuns(allRuns.filter(run => run.workload === workloadName && run.threads === threadCount));
+        }
+        workloadResults[workloadName] = groups[workloadName][multiCoreThreads];
+    }
+    const scaling = aggregateScaling(groups, settings.threads);
+
+    // Flag outlier runs within their workload and thread count
+    for (const runResult of allRuns) {
+        const outliers = groups[runResult.workload][runResult.threads].outliers;
+        runResult.outlier = {
+            iqr: outliers.iqr.includes(runResult.runId),
+            mad: outliers.mad.includes(runResult.runId)
+        };
+    }
+
+    // Create comprehensive results object
+    const results = {
+        benchmarkInfo: {
+            totalRuns: settings.runs,
+            completedRuns: completedRuns,
+            stopReason: stopReason,
+            interruptedBy: stopReason === 'INTERRUPTED' ? String(settings.signal.reason) : null,
+            limitExceeded: limitExceeded,
+            labels: settings.labels,
+            totalDurationMs: parseFloat(totalDuration.toFixed(2)),
+            startTime: new Date(Date.now() - totalDuration).toISOString(),
+            endTime: new Date().toISOString()
+        },
+        systemInfo: {
+            hostname: systemInfo.hostname,
+            ipAddresses: systemInfo.ipAddresses,
+            cpuModel: systemInfo.cpu.model,
+            cpuCores: systemInfo.cpu.cores,
+            hostCpuCores: systemInfo.cpu.hostCores,
+            totalRAM: systemInfo.ram,
+            hostRAM: systemInfo.hostRam,
+            limits: systemInfo.limits,
+            hardware: systemInfo.hardware,
+            probes: systemInfo.probes
+        },
+        environment: environment,
+        configuration: {
+            mode: settings.work ? 'fixed-work' : 'duration',
+            benchmarkDurationMs: settings.work ? null : settings.duration * 1000,
+            warmupMs: settings.warmup * 1000,
+            maxRamMB: settings.maxRamMB,
+            maxWorkerHeapMB: settings.maxWorkerHeapMB,
+            workloads: settings.workloads,
+            threads: settings.threads,
+            work: settings.work,
+            progressReporting: settings.progress,
+            outputFile: settings.outputFile,
+            postUrl: settings.postUrl
+        },
+        aggregatedResults: {
+            ...aggregated,
+            workloads: workloadResults,
+            scaling: scaling
+        },
+        individualRuns: allRuns,
+        partialRuns: partialRuns
+    };
+
+    // Display final results
+    logger.log(stopReason === 'INTERRUPTED' ? `\n⏹️  BENCHMARK INTERRUPTED` : `\n🏆 BENCHMARK COMPLETED`);
+    logger.log(`📊 Aggregated Results:`);
+    logger.log(`   • Total Runs: ${settings.runs}`);
+    logger.log(`   • Completed Runs: ${completedRuns}`);
+    logger.log(`   • Total Duration: ${(totalDuration / 1000).toFixed(2)} seconds`);
+    logger.log(`   • Total Calculations: ${aggregated.totalCalculations.toLocaleString()}`);
+    if (settings.threads.length > 1) {
+        logger.log(`   • Threads: ${settings.threads.join(', ')} (scores below are for ${multiCoreThreads} threads)`);
+    }
+    if (settings.workloads.length > 1) {
+        for (const workloadName of settings.workloads) {
+            const workloadResult = workloadResults[workloadName];
+            if (!workloadResult.statistics.overallScore) {
+                continue;
+            }
+            logger.log(`   • ${workloadName}: Average Score ${formatWithErrorBar(workloadResult.statistics.overallScore)} (${formatSpread(workloadResult.statistics.overallScore)}; best ${workloadResult.bestScore.toLocaleString()}, worst ${workloadResult.worstScore.toLocaleString()})`);
+        }
+    } else if (aggregated.statistics.overallScore) {
+        logger.log(`   • Average Score: ${formatWithErrorBar(aggregated.statistics.overallScore)}${aggregated.statistics.overallScore.confidenceInterval95 ? ' (95% CI)' : ''}`);
+        logger.log(`   • Score Spread: ${formatSpread(aggregated.statistics.overallScore)}`);
+        logger.log(`   • Best Score: ${aggregated.bestScore.toLocaleString()}`);
+        logger.log(`   • Worst Score: ${aggregated.worstScore.toLocaleString()}`);
+        logger.log(`   • Score Range: ${aggregated.scoreRange.toLocaleString()}`);
+    }
+    if (aggregated.statistics.wallTimeMs) {
+        logger.log(`   • Average Wall Time: ${formatWithErrorBar(aggregated.statistics.wallTimeMs, 2)} ms (best ${aggregated.bestWallTimeMs.toFixed(2)} ms, worst ${aggregated.worstWallTimeMs.toFixed(2)} ms)`);
+    }
+    const outlierRuns = allRuns.filter(run => run.outlier.iqr || run.outlier.mad);
+    if (outlierRuns.length > 0) {
+        const describe = run => {
+            const context = [settings.workloads.length > 1 ? run.workload : null, settings.threads.length > 1 ? `${run.threads}T` : null].filter(Boolean);
+            return `run ${run.runNumber}${context.length > 0 ? ` (${context.join(', ')})` : ''} [${['iqr', 'mad'].filter(rule => run.outlier[rule]).join(', ').toUpperCase()}]`;
+        };
+        logger.log(`   • Outliers: ${outlierRuns.map(describe).join('; ')}`);
+    }
+    if (settings.threads.length > 1) {
+        for (const [workloadName, workloadScaling] of Object.entries(scaling.workloads)) {
+            logger.log(`\n📈 Scaling${settings.workloads.length > 1 ? ` (${workloadName})` : ''}:`);
+            for (const level of workloadScaling.threads) {
+                if (level.averageCalculationsPerSecond === null) {
+                    continue;
+                }
+                const relative = level.speedup !== null ? ` - speed-up ${level.speedup.toFixed(2)}x, efficiency ${level.parallelEfficiencyPercent.toFixed(1)}%` : '';
+                logger.log(`   • ${String(level.threads).padStart(3)} ${level.threads === 1 ? 'thread: ' : 'threads:'} ${level.averageCalculationsPerSecond.toLocaleString()} calc/s${relative}`);
+            }
+            if (workloadScaling.singleCoreScore !== null) {
+                logger.log(`   • Single-core Score: ${workloadScaling.singleCoreScore.toLocaleString()}`);
+            }
+            if (workloadScaling.multiCoreScore !== null) {
+                logger.log(`   • Multi-core Score: ${workloadScaling.multiCoreScore.toLocaleString()} (${workloadScaling.multiCoreThreads} threads)`);
+            }
+        }
+        if (scaling.referenceThreads === null) {
+            logger.log(`   ℹ️  Include 1 in --threads to get speed-up and parallel efficiency`);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Runs the benchmark programmatically.
+ *
+ * This is the entry point for embedding the benchmark in other tooling. It never
+ * reads process.argv, never exits the process and does not write or post results;
+ * the CLI does that on top of the returned object.
+ *
+ * @param {object} [options]
+ * @param {number} [options.duration=30] Duration of each run in seconds.
+ * @param {number} [options.warmup=0] Warm-up before each measured run in seconds; work done during
+ *   warm-up is not counted.
+ * @param {number|null} [options.maxRamMB=null] Stop the run if RSS exceeds this many MB.
+ * @param {number|null} [options.maxWorkerHeapMB=null] Heap cap of each worker in MB (Worker resourceLimits);
+ *   null leaves the runtime's default heap limit. A run that hits a limit stops, and the work completed so far
+ *   is kept in partialRuns.
+ * @param {number} [options.runs=1] Number of benchmark runs.
+ * @param {string[]} [options.workloads=['fibonacci']] Workloads to run in each run (see lib/workloads.js).
+ * @param {number|string|Array<number|string>} [options.threads='max'] Worker threads per run: a count, 'max'
+ *   (one per CPU core) or a list such as '1,2,4,8,max' to run each count in turn and report the scaling.
+ * @param {string|object|null} [options.work=null] Fixed-work spec (e.g. 'fib:100000x50'); when set, every
+ *   worker completes that amount of work and the run measures time to completion instead of a duration.
+ * @param {string|null} [options.outputFile=null] Recorded in the results configuration.
+ * @param {string|null} [options.postUrl=null] Recorded in the results configuration.
+ * @param {object} [options.labels={}] Free-form tags such as `{ team: 'infra', site: 'edge-7' }`, recorded as
+ *   benchmarkInfo.labels so collected results can be filtered and grouped.
+ * @param {string} [options.progress='shared'] Progress reporting: 'shared' (Atomics counters, one message per
+ *   worker on stop) or 'message' (one postMessage per iteration, the original behaviour).
+ * @param {object} [options.logger=console] Console-like object ({ log, warn, error }) for progress output.
+ * @param {function(object): void} [options.onEvent] Called with machine-readable progress events:
+ *   `start` (system and configuration), `run` (a completed run result), `runFailed` and `runInterrupted`.
+ * @param {AbortSignal} [options.signal] Aborting it stops the current run and starts no further runs; the
+ *   current run is kept in partialRuns (empty if it had not reached its measured phase), and the results
+ *   cover the completed runs.
+ * @returns {Promise<object>} The complete results object.
+ */
+async function runBenchmark(options = {}) {
+    const work = options.work ? parseWorkSpec(options.work) : null;
+    const settings = {
+        duration: options.duration !== undefined ? options.duration : DEFAULT_DURATION_SECONDS,
+        warmup: options.warmup !== undefined && options.warmup !== null ? options.warmup : 0,
+        maxRamMB: options.maxRamMB !== undefined ? options.maxRamMB : null,
+        maxWorkerHeapMB: options.maxWorkerHeapMB !== undefined ? options.maxWorkerHeapMB : null,
+        runs: options.runs !== undefined ? options.runs : 1,
+        workloads: work ? [work.workload] : resolveWorkloads(options.workloads || DEFAULT_WORKLOADS),
+        threads: options.threads !== undefined && options.threads !== null ? options.threads : 'max',
+        work: work,
+        progress: options.progress || 'shared',
+        outputFile: options.outputFile || null,
+        postUrl: options.postUrl || null,
+        labels: options.labels || {},
+        onEvent: typeof options.onEvent === 'function' ? options.onEvent : () => {},
+        signal: options.signal || null
+    };
+    const logger = options.logger || console;
+
+    if (!(typeof settings.duration === 'number' && settings.duration > 0)) {
+        throw new TypeError(`Invalid duration: ${settings.duration}`);
+    }
+    if (!(typeof settings.warmup === 'number' && settings.warmup >= 0)) {
+        throw new TypeError(`Invalid warm-up: ${settings.warmup}`);
+    }
+    if (!(Number.isInteger(settings.runs) && settings.runs > 0)) {
+        throw new TypeError(`Invalid number of runs: ${settings.runs}`);
+    }
+    if (typeof settings.labels !== 'object' || Array.isArray(settings.labels) ||
+        Object.entries(settings.labels).some(([name, value]) => !LABEL_NAME_PATTERN.test(name) || typeof value !== 'string')) {
+        throw new TypeError(`Invalid labels: ${JSON.stringify(settings.labels)} (expected names of letters, digits, '.', '_' or '-' with string values)`);
+    }
+    if (!PROGRESS_MODES.includes(settings.progress)) {
+        throw new TypeError(`Invalid progress mode: ${settings.progress} (expected ${PROGRESS_MODES.join(' or ')})`);
+    }
+    if (settings.progress === 'shared' && !isSharedProgressSupported()) {
+        logger.warn(`Warning: SharedArrayBuffer is not available, falling back to message progress reporting`);
+        settings.progress = 'message';
+    }
+
+    const systemInfo = getSystemInfo();
+
+    // Ensure we have at least 1 core for worker threads
+    if (systemInfo.cpu.cores < 1) {
+        logger.warn(`Warning: Detected ${systemInfo.cpu.cores} CPU cores, using 1 core as fallback`);
+        systemInfo.cpu.cores = 1;
+    }
+    settings.threads = resolveThreadCounts(settings.threads, systemInfo.cpu.cores);
+
+    // A RAM limit above what the process may use (container limit or host RAM) would never trigger
+    const usableRamMB = Math.floor(systemInfo.memory.effectiveBytes / (1024 * 1024));
+    if (settings.maxRamMB !== null && settings.maxRamMB > usableRamMB) {
+        logger.warn(`Warning: RAM limit of ${settings.maxRamMB} MB exceeds the ${usableRamMB} MB available, using ${usableRamMB} MB`);
+        settings.maxRamMB = usableRamMB;
+    }
+
+    const environment = collectEnvironment({ cpuModel: systemInfo.cpu.model, cpuCores: systemInfo.cpu.cores, totalRAM: systemInfo.ram });
+    const { runtime } = environment;
+
+    logger.log(`\n--- System Information ---`);
+    logger.log(`Hostname: ${systemInfo.hostname}`);
+    logger.log(`IP Addresses: ${systemInfo.ipAddresses.join(', ')}`);
+    const coresLabel = systemInfo.cpu.cores !== systemInfo.cpu.hostCores ? `${systemInfo.cpu.cores} of ${systemInfo.cpu.hostCores} cores usable` : `${systemInfo.cpu.cores} cores`;
+    logger.log(`CPU: ${systemInfo.cpu.model} (${coresLabel})`);
+    logger.log(`RAM: ${systemInfo.ram !== systemInfo.hostRam ? `${systemInfo.ram} of ${systemInfo.hostRam} usable` : systemInfo.ram}`);
+    const limitsLabel = describeLimits(systemInfo);
+    if (limitsLabel) {
+        logger.log(`Limits: ${limitsLabel}`);
+    }
+    logger.log(`Runtime: ${RUNTIME_TYPES[runtime.name].label} ${runtime.version} (${runtime.engine}${runtime.engineVersion ? ` ${runtime.engineVersion}` : ''}) on ${environment.platform}/${environment.arch}`);
+    logger.log(`Environment Hash: ${environment.hash}`);
+    logger.log(`--------------------------\n`);
+
+    const threadsLabel = settings.threads.length > 1 ? `${settings.threads.join(', ')} worker threads in turn` : `${settings.threads[0]} worker threads`;
+    if (work) {
+        const sizeLabel = work.size !== null ? ` (${work.size.toLocaleString()} ${getWorkload(work.workload).sizeUnit})` : '';
+        logger.log(`Starting Fibonacci benchmark on ${threadsLabel} with fixed work: ${work.workload}${sizeLabel} x ${work.iterations.toLocaleString()} per worker...`);
+    } else {
+        logger.log(`Starting Fibonacci benchmark on ${threadsLabel} for ${settings.duration} seconds...`);
+    }
+    if (settings.warmup > 0) {
+        logger.log(`Warm-up: ${settings.warmup} seconds per run (not measured)`);
+    }
+    if (settings.maxRamMB !== null) {
+        logger.log(`RAM limit: ${settings.maxRamMB} MB (benchmark will stop if exceeded)`);
+    }
+    if (settings.maxWorkerHeapMB !== null) {
+        logger.log(`Worker heap limit: ${settings.maxWorkerHeapMB} MB per worker (benchmark will stop if exceeded)`);
+    }
+    logger.log(`Number of runs: ${settings.runs}`);
+    logger.log(`Workloads: ${settings.workloads.join(', ')}`);
+    logger.log(`Progress reporting: ${settings.progress}`);
+    if (Object.keys(settings.labels).length > 0) {
+        logger.log(`Labels: ${Object.entries(settings.labels).map(([name, value]) => `${name}=${value}`).join(', ')}`);
+    }
+    logger.log(``);
+
+    settings.onEvent({
+        event: 'start',
+        timestamp: new Date().toISOString(),
+        systemInfo: {
+            hostname: systemInfo.hostname,
+            cpuModel: systemInfo.cpu.model,
+            cpuCores: systemInfo.cpu.cores,
+            hostCpuCores: systemInfo.cpu.hostCores,
+            totalRAM: systemInfo.ram,
+            limits: systemInfo.limits
+        },
+        environment: environment,
+        configuration: {
+            mode: work ? 'fixed-work' : 'duration',
+            benchmarkDurationMs: work ? null : settings.duration * 1000,
+            warmupMs: settings.warmup * 1000,
+            runs: settings.runs,
+            workloads: settings.workloads,
+            threads: settings.threads,
+            work: settings.work,
+            progressReporting: settings.progress
+        }
+    });
+
+    return runAllBenchmarks(settings, systemInfo, environment, logger);
+}
+
+/**
+ * Applies a scenario to the options shared by a suite: its settings override them and its
+ * labels are added to theirs.
+ * @param {object} options Options for runBenchmark().
+ * @param {{name: string, settings: object}} scenario The scenario.
+ * @returns {object} The options for the scenario.
+ */
+function applyScenario(options, scenario) {
+    return { ...options, ...scenario.settings, labels: { ...options.labels, ...scenario.settings.labels } };
+}
+
+/**
+ * Runs a suite of scenarios one after the other, each with runBenchmark(), and combines
+ * their results. A scenario's settings override the shared options; its labels are
+ * added to the shared labels.
+ *
+ * @param {Array<{name: string, settings: object}>} scenarios The scenarios, e.g. from a config file's
+ *   `scenarios` and `matrix` (see expandScenarios() in lib/config.js).
+ * @param {object} [options] Options shared by every scenario, as for runBenchmark() (including logger,
+ *   onEvent and signal). onEvent also receives a `scenario` event before each scenario starts.
+ * @returns {Promise<object>} The suite document: `suite` (scenario names in order, how many completed, start
+ *   and end time, stopReason) and `scenarios` (the results document of each scenario by name, with
+ *   benchmarkInfo.scenario set). Aborting the signal stops the current scenario and skips the rest.
+ */
+async function runSuite(scenarios, options = {}) {
+    const logger = options.logger || console;
+    const onEvent = typeof options.onEvent === 'function' ? options.onEvent : () => {};
+    const startTime = new Date();
+    const documents = {};
+    let stopReason = null;
+
+    for (const [index, scenario] of scenarios.entries()) {
+        logger.log(`\n🎬 Scenario ${index + 1}/${scenarios.length}: ${scenario.name}`);
+        onEvent({ event: 'scenario', timestamp: new Date().toISOString(), name: scenario.name, index: index + 1, total: scenarios.length, settings: scenario.settings });
+        const results = await runBenchmark(applyScenario(options, scenario));
+        results.benchmarkInfo.scenario = scenario.name;
+        documents[scenario.name] = results;
+        if (results.benchmarkInfo.stopReason === 'INTERRUPTED' || (options.signal && options.signal.aborted)) {
+            stopReason = 'INTERRUPTED';
+            break;
+        }
+    }
+
+    const endTime = new Date();
+    const suite = {
+        suite: {
+            scenarios: scenarios.map(scenario => scenario.name),
+            completedScenarios: Object.values(documents).filter(results => results.benchmarkInfo.stopReason !== 'INTERRUPTED').length,
+            startTime: startTime.toISOString(),
+            endTime: endTime.toISOString(),
+            totalDurationSeconds: parseFloat(((endTime - startTime) / 1000).toFixed(2)),
+            stopReason: stopReason
+        },
+        scenarios: documents
+    };
+
+    logger.log(stopReason ? `\n⏹️  SUITE INTERRUPTED` : `\n🏁 SUITE COMPLETED`);
+    const width = Math.max(...scenarios.map(scenario => scenario.name.length));
+    for (const [name, results] of Object.entries(documents)) {
+        const aggregated = results.aggregatedResults;
+        logger.log(`   ${name.padEnd(width)}  Average score ${aggregated.averageScore.toLocaleString()} (${results.benchmarkInfo.completedRuns} of ${results.benchmarkInfo.totalRuns} runs)`);
+    }
+    for (const name of suite.suite.scenarios.filter(name => !documents[name])) {
+        logger.log(`   ${name.padEnd(width)}  not run`);
+    }
+    return suite;
+}
+
+/**
+ * Prints a baseline comparison as a delta table with a verdict.
+ * @param {object} comparison The result of compareResults().
+ * @param {string} baselineLabel Where the baseline came from (shown in the heading).
+ * @param {object} [logger=console] Console-like object for the output.
+ */
+function printComparison(comparison, baselineLabel, logger = console) {
+    logger.log(`\n📊 Comparison with baseline ${baselineLabel}:`);
+    if (comparison.rows.length === 0) {
+        logger.log('   No common workloads to compare');
+    } else {
+        logger.log(formatComparisonTable(comparison));
+    }
+    if (comparison.onlyInBaseline.length > 0) {
+        logger.log(`   Only in baseline: ${comparison.onlyInBaseline.join(', ')}`);
+    }
+    if (comparison.onlyInCurrent.length > 0) {
+        logger.log(`   Only in current results: ${comparison.onlyInCurrent.join(', ')}`);
+    }
+
+    if (comparison.threshold === null) {
+        return;
+    }
+    if (comparison.regressions.length > 0) {
+        logger.error(`❌ ${comparison.regressions.length} metric(s) regressed by more than ${comparison.threshold}%: ` +
+            comparison.regressions.map(row => `${row.workload} ${row.metric} (${row.deltaPercent.toFixed(2)}%)`).join(', '));
+    } else {
+        logger.log(`✅ No regression beyond ${comparison.threshold}%`);
+    }
+}
+
+/**
+ * Creates the logger for CLI progress output. In machine-readable modes stdout is
+ * reserved for results, so human-readable output goes to stderr (or nowhere with --quiet).
+ * @param {object} config Parsed command line arguments.
+ * @returns {object} Console-like object ({ log, warn, error }).
+ */
+function createCliLogger(config) {
+    if (config.quiet) {
+        return { log() {}, warn: console.warn, error: console.error };
+    }
+    if (config.json || config.ndjson) {
+        return { log: console.error, warn: console.warn, error: console.error };
+    }
+    return console;
+}
+
+/**
+ * Writes one NDJSON event line to stdout.
+ * @param {object} event The event object.
+ */
+function writeEvent(event) {
+    process.stdout.write(`${JSON.stringify(event)}\n`);
+}
+
+/**
+ * Exits once everything written to stdout has been flushed (pipes may be asynchronous).
+ * @param {number} code The process exit code.
+ */
+function exitAfterFlush(code) {
+    process.stdout.write('', () => process.exit(code));
+}
+
+/**
+ * Traps SIGINT and SIGTERM while the benchmark runs. The first signal aborts the returned
+ * signal, so the current run stops cleanly and the completed runs are still aggregated,
+ * saved and posted; a second signal exits immediately.
+ * @param {object} logger Console-like object for the notices.
+ * @returns {{signal: AbortSignal, release: function(): void}} The abort signal to pass to
+ *   runBenchmark(), and a function that removes the handlers again.
+ */
+function trapInterrupts(logger) {
+    const controller = new AbortController();
+    const onSignal = (signalName) => {
+        if (controller.signal.aborted) {
+            logger.error(`\n⛔ ${signalName} received again, exiting immediately`);
+            process.exit(signalExitCode(signalName));
+        }
+        logger.warn(`\n⏹️  ${signalName} received: stopping the current run, completed runs are kept (repeat to exit immediately)`);
+        controller.abort(signalName);
+    };
+    for (const signalName of INTERRUPT_SIGNALS) {
+        process.on(signalName, onSignal);
+    }
+    return {
+        signal: controller.signal,
+        release() {
+            for (const signalName of INTERRUPT_SIGNALS) {
+                process.off(signalName, onSignal);
+            }
+        }
+    };
+}
+
+/**
+ * Gets the conventional exit code of a process ended by a signal (128 + the signal number).
+ * @param {string} signalName The signal, e.g. 'SIGINT'.
+ * @returns {number} The exit code, e.g. 130 for SIGINT.
+ */
+function signalExitCode(signalName) {
+    return 128 + (os.constants.signals[signalName] || 0);
+}
+
+/**
+ * Builds the benchmark arguments passed on to every runtime by `compare`: the benchmark
+ * settings that do not come from the defaults (command line, environment or config file).
+ * Output, baseline and upload settings stay with the orchestrator.
+ * @param {{values: object, sources: object}} settings The merged settings from loadSettings().
+ * @returns {string[]} The arguments.
+ */
+function buildRuntimeBenchmarkArgs({ values, sources }) {
+    const pick = key => sources[key] !== 'default' ? values[key] : null;
+    const args = [];
+    const options = [
+        ['-d', pick('duration')],
+        ['-n', pick('runs')],
+        ['--warmup', pick('warmup') || null],
+        ['-r', pick('maxRamMB')],
+        ['--max-worker-heap', pick('maxWorkerHeapMB')],
+        ['-w', pick('workloads') ? [].concat(pick('workloads')).join(',') : null],
+        ['--threads', pick('threads') !== null ? [].concat(pick('threads')).join(',') : null],
+        ['--work', pick('work') !== null && typeof pick('work') === 'object' ? `${pick('work').workload}:${pick('work').size ? `${pick('work').size}x` : ''}${pick('work').iterations}` : pick('work')],
+        ['--progress', pick('progress')]
+    ];
+    for (const [flag, value] of options) {
+        if (value !== null) {
+            args.push(flag, String(value));
+        }
+    }
+    for (const [name, value] of Object.entries(values.labels)) {
+        args.push('--label', `${name}=${value}`);
+    }
+    return args;
+}
+
+/**
+ * `compare` without result files: runs the benchmark under every configured runtime
+ * and writes the per-runtime results, logs, comparison.json and summary_report.md.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for progress output.
+ * @returns {Promise<number>} The process exit code (1 if a runtime failed or none was found).
+ */
+async function runRuntimeCompareCommand(config, logger) {
+    const settings = loadSettings(config, logger);
+    const runtimes = resolveRuntimes(settings.values.runtimes || DEFAULT_RUNTIMES);
+    const benchmarkArgs = buildRuntimeBenchmarkArgs(settings);
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+    const outputDir = config.outputDir || `runtime-comparison-${timestamp}`;
+    const progressStream = config.quiet ? null : (config.json || config.ndjson) ? process.stderr : process.stdout;
+
+    logger.log(`\n🔄 Multi-Runtime Comparison`);
+    logger.log(`Benchmark arguments: ${benchmarkArgs.join(' ') || '(defaults)'}`);
+    logger.log(`Checking runtimes...`);
+    const entries = runtimes.map(runtime => {
+        const detected = detectRuntime(runtime);
+        if (detected.available) {
+            logger.log(`   ✅ ${runtime.name} found: ${detected.version}`);
+        } else {
+            logger.warn(`   ⚠️  ${runtime.name} not found (${runtime.command})`);
+        }
+        return { ...runtime, ...detected };
+    });
+    if (!entries.some(entry => entry.available)) {
+        throw new Error('No JavaScript runtime found. Please install at least one of: Node.js, Deno, or Bun');
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const entry of entries.filter(candidate => candidate.available)) {
+        const slug = entry.name.replace(/[^\w.-]+/g, '_');
+        logger.log(`\n🧪 Testing ${entry.name} (${entry.command})...`);
+        const outcome = await runRuntimeBenchmark(entry, __filename, benchmarkArgs, chunk => {
+            if (progressStream) {
+                progressStream.write(chunk);
+            }
+        });
+        Object.assign(entry, outcome);
+
+        fs.writeFileSync(path.join(outputDir, `${slug}_output.log`), outcome.log);
+        if (outcome.results) {
+            fs.writeFileSync(path.join(outputDir, `${slug}_results.json`), JSON.stringify(outcome.results, null, 2));
+        }
+        if (outcome.error) {
+            logger.error(`❌ ${entry.name} failed: ${outcome.error}`);
+        } else {
+            logger.log(`✅ ${entry.name} benchmark completed`);
+        }
+        if (config.ndjson) {
+            writeEvent({ event: 'runtime', timestamp: new Date().toISOString(), name: entry.name, version: entry.version, error: outcome.error, results: outcome.results });
+        }
+    }
+
+    const comparison = buildRuntimeComparison(entries);
+    const details = {
+        generatedAt: new Date().toISOString(),
+        platform: process.platform,
+        arch: process.arch,
+        benchmarkArgs
+    };
+    const document = { ...details, outputDir, ...comparison };
+    fs.writeFileSync(path.join(outputDir, 'comparison.json'), JSON.stringify(document, null, 2));
+    fs.writeFileSync(path.join(outputDir, 'summary_report.md'), formatRuntimeReport(comparison, details));
+
+    logger.log(`\n📊 Runtime Performance Comparison:`);
+    logger.log(formatRuntimeTable(comparison));
+    if (comparison.best) {
+        logger.log(`\n🏆 Best Performance: ${comparison.best}`);
+    }
+    logger.log(`📁 Results, logs and summary_report.md saved to: ${outputDir}`);
+
+    if (config.ndjson) {
+        writeEvent({ event: 'complete', timestamp: new Date().toISOString(), comparison: document });
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+    }
+    return comparison.rows.some(row => row.status === 'failed') ? 1 : 0;
+}
+
+/**
+ * Standalone `compare <baseline.json> <current.json>` command.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for the delta table.
+ * @returns {number} The process exit code.
+ */
+function runCompareCommand(config, logger) {
+    if (config.commandArgs.length !== 2) {
+        throw new Error('Usage: node benchmark.js compare <baseline.json> <current.json> [--fail-on-regression <percent>]');
+    }
+    const [baselineFile, currentFile] = config.commandArgs;
+    const comparison = compareResults(loadResults(baselineFile), loadResults(currentFile), {
+        threshold: config.failOnRegression !== undefined ? config.failOnRegression : null
+    });
+    printComparison(comparison, baselineFile, logger);
+    if (config.ndjson) {
+        writeEvent({ event: 'comparison', baselineFile, ...comparison });
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify({ baselineFile, ...comparison }, null, 2)}\n`);
+    }
+    return comparison.regressions.length > 0 ? REGRESSION_EXIT_CODE : 0;
+}
+
+/**
+ * Loads the settings of a run from every layer: defaults, the config file (--config),
+ * FIBO_* environment variables and the command line (see lib/config.js).
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for warnings.
+ * @returns {{fileConfig: object|null, values: object, sources: object}} The config file contents (for the
+ *   sections read elsewhere, such as upload), the merged settings and where each came from.
+ * @throws {Error} If the config file or an environment variable is invalid.
+ */
+function loadSettings(config, logger) {
+    const fileConfig = config.configFile ? loadConfigFile(config.configFile) : null;
+    const { values, sources } = resolveConfig({
+        defaults: DEFAULT_SETTINGS,
+        file: fileConfig,
+        filePath: config.configFile,
+        env: readEnvironmentConfig(process.env, logger),
+        cli: config
+    });
+    return { fileConfig, values, sources };
+}
+
+/**
+ * Reads the `upload` settings: the config file section, with --spool-dir taking precedence.
+ * @param {object} config Parsed command line arguments.
+ * @param {object|null} fileConfig Values from the config file.
+ * @returns {object} The `upload` section for resolveUploadOptions().
+ */
+function readUploadConfig(config, fileConfig) {
+    const upload = { ...(fileConfig && fileConfig.upload) };
+    if (config.spoolDir) {
+        upload.spoolDir = config.spoolDir;
+    }
+    return upload;
+}
+
+/**
+ * Reads the `signing` settings: the config file section, with --key taking precedence.
+ * @param {object} config Parsed command line arguments.
+ * @param {object|null} fileConfig Values from the config file.
+ * @returns {object} The `signing` section for loadSigningKey().
+ */
+function readSigningConfig(config, fileConfig) {
+    const signing = { ...(fileConfig && fileConfig.signing) };
+    if (config.keyFile) {
+        signing.keyFile = config.keyFile;
+    }
+    return signing;
+}
+
+/**
+ * Runs `verify <results.json>...`: checks the signature of each results file against the
+ * key from --key, the config file or the environment.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for the verdicts.
+ * @returns {number} The process exit code: 0 if every file is signed with the key and unmodified, 1 otherwise.
+ */
+function runVerifyCommand(config, logger) {
+    if (config.commandArgs.length === 0) {
+        throw new Error('Usage: node benchmark.js verify <results.json>... [--key <file>]');
+    }
+    const fileConfig = config.configFile ? loadConfigFile(config.configFile) : null;
+    const key = loadSigningKey(readSigningConfig(config, fileConfig));
+    if (!key) {
+        throw new Error('verify needs a key: --key <file>, signing.keyFile in the config file, FIBO_SIGNING_KEY_FILE or FIBO_SIGNING_KEY');
+    }
+
+    const verdicts = config.commandArgs.map((file) => {
+        const verdict = { file, ...verifyResults(loadResultsDocument(file), key) };
+        if (verdict.valid) {
+            logger.log(`✅ ${file}: valid ${verdict.algorithm} signature (key ${verdict.keyId})`);
+        } else {
+            logger.error(`❌ ${file}: ${verdict.reason}`);
+        }
+        return verdict;
+    });
+    if (config.ndjson) {
+        verdicts.forEach(verdict => writeEvent({ event: 'verify', ...verdict }));
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify(verdicts.length === 1 ? verdicts[0] : verdicts, null, 2)}\n`);
+    }
+    return verdicts.every(verdict => verdict.valid) ? 0 : 1;
+}
+
+/**
+ * Runs `serve`: the results collector (lib/collector.js), until SIGINT or SIGTERM. With a
+ * signing key (--key, the config file or the environment) signed uploads are verified;
+ * with FIBO_COLLECTOR_TOKEN (or the variable named by serve.tokenEnv) uploads need that
+ * bearer token.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for the log.
+ * @returns {Promise<number>} The process exit code once stopped.
+ */
+async function runServeCommand(config, logger) {
+    const fileConfig = config.configFile ? loadConfigFile(config.configFile) : null;
+    const serveConfig = (fileConfig && fileConfig.serve) || {};
+    const port = config.port !== undefined ? config.port : (serveConfig.port !== undefined ? serveConfig.port : DEFAULT_COLLECTOR_PORT);
+    const bind = config.bind || serveConfig.bind || '127.0.0.1';
+    const storeFile = config.storeFile || serveConfig.store || DEFAULT_COLLECTOR_STORE;
+    const store = openResultStore(storeFile, logger);
+    const server = createCollectorServer({
+        store,
+        key: loadSigningKey(readSigningConfig(config, fileConfig)),
+        requireSignature: config.requireSignature || serveConfig.requireSignature === true,
+        token: process.env[serveConfig.tokenEnv || 'FIBO_COLLECTOR_TOKEN'] || null,
+        logger
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, bind, resolve);
+    });
+    const address = server.address();
+    const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    logger.log(`📡 Collector listening on http://${host}:${address.port}/results (store: ${storeFile}, ${store.entries.length} results)`);
+
+    const signalName = await new Promise((resolve) => {
+        const onSignal = (name) => {
+            INTERRUPT_SIGNALS.forEach(other => process.off(other, onSignal));
+            resolve(name);
+        };
+        INTERRUPT_SIGNALS.forEach(name => process.on(name, onSignal));
+    });
+    logger.log(`⏹️  ${signalName} received, stopping the collector`);
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    return 0;
+}
+
+/**
+ * Runs `report <results.json>...`: renders the results files into one self-contained HTML
+ * report (lib/report.js), written to -o or a timestamped file in the current directory.
+ * Each file is labelled with its name, or its path when two files share a name; each
+ * scenario of a suite is shown on its own, as <file>/<scenario>.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for status output.
+ * @returns {number} The process exit code.
+ */
+function runReportCommand(config, logger) {
+    if (config.commandArgs.length === 0) {
+        throw new Error('Usage: node benchmark.js report <results.json>... [-o report.html]');
+    }
+    const names = config.commandArgs.map(file => path.basename(file, path.extname(file)));
+    const documents = config.commandArgs.flatMap((file, index) => {
+        const label = names.indexOf(names[index]) === names.lastIndexOf(names[index]) ? names[index] : file;
+        const document = loadResultsDocument(file);
+        return isSuiteDocument(document)
+            ? Object.entries(document.scenarios).map(([name, results]) => ({ label: `${label}/${name}`, results }))
+            : [{ label, results: document }];
+    });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const reportFile = config.outputFile || path.join(process.cwd(), `benchmark-report-${timestamp}.html`);
+    fs.writeFileSync(reportFile, renderHtmlReport(documents));
+    logger.log(`📊 Report written to: ${reportFile}`);
+    if (config.ndjson) {
+        writeEvent({ event: 'report', file: reportFile, results: config.commandArgs });
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify({ file: reportFile, results: config.commandArgs }, null, 2)}\n`);
+    }
+    return 0;
+}
+
+/**
+ * Runs `flush [<spool-dir>]`: resends the results that failed to upload earlier. Each entry
+ * goes to the URL it was spooled for, or to --post-url when given.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for status output.
+ * @returns {Promise<number>} The process exit code: 0 once the spool is empty, 1 if entries remain.
+ */
+async function runFlushCommand(config, logger) {
+    const fileConfig = config.configFile ? loadConfigFile(config.configFile) : null;
+    const uploadOptions = resolveUploadOptions(readUploadConfig(config, fileConfig));
+    const spoolDir = config.commandArgs[0] || uploadOptions.spoolDir;
+    if (!spoolDir) {
+        throw new Error('Usage: node benchmark.js flush <spool-dir> [--post-url <url>] (or set upload.spoolDir / FIBO_SPOOL_DIR)');
+    }
+    const summary = await flushSpool(spoolDir, { ...uploadOptions, url: config.postUrl || null }, logger);
+    logger.log(`📤 Spool flushed: ${summary.sent} sent, ${summary.failed} failed, ${summary.remaining} remaining`);
+    if (config.ndjson) {
+        writeEvent({ event: 'flush', spoolDir, ...summary });
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify({ spoolDir, ...summary }, null, 2)}\n`);
+    }
+    return summary.remaining > 0 ? 1 : 0;
+}
+
+/**
+ * Runs `history [<path>...]`: lists the results in results files, collector stores and
+ * directories (default: the current directory) over time (lib/history.js).
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for the table.
+ * @returns {number} The process exit code.
+ */
+function runHistoryCommand(config, logger) {
+    const paths = config.commandArgs.length > 0 ? config.commandArgs : ['.'];
+    const entries = buildHistory(paths, { host: config.host, labels: config.labels, limit: config.limit, logger });
+    if (entries.length === 0) {
+        logger.log(`No results found in ${paths.join(', ')}`);
+    } else {
+        logger.log(`\n📜 Results history (${entries.length} ${entries.length === 1 ? 'result' : 'results'}, oldest first):`);
+        logger.log(formatHistoryTable(entries));
+    }
+    if (config.ndjson) {
+        entries.forEach(entry => writeEvent({ event: 'history', ...entry }));
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
+    }
+    return 0;
+}
+
+/**
+ * Runs `validate-config [<config.json>]`: checks the config file (or --config) and the
+ * FIBO_* environment variables against the schema, without running.
+ * @param {object} config Parsed command line arguments.
+ * @param {object} logger Console-like object for the verdict.
+ * @returns {number} The process exit code: 0 if everything is valid, 1 otherwise.
+ */
+function runValidateConfigCommand(config, logger) {
+    const configFile = config.commandArgs[0] || config.configFile;
+    if (!configFile) {
+        throw new Error('Usage: node benchmark.js validate-config <config.json> (or -c <config.json>)');
+    }
+    let error = null;
+    let scenarios = [];
+    try {
+        scenarios = expandScenarios(loadSettings({ ...config, configFile }, logger).values).map(scenario => scenario.name);
+    } catch (problem) {
+        error = problem.message;
+    }
+    if (error) {
+        logger.error(`❌ ${error}`);
+    } else {
+        logger.log(`✅ ${configFile} is valid${scenarios.length > 0 ? ` (${scenarios.length} ${scenarios.length === 1 ? 'scenario' : 'scenarios'}: ${scenarios.join(', ')})` : ''}`);
+    }
+    const verdict = { configFile, valid: error === null, error, scenarios };
+    if (config.ndjson) {
+        writeEvent({ event: 'validate-config', ...verdict });
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify(verdict, null, 2)}\n`);
+    }
+    return error ? 1 : 0;
+}
+
+/**
+ * Command line entry point: parses arguments, runs the benchmark and
+ * prints, saves and posts the results.
+ */
+async function main() {
+    // Parse command line arguments; a bad command line is a usage error, not a failed benchmark
+    let config;
+    try {
+        config = parseArguments();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    // Show help if requested: the overview, or the help of the command
+    if (config.help) {
+        console.log(formatHelp(CLI, config.command));
+        process.exit(0);
+    }
+
+    const logger = createCliLogger(config);
+
+    if (config.command === 'info' || config.info) {
+        // Only the fingerprint: as JSON for --json/--ndjson/--quiet, otherwise as text
+        const systemInfo = getSystemInfo();
+        process.stdout.write(config.json || config.ndjson || config.quiet ? `${JSON.stringify(systemInfo, null, 2)}\n` : `${formatSystemInfo(systemInfo)}\n`);
+        exitAfterFlush(0);
+        return;
+    }
+
+    if (config.printConfig) {
+        // The merged settings and where each came from, without running
+        const { values, sources } = loadSettings(config, logger);
+        process.stdout.write(config.json || config.ndjson || config.quiet
+            ? `${JSON.stringify({ configFile: config.configFile, values: redactSecrets(values), sources }, null, 2)}\n`
+            : `${formatEffectiveConfig({ values, sources })}\n`);
+        exitAfterFlush(0);
+        return;
+    }
+
+    if (config.command === 'compare') {
+        // With result files, compare them; without, compare runtimes
+        exitAfterFlush(config.commandArgs.length > 0 ? runCompareCommand(config, logger) : await runRuntimeCompareCommand(config, logger));
+        return;
+    }
+
+    if (config.command === 'flush') {
+        exitAfterFlush(await runFlushCommand(config, logger));
+        return;
+    }
+
+    if (config.command === 'verify') {
+        exitAfterFlush(runVerifyCommand(config, logger));
+        return;
+    }
+
+    if (config.command === 'serve') {
+        exitAfterFlush(await runServeCommand(config, logger));
+        return;
+    }
+
+    if (config.command === 'report') {
+        exitAfterFlush(runReportCommand(config, logger));
+        return;
+    }
+
+    if (config.command === 'history') {
+        exitAfterFlush(runHistoryCommand(config, logger));
+        return;
+    }
+
+    if (config.command === 'validate-config') {
+        exitAfterFlush(runValidateConfigCommand(config, logger));
+        return;
+    }
+
+    // Settings: defaults, then the config file, FIBO_* environment variables and the command line
+    const { fileConfig, values: finalConfig } = loadSettings(config, logger);
+
+    // A suite in the config file runs every scenario, or only the one named by --scenario
+    const scenarios = expandScenarios(finalConfig);
+    const scenario = config.scenario ? selectScenario(scenarios, config.scenario) : null;
+    const isSuite = scenarios.length > 0 && !scenario;
+
+    if (finalConfig.failOnRegression !== null && !finalConfig.baseline) {
+        throw new Error('--fail-on-regression requires --baseline <results.json>');
+    }
+    // Resolve formats and read the baseline before running, so mistakes fail fast
+    const formats = resolveFormats(finalConfig.formats || []);
+    const baseline = finalConfig.baseline ? (isSuite ? loadResultsDocument(finalConfig.baseline) : loadResults(finalConfig.baseline)) : null;
+    if (isSuite && baseline && !isSuiteDocument(baseline)) {
+        throw new Error(`Baseline '${finalConfig.baseline}' holds a single results document; a suite is compared scenario by scenario with the results of a suite`);
+    }
+    const uploadOptions = finalConfig.postUrl ? resolveUploadOptions(readUploadConfig(config, fileConfig)) : null;
+    const signingKey = loadSigningKey(readSigningConfig(config, fileConfig));
+    if (signingKey && !signingKey.canSign) {
+        throw new Error('Cannot sign results with a public key; pass the ed25519 private key');
+    }
+
+    const interrupts = trapInterrupts(logger);
+    const runOptions = {
+        ...finalConfig,
+        logger,
+        onEvent: config.ndjson ? writeEvent : undefined,
+        signal: interrupts.signal
+    };
+    let results;
+    if (isSuite) {
+        results = await runSuite(scenarios, runOptions);
+    } else if (scenario) {
+        logger.log(`🎬 Scenario: ${scenario.name}`);
+        results = await runBenchmark(applyScenario(runOptions, scenario));
+        results.benchmarkInfo.scenario = scenario.name;
+    } else {
+        results = await runBenchmark(runOptions);
+    }
+    // The results documents of the run: one, or one per scenario of a suite
+    const documents = isSuite ? Object.entries(results.scenarios) : [[null, results]];
+
+    // Compare with the baseline (scenario by scenario for a suite); each comparison is stored with its results
+    const comparisons = [];
+    if (baseline) {
+        for (const [name, current] of documents) {
+            const baselineResults = name === null ? baseline : baseline.scenarios[name];
+            if (!baselineResults) {
+                logger.warn(`Warning: Scenario '${name}' is not in the baseline, not compared`);
+                continue;
+            }
+            const comparison = compareResults(baselineResults, current, { threshold: finalConfig.failOnRegression });
+            current.baselineComparison = { baselineFile: finalConfig.baseline, ...comparison };
+            comparisons.push({ name, comparison });
+            if (config.ndjson) {
+                writeEvent({ event: 'comparison', timestamp: new Date().toISOString(), ...(name !== null ? { scenario: name } : {}), ...current.baselineComparison });
+            }
+        }
+    }
+
+    // Sign last, so the signature covers everything that is printed, saved and posted
+    if (signingKey) {
+        if (isSuite) {
+            // Each scenario is signed too, as it is uploaded on its own
+            documents.forEach(([, current]) => { current.signature = signResults(current, signingKey); });
+        }
+        results.signature = signResults(results, signingKey);
+        logger.log(`🔏 Results signed (${signingKey.algorithm}, key ${signingKey.keyId})`);
+    }
+
+    if (config.ndjson) {
+        writeEvent({ event: 'complete', timestamp: new Date().toISOString(), results });
+    } else if (config.json || config.quiet) {
+        process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    } else {
+        console.log(`\n--- Complete Benchmark Results ---`);
+        console.log(JSON.stringify(results, null, 2));
+        console.log(`--------------------------------\n`);
+    }
+
+    // Save results to file if specified (asking for formats implies saving)
+    if (finalConfig.outputFile || finalConfig.formats) {
+        saveResultsToFile(results, finalConfig.outputFile, formats, logger);
+    }
+
+    // Post results to URL if specified; collectors receive each scenario of a suite as its own results
+    if (finalConfig.postUrl) {
+        for (const [, current] of documents) {
+            await uploadResults(current, finalConfig.postUrl, uploadOptions, logger);
+        }
+    }
+
+    for (const { name, comparison } of comparisons) {
+        printComparison(comparison, name !== null ? `${finalConfig.baseline} (scenario ${name})` : finalConfig.baseline, logger);
+    }
+
+    if (interrupts.signal.aborted) {
+        exitAfterFlush(signalExitCode(interrupts.signal.reason));
+        return;
+    }
+    interrupts.release();
+    exitAfterFlush(comparisons.some(({ comparison }) => comparison.regressions.length > 0) ? REGRESSION_EXIT_CODE : 0);
+}
+
+/**
+ * Checks whether this file was started directly (node/deno/bun benchmark.js)
+ * rather than imported as a module.
+ * @returns {boolean} True when running as the CLI entry point.
+ */
+function isMainModule() {
+    // Deno and Bun (and recent Node.js) expose this directly
+    if (typeof import.meta.main === 'boolean') {
+        return import.meta.main;
+    }
+    if (!process.argv[1]) {
+        return false;
+    }
+    try {
+        return fs.realpathSync(path.resolve(process.argv[1])) === fs.realpathSync(__filename);
+    } catch (error) {
+        return false;
+    }
+}
+
+if (isMainThread) {
+    // --- Main Thread Logic ---
+    // Only run the CLI when started directly; importing this file just exposes the API.
+    if (isMainModule()) {
+        main().catch((error) => {
+            console.error(`❌ Benchmark failed: ${error.message}`);
+            process.exit(1);
+        });
+    }
+
+} else if (workerData && workerData.role === WORKER_ROLE) {
+    // --- Worker Thread Logic ---
+    // This part of the script runs inside each worker thread.
+    // Each worker continuously runs its workload and reports progress to the main thread.
+
+    const { workerId, size, iterations, warmup } = workerData;
+    const workload = getWorkload(workerData.workload);
+    const state = workload.setup(workerId, size);
+    const progress = workerData.progress ? openProgress(workerData.progress) : null;
+    const gcMonitor = createGcMonitor();
+    let iteration = 0;
+
+    /**
+     * Sends the final report with this worker's GC and heap statistics. GC entries
+     * queued while the loop ran without yielding arrive first, so the report waits
+     * for one turn of the event loop.
+     */
+    function sendFinalReport() {
+        setImmediate(() => {
+            const gc = gcMonitor.stop();
+            parentPort.postMessage({
+                final: true,
+                telemetry: {
+                    workerId: workerId,
+                    gc: gc.measured,
+                    warmupGc: gc.warmup,
+                    heap: collectHeapStatistics()
+                }
+            });
+        });
+    }
+
+    /**
+     * Fixed-work loop: runs the requested number of iterations back to back and
+     * reports once at the end, so timing does not depend on message delivery.
+     */
+    function fixedWorkLoop() {
+        let result = null;
+        gcMonitor.beginMeasure();
+        for (iteration = 0; iteration < iterations; iteration++) {
+            result = workload.run(state, iteration);
+            if (progress) {
+                recordIteration(progress, workerId);
+            }
+        }
+        gcMonitor.endMeasure();
+
+        parentPort.postMessage({
+            calculations: iterations,
+            iteration: iterations - 1,
+            result: String(result),
+            done: true
+        });
+        sendFinalReport();
+    }
+
+    /**
+     * Fixed-work start: warms up (or waits) until the main thread starts the measured
+     * phase, then completes the fixed amount of work.
+     */
+    function startFixedWork() {
+        if (progress) {
+            // Shared memory: the measure flag is checked between warm-up iterations
+            while (!isMeasureRequested(progress)) {
+                if (warmup) {
+                    workload.run(state, iteration);
+                    recordIteration(progress, workerId);
+                    iteration++;
+                } else {
+                    waitForMeasure(progress);
+                }
+            }
+            fixedWorkLoop();
+            return;
+        }
+
+        // Message mode: the measure command arrives between yielding warm-up iterations
+        let measureRequested = false;
+        parentPort.on('message', (message) => {
+            if (message && message.command === 'measure' && !measureRequested) {
+                measureRequested = true;
+                if (!warmup) {
+                    fixedWorkLoop();
+                }
+            }
+        });
+
+        function warmupLoop() {
+            if (measureRequested) {
+                fixedWorkLoop();
+                return;
+            }
+            const result = workload.run(state, iteration);
+            parentPort.postMessage({
+                calculations: 1,
+                iteration: iteration,
+                result: String(result)
+            });
+            iteration++;
+            setImmediate(warmupLoop);
+        }
+
+        if (warmup) {
+            warmupLoop();
+        }
+    }
+
+    /**
+     * Shared-memory loop: counts every iteration with Atomics and runs without
+     * yielding until the main thread raises the stop flag, then reports the last
+     * result and sends the final report.
+     */
+    function sharedProgressLoop() {
+        let result = null;
+        let measuring = false;
+        while (!isStopRequested(progress)) {
+            if (!measuring && isMeasureRequested(progress)) {
+                gcMonitor.beginMeasure();
+                measuring = true;
+            }
+            result = workload.run(state, iteration);
+            recordIteration(progress, workerId);
+            iteration++;
+        }
+        gcMonitor.endMeasure();
+
+        parentPort.postMessage({
+            calculations: iteration,
+            iteration: iteration - 1,
+            result: result === null ? null : String(result)
+        });
+        sendFinalReport();
+    }
+
+    /**
+     * The message-based loop (--progress message), kept for comparison.
+     * It continuously runs one iteration of the workload and sends updates to the parent thread.
+     * It uses setImmediate to yield control back to the event loop, allowing messages
+     * to be sent and the worker to receive the stop command from the main thread.
+     */
+    let stopRequested = false;
+    function workerLoop() {
+        if (stopRequested) {
+            sendFinalReport();
+            return;
+        }
+
+        // Run the next iteration of the workload
+        const result = workload.run(state, iteration);
+
+        // Send the current progress back to the main thread.
+        // Results (e.g. BigInt) must be converted to string before sending via postMessage.
+        parentPort.postMessage({
+            calculations: 1, // Each iteration counts as 1 calculation
+            iteration: iteration,
+            result: String(result)
+        });
+
+        iteration++;
+
+        // Schedule the next iteration of the loop.
+        // setImmediate ensures that other pending tasks (like receiving termination signals)
+        // can be processed, preventing the worker from completely hogging its event loop.
+        setImmediate(workerLoop);
+    }
+
+    // Tell the main thread that setup is done; measurement starts once every worker is ready
+    parentPort.postMessage({ ready: true });
+
+    if (iterations) {
+        startFixedWork(); // Complete the fixed amount of work once the measured phase starts
+    } else if (progress) {
+        sharedProgressLoop(); // Count in shared memory until told to stop
+    } else {
+        parentPort.on('message', (message) => {
+            if (message && message.command === 'measure') {
+                gcMonitor.beginMeasure();
+            } else if (message && message.command === 'stop') {
+                gcMonitor.endMeasure();
+                stopRequested = true;
+            }
+        });
+        workerLoop(); // Start the worker's calculation loop
+    }
+}
+
+export { runBenchmark, runSuite, getSystemInfo, calculateFibonacci };
@@ -11,6 +11,29 @@ $CONFIG_URL = "https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-r
 $PACKAGE_URL = "https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/package.json"
 $README_URL = "https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/README.md"
 $COMPARE_URL = "https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/compare-runtimes.ps1"
+$LIB_URL = "https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/lib"
+
+# Modules imported by benchmark.js (downloaded into bin\lib)
+$LIB_FILES = @(
+    "adapter.js",
+    "cgroups.js",
+    "cli.js",
+    "collector.js",
+    "compare.js",
+    "config.js",
+    "environment.js",
+    "formats.js",
+    "hardware.js",
+    "history.js",
+    "progress.js",
+    "report.js",
+    "runtimes.js",
+    "signing.js",
+    "statistics.js",
+    "telemetry.js",
+    "upload.js",
+    "workloads.js"
+)
 
 # Installation directories
 $BIN_DIR = Join-Path $InstallDir "bin"
@@ -67,6 +90,15 @@ try {
     # Download benchmark.js
     Invoke-WebRequest -Uri $BENCHMARK_URL -OutFile (Join-Path $BIN_DIR "benchmark.js") -UseBasicParsing
     
+    # Download lib modules
+    $LIB_DIR = Join-Path $BIN_DIR "lib"
+    if (!(Test-Path $LIB_DIR)) {
+        New-Item -ItemType Directory -Path $LIB_DIR -Force | Out-Null
+    }
+    foreach ($libFile in $LIB_FILES) {
+        Invoke-WebRequest -Uri "$LIB_URL/$libFile" -OutFile (Join-Path $LIB_DIR $libFile) -UseBasicParsing
+    }
+    
     # Download config.json
     Invoke-WebRequest -Uri $CONFIG_URL -OutFile (Join-Path $BIN_DIR "config.json") -UseBasicParsing
     
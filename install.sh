@@ -44,6 +44,29 @@ CONFIG_URL="https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runt
 PACKAGE_URL="https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/package.json"
 README_URL="https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/README.md"
 COMPARE_URL="https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/compare-runtimes.sh"
+LIB_URL="https://raw.githubusercontent.com/m3nfis/fiboBenchmark_js-multi-runtime/main/lib"
+
+# Modules imported by benchmark.js (downloaded into bin/lib)
+LIB_FILES=(
+    "adapter.js"
+    "cgroups.js"
+    "cli.js"
+    "collector.js"
+    "compare.js"
+    "config.js"
+    "environment.js"
+    "formats.js"
+    "hardware.js"
+    "history.js"
+    "progress.js"
+    "report.js"
+    "runtimes.js"
+    "signing.js"
+    "statistics.js"
+    "telemetry.js"
+    "upload.js"
+    "workloads.js"
+)
 
 # Installation directory
 INSTALL_DIR=${FIBONACCI_BENCHMARK_INSTALL:-$HOME/.fibonacci-benchmark}
@@ -63,6 +86,12 @@ echo "Downloading benchmark files..."
 # Download benchmark.js
 curl --fail --location --progress-bar --output "$BIN_DIR/benchmark.js" "$BENCHMARK_URL" || error "Failed to download benchmark.js from \"$BENCHMARK_URL\""
 
+# Download lib modules
+mkdir -p "$BIN_DIR/lib" || error "Failed to create lib directory \"$BIN_DIR/lib\""
+for lib_file in "${LIB_FILES[@]}"; do
+    curl --fail --location --progress-bar --output "$BIN_DIR/lib/$lib_file" "$LIB_URL/$lib_file" || error "Failed to download lib/$lib_file from \"$LIB_URL/$lib_file\""
+done
+
 # Download config.json
 curl --fail --location --progress-bar --output "$BIN_DIR/config.json" "$CONFIG_URL" || error "Failed to download config.json from \"$CONFIG_URL\""
 
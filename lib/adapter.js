@@ -0,0 +1,218 @@
+/**
+ * Runtime Adapter
+ *
+ * System probes (CPU count and model, memory, hostname, process memory) with one
+ * implementation per runtime. Each probe is an ordered list of methods: the runtime's
+ * native API first where it has one (Deno.systemMemoryInfo, Deno.hostname,
+ * Deno.memoryUsage, navigator.hardwareConcurrency), then the node: compatibility
+ * modules, then Linux files and commands. The first method that yields a usable value
+ * wins, and every probe reports which method that was:
+ *
+ *   adapter.totalMemory()  // { value: 16777216000, method: 'Deno.systemMemoryInfo' }
+ *
+ * The runtime globals, the os module and the file and command readers can be replaced,
+ * so every path can be exercised from a test.
+ */
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { parseCpuList } from './cgroups.js';
+import { identifyRuntime } from './environment.js';
+
+// Slow system commands are abandoned after this long
+const COMMAND_TIMEOUT_MS = 5000;
+
+// CPU count: the number of logical processors the host has
+const CPU_COUNT_METHODS = {
+    'navigator.hardwareConcurrency': context => context.navigator ? context.navigator.hardwareConcurrency : null,
+    'os.cpus()': context => (context.os.cpus() || []).length,
+    'os.availableParallelism()': context => typeof context.os.availableParallelism === 'function' ? context.os.availableParallelism() : null,
+    '/sys/devices/system/cpu/online': context => parseCpuList(context.readFile('/sys/devices/system/cpu/online')),
+    '/proc/cpuinfo': context => ((context.readFile('/proc/cpuinfo') || '').match(/^processor\s*:/gm) || []).length,
+    'nproc': context => parseInt(context.runCommand('nproc'))
+};
+
+// CPU model name
+const CPU_MODEL_METHODS = {
+    'os.cpus()': context => {
+        const cpus = context.os.cpus() || [];
+        return cpus.length > 0 ? cpus[0].model : null;
+    },
+    '/proc/cpuinfo': context => {
+        const match = (context.readFile('/proc/cpuinfo') || '').match(/^(?:model name|Processor|Hardware)\s*:\s*(.+)$/m);
+        return match ? match[1].trim() : null;
+    },
+    'process.arch': context => `${context.process.arch === 'arm64' || context.process.arch === 'arm' ? 'ARM' : 'Unknown'} ${context.process.arch.toUpperCase()}`
+};
+
+// Total system memory in bytes
+const TOTAL_MEMORY_METHODS = {
+    'Deno.systemMemoryInfo': context => context.deno && typeof context.deno.systemMemoryInfo === 'function' ? context.deno.systemMemoryInfo().total : null,
+    'os.totalmem()': context => context.os.totalmem(),
+    '/proc/meminfo': context => {
+        const match = (context.readFile('/proc/meminfo') || '').match(/^MemTotal:\s*(\d+)\s*kB/m);
+        return match ? parseInt(match[1]) * 1024 : null;
+    }
+};
+
+// Memory available to new processes in bytes
+const FREE_MEMORY_METHODS = {
+    'Deno.systemMemoryInfo': context => context.deno && typeof context.deno.systemMemoryInfo === 'function' ? context.deno.systemMemoryInfo().available : null,
+    'os.freemem()': context => context.os.freemem(),
+    '/proc/meminfo': context => {
+        const match = (context.readFile('/proc/meminfo') || '').match(/^MemAvailable:\s*(\d+)\s*kB/m);
+        return match ? parseInt(match[1]) * 1024 : null;
+    }
+};
+
+// Host name
+const HOSTNAME_METHODS = {
+    'Deno.hostname': context => context.deno && typeof context.deno.hostname === 'function' ? context.deno.hostname() : null,
+    'os.hostname()': context => context.os.hostname(),
+    '/etc/hostname': context => context.readFile('/etc/hostname'),
+    'hostname': context => context.runCommand('hostname')
+};
+
+// Memory of this process in bytes: rss, heapUsed, heapTotal, external, arrayBuffers
+const PROCESS_MEMORY_METHODS = {
+    'Deno.memoryUsage': context => context.deno && typeof context.deno.memoryUsage === 'function' ? context.deno.memoryUsage() : null,
+    'process.memoryUsage()': context => typeof context.process.memoryUsage === 'function' ? context.process.memoryUsage() : null
+};
+
+// Which methods each runtime tries, in order; native APIs first, node: compat after
+const RUNTIME_PROBES = {
+    node: {
+        cpuCount: ['os.cpus()', 'os.availableParallelism()', '/sys/devices/system/cpu/online', '/proc/cpuinfo', 'nproc'],
+        cpuModel: ['os.cpus()', '/proc/cpuinfo', 'process.arch'],
+        totalMemory: ['os.totalmem()', '/proc/meminfo'],
+        freeMemory: ['os.freemem()', '/proc/meminfo'],
+        hostname: ['os.hostname()', '/etc/hostname', 'hostname'],
+        processMemory: ['process.memoryUsage()']
+    },
+    deno: {
+        cpuCount: ['navigator.hardwareConcurrency', 'os.cpus()', '/sys/devices/system/cpu/online', '/proc/cpuinfo', 'nproc'],
+        cpuModel: ['os.cpus()', '/proc/cpuinfo', 'process.arch'],
+        totalMemory: ['Deno.systemMemoryInfo', 'os.totalmem()', '/proc/meminfo'],
+        freeMemory: ['Deno.systemMemoryInfo', 'os.freemem()', '/proc/meminfo'],
+        hostname: ['Deno.hostname', 'os.hostname()', '/etc/hostname', 'hostname'],
+        processMemory: ['Deno.memoryUsage', 'process.memoryUsage()']
+    },
+    bun: {
+        cpuCount: ['os.cpus()', 'navigator.hardwareConcurrency', 'os.availableParallelism()', '/sys/devices/system/cpu/online', '/proc/cpuinfo', 'nproc'],
+        cpuModel: ['os.cpus()', '/proc/cpuinfo', 'process.arch'],
+        totalMemory: ['os.totalmem()', '/proc/meminfo'],
+        freeMemory: ['os.freemem()', '/proc/meminfo'],
+        hostname: ['os.hostname()', '/etc/hostname', 'hostname'],
+        processMemory: ['process.memoryUsage()']
+    }
+};
+
+const PROBE_METHODS = {
+    cpuCount: CPU_COUNT_METHODS,
+    cpuModel: CPU_MODEL_METHODS,
+    totalMemory: TOTAL_MEMORY_METHODS,
+    freeMemory: FREE_MEMORY_METHODS,
+    hostname: HOSTNAME_METHODS,
+    processMemory: PROCESS_MEMORY_METHODS
+};
+
+// What each probe accepts as a usable value
+const PROBE_VALIDATORS = {
+    cpuCount: value => Number.isInteger(value) && value > 0,
+    cpuModel: value => typeof value === 'string' && value.trim() !== '',
+    totalMemory: value => typeof value === 'number' && value > 0,
+    freeMemory: value => typeof value === 'number' && value >= 0,
+    hostname: value => typeof value === 'string' && value.trim() !== '',
+    processMemory: value => value !== null && typeof value === 'object' && typeof value.rss === 'number'
+};
+
+// Values used when every method failed
+const PROBE_DEFAULTS = {
+    cpuCount: 1,
+    cpuModel: 'N/A',
+    totalMemory: 0,
+    freeMemory: 0,
+    hostname: 'unknown',
+    processMemory: { rss: 0, heapUsed: 0, heapTotal: 0, external: 0, arrayBuffers: 0 }
+};
+
+/**
+ * Reads a text file, or returns null if it cannot be read.
+ * @param {string} filePath The file.
+ * @returns {string|null} The trimmed contents.
+ */
+function readFile(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Runs a command without arguments, or returns null if it fails.
+ * @param {string} command The command.
+ * @returns {string|null} Its trimmed output.
+ */
+function runCommand(command) {
+    try {
+        return execFileSync(command, [], { encoding: 'utf8', timeout: COMMAND_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates the system probes for a runtime.
+ * @param {object} [options]
+ * @param {string} [options.runtime] 'node', 'deno' or 'bun'; detected when omitted.
+ * @param {object} [options.os] Replacement for the os module.
+ * @param {object|null} [options.deno] Replacement for the Deno global.
+ * @param {object|null} [options.navigator] Replacement for the navigator global.
+ * @param {object} [options.process] Replacement for the process global.
+ * @param {function(string): (string|null)} [options.readFile] Reads a file, null if unreadable.
+ * @param {function(string): (string|null)} [options.runCommand] Runs a command, null if it fails.
+ * @returns {object} The adapter: `runtime` and one function per probe (cpuCount, cpuModel, totalMemory,
+ *   freeMemory, hostname, processMemory), each returning `{ value, method }`.
+ * @throws {Error} If the runtime is not one of node, deno or bun.
+ */
+function createRuntimeAdapter(options = {}) {
+    const runtime = options.runtime || identifyRuntime().name;
+    if (!RUNTIME_PROBES[runtime]) {
+        throw new Error(`Unknown runtime '${runtime}' (expected one of: ${Object.keys(RUNTIME_PROBES).join(', ')})`);
+    }
+    const context = {
+        os: options.os || os,
+        deno: options.deno !== undefined ? options.deno : (typeof Deno !== 'undefined' ? Deno : null),
+        navigator: options.navigator !== undefined ? options.navigator : (typeof navigator !== 'undefined' ? navigator : null),
+        process: options.process || process,
+        readFile: options.readFile || readFile,
+        runCommand: options.runCommand || runCommand
+    };
+
+    const adapter = { runtime };
+    for (const [probe, methodNames] of Object.entries(RUNTIME_PROBES[runtime])) {
+        adapter[probe] = () => {
+            for (const method of methodNames) {
+                let value;
+                try {
+                    value = PROBE_METHODS[probe][method](context);
+                } catch (error) {
+                    // Missing API or permission: try the next method
+                    continue;
+                }
+                if (PROBE_VALIDATORS[probe](value)) {
+                    return { value: typeof value === 'string' ? value.trim() : value, method };
+                }
+            }
+            return { value: PROBE_DEFAULTS[probe], method: 'default' };
+        };
+    }
+    return adapter;
+}
+
+export {
+    RUNTIME_PROBES,
+    createRuntimeAdapter
+};
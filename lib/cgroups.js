@@ -0,0 +1,276 @@
+/**
+ * Container Resource Limits
+ *
+ * os.cpus() and os.totalmem() describe the host, not the container the benchmark runs
+ * in. This module reads the Linux control groups of the current process to find the
+ * limits that actually apply:
+ *
+ * - cgroup v2: cpu.max, cpuset.cpus.effective and memory.max
+ * - cgroup v1: cpu.cfs_quota_us / cpu.cfs_period_us, cpuset.cpus and memory.limit_in_bytes
+ *
+ * A limit set on a parent group applies to its children, so the hierarchy is walked
+ * from the process's own group up to the mount root and the tightest limit wins. When
+ * the group path from /proc/self/cgroup does not exist below the mount (cgroup
+ * namespaces), the mount root is the process's group.
+ *
+ * Every path can be overridden, so the detection can run against a fake directory tree.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const DEFAULT_CGROUP_ROOT = '/sys/fs/cgroup';
+const DEFAULT_PROC_SELF_CGROUP = '/proc/self/cgroup';
+
+// cgroup v1 reports "no limit" as a huge page-aligned number rather than a keyword
+const UNLIMITED_MEMORY_BYTES = 2 ** 60;
+
+/**
+ * Reads a small cgroup file.
+ * @param {string} filePath The file.
+ * @returns {string|null} The trimmed contents, or null if it cannot be read.
+ */
+function readValue(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Counts the CPUs in a cpuset list such as "0-3,6,8-9".
+ * @param {string|null} text The cpuset list.
+ * @returns {number|null} The number of CPUs, or null if the list is empty or malformed.
+ */
+function parseCpuList(text) {
+    if (!text) {
+        return null;
+    }
+    let count = 0;
+    for (const range of text.split(',')) {
+        const match = range.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            return null;
+        }
+        const start = parseInt(match[1]);
+        const end = match[2] !== undefined ? parseInt(match[2]) : start;
+        if (end < start) {
+            return null;
+        }
+        count += end - start + 1;
+    }
+    return count > 0 ? count : null;
+}
+
+/**
+ * Parses a cgroup v2 cpu.max file ("<quota> <period>" or "max <period>").
+ * @param {string|null} text The file contents.
+ * @returns {number|null} The quota in CPUs (e.g. 1.5), or null without a limit.
+ */
+function parseCpuMax(text) {
+    if (!text) {
+        return null;
+    }
+    const [quota, period = '100000'] = text.split(/\s+/);
+    if (quota === 'max') {
+        return null;
+    }
+    return parseCfsQuota(quota, period);
+}
+
+/**
+ * Parses a cgroup v1 CFS quota and period (cpu.cfs_quota_us, cpu.cfs_period_us).
+ * @param {string|null} quotaText The quota in microseconds, -1 without a limit.
+ * @param {string|null} periodText The period in microseconds.
+ * @returns {number|null} The quota in CPUs, or null without a limit.
+ */
+function parseCfsQuota(quotaText, periodText) {
+    const quota = parseInt(quotaText);
+    const period = parseInt(periodText);
+    if (!(quota > 0) || !(period > 0)) {
+        return null;
+    }
+    return quota / period;
+}
+
+/**
+ * Parses a memory limit (memory.max or memory.limit_in_bytes).
+ * @param {string|null} text The file contents.
+ * @returns {number|null} The limit in bytes, or null without a limit.
+ */
+function parseMemoryLimit(text) {
+    if (!text || text === 'max') {
+        return null;
+    }
+    const bytes = Number(text);
+    if (!Number.isFinite(bytes) || bytes <= 0 || bytes >= UNLIMITED_MEMORY_BYTES) {
+        return null;
+    }
+    return bytes;
+}
+
+/**
+ * Parses /proc/self/cgroup into the group path of each hierarchy.
+ * @param {string|null} text The file contents, lines of "<id>:<controllers>:<path>".
+ * @returns {{unified: string|null, controllers: object}} The cgroup v2 path (hierarchy 0)
+ *   and the cgroup v1 paths by controller name.
+ */
+function parseProcCgroup(text) {
+    const groups = { unified: null, controllers: {} };
+    for (const line of (text || '').split('\n')) {
+        const match = line.match(/^(\d+):([^:]*):(.*)$/);
+        if (!match) {
+            continue;
+        }
+        if (match[1] === '0' && match[2] === '') {
+            groups.unified = match[3];
+            continue;
+        }
+        for (const controller of match[2].split(',')) {
+            if (controller) {
+                groups.controllers[controller] = match[3];
+            }
+        }
+    }
+    return groups;
+}
+
+/**
+ * Lists the directories from a process's group up to the mount root.
+ * @param {string} mountPoint Where the hierarchy is mounted.
+ * @param {string|null} groupPath The group path from /proc/self/cgroup.
+ * @returns {string[]} The directories, innermost first.
+ */
+function groupDirectories(mountPoint, groupPath) {
+    const mount = path.resolve(mountPoint);
+    let directory = path.resolve(path.join(mount, groupPath || '/'));
+    if (!directory.startsWith(mount) || !fs.existsSync(directory)) {
+        // Inside a cgroup namespace the process's group is the mount root
+        directory = mount;
+    }
+    const directories = [directory];
+    while (directory !== mount) {
+        directory = path.dirname(directory);
+        directories.push(directory);
+    }
+    return directories;
+}
+
+/**
+ * Finds the mount point of a cgroup v1 controller ("cpu" may be mounted as "cpu,cpuacct").
+ * @param {string} root The cgroup file system root.
+ * @param {string} controller The controller name.
+ * @returns {string|null} The mount point, or null if the controller is not mounted.
+ */
+function findControllerMount(root, controller) {
+    let entries;
+    try {
+        entries = fs.readdirSync(root);
+    } catch (error) {
+        return null;
+    }
+    const name = entries.find(entry => entry.split(',').includes(controller));
+    return name ? path.join(root, name) : null;
+}
+
+/**
+ * Takes the tightest (smallest) limit found along a group hierarchy.
+ * @param {string[]} directories Directories, innermost first.
+ * @param {function(string): (number|null)} readLimit Reads the limit of one directory.
+ * @returns {number|null} The smallest limit, or null if no level sets one.
+ */
+function tightestLimit(directories, readLimit) {
+    const limits = directories.map(readLimit).filter(limit => limit !== null);
+    return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+/**
+ * Detects the CPU and memory limits of the current process's control groups.
+ * @param {object} [options]
+ * @param {string} [options.cgroupRoot='/sys/fs/cgroup'] Root of the cgroup file system.
+ * @param {string} [options.procSelfCgroup='/proc/self/cgroup'] The process's cgroup membership file.
+ * @returns {object} `{ version, cpuQuota, cpusetCpus, memoryLimitBytes }`: the cgroup version (2, 1 or
+ *   null when none was found), the CPU quota in CPUs, the number of CPUs in the cpuset and the memory
+ *   limit in bytes; each limit is null when none applies.
+ */
+function detectCgroupLimits(options = {}) {
+    const root = options.cgroupRoot || DEFAULT_CGROUP_ROOT;
+    const groups = parseProcCgroup(readValue(options.procSelfCgroup || DEFAULT_PROC_SELF_CGROUP));
+    const limits = { version: null, cpuQuota: null, cpusetCpus: null, memoryLimitBytes: null };
+
+    if (fs.existsSync(path.join(root, 'cgroup.controllers'))) {
+        const directories = groupDirectories(root, groups.unified);
+        limits.version = 2;
+        limits.cpuQuota = tightestLimit(directories, directory => parseCpuMax(readValue(path.join(directory, 'cpu.max'))));
+        limits.cpusetCpus = parseCpuList(readValue(path.join(directories[0], 'cpuset.cpus.effective')));
+        limits.memoryLimitBytes = tightestLimit(directories, directory => parseMemoryLimit(readValue(path.join(directory, 'memory.max'))));
+        return limits;
+    }
+
+    const cpuMount = findControllerMount(root, 'cpu');
+    const cpusetMount = findControllerMount(root, 'cpuset');
+    const memoryMount = findControllerMount(root, 'memory');
+    if (!cpuMount && !cpusetMount && !memoryMount) {
+        return limits;
+    }
+
+    limits.version = 1;
+    if (cpuMount) {
+        limits.cpuQuota = tightestLimit(groupDirectories(cpuMount, groups.controllers.cpu), directory => parseCfsQuota(
+            readValue(path.join(directory, 'cpu.cfs_quota_us')),
+            readValue(path.join(directory, 'cpu.cfs_period_us'))
+        ));
+    }
+    if (cpusetMount) {
+        const directory = groupDirectories(cpusetMount, groups.controllers.cpuset)[0];
+        limits.cpusetCpus = parseCpuList(readValue(path.join(directory, 'cpuset.effective_cpus')) || readValue(path.join(directory, 'cpuset.cpus')));
+    }
+    if (memoryMount) {
+        limits.memoryLimitBytes = tightestLimit(groupDirectories(memoryMount, groups.controllers.memory), directory => parseMemoryLimit(readValue(path.join(directory, 'memory.limit_in_bytes'))));
+    }
+    return limits;
+}
+
+/**
+ * Works out how many CPUs the process can actually use. A fractional quota is rounded
+ * up (1.5 CPUs of time keep two threads busy for three quarters of the time each).
+ * @param {number} hostCores CPUs of the host.
+ * @param {object} limits Limits from detectCgroupLimits().
+ * @param {number|null} [availableParallelism=null] os.availableParallelism(), where the runtime has it.
+ * @returns {number} The effective number of CPUs, at least 1.
+ */
+function effectiveCpuCount(hostCores, limits, availableParallelism = null) {
+    const candidates = [hostCores];
+    if (availableParallelism > 0) {
+        candidates.push(availableParallelism);
+    }
+    if (limits.cpusetCpus !== null) {
+        candidates.push(limits.cpusetCpus);
+    }
+    if (limits.cpuQuota !== null) {
+        candidates.push(Math.ceil(limits.cpuQuota));
+    }
+    return Math.max(1, Math.min(...candidates));
+}
+
+/**
+ * Works out how much memory the process can actually use.
+ * @param {number} hostMemoryBytes Total memory of the host.
+ * @param {object} limits Limits from detectCgroupLimits().
+ * @returns {number} The effective memory in bytes.
+ */
+function effectiveMemoryBytes(hostMemoryBytes, limits) {
+    return limits.memoryLimitBytes !== null ? Math.min(hostMemoryBytes, limits.memoryLimitBytes) : hostMemoryBytes;
+}
+
+export {
+    parseCpuList,
+    parseCpuMax,
+    parseCfsQuota,
+    parseMemoryLimit,
+    parseProcCgroup,
+    detectCgroupLimits,
+    effectiveCpuCount,
+    effectiveMemoryBytes
+};
@@ -0,0 +1,277 @@
+/**
+ * Command Line Parsing
+ *
+ * A small declarative parser for subcommand-style command lines:
+ *
+ *   node benchmark.js [<command>] [options] [arguments]
+ *
+ * Commands and their options are plain objects (see benchmark.js), and both the parser
+ * and the help text are driven by them, so the help never drifts from what is accepted.
+ * An option has one or more flags (`-d`, `--duration`, aliases such as `--workloads`);
+ * options that take a value accept it as the next argument or inline (`--duration=60`).
+ * A flag the command does not know is an error that names the commands it belongs to,
+ * or suggests the closest one.
+ */
+
+import { suggestName } from './config.js';
+
+// Width of the flags column in help output; longer flags put their description on the next line
+const HELP_FLAG_WIDTH = 29;
+
+// Help lines are wrapped at this width
+const HELP_WIDTH = 100;
+
+/**
+ * Gives each option definition its key, the property the parsed value is stored under.
+ * @param {object} definitions Option definitions by key: `{ flags, aliases, value, parse, combine,
+ *   description, default }`; `value` names the value in the help (options without one are switches).
+ * @returns {object} The options by key, each with its `key`.
+ */
+function defineOptions(definitions) {
+    return Object.fromEntries(Object.entries(definitions).map(([key, option]) => [key, { key, ...option }]));
+}
+
+/**
+ * Lists the flags of an option: its own and its aliases.
+ * @param {object} option The option definition.
+ * @returns {string[]} E.g. ['-w', '--workload', '--workloads'].
+ */
+function optionFlags(option) {
+    return [...option.flags, ...(option.aliases || [])];
+}
+
+/**
+ * Finds a command by name.
+ * @param {object} cli The command line definition.
+ * @param {string} name The command name.
+ * @returns {object} The command.
+ * @throws {Error} If there is no such command; the message suggests the closest one.
+ */
+function findCommand(cli, name) {
+    const command = cli.commands.find(candidate => candidate.name === name);
+    if (!command) {
+        const names = cli.commands.map(candidate => candidate.name);
+        const suggestion = suggestName(name, names);
+        throw new Error(`Unknown command '${name}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}. Commands: ${names.join(', ')}`);
+    }
+    return command;
+}
+
+/**
+ * Builds the error for a flag the command does not accept.
+ * @param {object} cli The command line definition.
+ * @param {object} command The command being parsed.
+ * @param {string} flag The flag as given, without an inline value.
+ * @returns {Error} The error: the commands that have the flag, or a suggestion for typos.
+ */
+function unknownOptionError(cli, command, flag) {
+    const owners = cli.commands.filter(other => other.options.some(option => optionFlags(option).includes(flag)));
+    if (owners.length > 0) {
+        return new Error(`Option '${flag}' is not available for ${command.name} (it is an option of: ${owners.map(owner => owner.name).join(', ')})`);
+    }
+    const options = [...command.options, ...cli.globalOptions];
+    const suggestion = suggestName(flag, options.flatMap(optionFlags).filter(candidate => candidate.startsWith('--')));
+    if (suggestion) {
+        return new Error(`Unknown option '${flag}' (did you mean '${suggestion}'?)`);
+    }
+    return new Error(`Unknown option '${flag}'; see '${cli.program} ${command.name} --help'`);
+}
+
+/**
+ * Parses a command line. The first argument selects the command, unless it is an option
+ * (then the default command runs); `help [<command>]` asks for help. An option's value is
+ * the next argument, which must not look like an option (negative numbers are values), or
+ * follows an equals sign: --duration=60. Repeatable options combine their values.
+ * @param {string[]} argv The arguments, without the runtime and script.
+ * @param {object} cli The command line definition.
+ * @param {string} cli.program How the program is started, for messages.
+ * @param {object[]} cli.commands `{ name, options, maxArgs, ... }` per command.
+ * @param {object[]} cli.globalOptions Options every command accepts.
+ * @param {string} cli.defaultCommand The command that runs without one.
+ * @returns {{command: string|null, options: object, args: string[]}} The command given (null for
+ *   the default one), the option values by key, and the remaining arguments.
+ * @throws {Error} For an unknown command or option, a missing or unexpected value, or too many arguments.
+ */
+function parseCommandLine(argv, cli) {
+    let commandName = null;
+    let rest = argv;
+    if (argv[0] === 'help') {
+        return { command: argv[1] ? findCommand(cli, argv[1]).name : null, options: { help: true }, args: [] };
+    }
+    if (argv.length > 0 && !argv[0].startsWith('-')) {
+        commandName = findCommand(cli, argv[0]).name;
+        rest = argv.slice(1);
+    }
+    const command = findCommand(cli, commandName || cli.defaultCommand);
+
+    const byFlag = new Map();
+    for (const option of [...command.options, ...cli.globalOptions]) {
+        optionFlags(option).forEach(flag => byFlag.set(flag, option));
+    }
+
+    const options = {};
+    const args = [];
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (arg === '--') {
+            args.push(...rest.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-' || /^-\d/.test(arg)) {
+            args.push(arg);
+            continue;
+        }
+
+        const equals = arg.startsWith('--') ? arg.indexOf('=') : -1;
+        const flag = equals > 0 ? arg.slice(0, equals) : arg;
+        const option = byFlag.get(flag);
+        if (!option) {
+            throw unknownOptionError(cli, command, flag);
+        }
+
+        let value = true;
+        if (!option.value) {
+            if (equals > 0) {
+                throw new Error(`Option ${flag} does not take a value`);
+            }
+        } else {
+            const text = equals > 0 ? arg.slice(equals + 1) : rest[i + 1];
+            if (equals <= 0) {
+                // A following option means the value is missing (negative numbers are values)
+                if (text === undefined || (text.startsWith('-') && !/^-\d/.test(text))) {
+                    throw new Error(`Missing value for ${flag}`);
+                }
+                i++;
+            } else if (text === '') {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            value = option.parse ? option.parse(text, flag) : text;
+        }
+        options[option.key] = option.combine && options[option.key] !== undefined ? option.combine(options[option.key], value) : value;
+    }
+
+    if (!options.help && command.maxArgs !== undefined && args.length > command.maxArgs) {
+        const extra = args[command.maxArgs];
+        const suggestion = commandName === null ? suggestName(extra, cli.commands.map(candidate => candidate.name)) : null;
+        throw new Error(suggestion
+            ? `Unknown command '${extra}' (did you mean '${suggestion}'?)`
+            : `Unexpected argument '${extra}'; see '${cli.program} ${command.name} --help'`);
+    }
+    return { command: commandName, options, args };
+}
+
+/**
+ * Wraps text into lines of at most `width` characters (longer words stay whole).
+ * @param {string} text The text.
+ * @param {number} width The maximum line length.
+ * @returns {string[]} The lines.
+ */
+function wrapText(text, width) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + 1 + word.length > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Formats one option for the help: its flags and value, then the description with
+ * the aliases, whether it repeats and its default.
+ * @param {object} option The option definition.
+ * @returns {string} One or more lines.
+ */
+function formatOption(option) {
+    const short = option.flags.find(flag => !flag.startsWith('--'));
+    const long = option.flags.filter(flag => flag.startsWith('--'));
+    const flags = `${short ? `${short}, ` : '    '}${long.join(', ')}${option.value ? ` ${option.value}` : ''}`;
+    const notes = [
+        option.aliases ? `also ${option.aliases.join(', ')}` : null,
+        option.combine ? 'repeatable' : null,
+        option.default !== undefined ? `default: ${option.default}` : null
+    ].filter(Boolean);
+    const description = `${option.description}${notes.length > 0 ? ` (${notes.join('; ')})` : ''}`;
+    const lines = wrapText(description, HELP_WIDTH - HELP_FLAG_WIDTH);
+    const first = `  ${flags}`;
+    const indent = ' '.repeat(HELP_FLAG_WIDTH);
+    if (first.length < HELP_FLAG_WIDTH) {
+        return [`${first.padEnd(HELP_FLAG_WIDTH)}${lines[0]}`, ...lines.slice(1).map(line => `${indent}${line}`)].join('\n');
+    }
+    return [first, ...lines.map(line => `${indent}${line}`)].join('\n');
+}
+
+/**
+ * Formats examples as `command   # note` lines.
+ * @param {Array<[string, string]>} examples Command and note (may be empty) pairs.
+ * @returns {string} The lines.
+ */
+function formatExamples(examples) {
+    const column = 38;
+    return examples.map(([command, note]) => {
+        if (!note) {
+            return `  ${command}`;
+        }
+        return command.length + 2 < column - 1
+            ? `  ${command.padEnd(column - 2)}# ${note}`
+            : `  ${command}\n${' '.repeat(column)}# ${note}`;
+    }).join('\n');
+}
+
+/**
+ * Formats the help of a command, or the overview (the default command's help with the
+ * list of commands) when no command is given.
+ * @param {object} cli The command line definition (see parseCommandLine()), with `title`,
+ *   and per command `summary`, `usage` (argument patterns), and optionally `description`,
+ *   `sections` (`{ title, text }` or `{ title, paragraphs }`) and `examples` (`[command, note]` pairs).
+ * @param {string|null} [commandName=null] The command.
+ * @returns {string} The help text.
+ */
+function formatHelp(cli, commandName = null) {
+    const command = findCommand(cli, commandName || cli.defaultCommand);
+    const usage = commandName === null
+        ? [`${cli.program} [options]`, `${cli.program} <command> [options]`]
+        : command.usage.map(pattern => `${cli.program} ${command.name} ${pattern}`);
+    const output = [`\n${cli.title}\n`, usage.map((line, index) => `${index === 0 ? 'Usage: ' : '       '}${line}`).join('\n')];
+
+    if (command.description) {
+        output.push(`\n${wrapText(command.description, HELP_WIDTH).join('\n')}`);
+    }
+    if (commandName === null) {
+        const width = Math.max(...cli.commands.map(candidate => candidate.name.length)) + 4;
+        output.push('\nCommands:');
+        output.push(cli.commands.map(candidate => `  ${candidate.name.padEnd(width)}${candidate.summary}`).join('\n'));
+    }
+    if (command.options.length > 0) {
+        output.push(`\n${commandName === null ? `Options (${command.name}):` : 'Options:'}`);
+        output.push(command.options.map(formatOption).join('\n'));
+    }
+    output.push('\nGlobal options:');
+    output.push(cli.globalOptions.map(formatOption).join('\n'));
+    for (const section of command.sections || []) {
+        // Text is shown as written; paragraphs are wrapped
+        const text = section.text || section.paragraphs.map(paragraph => wrapText(paragraph, HELP_WIDTH - 2).map(line => `  ${line}`).join('\n')).join('\n');
+        output.push(`\n${section.title}:\n${text}`);
+    }
+    if (command.examples && command.examples.length > 0) {
+        output.push('\nExamples:');
+        output.push(formatExamples(command.examples));
+    }
+    if (commandName === null) {
+        output.push(`\nRun '${cli.program} <command> --help' for the options of a command.`);
+    }
+    return `${output.join('\n')}\n`;
+}
+
+export {
+    defineOptions,
+    parseCommandLine,
+    formatHelp
+};
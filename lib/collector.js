@@ -0,0 +1,456 @@
+/**
+ * Results Collector
+ *
+ * A small node:http server that receives the results documents the benchmark posts to
+ * `postUrl`, so a team does not need its own endpoint. Accepted documents are appended
+ * to a JSON-lines file, one `{ id, receivedAt, verified, results }` entry per line, and
+ * served back through read-only endpoints:
+ *
+ *   POST /results            store a results document (gzip and signatures accepted)
+ *   GET  /results            list stored results, newest first, as summaries
+ *   GET  /results/<id>       one stored entry with its complete document
+ *   GET  /leaderboard        setups ranked by their best average score
+ *   GET  /health             liveness and the number of stored results
+ *
+ * The list and the leaderboard filter by ?host=, ?runtime= (node or node@20.11.1),
+ * ?workload= and ?label.<key>=<value>. The id is a hash of the document, so a result
+ * that is uploaded twice (a retry after a lost answer, a spool flush) is stored once.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import zlib from 'node:zlib';
+import { canonicalJson } from './environment.js';
+import { SIGNATURE_HEADER, parseSignatureHeader, verifyResults } from './signing.js';
+
+// Larger request bodies are refused; a results document is typically well below 1 MB
+const MAX_BODY_BYTES = 16 * 1024 * 1024;
+
+const DEFAULT_LIST_LIMIT = 100;
+
+/**
+ * Checks that a document has the shape of a benchmark results document.
+ * @param {*} document The parsed request body.
+ * @returns {string|null} What is wrong with it, or null if it is valid.
+ */
+function validateResultsDocument(document) {
+    if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+        return 'expected a results object';
+    }
+    if (!document.benchmarkInfo || typeof document.benchmarkInfo !== 'object') {
+        return 'missing benchmarkInfo';
+    }
+    if (!document.systemInfo || typeof document.systemInfo.hostname !== 'string') {
+        return 'missing systemInfo.hostname';
+    }
+    if (!document.aggregatedResults || typeof document.aggregatedResults.averageScore !== 'number') {
+        return 'missing aggregatedResults.averageScore';
+    }
+    if (!Array.isArray(document.individualRuns)) {
+        return 'missing individualRuns';
+    }
+    const labels = document.benchmarkInfo.labels;
+    if (labels !== undefined && (labels === null || typeof labels !== 'object' || Object.values(labels).some(value => typeof value !== 'string'))) {
+        return 'benchmarkInfo.labels must map names to strings';
+    }
+    return null;
+}
+
+/**
+ * Computes the id of a results document: a hash of its canonical JSON without the
+ * signature, so the same results get the same id however they were sent.
+ * @param {object} document The results document.
+ * @returns {string} 16 hex digits.
+ */
+function resultsId(document) {
+    const { signature, ...unsigned } = document;
+    return crypto.createHash('sha256').update(canonicalJson(unsigned)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Opens the JSON-lines store, loading the entries it already holds. Lines that cannot
+ * be parsed (e.g. cut short by a crash) are skipped.
+ * @param {string} filePath The store file; created on the first append.
+ * @param {object} [logger=console] Console-like object for warnings.
+ * @returns {{entries: object[], get: function(string): (object|undefined), append: function(object): object}} The
+ *   entries in arrival order, lookup by id, and append(entry) which writes one line.
+ */
+function openResultStore(filePath, logger = console) {
+    const entries = [];
+    const byId = new Map();
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                const entry = JSON.parse(line);
+                if (!byId.has(entry.id)) {
+                    entries.push(entry);
+                    byId.set(entry.id, entry);
+                }
+            } catch (error) {
+                logger.warn(`⚠️  Skipping unreadable line ${index + 1} of ${filePath}: ${error.message}`);
+            }
+        });
+    }
+    return {
+        entries,
+        get: id => byId.get(id),
+        append(entry) {
+            // One write per line, so concurrent readers never see half an entry
+            fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+            entries.push(entry);
+            byId.set(entry.id, entry);
+            return entry;
+        }
+    };
+}
+
+/**
+ * Describes the runtime of a results document.
+ * @param {object} document The results document.
+ * @returns {{name: string, version: string|null}|null} The runtime, or null for documents without one.
+ */
+function documentRuntime(document) {
+    const runtime = document.environment && document.environment.runtime;
+    return runtime ? { name: runtime.name, version: runtime.version || null } : null;
+}
+
+/**
+ * Filters stored entries.
+ * @param {object[]} entries Store entries.
+ * @param {object} [filters]
+ * @param {string} [filters.host] Exact hostname.
+ * @param {string} [filters.runtime] Runtime name ('node') or name@version ('node@20.11.1').
+ * @param {string} [filters.workload] Only results that ran this workload.
+ * @param {object} [filters.labels] Labels every result must carry with these values.
+ * @returns {object[]} The matching entries, in store order.
+ */
+function filterEntries(entries, filters = {}) {
+    return entries.filter(({ results }) => {
+        if (filters.host && results.systemInfo.hostname !== filters.host) {
+            return false;
+        }
+        if (filters.runtime) {
+            const runtime = documentRuntime(results);
+            const [name, version] = filters.runtime.split('@');
+            if (!runtime || runtime.name !== name || (version && runtime.version !== version)) {
+                return false;
+            }
+        }
+        if (filters.workload && !(results.aggregatedResults.workloads && results.aggregatedResults.workloads[filters.workload])) {
+            return false;
+        }
+        const labels = results.benchmarkInfo.labels || {};
+        return Object.entries(filters.labels || {}).every(([key, value]) => labels[key] === value);
+    });
+}
+
+/**
+ * Summarizes a stored entry for listings.
+ * @param {object} entry A store entry.
+ * @returns {object} Id, arrival, verification, host, runtime, labels and headline numbers.
+ */
+function summarizeEntry(entry) {
+    const { results } = entry;
+    return {
+        id: entry.id,
+        receivedAt: entry.receivedAt,
+        verified: entry.verified,
+        hostname: results.systemInfo.hostname,
+        cpuModel: results.systemInfo.cpuModel || null,
+        runtime: documentRuntime(results),
+        environmentHash: results.environment ? results.environment.hash : null,
+        labels: results.benchmarkInfo.labels || {},
+        workloads: Object.keys(results.aggregatedResults.workloads || {}),
+        completedRuns: results.benchmarkInfo.completedRuns,
+        stopReason: results.benchmarkInfo.stopReason || null,
+        endTime: results.benchmarkInfo.endTime || null,
+        averageScore: results.aggregatedResults.averageScore
+    };
+}
+
+/**
+ * Ranks setups by their best average score. A setup is an environment hash (runtime,
+ * flags, machine), or host and runtime for documents without one; results that stopped
+ * early (memory limit, interruption) do not rank.
+ * @param {object[]} entries Store entries, already filtered.
+ * @param {object} [options]
+ * @param {string} [options.workload] Rank by this workload's average score instead of the overall one.
+ * @param {number} [options.limit] Maximum number of setups.
+ * @returns {object[]} `{ rank, id, hostname, cpuModel, runtime, environmentHash, labels, score, results }` per
+ *   setup, best first; id and labels are those of the setup's best result, results is how many it has.
+ */
+function buildLeaderboard(entries, options = {}) {
+    const setups = new Map();
+    for (const entry of entries) {
+        const { results } = entry;
+        if (results.benchmarkInfo.stopReason || results.benchmarkInfo.completedRuns === 0) {
+            continue;
+        }
+        const aggregated = options.workload ? results.aggregatedResults.workloads[options.workload] : results.aggregatedResults;
+        const summary = summarizeEntry(entry);
+        const runtime = summary.runtime ? `${summary.runtime.name}@${summary.runtime.version}` : 'unknown';
+        const key = summary.environmentHash || `${summary.hostname}/${runtime}`;
+        const setup = setups.get(key);
+        if (!setup) {
+            setups.set(key, { best: summary, score: aggregated.averageScore, results: 1 });
+        } else {
+            setup.results++;
+            if (aggregated.averageScore > setup.score) {
+                setup.best = summary;
+                setup.score = aggregated.averageScore;
+            }
+        }
+    }
+    const ranked = [...setups.values()].sort((a, b) => b.score - a.score);
+    return ranked.slice(0, options.limit !== undefined && options.limit !== null ? options.limit : ranked.length).map(({ best, score, results }, index) => ({
+        rank: index + 1,
+        id: best.id,
+        hostname: best.hostname,
+        cpuModel: best.cpuModel,
+        runtime: best.runtime,
+        environmentHash: best.environmentHash,
+        labels: best.labels,
+        score,
+        results
+    }));
+}
+
+/**
+ * Reads the filters from a query string.
+ * @param {URLSearchParams} query The query.
+ * @returns {object} Filters for filterEntries().
+ */
+function parseFilters(query) {
+    const labels = {};
+    for (const [name, value] of query) {
+        if (name.startsWith('label.')) {
+            labels[name.slice('label.'.length)] = value;
+        }
+    }
+    return {
+        host: query.get('host') || null,
+        runtime: query.get('runtime') || null,
+        workload: query.get('workload') || null,
+        labels
+    };
+}
+
+/**
+ * Reads a count (a non-negative integer) from the query.
+ * @param {URLSearchParams} query The query.
+ * @param {string} name The parameter.
+ * @param {number|null} fallback Used when the parameter is absent.
+ * @returns {number|null} The value.
+ * @throws {Error} If the parameter is not a non-negative integer.
+ */
+function readCount(query, name, fallback) {
+    if (!query.has(name)) {
+        return fallback;
+    }
+    const value = Number(query.get(name));
+    if (!(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`Invalid ${name}: ${query.get(name)}`);
+    }
+    return value;
+}
+
+/**
+ * Sends a JSON answer.
+ * @param {http.ServerResponse} res The response.
+ * @param {number} statusCode The status.
+ * @param {object} body The answer.
+ */
+function sendJson(res, statusCode, body) {
+    const text = JSON.stringify(body, null, 2);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+    res.end(text);
+}
+
+/**
+ * Reads a request body, decompressing gzip.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Promise<Buffer>} The body.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const encoding = (req.headers['content-encoding'] || 'identity').toLowerCase();
+        if (encoding !== 'identity' && encoding !== 'gzip') {
+            reject(Object.assign(new Error(`Unsupported Content-Encoding '${encoding}'`), { statusCode: 415 }));
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`), { statusCode: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(encoding === 'gzip' ? zlib.gunzipSync(Buffer.concat(chunks), { maxOutputLength: MAX_BODY_BYTES }) : Buffer.concat(chunks));
+            } catch (error) {
+                reject(Object.assign(new Error(`Cannot decompress the body: ${error.message}`), { statusCode: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Checks a bearer token in constant time.
+ * @param {string|undefined} header The Authorization header.
+ * @param {string} token The expected token.
+ * @returns {boolean} True if the header carries the token.
+ */
+function hasToken(header, token) {
+    const given = Buffer.from(header || '');
+    const expected = Buffer.from(`Bearer ${token}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Creates the collector server (not yet listening).
+ * @param {object} options
+ * @param {object} options.store A store from openResultStore().
+ * @param {object|null} [options.key=null] A signing key (see lib/signing.js); signed documents must verify
+ *   against it, and entries record whether they did.
+ * @param {boolean} [options.requireSignature=false] Refuse unsigned documents (needs key).
+ * @param {string|null} [options.token=null] Bearer token that uploads must carry; reading is open.
+ * @param {object} [options.logger=console] Console-like object for one line per stored result.
+ * @returns {http.Server} The server.
+ */
+function createCollectorServer(options) {
+    const { store } = options;
+    const key = options.key || null;
+    const token = options.token || null;
+    const logger = options.logger || console;
+    if (options.requireSignature && !key) {
+        throw new Error('Requiring signatures needs a key to verify them with');
+    }
+
+    const receive = async (req, res) => {
+        if (token && !hasToken(req.headers.authorization, token)) {
+            sendJson(res, 401, { error: 'missing or wrong bearer token' });
+            return;
+        }
+        let document;
+        try {
+            document = JSON.parse((await readBody(req)).toString('utf8'));
+        } catch (error) {
+            sendJson(res, error.statusCode || 400, { error: error.statusCode ? error.message : `Invalid JSON: ${error.message}` });
+            return;
+        }
+        const problem = validateResultsDocument(document);
+        if (problem) {
+            sendJson(res, 422, { error: `Not a results document: ${problem}` });
+            return;
+        }
+
+        // A signature sent as a header is stored in the document, so the entry stays verifiable
+        const headerSignature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+        if (headerSignature) {
+            const signature = parseSignatureHeader(headerSignature);
+            if (!signature) {
+                sendJson(res, 400, { error: `Malformed ${SIGNATURE_HEADER} header` });
+                return;
+            }
+            document.signature = signature;
+        }
+        let verified = null;
+        if (key && document.signature) {
+            const verdict = verifyResults(document, key);
+            if (!verdict.valid) {
+                sendJson(res, 401, { error: `Signature rejected: ${verdict.reason}` });
+                return;
+            }
+            verified = true;
+        } else if (options.requireSignature) {
+            sendJson(res, 401, { error: 'Results must be signed' });
+            return;
+        }
+
+        const id = resultsId(document);
+        if (store.get(id)) {
+            sendJson(res, 200, { id, duplicate: true });
+            return;
+        }
+        const entry = store.append({ id, receivedAt: new Date().toISOString(), verified, results: document });
+        logger.log(`📥 Stored ${id} from ${document.systemInfo.hostname} (score ${document.aggregatedResults.averageScore.toLocaleString()}${verified ? ', signature verified' : ''})`);
+        sendJson(res, 201, { id: entry.id, verified });
+    };
+
+    const answer = (req, res, url) => {
+        const query = url.searchParams;
+        if (url.pathname === '/health') {
+            sendJson(res, 200, { status: 'ok', results: store.entries.length });
+        } else if (url.pathname === '/results') {
+            const matching = filterEntries(store.entries, parseFilters(query)).reverse();
+            const offset = readCount(query, 'offset', 0);
+            const limit = readCount(query, 'limit', DEFAULT_LIST_LIMIT);
+            sendJson(res, 200, { total: matching.length, offset, results: matching.slice(offset, offset + limit).map(summarizeEntry) });
+        } else if (url.pathname.startsWith('/results/')) {
+            let id;
+            try {
+                id = decodeURIComponent(url.pathname.slice('/results/'.length));
+            } catch (error) {
+                throw Object.assign(new Error(`Malformed result id in ${url.pathname}: ${error.message}`), { statusCode: 400 });
+            }
+            const entry = store.get(id);
+            if (entry) {
+                sendJson(res, 200, entry);
+            } else {
+                sendJson(res, 404, { error: 'No such result' });
+            }
+        } else if (url.pathname === '/leaderboard') {
+            const filters = parseFilters(query);
+            const entries = buildLeaderboard(filterEntries(store.entries, filters), { workload: filters.workload, limit: readCount(query, 'limit', null) });
+            sendJson(res, 200, { metric: filters.workload ? `aggregatedResults.workloads.${filters.workload}.averageScore` : 'aggregatedResults.averageScore', entries });
+        } else {
+            sendJson(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+        }
+    };
+
+    return http.createServer((req, res) => {
+        Promise.resolve().then(() => {
+            // Parsed in the chain: a request target that is not a URL is the client's error, not the server's
+            let url;
+            try {
+                url = new URL(req.url, 'http://collector');
+            } catch (error) {
+                throw Object.assign(new Error(`Malformed request target '${req.url}': ${error.message}`), { statusCode: 400 });
+            }
+            const isUpload = url.pathname === '/results' || url.pathname === '/';
+            if (req.method === 'POST' && isUpload) {
+                return receive(req, res);
+            }
+            if (req.method === 'GET' || req.method === 'HEAD') {
+                return answer(req, res, url);
+            }
+            res.setHeader('Allow', isUpload ? 'GET, POST' : 'GET');
+            return sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        }).catch((error) => {
+            if (!res.headersSent) {
+                sendJson(res, error.statusCode || (/^Invalid /.test(error.message) ? 400 : 500), { error: error.message });
+            }
+        });
+    });
+}
+
+export {
+    validateResultsDocument,
+    resultsId,
+    openResultStore,
+    filterEntries,
+    summarizeEntry,
+    buildLeaderboard,
+    createCollectorServer
+};
@@ -0,0 +1,218 @@
+/**
+ * Results Comparison
+ *
+ * Compares two results documents (as written with --output): a baseline and a
+ * current run. Every workload present in both is compared on its aggregated metrics,
+ * and when both sides have at least two runs the per-run values are checked with
+ * Welch's t-test, so run-to-run noise is not reported as a change.
+ *
+ * A metric regresses when it got worse by more than the threshold (in percent) and the
+ * change is significant (p < 0.05), or could not be tested because a side has a single run.
+ *
+ * Results of a thread sweep are compared on the runs with the most threads, the same
+ * runs their aggregated scores come from.
+ */
+
+import fs from 'node:fs';
+import { mean, welchTTest } from './statistics.js';
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Compared metrics: how to read them from a run, and which direction is better
+const COMPARED_METRICS = {
+    overallScore: {
+        higherIsBetter: true,
+        getValue: run => run.performanceMetrics && run.performanceMetrics.overallScore
+    },
+    calculationsPerSecond: {
+        higherIsBetter: true,
+        getValue: run => run.performanceMetrics && run.performanceMetrics.calculationsPerSecond
+    },
+    wallTimeMs: {
+        higherIsBetter: false,
+        getValue: run => run.fixedWork ? run.fixedWork.wallTimeMs : undefined
+    }
+};
+
+/**
+ * Reads a results document from disk.
+ * @param {string} filePath Path to a JSON file written with --output.
+ * @returns {object} The results document.
+ * @throws {Error} If the file cannot be read or is not a results document.
+ */
+function loadResults(filePath) {
+    const results = loadResultsDocument(filePath);
+    if (isSuiteDocument(results)) {
+        throw new Error(`'${filePath}' holds a scenario suite (${Object.keys(results.scenarios).join(', ')}); this needs the results of a single scenario (--scenario)`);
+    }
+    return results;
+}
+
+/**
+ * Checks whether a document is a scenario suite: the results of several scenarios, by name.
+ * @param {object} document A parsed results file.
+ * @returns {boolean} True for `{ suite, scenarios }` documents.
+ */
+function isSuiteDocument(document) {
+    return Boolean(document && document.suite && document.scenarios && typeof document.scenarios === 'object');
+}
+
+/**
+ * Reads a results document or a scenario suite from disk.
+ * @param {string} filePath Path to a JSON file written with --output.
+ * @returns {object} The document; a suite has `suite` and `scenarios` (results documents by scenario name).
+ * @throws {Error} If the file cannot be read or holds neither.
+ */
+function loadResultsDocument(filePath) {
+    let document;
+    try {
+        document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read results file '${filePath}': ${error.message}`);
+    }
+    const isResults = results => Boolean(results && Array.isArray(results.individualRuns) && results.aggregatedResults);
+    if (isSuiteDocument(document) ? !Object.values(document.scenarios).every(isResults) : !isResults(document)) {
+        throw new Error(`'${filePath}' is not a benchmark results file (missing individualRuns or aggregatedResults)`);
+    }
+    return document;
+}
+
+/**
+ * Collects the numeric values of one metric from the runs of one workload.
+ * @param {object} results A results document.
+ * @param {string} workload The workload name.
+ * @param {string} metric A key of COMPARED_METRICS.
+ * @returns {number[]} One value per run.
+ */
+function metricValues(results, workload, metric) {
+    const threads = primaryThreads(results);
+    return results.individualRuns
+        .filter(run => (run.workload || 'fibonacci') === workload && (run.threads || run.cpuCores) === threads)
+        .map(COMPARED_METRICS[metric].getValue)
+        .filter(value => typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Gets the thread count whose runs represent a results document: the largest one
+ * (older files without a thread count ran one thread per core).
+ * @param {object} results A results document.
+ * @returns {number} The thread count.
+ */
+function primaryThreads(results) {
+    return Math.max(...results.individualRuns.map(run => run.threads || run.cpuCores));
+}
+
+/**
+ * Lists the workloads of a results document (older files without workloads ran Fibonacci only).
+ * @param {object} results A results document.
+ * @returns {string[]} The workload names.
+ */
+function workloadsOf(results) {
+    const names = [];
+    for (const run of results.individualRuns) {
+        const name = run.workload || 'fibonacci';
+        if (!names.includes(name)) {
+            names.push(name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Compares a current results document against a baseline.
+ * @param {object} baseline The baseline results document.
+ * @param {object} current The current results document.
+ * @param {object} [options]
+ * @param {number|null} [options.threshold=null] Regression threshold in percent; without one nothing fails.
+ * @returns {object} The comparison: threshold, rows (one per workload and metric), the rows that regress
+ *   beyond the threshold, and the workloads found on only one side.
+ */
+function compareResults(baseline, current, options = {}) {
+    const threshold = options.threshold !== undefined ? options.threshold : null;
+    const baselineWorkloads = workloadsOf(baseline);
+    const currentWorkloads = workloadsOf(current);
+    const rows = [];
+
+    for (const workload of currentWorkloads.filter(name => baselineWorkloads.includes(name))) {
+        for (const [metric, definition] of Object.entries(COMPARED_METRICS)) {
+            const baselineValues = metricValues(baseline, workload, metric);
+            const currentValues = metricValues(current, workload, metric);
+            if (baselineValues.length === 0 || currentValues.length === 0) {
+                continue;
+            }
+
+            const baselineMean = mean(baselineValues);
+            const currentMean = mean(currentValues);
+            const deltaPercent = baselineMean !== 0 ? (currentMean - baselineMean) / Math.abs(baselineMean) * 100 : 0;
+            // Positive means better, whichever direction the metric improves in
+            const changePercent = definition.higherIsBetter ? deltaPercent : -deltaPercent;
+            const test = welchTTest(baselineValues, currentValues);
+            const significant = test ? test.pValue < SIGNIFICANCE_LEVEL : null;
+
+            let status = 'unchanged';
+            if (significant !== false && changePercent !== 0) {
+                status = changePercent > 0 ? 'improved' : 'regressed';
+            }
+
+            rows.push({
+                workload,
+                metric,
+                higherIsBetter: definition.higherIsBetter,
+                baseline: parseFloat(baselineMean.toFixed(2)),
+                current: parseFloat(currentMean.toFixed(2)),
+                baselineRuns: baselineValues.length,
+                currentRuns: currentValues.length,
+                deltaPercent: parseFloat(deltaPercent.toFixed(2)),
+                pValue: test ? parseFloat(test.pValue.toFixed(4)) : null,
+                significant,
+                status,
+                exceedsThreshold: status === 'regressed' && threshold !== null && -changePercent > threshold
+            });
+        }
+    }
+
+    return {
+        threshold,
+        significanceLevel: SIGNIFICANCE_LEVEL,
+        rows,
+        regressions: rows.filter(row => row.exceedsThreshold),
+        onlyInBaseline: baselineWorkloads.filter(name => !currentWorkloads.includes(name)),
+        onlyInCurrent: currentWorkloads.filter(name => !baselineWorkloads.includes(name))
+    };
+}
+
+/**
+ * Formats a comparison as a fixed-width delta table.
+ * @param {object} comparison The result of compareResults().
+ * @returns {string} The table, one line per workload and metric.
+ */
+function formatComparisonTable(comparison) {
+    const header = ['Workload', 'Metric', 'Baseline', 'Current', 'Delta', 'p-value', 'Result'];
+    const lines = comparison.rows.map(row => [
+        row.workload,
+        row.metric,
+        row.baseline.toLocaleString(),
+        row.current.toLocaleString(),
+        `${row.deltaPercent > 0 ? '+' : ''}${row.deltaPercent.toFixed(2)}%`,
+        row.pValue !== null ? row.pValue.toFixed(4) : 'n/a',
+        row.exceedsThreshold ? '❌ REGRESSION' : row.status === 'regressed' ? '⚠️  slower' : row.status === 'improved' ? '✅ faster' : '➖ no significant change'
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...lines.map(line => line[column].length)));
+    const formatLine = line => line.map((cell, column) => column >= 2 && column <= 5 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    const output = [formatLine(header), widths.map(width => '-'.repeat(width)).join('  ')];
+    for (const line of lines) {
+        output.push(formatLine(line));
+    }
+    return output.join('\n');
+}
+
+export {
+    COMPARED_METRICS,
+    loadResults,
+    loadResultsDocument,
+    isSuiteDocument,
+    compareResults,
+    formatComparisonTable
+};
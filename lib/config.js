@@ -0,0 +1,662 @@
+/**
+ * Configuration
+ *
+ * The settings of a run come from four layers, each overriding the one before:
+ *
+ *   default       built into the benchmark
+ *   config file   the JSON file given with --config
+ *   environment   FIBO_* variables, e.g. FIBO_DURATION=60 or FIBO_WORKLOADS=sha256,json
+ *   command line  options such as -d 60
+ *
+ * Every layer is checked against one schema. A wrong type, an out-of-range number or an
+ * unknown key is an error that names the setting, what was expected and where the value
+ * came from (the config file path, the variable or the option), instead of being dropped.
+ * resolveConfig() also records the layer each value came from, for --print-config.
+ *
+ * The sections `upload`, `signing`, `serve` and `runtimes` are only read from the config
+ * file; lib/upload.js and lib/signing.js add their own environment variables on top.
+ *
+ * A config file can also describe a suite: named `scenarios`, and a `matrix` whose
+ * combinations become scenarios. Each scenario overrides some run settings (duration,
+ * threads, workloads, ...); expandScenarios() lists them in the order they run.
+ */
+
+import fs from 'node:fs';
+import { PROGRESS_MODES } from './progress.js';
+import { SIGNING_ALGORITHMS } from './signing.js';
+import { parseWorkSpec } from './workloads.js';
+
+// Label names: letters, digits and . _ - (values are free-form)
+const LABEL_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// FIBO_* variables read elsewhere (lib/upload.js, lib/signing.js, `serve`), so they are not reported as unknown
+const OTHER_ENV_VARIABLES = ['FIBO_UPLOAD_TOKEN', 'FIBO_UPLOAD_HEADERS', 'FIBO_SPOOL_DIR', 'FIBO_SIGNING_KEY', 'FIBO_SIGNING_KEY_FILE', 'FIBO_COLLECTOR_TOKEN'];
+
+// Shown instead of secrets by --print-config
+const REDACTED = '********';
+
+// Headers whose values are credentials, hidden by --print-config
+const SECRET_HEADER_PATTERN = /auth|cookie|token|key|secret|password/i;
+
+// Settings a scenario can override; output, upload, baseline and the like apply to the whole suite
+const SCENARIO_SETTINGS = ['duration', 'warmup', 'maxRamMB', 'maxWorkerHeapMB', 'runs', 'workloads', 'threads', 'work', 'progress', 'labels'];
+
+// Scenario names end up in file names, so they keep to a safe set of characters
+const SCENARIO_NAME_PATTERN = /^[A-Za-z0-9_.+-]+$/;
+
+/**
+ * Describes a number type.
+ * @param {string} expected What the value must be, for error messages.
+ * @param {function(number): boolean} test Range check.
+ * @returns {object} The type: `{ expected, check, parse }`.
+ */
+function numberType(expected, test) {
+    return {
+        expected,
+        check: value => typeof value === 'number' && Number.isFinite(value) && test(value),
+        parse: text => text.trim() === '' ? NaN : Number(text)
+    };
+}
+
+/**
+ * Describes a choice between fixed strings.
+ * @param {string[]} values The allowed values.
+ * @returns {object} The type: `{ expected, check, parse }`.
+ */
+function enumType(values) {
+    return {
+        expected: `one of ${values.join(', ')}`,
+        check: value => values.includes(value),
+        parse: text => text
+    };
+}
+
+/**
+ * Splits a `name=value` label.
+ * @param {string} spec The label, e.g. "team=infra".
+ * @returns {string[]} The name and the value.
+ * @throws {Error} If there is no name or the name has other characters than letters, digits, '.', '_' and '-'.
+ */
+function parseLabelSpec(spec) {
+    const separator = spec.indexOf('=');
+    if (separator <= 0 || !LABEL_NAME_PATTERN.test(spec.slice(0, separator))) {
+        throw new Error(`Invalid label '${spec}' (expected name=value, with a name of letters, digits, '.', '_' or '-')`);
+    }
+    return [spec.slice(0, separator), spec.slice(separator + 1)];
+}
+
+const POSITIVE_NUMBER = numberType('a positive number', value => value > 0);
+const NON_NEGATIVE_NUMBER = numberType('a number of at least 0', value => value >= 0);
+const POSITIVE_INTEGER = numberType('a positive integer', value => Number.isInteger(value) && value > 0);
+const NON_NEGATIVE_INTEGER = numberType('an integer of at least 0', value => Number.isInteger(value) && value >= 0);
+const PORT = numberType('a port number from 0 to 65535', value => Number.isInteger(value) && value >= 0 && value <= 65535);
+
+const STRING = {
+    expected: 'a non-empty string',
+    check: value => typeof value === 'string' && value !== '',
+    parse: text => text
+};
+
+const BOOLEAN = {
+    expected: 'true or false',
+    check: value => typeof value === 'boolean',
+    parse: text => ({ true: true, false: false, 1: true, 0: false })[text.trim().toLowerCase()]
+};
+
+const URL_STRING = {
+    expected: 'an http:// or https:// URL',
+    check: (value) => {
+        try {
+            return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+    parse: text => text
+};
+
+const NAME_LIST = {
+    expected: 'a name or a list of names (comma-separated on the command line and in the environment)',
+    check: value => STRING.check(value) || (Array.isArray(value) && value.length > 0 && value.every(STRING.check)),
+    parse: text => text.split(',').map(name => name.trim())
+};
+
+const THREADS = {
+    expected: "a thread count, 'max' or a sweep such as \"1,2,4,max\"",
+    check: (value) => {
+        const entries = typeof value === 'string' ? value.split(',').map(entry => entry.trim()) : [].concat(value);
+        return entries.length > 0 && entries.every(entry => entry === 'max' || POSITIVE_INTEGER.check(entry) ||
+            (typeof entry === 'string' && /^\d+$/.test(entry) && Number(entry) > 0));
+    },
+    parse: text => text
+};
+
+const WORK = {
+    expected: 'a fixed-work spec such as "fib:100000x50" or { "workload", "size", "iterations" } with a known workload',
+    check: (value) => {
+        try {
+            return (typeof value === 'string' || (value !== null && typeof value === 'object' && !Array.isArray(value))) && parseWorkSpec(value) !== null;
+        } catch (error) {
+            return false;
+        }
+    },
+    parse: text => text
+};
+
+const LABELS = {
+    expected: 'an object of "name": "value" strings, with names of letters, digits, \'.\', \'_\' or \'-\'',
+    check: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([name, label]) => LABEL_NAME_PATTERN.test(name) && typeof label === 'string'),
+    parse: (text) => {
+        try {
+            return Object.fromEntries(text.split(',').filter(spec => spec.trim() !== '').map(spec => parseLabelSpec(spec.trim())));
+        } catch (error) {
+            return text;
+        }
+    }
+};
+
+const SCENARIO_NAME = {
+    expected: "a name of letters, digits, '.', '_', '+' or '-'",
+    check: value => typeof value === 'string' && SCENARIO_NAME_PATTERN.test(value)
+};
+
+const HEADERS = {
+    expected: 'an object of "Header-Name": "value" strings',
+    check: value => value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(header => typeof header === 'string')
+};
+
+const RUNTIMES = {
+    expected: 'a list of runtimes: commands ("bun"), name=command specs, or { "name", "command", "type", "args" } objects',
+    check: value => Array.isArray(value) && value.length > 0 && value.every(entry => STRING.check(entry) ||
+        (entry !== null && typeof entry === 'object' && STRING.check(entry.command) &&
+            (entry.name === undefined || STRING.check(entry.name)) &&
+            (entry.type === undefined || STRING.check(entry.type)) &&
+            (entry.args === undefined || Array.isArray(entry.args))))
+};
+
+/**
+ * The settings, by config file key. `env` and `flag` name the environment variable and
+ * command line option of settings that have one; sections list their own fields.
+ */
+const CONFIG_SCHEMA = {
+    duration: { type: POSITIVE_NUMBER, env: 'FIBO_DURATION', flag: '--duration' },
+    warmup: { type: NON_NEGATIVE_NUMBER, env: 'FIBO_WARMUP', flag: '--warmup' },
+    maxRamMB: { type: POSITIVE_INTEGER, env: 'FIBO_MAX_RAM_MB', flag: '--max-ram' },
+    maxWorkerHeapMB: { type: POSITIVE_INTEGER, env: 'FIBO_MAX_WORKER_HEAP_MB', flag: '--max-worker-heap' },
+    outputFile: { type: STRING, env: 'FIBO_OUTPUT_FILE', flag: '--output' },
+    runs: { type: POSITIVE_INTEGER, env: 'FIBO_RUNS', flag: '--runs' },
+    workloads: { type: NAME_LIST, env: 'FIBO_WORKLOADS', flag: '--workload' },
+    threads: { type: THREADS, env: 'FIBO_THREADS', flag: '--threads' },
+    work: { type: WORK, env: 'FIBO_WORK', flag: '--work' },
+    progress: { type: enumType(PROGRESS_MODES), env: 'FIBO_PROGRESS', flag: '--progress' },
+    formats: { type: NAME_LIST, env: 'FIBO_FORMATS', flag: '--format' },
+    postUrl: { type: URL_STRING, env: 'FIBO_POST_URL', flag: '--post-url', redact: redactUrl },
+    baseline: { type: STRING, env: 'FIBO_BASELINE', flag: '--baseline' },
+    failOnRegression: { type: NON_NEGATIVE_NUMBER, env: 'FIBO_FAIL_ON_REGRESSION', flag: '--fail-on-regression' },
+    labels: { type: LABELS, env: 'FIBO_LABELS', flag: '--label' },
+    runtimes: { type: RUNTIMES, flag: '--runtime' },
+    upload: {
+        fields: {
+            retries: { type: NON_NEGATIVE_INTEGER },
+            timeoutMs: { type: POSITIVE_NUMBER },
+            backoffMs: { type: POSITIVE_NUMBER },
+            maxBackoffMs: { type: POSITIVE_NUMBER },
+            gzip: { type: BOOLEAN },
+            signatureHeader: { type: BOOLEAN },
+            token: { type: STRING, secret: true },
+            tokenEnv: { type: STRING },
+            headers: { type: HEADERS, redact: redactHeaders },
+            proxy: { type: URL_STRING, redact: redactUrl },
+            noProxy: { type: STRING },
+            spoolDir: { type: STRING }
+        }
+    },
+    signing: {
+        fields: {
+            keyFile: { type: STRING },
+            keyEnv: { type: STRING },
+            algorithm: { type: enumType(SIGNING_ALGORITHMS) }
+        }
+    },
+    serve: {
+        fields: {
+            port: { type: PORT },
+            bind: { type: STRING },
+            store: { type: STRING },
+            requireSignature: { type: BOOLEAN },
+            tokenEnv: { type: STRING }
+        }
+    }
+};
+
+// Scenarios take the type of each setting they override; a matrix lists several values per setting
+const SCENARIO_FIELDS = Object.fromEntries(SCENARIO_SETTINGS.map(name => [name, { type: CONFIG_SCHEMA[name].type }]));
+CONFIG_SCHEMA.scenarios = { items: { name: { type: SCENARIO_NAME, required: true }, ...SCENARIO_FIELDS } };
+CONFIG_SCHEMA.matrix = { matrix: Object.fromEntries(Object.entries(SCENARIO_FIELDS).filter(([name]) => name !== 'labels')) };
+
+/**
+ * Computes the edit distance between two strings (insertions, deletions, substitutions).
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The distance.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the closest match for a misspelt name.
+ * @param {string} name The unknown name.
+ * @param {string[]} candidates The known names.
+ * @returns {string|null} The closest candidate, or null if none is close enough to be a typo.
+ */
+function suggestName(name, candidates) {
+    const lower = name.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    // Up to a third of the name may differ (at least two characters), but never all of it
+    return bestDistance <= Math.min(Math.max(2, Math.floor(name.length / 3)), name.length - 1) ? best : null;
+}
+
+/**
+ * Formats a rejected value for an error message.
+ * @param {*} value The value.
+ * @returns {string} The value as JSON, shortened.
+ */
+function describeValue(value) {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Checks an object against schema fields, collecting every problem.
+ * @param {object} fields Schema fields (CONFIG_SCHEMA or the fields of a section).
+ * @param {object} values The values to check.
+ * @param {string} prefix Path of the object, e.g. 'upload.' ('' at the top level).
+ * @param {string[]} problems Receives one message per problem.
+ */
+function checkFields(fields, values, prefix, problems) {
+    for (const [key, value] of Object.entries(values)) {
+        const field = fields[key];
+        if (!field) {
+            const suggestion = suggestName(key, Object.keys(fields));
+            problems.push(`${prefix}${key}: unknown setting${suggestion ? ` (did you mean '${prefix}${suggestion}'?)` : ''}`);
+        } else if (value === null) {
+            continue; // null leaves the setting unset
+        } else if (field.fields) {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                problems.push(`${prefix}${key}: expected an object, got ${describeValue(value)}`);
+            } else {
+                checkFields(field.fields, value, `${prefix}${key}.`, problems);
+            }
+        } else if (field.items) {
+            // A list of objects, e.g. scenarios
+            if (!Array.isArray(value) || value.length === 0) {
+                problems.push(`${prefix}${key}: expected a non-empty list of objects, got ${describeValue(value)}`);
+                continue;
+            }
+            value.forEach((item, index) => {
+                const itemPath = `${prefix}${key}[${index}]`;
+                if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+                    problems.push(`${itemPath}: expected an object, got ${describeValue(item)}`);
+                    return;
+                }
+                for (const name of Object.keys(field.items).filter(name => field.items[name].required && item[name] === undefined)) {
+                    problems.push(`${itemPath}.${name}: missing`);
+                }
+                checkFields(field.items, item, `${itemPath}.`, problems);
+            });
+        } else if (field.matrix) {
+            // Lists of values by setting, e.g. { "duration": [5, 30], "threads": [1, "max"] }
+            if (typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+                problems.push(`${prefix}${key}: expected an object of settings with lists of values, got ${describeValue(value)}`);
+                continue;
+            }
+            for (const [name, values] of Object.entries(value)) {
+                const setting = field.matrix[name];
+                if (!setting) {
+                    const suggestion = suggestName(name, Object.keys(field.matrix));
+                    problems.push(`${prefix}${key}.${name}: unknown setting${suggestion ? ` (did you mean '${prefix}${key}.${suggestion}'?)` : ''}`);
+                } else if (!Array.isArray(values) || values.length === 0) {
+                    problems.push(`${prefix}${key}.${name}: expected a non-empty list of values, got ${describeValue(values)}`);
+                } else {
+                    values.forEach((entry, index) => {
+                        if (!setting.type.check(entry)) {
+                            problems.push(`${prefix}${key}.${name}[${index}]: ${describeProblem(setting, entry)}`);
+                        }
+                    });
+                }
+            }
+        } else if (!field.type.check(value)) {
+            problems.push(`${prefix}${key}: ${describeProblem(field, value)}`);
+        }
+    }
+}
+
+/**
+ * Checks a config object against the schema.
+ * @param {object} config The parsed config file.
+ * @returns {string[]} One message per problem (empty when the config is valid), e.g.
+ *   "duration: expected a positive number, got \"60s\"".
+ */
+function validateConfig(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        return [`expected a JSON object of settings, got ${describeValue(config)}`];
+    }
+    const problems = [];
+    checkFields(CONFIG_SCHEMA, config, '', problems);
+    if (problems.length === 0) {
+        try {
+            expandScenarios(config);
+        } catch (error) {
+            problems.push(error.message);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Formats a matrix value for a scenario name.
+ * @param {*} value A setting value, e.g. 30, "1,2,max", ["sha256", "json"] or a fixed-work object.
+ * @returns {string} The value with lists joined by '+' and other unsafe characters replaced by '-'.
+ */
+function formatMatrixValue(value) {
+    const text = value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? `${value.workload}:${value.size ? `${value.size}x` : ''}${value.iterations}`
+        : [].concat(value).join('+');
+    return text.replace(/,/g, '+').replace(/[^A-Za-z0-9_.+-]/g, '-');
+}
+
+/**
+ * Lists the scenarios of a config: the named `scenarios` first, then one per combination
+ * of the `matrix` values, named after them (e.g. "duration-5_threads-1").
+ * @param {object} config Settings with `scenarios` and/or `matrix` (validated).
+ * @returns {Array<{name: string, settings: object}>} The scenarios in the order they run; empty
+ *   without a suite.
+ * @throws {Error} If two scenarios have the same name.
+ */
+function expandScenarios({ scenarios = null, matrix = null }) {
+    const expanded = (scenarios || []).map(({ name, ...settings }) => ({ name, settings }));
+    if (matrix) {
+        let combinations = [{}];
+        for (const [name, values] of Object.entries(matrix)) {
+            combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value })));
+        }
+        expanded.push(...combinations.map(settings => ({
+            name: Object.entries(settings).map(([name, value]) => `${name}-${formatMatrixValue(value)}`).join('_'),
+            settings
+        })));
+    }
+
+    const names = new Set();
+    for (const { name } of expanded) {
+        if (names.has(name)) {
+            throw new Error(`scenarios: duplicate scenario name '${name}'`);
+        }
+        names.add(name);
+    }
+    return expanded;
+}
+
+/**
+ * Picks a scenario by name, for --scenario.
+ * @param {Array<{name: string, settings: object}>} scenarios The scenarios from expandScenarios().
+ * @param {string} name The scenario name.
+ * @returns {{name: string, settings: object}} The scenario.
+ * @throws {Error} If there are no scenarios or none has the name; the message lists the names.
+ */
+function selectScenario(scenarios, name) {
+    if (scenarios.length === 0) {
+        throw new Error(`--scenario ${name}: the config file defines no scenarios (add "scenarios" or "matrix")`);
+    }
+    const scenario = scenarios.find(candidate => candidate.name === name);
+    if (!scenario) {
+        const suggestion = suggestName(name, scenarios.map(candidate => candidate.name));
+        throw new Error(`Unknown scenario '${name}'${suggestion ? ` (did you mean '${suggestion}'?)` : ''}. Scenarios: ${scenarios.map(candidate => candidate.name).join(', ')}`);
+    }
+    return scenario;
+}
+
+/**
+ * Reads and validates a JSON config file.
+ * @param {string} configPath The file path.
+ * @returns {object} The settings in the file.
+ * @throws {Error} If the file cannot be read, is not JSON, or has invalid or unknown settings;
+ *   the message names the file and every problem.
+ */
+function loadConfigFile(configPath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load config file '${configPath}': ${error.message}`);
+    }
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+        throw new Error(`Invalid config file '${configPath}':\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+    return config;
+}
+
+/**
+ * Parses the text of a setting, as given on the command line or in the environment.
+ * @param {string} name The setting, e.g. 'duration' or 'serve.port'.
+ * @param {string} text The text.
+ * @param {string} origin Where the text came from, for the error message, e.g. "-d" or "FIBO_DURATION".
+ * @returns {*} The value.
+ * @throws {Error} If the text is not a valid value for the setting.
+ */
+function parseSettingValue(name, text, origin) {
+    const [section, key] = name.split('.');
+    const field = key ? CONFIG_SCHEMA[section].fields[key] : CONFIG_SCHEMA[name];
+    const value = field.type.parse(text);
+    if (!field.type.check(value)) {
+        throw new Error(`Invalid value for ${origin}: ${describeProblem(field, text)}`);
+    }
+    return value;
+}
+
+/**
+ * Describes a value that does not fit a setting.
+ * @param {object} field The schema field.
+ * @param {*} value The rejected value (or text).
+ * @returns {string} E.g. 'expected a positive number, got "abc"'.
+ */
+function describeProblem(field, value) {
+    return `expected ${field.type.expected}, got ${describeValue(value)}`;
+}
+
+/**
+ * Reads the settings given as FIBO_* environment variables (see CONFIG_SCHEMA). Empty
+ * variables are ignored; unknown FIBO_* variables are warned about, with a suggestion.
+ * @param {object} [env=process.env] The environment.
+ * @param {object} [logger=console] Console-like object for warnings.
+ * @returns {object} The settings, by config file key.
+ * @throws {Error} If a variable has an invalid value; the message lists every invalid variable.
+ */
+function readEnvironmentConfig(env = process.env, logger = console) {
+    const settings = {};
+    const problems = [];
+    const variables = Object.keys(CONFIG_SCHEMA).filter(name => CONFIG_SCHEMA[name].env);
+    for (const name of variables) {
+        const field = CONFIG_SCHEMA[name];
+        const text = env[field.env];
+        if (text === undefined || text.trim() === '') {
+            continue;
+        }
+        const value = field.type.parse(text);
+        if (field.type.check(value)) {
+            settings[name] = value;
+        } else {
+            problems.push(`${field.env}: ${describeProblem(field, text)}`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid environment variables:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    const known = [...variables.map(name => CONFIG_SCHEMA[name].env), ...OTHER_ENV_VARIABLES];
+    for (const variable of Object.keys(env).filter(key => key.startsWith('FIBO_') && !known.includes(key))) {
+        const suggestion = suggestName(variable, known);
+        logger.warn(`Warning: Unknown environment variable ${variable}${suggestion ? ` (did you mean ${suggestion}?)` : ''} - ignoring`);
+    }
+    return settings;
+}
+
+/**
+ * Merges the layers: defaults, then the config file, the environment and the command line.
+ * Labels merge by name; every other setting is taken whole from the last layer that sets it
+ * (null and undefined leave it unset).
+ * @param {object} layers
+ * @param {object} layers.defaults Default values, by config file key.
+ * @param {object|null} [layers.file=null] Settings from loadConfigFile().
+ * @param {string|null} [layers.filePath=null] The config file path.
+ * @param {object} [layers.env={}] Settings from readEnvironmentConfig().
+ * @param {object} [layers.cli={}] Settings from the command line, by config file key.
+ * @returns {{values: object, sources: object}} The merged settings, and where each came from by
+ *   setting (labels by `labels.<name>`): 'default', 'config file <path>', 'environment <variable>'
+ *   or 'command line <option>'.
+ */
+function resolveConfig({ defaults, file = null, filePath = null, env = {}, cli = {} }) {
+    const layers = [
+        { settings: file || {}, source: () => `config file ${filePath}` },
+        { settings: env, source: name => `environment ${CONFIG_SCHEMA[name].env}` },
+        { settings: cli, source: name => `command line ${CONFIG_SCHEMA[name].flag}` }
+    ];
+    const values = {};
+    const sources = {};
+    for (const name of Object.keys(CONFIG_SCHEMA)) {
+        if (name === 'labels') {
+            values.labels = { ...defaults.labels };
+            for (const layer of layers) {
+                for (const [label, value] of Object.entries(layer.settings.labels || {})) {
+                    values.labels[label] = value;
+                    sources[`labels.${label}`] = layer.source(name);
+                }
+            }
+            if (Object.keys(values.labels).length === 0) {
+                sources.labels = 'default';
+            }
+            continue;
+        }
+        values[name] = defaults[name] !== undefined ? defaults[name] : null;
+        sources[name] = 'default';
+        for (const layer of layers) {
+            if (layer.settings[name] !== undefined && layer.settings[name] !== null) {
+                values[name] = layer.settings[name];
+                sources[name] = layer.source(name);
+            }
+        }
+    }
+    return { values, sources };
+}
+
+/**
+ * Removes the user name and password from a URL, for display.
+ * @param {string} url The URL.
+ * @returns {string} The URL without its userinfo.
+ */
+function redactUrl(url) {
+    return url.replace(/^([a-z][a-z0-9+.-]*:\/\/)[^/?#@]*@/i, '$1');
+}
+
+/**
+ * Hides the values of credential headers (Authorization, Cookie, *token*, *key*, ...), for display.
+ * @param {object} headers Header values by name.
+ * @returns {object} A copy with those values replaced.
+ */
+function redactHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, SECRET_HEADER_PATTERN.test(name) ? REDACTED : value]));
+}
+
+/**
+ * Hides one setting if it is a secret (upload.token), or the secret parts of it (credentials
+ * in URLs and headers).
+ * @param {object} field The schema entry.
+ * @param {*} value The value.
+ * @returns {*} The value to show.
+ */
+function redactValue(field, value) {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    if (field.secret) {
+        return REDACTED;
+    }
+    return field.redact ? field.redact(value) : value;
+}
+
+/**
+ * Replaces secrets (such as upload.token, credential headers and URL userinfo) in merged
+ * settings, for display.
+ * @param {object} values Settings from resolveConfig().
+ * @returns {object} A copy with secrets replaced.
+ */
+function redactSecrets(values) {
+    const redacted = { ...values };
+    for (const [name, field] of Object.entries(CONFIG_SCHEMA)) {
+        if (field.fields && redacted[name]) {
+            redacted[name] = { ...redacted[name] };
+            for (const [key, sectionField] of Object.entries(field.fields)) {
+                if (key in redacted[name]) {
+                    redacted[name][key] = redactValue(sectionField, redacted[name][key]);
+                }
+            }
+        } else if (name in redacted) {
+            redacted[name] = redactValue(field, redacted[name]);
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Formats merged settings as a table of setting, value and source, for --print-config.
+ * @param {{values: object, sources: object}} config The result of resolveConfig().
+ * @returns {string} The table.
+ */
+function formatEffectiveConfig({ values, sources }) {
+    const shown = redactSecrets(values);
+    const rows = Object.keys(sources).map((setting) => {
+        const value = setting.startsWith('labels.') ? shown.labels[setting.slice('labels.'.length)] : shown[setting];
+        return [setting, value === null ? '(not set)' : JSON.stringify(value), sources[setting]];
+    });
+    const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length), column === 0 ? 'Setting'.length : 'Value'.length));
+    return [
+        '⚙️  Effective configuration (each layer overrides the one before: default, config file, environment, command line)',
+        '',
+        `  ${'Setting'.padEnd(widths[0])}  ${'Value'.padEnd(widths[1])}  Source`,
+        ...rows.map(([setting, value, source]) => `  ${setting.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${source}`)
+    ].join('\n');
+}
+
+export {
+    CONFIG_SCHEMA,
+    LABEL_NAME_PATTERN,
+    parseLabelSpec,
+    suggestName,
+    validateConfig,
+    loadConfigFile,
+    parseSettingValue,
+    expandScenarios,
+    selectScenario,
+    readEnvironmentConfig,
+    resolveConfig,
+    redactSecrets,
+    formatEffectiveConfig
+};
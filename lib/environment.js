@@ -0,0 +1,123 @@
+/**
+ * Runtime Identity and Execution Environment
+ *
+ * Records which JavaScript runtime produced a results document (Node.js, Deno or Bun),
+ * its version and engine, how it was started (flags, arguments) and the environment
+ * variables that change how it performs. The environment hash condenses the parts
+ * that define a setup into a short stable key, so results from identical setups can be
+ * grouped without comparing every field.
+ */
+
+import crypto from 'node:crypto';
+import os from 'node:os';
+
+// Environment variables that change runtime behaviour or performance
+const RELEVANT_ENV_VARS = ['NODE_OPTIONS', 'UV_THREADPOOL_SIZE', 'NODE_ENV', 'DENO_V8_FLAGS', 'DENO_JOBS'];
+
+// Prefixes of engine tuning variables (JavaScriptCore options in Bun)
+const RELEVANT_ENV_PREFIXES = ['BUN_JSC_'];
+
+/**
+ * Identifies the runtime this code is running in.
+ * @returns {{name: string, version: string|null, engine: string, engineVersion: string|null}} The
+ *   runtime name ('node', 'deno' or 'bun'), its version, and its JavaScript engine and engine version.
+ */
+function identifyRuntime() {
+    if (typeof Deno !== 'undefined' && Deno.version) {
+        return { name: 'deno', version: Deno.version.deno, engine: 'V8', engineVersion: Deno.version.v8 || null };
+    }
+    const versions = typeof process !== 'undefined' && process.versions ? process.versions : {};
+    if (typeof Bun !== 'undefined' || versions.bun) {
+        return { name: 'bun', version: versions.bun || (typeof Bun !== 'undefined' ? Bun.version : null), engine: 'JavaScriptCore', engineVersion: versions.webkit || null };
+    }
+    return { name: 'node', version: versions.node || null, engine: 'V8', engineVersion: versions.v8 || null };
+}
+
+/**
+ * Collects the relevant environment variables that are set.
+ * @param {object} [env=process.env] The environment to read.
+ * @returns {object} Variable names and values, sorted by name.
+ */
+function collectEnvironmentVariables(env = process.env) {
+    const variables = {};
+    let names;
+    try {
+        names = Object.keys(env);
+    } catch (error) {
+        // Deno without --allow-env
+        return variables;
+    }
+    for (const name of names.sort()) {
+        if (RELEVANT_ENV_VARS.includes(name) || RELEVANT_ENV_PREFIXES.some(prefix => name.startsWith(prefix))) {
+            variables[name] = env[name];
+        }
+    }
+    return variables;
+}
+
+/**
+ * Serializes a value as JSON with object keys in sorted order, so equal values always
+ * give the same text.
+ * @param {*} value The value.
+ * @returns {string} The canonical JSON.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Computes the environment hash: the first 16 hex digits of a SHA-256 over the runtime,
+ * engine, flags, platform, relevant environment variables and the machine (CPU model,
+ * usable cores, RAM and kernel). Hostname, load, arguments and timestamps are left out,
+ * so repeated runs of one setup share a hash.
+ * @param {object} environment The environment from collectEnvironment().
+ * @param {object} [machine={}] Machine properties to include, e.g. from getSystemInfo().
+ * @returns {string} The hash.
+ */
+function hashEnvironment(environment, machine = {}) {
+    const key = {
+        runtime: environment.runtime,
+        execArgv: environment.execArgv,
+        platform: environment.platform,
+        arch: environment.arch,
+        osRelease: environment.osRelease,
+        variables: environment.variables,
+        machine
+    };
+    return crypto.createHash('sha256').update(canonicalJson(key)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Collects the runtime identity and execution environment of this process.
+ * @param {object} [machine={}] Machine properties that identify the setup (see hashEnvironment).
+ * @returns {object} `{ runtime, execPath, execArgv, argv, platform, arch, osRelease, variables, hash }`.
+ */
+function collectEnvironment(machine = {}) {
+    const environment = {
+        runtime: identifyRuntime(),
+        execPath: process.execPath || null,
+        execArgv: Array.isArray(process.execArgv) ? process.execArgv.slice() : [],
+        argv: process.argv.slice(2),
+        platform: process.platform,
+        arch: process.arch,
+        osRelease: os.release(),
+        variables: collectEnvironmentVariables()
+    };
+    environment.hash = hashEnvironment(environment, machine);
+    return environment;
+}
+
+export {
+    RELEVANT_ENV_VARS,
+    identifyRuntime,
+    collectEnvironmentVariables,
+    canonicalJson,
+    hashEnvironment,
+    collectEnvironment
+};
@@ -0,0 +1,484 @@
+/**
+ * Output Formats
+ *
+ * Serializers that turn a results document (as returned by runBenchmark) into the
+ * text of one output file. Every format is built from the same results object, so
+ * they can be written side by side:
+ *
+ * - json:       the complete results document, pretty-printed
+ * - csv:        one row per run, for spreadsheets and dashboards
+ * - markdown:   summary and per-run tables, for wikis and pull requests
+ * - junit:      JUnit XML, one test case per run with its metrics as properties
+ * - prometheus: Prometheus text exposition format, for node_exporter's textfile collector
+ */
+
+const METRIC_PREFIX = 'fibonacci_benchmark';
+
+const FORMATS = {
+    json: {
+        extension: '.json',
+        description: 'Complete results document',
+        serialize: results => JSON.stringify(results, null, 2)
+    },
+    csv: {
+        extension: '.csv',
+        description: 'One row per run',
+        serialize: toCsv
+    },
+    markdown: {
+        aliases: ['md'],
+        extension: '.md',
+        description: 'Summary and run tables',
+        serialize: toMarkdown
+    },
+    junit: {
+        aliases: ['xml'],
+        extension: '.xml',
+        description: 'JUnit XML, one test case per run',
+        serialize: toJUnit
+    },
+    prometheus: {
+        aliases: ['prom'],
+        extension: '.prom',
+        description: 'Prometheus text exposition format',
+        serialize: toPrometheus
+    }
+};
+
+const DEFAULT_FORMATS = ['json'];
+
+/**
+ * Reads a GC statistic of a run.
+ * @param {object} run A run result.
+ * @param {string} field 'count', 'totalPauseMs' or 'maxPauseMs'.
+ * @returns {number|null} The value, or null if the runtime did not report GC events.
+ */
+function gcValue(run, field) {
+    return run.gc && run.gc.supported ? run.gc[field] : null;
+}
+
+// Per-run columns of the CSV serializer
+const RUN_COLUMNS = [
+    ['runNumber', run => run.runNumber],
+    ['workload', run => run.workload],
+    ['timestamp', run => run.timestamp],
+    ['hostname', run => run.hostname],
+    ['cpuModel', run => run.cpuModel],
+    ['cpuCores', run => run.cpuCores],
+    ['threads', run => run.threads],
+    ['mode', run => run.configuration.mode],
+    ['actualDurationMs', run => run.configuration.actualDurationMs],
+    ['totalCalculations', run => run.totalCalculations],
+    ['calculationsPerSecond', run => run.performanceMetrics.calculationsPerSecond],
+    ['parallelEfficiency', run => run.performanceMetrics.parallelEfficiency],
+    ['memoryEfficiency', run => run.performanceMetrics.memoryEfficiency],
+    ['overallScore', run => run.performanceMetrics.overallScore],
+    ['wallTimeMs', run => run.fixedWork ? run.fixedWork.wallTimeMs : null],
+    ['peakMemory', run => run.memoryUsage.peak.rss],
+    ['peakRssBytes', run => run.memoryUsage.peakBytes ? run.memoryUsage.peakBytes.rss : null],
+    ['gcCount', run => gcValue(run, 'count')],
+    ['gcPauseMs', run => gcValue(run, 'totalPauseMs')],
+    ['gcMaxPauseMs', run => gcValue(run, 'maxPauseMs')],
+    ['outlier', run => run.outlier ? ['iqr', 'mad'].filter(rule => run.outlier[rule]).join('+') : '']
+];
+
+/**
+ * Gets the names of all output formats.
+ * @returns {string[]} Format names.
+ */
+function getFormatNames() {
+    return Object.keys(FORMATS);
+}
+
+/**
+ * Resolves a format selection into a list of unique format names.
+ * Accepts an array or a comma-separated string, and aliases such as "md".
+ * @param {string|string[]} selection The requested formats.
+ * @returns {string[]} The resolved format names.
+ * @throws {Error} If a format is unknown.
+ */
+function resolveFormats(selection) {
+    const requested = (Array.isArray(selection) ? selection : String(selection).split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(name => name.length > 0);
+
+    const names = [];
+    for (const name of requested) {
+        const formatName = getFormatNames().find(candidate =>
+            candidate === name || (FORMATS[candidate].aliases || []).includes(name));
+        if (!formatName) {
+            throw new Error(`Unknown output format '${name}'. Available formats: ${getFormatNames().join(', ')}`);
+        }
+        if (!names.includes(formatName)) {
+            names.push(formatName);
+        }
+    }
+    return names.length > 0 ? names : DEFAULT_FORMATS.slice();
+}
+
+/**
+ * Serializes a results document in one format.
+ * @param {object} results The results document.
+ * @param {string} format A format name from getFormatNames().
+ * @returns {string} The file content.
+ */
+function serializeResults(results, format) {
+    return FORMATS[format].serialize(results);
+}
+
+/**
+ * Gets the file extension of a format, including the dot.
+ * @param {string} format A format name from getFormatNames().
+ * @returns {string} The extension, e.g. ".csv".
+ */
+function getFormatExtension(format) {
+    return FORMATS[format].extension;
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180).
+ * @param {*} value The field value.
+ * @returns {string} The CSV field.
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV serializer: a header and one row per run.
+ * @param {object} results The results document.
+ * @returns {string} The CSV text.
+ */
+function toCsv(results) {
+    const lines = [RUN_COLUMNS.map(([name]) => name).join(',')];
+    for (const run of results.individualRuns) {
+        lines.push(RUN_COLUMNS.map(([, getValue]) => csvField(getValue(run))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes text for a Markdown table cell.
+ * @param {*} value The cell value.
+ * @returns {string} The cell text.
+ */
+function markdownCell(value) {
+    if (value === null || value === undefined || value === '') {
+        return '-';
+    }
+    return (typeof value === 'number' ? value.toLocaleString('en-US') : String(value)).replace(/\|/g, '\\|');
+}
+
+/**
+ * Builds a Markdown table.
+ * @param {string[]} header Column titles.
+ * @param {Array<Array<*>>} rows Cell values.
+ * @returns {string} The table.
+ */
+function markdownTable(header, rows) {
+    return [
+        `| ${header.join(' | ')} |`,
+        `| ${header.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Markdown serializer: system summary, per-workload statistics and the runs.
+ * @param {object} results The results document.
+ * @returns {string} The Markdown text.
+ */
+function toMarkdown(results) {
+    const { benchmarkInfo, systemInfo, configuration, aggregatedResults } = results;
+    const formatMean = statistics => {
+        if (!statistics) {
+            return '-';
+        }
+        const margin = statistics.confidenceInterval95 ? ` ± ${Math.round(statistics.confidenceInterval95.margin).toLocaleString('en-US')}` : '';
+        return `${Math.round(statistics.mean).toLocaleString('en-US')}${margin}`;
+    };
+
+    const sections = [
+        '# Benchmark Results',
+        markdownTable(['Property', 'Value'], [
+            ['Host', systemInfo.hostname],
+            ['CPU', `${systemInfo.cpuModel} (${systemInfo.hostCpuCores && systemInfo.hostCpuCores !== systemInfo.cpuCores ? `${systemInfo.cpuCores} of ${systemInfo.hostCpuCores}` : systemInfo.cpuCores} cores)`],
+            ['Runtime', results.environment ? `${results.environment.runtime.name} ${results.environment.runtime.version} (${results.environment.runtime.engine} ${results.environment.runtime.engineVersion})` : null],
+            ['Environment Hash', results.environment ? results.environment.hash : null],
+            ['RAM', systemInfo.hostRAM && systemInfo.hostRAM !== systemInfo.totalRAM ? `${systemInfo.totalRAM} of ${systemInfo.hostRAM}` : systemInfo.totalRAM],
+            ['Mode', configuration.mode],
+            ['Runs', `${benchmarkInfo.completedRuns} of ${benchmarkInfo.totalRuns}`],
+            ['Stopped', benchmarkInfo.stopReason ? `${benchmarkInfo.stopReason}${benchmarkInfo.limitExceeded ? ` (${benchmarkInfo.limitExceeded.workerId !== null ? `worker ${benchmarkInfo.limitExceeded.workerId}` : 'process'}, ${benchmarkInfo.limitExceeded.limitMB} MB, ${benchmarkInfo.limitExceeded.phase})` : ''}` : null],
+            ['Started', benchmarkInfo.startTime]
+        ].filter(([, value]) => value !== null)),
+        '## Summary',
+        markdownTable(
+            ['Workload', 'Average Score (95% CI)', 'Median', 'Std Dev', 'CV %', 'Best', 'Worst'],
+            Object.entries(aggregatedResults.workloads || {}).map(([workload, aggregated]) => {
+                const statistics = aggregated.statistics && aggregated.statistics.overallScore;
+                return [
+                    workload,
+                    formatMean(statistics),
+                    statistics ? Math.round(statistics.median) : null,
+                    statistics && statistics.stdDev !== null ? Math.round(statistics.stdDev) : null,
+                    statistics ? statistics.coefficientOfVariationPercent : null,
+                    aggregated.bestScore,
+                    aggregated.worstScore
+                ];
+            })
+        ),
+        '## Runs',
+        markdownTable(
+            ['Run', 'Workload', 'Threads', 'Duration (ms)', 'Calculations', 'Calc/s', 'Score', 'Peak Memory', 'GCs', 'GC Pause (ms)', 'Outlier'],
+            results.individualRuns.map(run => [
+                run.runNumber,
+                run.workload,
+                run.threads,
+                run.configuration.actualDurationMs,
+                run.totalCalculations,
+                run.performanceMetrics.calculationsPerSecond,
+                run.performanceMetrics.overallScore,
+                run.memoryUsage.peak.rss,
+                gcValue(run, 'count'),
+                gcValue(run, 'totalPauseMs'),
+                run.outlier && (run.outlier.iqr || run.outlier.mad) ? 'yes' : ''
+            ])
+        )
+    ];
+
+    const scaling = aggregatedResults.scaling;
+    if (scaling && scaling.threadCounts.length > 1) {
+        sections.push('## Scaling', markdownTable(
+            ['Workload', 'Threads', 'Runs', 'Average Score', 'Calc/s', 'Speed-up', 'Efficiency %'],
+            Object.entries(scaling.workloads).flatMap(([workload, workloadScaling]) => workloadScaling.threads.map(level => [
+                workload,
+                level.threads,
+                level.runs,
+                level.averageScore,
+                level.averageCalculationsPerSecond,
+                level.speedup,
+                level.parallelEfficiencyPercent
+            ]))
+        ));
+    }
+
+    if (results.baselineComparison) {
+        sections.push('## Baseline Comparison', markdownTable(
+            ['Workload', 'Metric', 'Baseline', 'Current', 'Delta %', 'p-value', 'Result'],
+            results.baselineComparison.rows.map(row => [
+                row.workload,
+                row.metric,
+                row.baseline,
+                row.current,
+                row.deltaPercent,
+                row.pValue,
+                row.exceedsThreshold ? 'regression' : row.status
+            ])
+        ));
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+/**
+ * Escapes text for an XML attribute.
+ * @param {*} value The attribute value.
+ * @returns {string} The escaped text.
+ */
+function xmlAttribute(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats JUnit <property> elements.
+ * @param {object} properties Property names and values; null values are skipped.
+ * @param {string} indent Leading whitespace.
+ * @returns {string[]} The XML lines.
+ */
+function junitProperties(properties, indent) {
+    const lines = [`${indent}<properties>`];
+    for (const [name, value] of Object.entries(properties)) {
+        if (value !== null && value !== undefined) {
+            lines.push(`${indent}  <property name="${xmlAttribute(name)}" value="${xmlAttribute(value)}"/>`);
+        }
+    }
+    lines.push(`${indent}</properties>`);
+    return lines;
+}
+
+/**
+ * JUnit XML serializer: one test suite per workload and one test case per run, with
+ * the run's metrics as properties. A baseline comparison becomes its own suite in which
+ * every regression beyond the threshold is a failure.
+ * @param {object} results The results document.
+ * @returns {string} The XML text.
+ */
+function toJUnit(results) {
+    const workloads = [...new Set(results.individualRuns.map(run => run.workload))];
+    const comparison = results.baselineComparison;
+    const totalTests = results.individualRuns.length + (comparison ? comparison.rows.length : 0);
+    const totalFailures = comparison ? comparison.regressions.length : 0;
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${METRIC_PREFIX}" tests="${totalTests}" failures="${totalFailures}" time="${(results.benchmarkInfo.totalDurationMs / 1000).toFixed(3)}">`
+    ];
+
+    for (const workload of workloads) {
+        const runs = results.individualRuns.filter(run => run.workload === workload);
+        const time = runs.reduce((sum, run) => sum + run.configuration.actualDurationMs, 0) / 1000;
+        lines.push(`  <testsuite name="${xmlAttribute(workload)}" tests="${runs.length}" failures="0" errors="0" time="${time.toFixed(3)}" timestamp="${xmlAttribute(results.benchmarkInfo.startTime)}" hostname="${xmlAttribute(results.systemInfo.hostname)}">`);
+        lines.push(...junitProperties({
+            cpuModel: results.systemInfo.cpuModel,
+            cpuCores: results.systemInfo.cpuCores,
+            totalRAM: results.systemInfo.totalRAM,
+            mode: results.configuration.mode
+        }, '    '));
+        const sweep = new Set(runs.map(run => run.threads)).size > 1;
+        for (const run of runs) {
+            lines.push(`    <testcase classname="${METRIC_PREFIX}.${xmlAttribute(workload)}" name="run ${run.runNumber}${sweep ? ` (${run.threads} threads)` : ''}" time="${(run.configuration.actualDurationMs / 1000).toFixed(3)}">`);
+            lines.push(...junitProperties({
+                overallScore: run.performanceMetrics.overallScore,
+                calculationsPerSecond: run.performanceMetrics.calculationsPerSecond,
+                totalCalculations: run.totalCalculations,
+                threads: run.threads,
+                parallelEfficiency: run.performanceMetrics.parallelEfficiency,
+                memoryEfficiency: run.performanceMetrics.memoryEfficiency,
+                wallTimeMs: run.fixedWork ? run.fixedWork.wallTimeMs : null,
+                peakMemory: run.memoryUsage.peak.rss,
+                peakRssBytes: run.memoryUsage.peakBytes ? run.memoryUsage.peakBytes.rss : null,
+                gcCount: gcValue(run, 'count'),
+                gcPauseMs: gcValue(run, 'totalPauseMs'),
+                gcMaxPauseMs: gcValue(run, 'maxPauseMs')
+            }, '      '));
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+
+    if (comparison) {
+        lines.push(`  <testsuite name="baseline-comparison" tests="${comparison.rows.length}" failures="${comparison.regressions.length}" errors="0" time="0">`);
+        for (const row of comparison.rows) {
+            lines.push(`    <testcase classname="${METRIC_PREFIX}.baseline.${xmlAttribute(row.workload)}" name="${xmlAttribute(row.metric)}" time="0">`);
+            lines.push(...junitProperties({
+                baseline: row.baseline,
+                current: row.current,
+                deltaPercent: row.deltaPercent,
+                pValue: row.pValue
+            }, '      '));
+            if (row.exceedsThreshold) {
+                lines.push(`      <failure message="${xmlAttribute(`${row.metric} regressed by ${row.deltaPercent}% (threshold ${comparison.threshold}%)`)}" type="regression"/>`);
+            }
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {*} value The label value.
+ * @returns {string} The escaped value.
+ */
+function prometheusLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Prometheus serializer: gauges per run and per workload, in the text exposition format.
+ * @param {object} results The results document.
+ * @returns {string} The exposition text.
+ */
+function toPrometheus(results) {
+    const hostname = results.systemInfo.hostname;
+    const families = [];
+    const addFamily = (name, help, samples) => {
+        const present = samples.filter(sample => typeof sample.value === 'number' && Number.isFinite(sample.value));
+        if (present.length > 0) {
+            families.push({ name: `${METRIC_PREFIX}_${name}`, help, samples: present });
+        }
+    };
+    const labelsOf = labels => Object.entries({ hostname, ...labels })
+        .map(([name, value]) => `${name}="${prometheusLabel(value)}"`)
+        .join(',');
+
+    addFamily('info', 'Machine the benchmark ran on (always 1)', [{
+        labels: {
+            cpu_model: results.systemInfo.cpuModel,
+            cpu_cores: results.systemInfo.cpuCores,
+            mode: results.configuration.mode,
+            ...(results.environment ? {
+                runtime: results.environment.runtime.name,
+                runtime_version: results.environment.runtime.version,
+                environment_hash: results.environment.hash
+            } : {})
+        },
+        value: 1
+    }]);
+
+    const runSamples = getValue => results.individualRuns.map(run => ({
+        labels: { workload: run.workload, threads: run.threads, run: run.runNumber },
+        value: getValue(run)
+    }));
+    addFamily('run_score', 'Overall score of a run', runSamples(run => run.performanceMetrics.overallScore));
+    addFamily('run_calculations_per_second', 'Iterations per second of a run', runSamples(run => run.performanceMetrics.calculationsPerSecond));
+    addFamily('run_calculations', 'Iterations completed in the measured window of a run', runSamples(run => run.totalCalculations));
+    addFamily('run_duration_seconds', 'Measured duration of a run', runSamples(run => run.configuration.actualDurationMs / 1000));
+    addFamily('run_wall_time_seconds', 'Time to complete the fixed work of a run', runSamples(run => run.fixedWork ? run.fixedWork.wallTimeMs / 1000 : null));
+    addFamily('run_peak_rss_bytes', 'Peak resident set size of the benchmark process during a run', runSamples(run => run.memoryUsage.peakBytes ? run.memoryUsage.peakBytes.rss : null));
+    addFamily('run_gc_collections', 'Garbage collections in the workers of a run', runSamples(run => gcValue(run, 'count')));
+    addFamily('run_gc_pause_seconds', 'Total garbage collection pause time in the workers of a run', runSamples(run => gcValue(run, 'totalPauseMs') !== null ? gcValue(run, 'totalPauseMs') / 1000 : null));
+    addFamily('run_gc_max_pause_seconds', 'Longest garbage collection pause in the workers of a run', runSamples(run => gcValue(run, 'maxPauseMs') !== null ? gcValue(run, 'maxPauseMs') / 1000 : null));
+
+    const workloadSamples = getValue => Object.entries(results.aggregatedResults.workloads || {}).map(([workload, aggregated]) => ({
+        labels: { workload },
+        value: getValue(aggregated)
+    }));
+    const scoreStatistic = key => aggregated => aggregated.statistics && aggregated.statistics.overallScore ? aggregated.statistics.overallScore[key] : null;
+    addFamily('score_mean', 'Mean overall score across runs', workloadSamples(scoreStatistic('mean')));
+    addFamily('score_median', 'Median overall score across runs', workloadSamples(scoreStatistic('median')));
+    addFamily('score_stddev', 'Sample standard deviation of the overall score', workloadSamples(scoreStatistic('stdDev')));
+    addFamily('score_ci95_margin', 'Half-width of the 95% confidence interval of the mean score', workloadSamples(aggregated => {
+        const interval = scoreStatistic('confidenceInterval95')(aggregated);
+        return interval ? interval.margin : null;
+    }));
+    addFamily('runs', 'Number of runs per workload', workloadSamples(aggregated => aggregated.statistics && aggregated.statistics.overallScore ? aggregated.statistics.overallScore.count : 0));
+
+    const scaling = results.aggregatedResults.scaling;
+    const scalingSamples = getValue => scaling ? Object.entries(scaling.workloads).flatMap(([workload, workloadScaling]) => workloadScaling.threads.map(level => ({
+        labels: { workload, threads: level.threads },
+        value: getValue(level)
+    }))) : [];
+    addFamily('scaling_speedup', 'Throughput relative to one thread', scalingSamples(level => level.speedup));
+    addFamily('scaling_parallel_efficiency_percent', 'Speed-up divided by the thread count, in percent', scalingSamples(level => level.parallelEfficiencyPercent));
+
+    const lines = [];
+    for (const family of families) {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} gauge`);
+        for (const sample of family.samples) {
+            lines.push(`${family.name}{${labelsOf(sample.labels)}} ${sample.value}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+export {
+    FORMATS,
+    DEFAULT_FORMATS,
+    getFormatNames,
+    getFormatExtension,
+    resolveFormats,
+    serializeResults
+};
@@ -0,0 +1,338 @@
+/**
+ * Hardware Fingerprint
+ *
+ * Collects what is needed to tell two machines apart when comparing their scores:
+ * CPU identity (vendor, family, model, stepping), frequencies, cache sizes, the split
+ * into sockets, physical cores and SMT threads, NUMA nodes, the kernel, the load at
+ * start, the virtualization layer and the frequency scaling governor.
+ *
+ * On Linux the details come from /proc/cpuinfo and /sys/devices/system; elsewhere only
+ * what the os module offers is filled in and the rest is null. Every root directory can
+ * be overridden, so the collection can run against a fake directory tree.
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseCpuList } from './cgroups.js';
+
+const DEFAULT_PROC_ROOT = '/proc';
+const DEFAULT_SYS_ROOT = '/sys';
+const DEFAULT_ROOT_DIR = '/';
+
+// ARM cores report an implementer code instead of a vendor string
+const ARM_IMPLEMENTERS = {
+    '0x41': 'ARM',
+    '0x42': 'Broadcom',
+    '0x43': 'Cavium',
+    '0x46': 'Fujitsu',
+    '0x48': 'HiSilicon',
+    '0x4e': 'NVIDIA',
+    '0x51': 'Qualcomm',
+    '0x61': 'Apple',
+    '0xc0': 'Ampere'
+};
+
+// DMI vendor/product patterns of common hypervisors and clouds, checked in order
+const HYPERVISOR_PATTERNS = [
+    [/QEMU/i, 'QEMU'],
+    [/KVM/i, 'KVM'],
+    [/VMware/i, 'VMware'],
+    [/VirtualBox|innotek/i, 'VirtualBox'],
+    [/Microsoft Corporation.*Virtual Machine/i, 'Hyper-V'],
+    [/Amazon EC2/i, 'Amazon EC2'],
+    [/Google/i, 'Google Compute Engine'],
+    [/Xen/i, 'Xen'],
+    [/Parallels/i, 'Parallels'],
+    [/Bochs/i, 'Bochs']
+];
+
+/**
+ * Reads a small proc or sysfs file.
+ * @param {string} filePath The file.
+ * @returns {string|null} The trimmed contents, or null if it cannot be read.
+ */
+function readValue(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lists the entries of a directory whose names match a pattern.
+ * @param {string} directory The directory.
+ * @param {RegExp} pattern Pattern with the entry's number as first group.
+ * @returns {string[]} Matching entry names, in numeric order.
+ */
+function listNumbered(directory, pattern) {
+    let entries;
+    try {
+        entries = fs.readdirSync(directory);
+    } catch (error) {
+        return [];
+    }
+    return entries
+        .filter(entry => pattern.test(entry))
+        .sort((a, b) => parseInt(a.match(pattern)[1]) - parseInt(b.match(pattern)[1]));
+}
+
+/**
+ * Parses an integer field that may be decimal or hex ("0xd0c").
+ * @param {string|undefined} value The field value.
+ * @returns {number|null} The number, or null if absent.
+ */
+function parseNumber(value) {
+    const number = value !== undefined ? parseInt(value) : NaN;
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parses /proc/cpuinfo.
+ * @param {string|null} text The file contents.
+ * @returns {object|null} The CPU identity and topology, or null without processor entries.
+ */
+function parseCpuInfo(text) {
+    const processors = [];
+    for (const block of (text || '').split(/\n\s*\n/)) {
+        const fields = {};
+        for (const line of block.split('\n')) {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        }
+        if (fields.processor !== undefined) {
+            processors.push(fields);
+        }
+    }
+    if (processors.length === 0) {
+        return null;
+    }
+
+    const first = processors[0];
+    const sockets = new Set(processors.map(fields => fields['physical id']).filter(id => id !== undefined));
+    const cores = new Set(processors.filter(fields => fields['core id'] !== undefined).map(fields => `${fields['physical id']}:${fields['core id']}`));
+    const frequencies = processors.map(fields => parseFloat(fields['cpu MHz'])).filter(Number.isFinite);
+    const implementer = first['CPU implementer'];
+
+    return {
+        vendor: first.vendor_id || (implementer ? ARM_IMPLEMENTERS[implementer.toLowerCase()] || implementer : null),
+        modelName: first['model name'] || first.Processor || null,
+        family: parseNumber(first['cpu family'] !== undefined ? first['cpu family'] : first['CPU architecture']),
+        model: parseNumber(first.model !== undefined ? first.model : first['CPU part']),
+        stepping: parseNumber(first.stepping !== undefined ? first.stepping : first['CPU revision']),
+        logicalProcessors: processors.length,
+        sockets: sockets.size > 0 ? sockets.size : null,
+        physicalCores: cores.size > 0 ? cores.size : null,
+        currentMHz: frequencies.length > 0 ? frequencies.reduce((sum, mhz) => sum + mhz, 0) / frequencies.length : null,
+        hypervisorFlag: (first.flags || first.Features || '').split(/\s+/).includes('hypervisor')
+    };
+}
+
+/**
+ * Parses a sysfs cache size such as "48K" or "105M".
+ * @param {string|null} text The size.
+ * @returns {number|null} The size in bytes.
+ */
+function parseCacheSize(text) {
+    const match = (text || '').match(/^(\d+)\s*([KMG]?)/i);
+    if (!match) {
+        return null;
+    }
+    const multipliers = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+    return parseInt(match[1]) * multipliers[match[2].toUpperCase()];
+}
+
+/**
+ * Reads the CPU topology from /sys/devices/system/cpu.
+ * @param {string} cpuDirectory The sysfs CPU directory.
+ * @returns {object|null} Logical processors, sockets and physical cores, or null without sysfs.
+ */
+function readTopology(cpuDirectory) {
+    const cpus = listNumbered(cpuDirectory, /^cpu(\d+)$/);
+    if (cpus.length === 0) {
+        return null;
+    }
+    const sockets = new Set();
+    const cores = new Set();
+    for (const cpu of cpus) {
+        const socket = readValue(path.join(cpuDirectory, cpu, 'topology', 'physical_package_id'));
+        const core = readValue(path.join(cpuDirectory, cpu, 'topology', 'core_id'));
+        if (socket !== null) {
+            sockets.add(socket);
+        }
+        if (core !== null) {
+            cores.add(`${socket}:${core}`);
+        }
+    }
+    return {
+        logicalProcessors: cpus.length,
+        sockets: sockets.size > 0 ? sockets.size : null,
+        physicalCores: cores.size > 0 ? cores.size : null
+    };
+}
+
+/**
+ * Reads the caches seen by the first CPU.
+ * @param {string} cpuDirectory The sysfs CPU directory.
+ * @returns {object} Sizes in bytes by cache name (L1d, L1i, L2, L3); empty without sysfs.
+ */
+function readCaches(cpuDirectory) {
+    const cacheDirectory = path.join(cpuDirectory, 'cpu0', 'cache');
+    const caches = {};
+    for (const index of listNumbered(cacheDirectory, /^index(\d+)$/)) {
+        const level = readValue(path.join(cacheDirectory, index, 'level'));
+        const type = readValue(path.join(cacheDirectory, index, 'type'));
+        const size = parseCacheSize(readValue(path.join(cacheDirectory, index, 'size')));
+        if (level === null || size === null) {
+            continue;
+        }
+        const suffix = type === 'Data' ? 'd' : type === 'Instruction' ? 'i' : '';
+        caches[`L${level}${suffix}`] = size;
+    }
+    return caches;
+}
+
+/**
+ * Reads the frequencies (in MHz) and the scaling governor from cpufreq.
+ * @param {string} cpuDirectory The sysfs CPU directory.
+ * @returns {object} `{ baseMHz, maxMHz, currentMHz, governor }`, null where cpufreq has no value.
+ */
+function readFrequencies(cpuDirectory) {
+    const kiloHertz = value => value !== null && Number.isFinite(parseInt(value)) ? parseInt(value) / 1000 : null;
+    const cpufreq = path.join(cpuDirectory, 'cpu0', 'cpufreq');
+    const current = listNumbered(cpuDirectory, /^cpu(\d+)$/)
+        .map(cpu => kiloHertz(readValue(path.join(cpuDirectory, cpu, 'cpufreq', 'scaling_cur_freq'))))
+        .filter(mhz => mhz !== null);
+    return {
+        baseMHz: kiloHertz(readValue(path.join(cpufreq, 'base_frequency'))),
+        maxMHz: kiloHertz(readValue(path.join(cpufreq, 'cpuinfo_max_freq'))),
+        currentMHz: current.length > 0 ? current.reduce((sum, mhz) => sum + mhz, 0) / current.length : null,
+        governor: readValue(path.join(cpufreq, 'scaling_governor'))
+    };
+}
+
+/**
+ * Reads the NUMA nodes and their CPUs.
+ * @param {string} sysRoot The sysfs root.
+ * @returns {object[]} One `{ node, cpus, cpuList }` entry per node; empty without NUMA information.
+ */
+function readNumaNodes(sysRoot) {
+    const nodeDirectory = path.join(sysRoot, 'devices', 'system', 'node');
+    return listNumbered(nodeDirectory, /^node(\d+)$/).map(node => {
+        const cpuList = readValue(path.join(nodeDirectory, node, 'cpulist'));
+        return {
+            node: parseInt(node.slice('node'.length)),
+            cpus: parseCpuList(cpuList),
+            cpuList: cpuList
+        };
+    });
+}
+
+/**
+ * Detects the hypervisor and container the process runs in.
+ * @param {object} roots `{ procRoot, sysRoot, rootDir }`.
+ * @param {boolean} hypervisorFlag Whether /proc/cpuinfo has the hypervisor flag.
+ * @returns {{hypervisor: string|null, container: string|null}} What was found; null for bare metal
+ *   or no container. An unidentified hypervisor is reported as 'unknown'.
+ */
+function detectVirtualization(roots, hypervisorFlag) {
+    const dmi = ['sys_vendor', 'product_name', 'bios_vendor']
+        .map(name => readValue(path.join(roots.sysRoot, 'class', 'dmi', 'id', name)))
+        .filter(Boolean)
+        .join(' ');
+    const xen = readValue(path.join(roots.sysRoot, 'hypervisor', 'type'));
+    const match = HYPERVISOR_PATTERNS.find(([pattern]) => pattern.test(dmi));
+
+    let hypervisor = null;
+    if (match) {
+        hypervisor = match[1];
+    } else if (xen) {
+        hypervisor = xen === 'xen' ? 'Xen' : xen;
+    } else if (hypervisorFlag) {
+        hypervisor = 'unknown';
+    }
+
+    let container = null;
+    const initCgroup = readValue(path.join(roots.procRoot, '1', 'cgroup')) || '';
+    if (fs.existsSync(path.join(roots.rootDir, '.dockerenv'))) {
+        container = 'docker';
+    } else if (fs.existsSync(path.join(roots.rootDir, 'run', '.containerenv'))) {
+        container = 'podman';
+    } else if (/kubepods/.test(initCgroup)) {
+        container = 'kubernetes';
+    } else if (/docker|containerd|lxc/.test(initCgroup)) {
+        container = initCgroup.match(/docker|containerd|lxc/)[0];
+    }
+
+    return { hypervisor, container };
+}
+
+/**
+ * Collects the hardware fingerprint of this machine.
+ * @param {object} [options]
+ * @param {string} [options.procRoot='/proc'] Root of the proc file system.
+ * @param {string} [options.sysRoot='/sys'] Root of the sysfs file system.
+ * @param {string} [options.rootDir='/'] File system root (for container marker files).
+ * @returns {object} The fingerprint: cpu (vendor, modelName, family, model, stepping, frequencies,
+ *   caches, sockets, physicalCores, logicalProcessors, threadsPerCore), numaNodes, kernel,
+ *   loadAverage, virtualization and governor.
+ */
+function collectHardwareInfo(options = {}) {
+    const roots = {
+        procRoot: options.procRoot || DEFAULT_PROC_ROOT,
+        sysRoot: options.sysRoot || DEFAULT_SYS_ROOT,
+        rootDir: options.rootDir || DEFAULT_ROOT_DIR
+    };
+    const cpuDirectory = path.join(roots.sysRoot, 'devices', 'system', 'cpu');
+    const cpus = os.cpus() || [];
+
+    const cpuInfo = parseCpuInfo(readValue(path.join(roots.procRoot, 'cpuinfo'))) || {};
+    const topology = readTopology(cpuDirectory) || {};
+    const frequencies = readFrequencies(cpuDirectory);
+
+    const modelName = cpuInfo.modelName || (cpus[0] && cpus[0].model) || null;
+    const nominal = modelName ? modelName.match(/@\s*([\d.]+)\s*GHz/i) : null;
+    const osSpeeds = cpus.map(cpu => cpu.speed).filter(speed => speed > 0);
+    const logicalProcessors = topology.logicalProcessors || cpuInfo.logicalProcessors || cpus.length || null;
+    const physicalCores = topology.physicalCores || cpuInfo.physicalCores || null;
+    const round = value => value !== null && value !== undefined ? Math.round(value) : null;
+
+    return {
+        cpu: {
+            vendor: cpuInfo.vendor || null,
+            modelName: modelName,
+            family: cpuInfo.family !== undefined ? cpuInfo.family : null,
+            model: cpuInfo.model !== undefined ? cpuInfo.model : null,
+            stepping: cpuInfo.stepping !== undefined ? cpuInfo.stepping : null,
+            baseMHz: round(frequencies.baseMHz !== null ? frequencies.baseMHz : nominal ? parseFloat(nominal[1]) * 1000 : null),
+            maxMHz: round(frequencies.maxMHz),
+            currentMHz: round(frequencies.currentMHz !== null ? frequencies.currentMHz
+                : cpuInfo.currentMHz !== undefined && cpuInfo.currentMHz !== null ? cpuInfo.currentMHz
+                    : osSpeeds.length > 0 ? osSpeeds.reduce((sum, speed) => sum + speed, 0) / osSpeeds.length : null),
+            caches: readCaches(cpuDirectory),
+            sockets: topology.sockets || cpuInfo.sockets || null,
+            physicalCores: physicalCores,
+            logicalProcessors: logicalProcessors,
+            threadsPerCore: physicalCores && logicalProcessors ? logicalProcessors / physicalCores : null
+        },
+        numaNodes: readNumaNodes(roots.sysRoot),
+        kernel: {
+            type: os.type(),
+            release: os.release(),
+            version: typeof os.version === 'function' ? os.version() : null,
+            arch: os.arch()
+        },
+        loadAverage: os.loadavg().map(load => parseFloat(load.toFixed(2))),
+        virtualization: detectVirtualization(roots, Boolean(cpuInfo.hypervisorFlag)),
+        governor: frequencies.governor
+    };
+}
+
+export {
+    parseCpuInfo,
+    parseCacheSize,
+    collectHardwareInfo
+};
@@ -0,0 +1,157 @@
+/**
+ * Results History
+ *
+ * Gathers the results of earlier runs into one timeline, oldest first: results files
+ * written with --output, the results files in a directory, and the JSON-lines store of
+ * `serve`. A scenario suite adds one entry per scenario. A result found in several places
+ * (saved and also uploaded) is listed once, by its id (resultsId() in lib/collector.js).
+ *
+ * Each entry is compared with the previous one of its series: the same setup (environment
+ * hash, or host and runtime, as on the leaderboard) with the same workloads, threads and
+ * scenario, so a change is never measured against a different machine or workload. Results
+ * that stopped early are listed but never serve as the reference.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { filterEntries, openResultStore, resultsId, summarizeEntry, validateResultsDocument } from './collector.js';
+import { isSuiteDocument, loadResultsDocument } from './compare.js';
+
+/**
+ * Lists the results documents of a suite or a single results document.
+ * @param {object} document A parsed results file.
+ * @returns {Array<{scenario: string|null, results: object}>} One item per results document.
+ */
+function splitDocument(document) {
+    return isSuiteDocument(document)
+        ? Object.entries(document.scenarios).map(([scenario, results]) => ({ scenario, results }))
+        : [{ scenario: null, results: document }];
+}
+
+/**
+ * Reads the results held by one path.
+ * @param {string} filePath A results file, a JSON-lines store (.jsonl) or a directory of them.
+ * @param {object} logger Console-like object for warnings.
+ * @param {boolean} [named=true] Whether the path was named by the user: then a file that is not a
+ *   results document is an error, while files found in a directory that are not are skipped.
+ * @returns {Array<{id: string, source: string, receivedAt: string|null, verified: boolean|null, scenario: string|null,
+ *   results: object}>} The results.
+ * @throws {Error} If a named path is missing or a named file is not a results document.
+ */
+function readResults(filePath, logger, named = true) {
+    if (named && !fs.existsSync(filePath)) {
+        throw new Error(`No such file or directory: ${filePath}`);
+    }
+    if (fs.statSync(filePath).isDirectory()) {
+        return fs.readdirSync(filePath)
+            .filter(name => /\.jsonl?$/.test(name))
+            .sort()
+            .flatMap(name => readResults(path.join(filePath, name), logger, false));
+    }
+    if (filePath.endsWith('.jsonl')) {
+        return openResultStore(filePath, logger).entries
+            .filter(entry => entry.results && validateResultsDocument(entry.results) === null)
+            .map(entry => ({ id: entry.id, source: filePath, receivedAt: entry.receivedAt || null, verified: entry.verified, scenario: entry.results.benchmarkInfo.scenario || null, results: entry.results }));
+    }
+
+    let document;
+    try {
+        document = loadResultsDocument(filePath);
+    } catch (error) {
+        if (named) {
+            throw error;
+        }
+        return [];
+    }
+    return splitDocument(document)
+        .filter(({ results }) => {
+            const problem = validateResultsDocument(results);
+            if (problem && named) {
+                throw new Error(`'${filePath}' is not a results document: ${problem}`);
+            }
+            return problem === null;
+        })
+        .map(({ scenario, results }) => ({ id: resultsId(results), source: filePath, receivedAt: null, verified: null, scenario, results }));
+}
+
+/**
+ * Builds the history of the results in the given files, stores and directories.
+ * @param {string[]} paths Results files, JSON-lines stores and directories.
+ * @param {object} [options]
+ * @param {string} [options.host] Only results from this host.
+ * @param {object} [options.labels] Only results carrying these labels.
+ * @param {number} [options.limit] Only the most recent entries.
+ * @param {object} [options.logger=console] Console-like object for warnings.
+ * @returns {object[]} Entries, oldest first: the summary of lib/collector.js (id, hostname, runtime,
+ *   workloads, averageScore, ...) with source, scenario, threads and changePercent (against the
+ *   previous result of the series; null for the first).
+ * @throws {Error} If a path is missing or a named file is not a results document.
+ */
+function buildHistory(paths, options = {}) {
+    const logger = options.logger || console;
+    const seen = new Set();
+    const found = paths.flatMap(filePath => readResults(filePath, logger)).filter(({ id }) => {
+        if (seen.has(id)) {
+            return false;
+        }
+        seen.add(id);
+        return true;
+    });
+
+    const entries = filterEntries(found, { host: options.host || null, labels: options.labels || {} })
+        .map(({ source, scenario, results, ...entry }) => ({
+            ...summarizeEntry({ ...entry, results }),
+            source,
+            scenario,
+            threads: (results.configuration && results.configuration.threads) || null
+        }))
+        .sort((a, b) => String(a.endTime || a.receivedAt || '').localeCompare(String(b.endTime || b.receivedAt || '')));
+
+    const previous = new Map();
+    for (const entry of entries) {
+        const runtime = entry.runtime ? `${entry.runtime.name}@${entry.runtime.version}` : 'unknown';
+        const series = [entry.environmentHash || `${entry.hostname}/${runtime}`, entry.workloads.join(','), [].concat(entry.threads).join(','), entry.scenario].join('|');
+        const reference = previous.get(series);
+        entry.changePercent = reference ? parseFloat(((entry.averageScore - reference) / reference * 100).toFixed(2)) : null;
+        if (!entry.stopReason && entry.completedRuns > 0) {
+            previous.set(series, entry.averageScore);
+        }
+    }
+    return options.limit ? entries.slice(-options.limit) : entries;
+}
+
+/**
+ * Formats history entries as a plain-text table.
+ * @param {object[]} entries Entries from buildHistory().
+ * @returns {string} The table.
+ */
+function formatHistoryTable(entries) {
+    const header = ['Date', 'Host', 'Runtime', 'Workloads', 'Threads', 'Score', 'Change', 'Source'];
+    const lines = entries.map(entry => [
+        (entry.endTime || entry.receivedAt || '').replace('T', ' ').slice(0, 16),
+        entry.hostname,
+        entry.runtime ? `${entry.runtime.name} ${entry.runtime.version}` : 'unknown',
+        entry.workloads.join(',') + (entry.scenario ? ` (${entry.scenario})` : ''),
+        entry.threads !== null ? [].concat(entry.threads).join(',') : 'n/a',
+        Math.round(entry.averageScore).toLocaleString() + (entry.stopReason ? ' *' : ''),
+        entry.changePercent !== null ? `${entry.changePercent > 0 ? '+' : ''}${entry.changePercent.toFixed(2)}%` : '',
+        entry.source
+    ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...lines.map(line => line[column].length)));
+    const formatLine = line => line.map((cell, column) => column === 5 || column === 6 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    const output = [formatLine(header), widths.map(width => '-'.repeat(width)).join('  ')];
+    for (const line of lines) {
+        output.push(formatLine(line));
+    }
+    if (entries.some(entry => entry.stopReason)) {
+        output.push('* stopped early (memory limit or interruption), not used as a reference');
+    }
+    return output.join('\n');
+}
+
+export {
+    buildHistory,
+    formatHistoryTable
+};
@@ -0,0 +1,138 @@
+/**
+ * Shared-Memory Progress Counters
+ *
+ * Instead of posting a message after every iteration, workers increment their own
+ * slot in a SharedArrayBuffer with Atomics, and the main thread reads the counters
+ * whenever it needs a total. A second shared buffer carries the phase signals from the
+ * main thread to the workers: the start of the measured phase (fixed-work runs start
+ * their share on it, and every worker counts GC from it) and the stop signal, which
+ * workers answer with a single final message.
+ *
+ * Layout:
+ * - counters: BigInt64Array, one slot per worker (completed iterations)
+ * - control:  Int32Array, slot 0 is the stop flag (0 = running, 1 = stop requested),
+ *             slot 1 is the measure flag (0 = warming up, 1 = measured phase started)
+ */
+
+// How workers report progress: Atomics counters in shared memory, or one postMessage per iteration
+const PROGRESS_MODES = ['shared', 'message'];
+
+const STOP_FLAG_INDEX = 0;
+const MEASURE_FLAG_INDEX = 1;
+const CONTROL_SLOTS = 2;
+
+/**
+ * Checks whether the runtime supports SharedArrayBuffer and Atomics on BigInt64Array.
+ * @returns {boolean} True if shared-memory progress reporting can be used.
+ */
+function isSharedProgressSupported() {
+    return typeof SharedArrayBuffer === 'function' &&
+        typeof Atomics === 'object' &&
+        typeof BigInt64Array === 'function';
+}
+
+/**
+ * Allocates the shared buffers for a set of workers. The returned object only holds
+ * SharedArrayBuffers, so it can be passed to every worker through workerData.
+ * @param {number} workerCount Number of workers that report progress.
+ * @returns {{counterBuffer: SharedArrayBuffer, controlBuffer: SharedArrayBuffer}} The shared buffers.
+ */
+function createProgressBuffers(workerCount) {
+    return {
+        counterBuffer: new SharedArrayBuffer(workerCount * BigInt64Array.BYTES_PER_ELEMENT),
+        controlBuffer: new SharedArrayBuffer(CONTROL_SLOTS * Int32Array.BYTES_PER_ELEMENT)
+    };
+}
+
+/**
+ * Creates typed views over shared buffers from createProgressBuffers().
+ * @param {object} buffers The shared buffers.
+ * @returns {{counters: BigInt64Array, control: Int32Array}} The progress views.
+ */
+function openProgress(buffers) {
+    return {
+        counters: new BigInt64Array(buffers.counterBuffer),
+        control: new Int32Array(buffers.controlBuffer)
+    };
+}
+
+/**
+ * Records one completed iteration for a worker.
+ * @param {object} progress Views from openProgress().
+ * @param {number} workerId The worker's slot.
+ */
+function recordIteration(progress, workerId) {
+    Atomics.add(progress.counters, workerId, 1n);
+}
+
+/**
+ * Reads the completed iterations of every worker.
+ * @param {object} progress Views from openProgress().
+ * @returns {number[]} Completed iterations, indexed by worker id.
+ */
+function readCounts(progress) {
+    const counts = [];
+    for (let i = 0; i < progress.counters.length; i++) {
+        counts.push(Number(Atomics.load(progress.counters, i)));
+    }
+    return counts;
+}
+
+/**
+ * Asks all workers to stop after their current iteration.
+ * @param {object} progress Views from openProgress().
+ */
+function requestStop(progress) {
+    Atomics.store(progress.control, STOP_FLAG_INDEX, 1);
+}
+
+/**
+ * Checks whether the main thread asked the workers to stop.
+ * @param {object} progress Views from openProgress().
+ * @returns {boolean} True once a stop was requested.
+ */
+function isStopRequested(progress) {
+    return Atomics.load(progress.control, STOP_FLAG_INDEX) !== 0;
+}
+
+/**
+ * Tells all workers that the measured phase has started and wakes workers that
+ * are blocked in waitForMeasure().
+ * @param {object} progress Views from openProgress().
+ */
+function requestMeasure(progress) {
+    Atomics.store(progress.control, MEASURE_FLAG_INDEX, 1);
+    Atomics.notify(progress.control, MEASURE_FLAG_INDEX);
+}
+
+/**
+ * Checks whether the measured phase has started.
+ * @param {object} progress Views from openProgress().
+ * @returns {boolean} True once the main thread started the measured phase.
+ */
+function isMeasureRequested(progress) {
+    return Atomics.load(progress.control, MEASURE_FLAG_INDEX) !== 0;
+}
+
+/**
+ * Blocks the calling worker until the measured phase starts.
+ * Must not be called on the main thread.
+ * @param {object} progress Views from openProgress().
+ */
+function waitForMeasure(progress) {
+    Atomics.wait(progress.control, MEASURE_FLAG_INDEX, 0);
+}
+
+export {
+    PROGRESS_MODES,
+    isSharedProgressSupported,
+    createProgressBuffers,
+    openProgress,
+    recordIteration,
+    readCounts,
+    requestStop,
+    isStopRequested,
+    requestMeasure,
+    isMeasureRequested,
+    waitForMeasure
+};
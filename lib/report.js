@@ -0,0 +1,441 @@
+/**
+ * HTML Report
+ *
+ * Renders one or more results documents (as written with --output) into a single,
+ * self-contained HTML file for sharing: system information and a run table per file,
+ * bar charts comparing the files (e.g. one per runtime), a box plot of the run scores,
+ * and memory over time for runs that recorded memory samples.
+ *
+ * Charts are inline SVG and styles are inline CSS; the file loads nothing from the
+ * network and runs no scripts, so it works offline and in air-gapped environments.
+ * Documents from older versions render with whatever they contain.
+ */
+
+import { quantile } from './statistics.js';
+
+const PALETTE = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+const CHART_WIDTH = 760;
+const LABEL_WIDTH = 180;
+const ROW_HEIGHT = 30;
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 0 auto; max-width: 1000px; padding: 24px; line-height: 1.45; }
+h1 { margin-bottom: 4px; }
+h2 { border-bottom: 2px solid #e5e7eb; padding-bottom: 4px; margin-top: 40px; }
+.meta { color: #6b7280; margin-top: 0; }
+table { border-collapse: collapse; margin: 12px 0; font-size: 14px; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: left; }
+th { background: #f9fafb; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+tr.partial td { color: #9a3412; background: #fff7ed; }
+.swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; }
+svg { display: block; margin: 12px 0; font-size: 12px; }
+svg text { fill: #374151; }
+@media print { h2 { break-before: page; } }
+`;
+
+/**
+ * Escapes text for HTML and SVG.
+ * @param {*} value The value.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Formats a number for display.
+ * @param {number|null|undefined} value The number.
+ * @param {number} [digits=0] Decimal places.
+ * @returns {string} The formatted number, or '–' when missing.
+ */
+function formatNumber(value, digits = 0) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return '–';
+    }
+    return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Picks a round axis maximum and tick step for values up to max.
+ * @param {number} max The largest value.
+ * @returns {{max: number, step: number}} The axis maximum and the tick step.
+ */
+function niceScale(max) {
+    if (!(max > 0)) {
+        return { max: 1, step: 0.25 };
+    }
+    const magnitude = 10 ** Math.floor(Math.log10(max));
+    const step = [0.1, 0.2, 0.25, 0.5, 1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => max / candidate <= 5);
+    return { max: Math.ceil(max / step) * step, step };
+}
+
+/**
+ * Draws vertical grid lines with tick labels for a horizontal value axis.
+ * @param {{max: number, step: number}} scale The axis.
+ * @param {number} top Top of the plot area.
+ * @param {number} bottom Bottom of the plot area.
+ * @param {function(number): number} x Maps a value to a position.
+ * @param {function(number): string} format Formats a tick value.
+ * @returns {string} SVG elements.
+ */
+function valueAxis(scale, top, bottom, x, format) {
+    const ticks = [];
+    for (let value = 0; value <= scale.max + scale.step / 2; value += scale.step) {
+        ticks.push(`<line x1="${x(value)}" x2="${x(value)}" y1="${top}" y2="${bottom}" stroke="#e5e7eb"/>` +
+            `<text x="${x(value)}" y="${bottom + 14}" text-anchor="middle">${escapeHtml(format(value))}</text>`);
+    }
+    return ticks.join('');
+}
+
+/**
+ * Renders a horizontal bar chart, with error bars where a bar has lower and upper bounds.
+ * @param {object} chart
+ * @param {string} chart.title The chart title.
+ * @param {Array<{label: string, value: number, lower?: number, upper?: number, color: string}>} chart.bars The bars.
+ * @param {function(number): string} [chart.format] Formats values.
+ * @returns {string} The SVG.
+ */
+function barChart({ title, bars, format = value => formatNumber(value) }) {
+    const top = 30;
+    const height = top + bars.length * ROW_HEIGHT + 24;
+    const scale = niceScale(Math.max(...bars.map(bar => Math.max(bar.value, bar.upper || 0))));
+    const plotWidth = CHART_WIDTH - LABEL_WIDTH - 90;
+    const x = value => LABEL_WIDTH + value / scale.max * plotWidth;
+    const bottom = top + bars.length * ROW_HEIGHT;
+
+    const rows = bars.map((bar, index) => {
+        const y = top + index * ROW_HEIGHT;
+        const errorBar = typeof bar.lower === 'number' && typeof bar.upper === 'number'
+            ? `<line x1="${x(Math.max(0, bar.lower))}" x2="${x(bar.upper)}" y1="${y + ROW_HEIGHT / 2}" y2="${y + ROW_HEIGHT / 2}" stroke="#111827" stroke-width="1.5"/>` +
+              `<line x1="${x(Math.max(0, bar.lower))}" x2="${x(Math.max(0, bar.lower))}" y1="${y + 9}" y2="${y + ROW_HEIGHT - 9}" stroke="#111827"/>` +
+              `<line x1="${x(bar.upper)}" x2="${x(bar.upper)}" y1="${y + 9}" y2="${y + ROW_HEIGHT - 9}" stroke="#111827"/>`
+            : '';
+        return `<text x="${LABEL_WIDTH - 8}" y="${y + ROW_HEIGHT / 2 + 4}" text-anchor="end">${escapeHtml(bar.label)}</text>` +
+            `<rect x="${x(0)}" y="${y + 5}" width="${Math.max(0, x(bar.value) - x(0))}" height="${ROW_HEIGHT - 10}" fill="${bar.color}"><title>${escapeHtml(`${bar.label}: ${format(bar.value)}`)}</title></rect>` +
+            errorBar +
+            `<text x="${x(Math.max(bar.value, bar.upper || 0)) + 6}" y="${y + ROW_HEIGHT / 2 + 4}">${escapeHtml(format(bar.value))}</text>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${height}" role="img" aria-label="${escapeHtml(title)}">` +
+        `<text x="0" y="16" font-weight="bold" font-size="14">${escapeHtml(title)}</text>` +
+        valueAxis(scale, top, bottom, x, format) +
+        rows.join('') +
+        `</svg>`;
+}
+
+/**
+ * Renders horizontal box plots: box from the first to the third quartile with the median,
+ * whiskers to the furthest values within 1.5 IQR, and the values beyond as dots.
+ * @param {object} chart
+ * @param {string} chart.title The chart title.
+ * @param {Array<{label: string, values: number[], color: string}>} chart.groups One box per group.
+ * @param {function(number): string} [chart.format] Formats values.
+ * @returns {string} The SVG.
+ */
+function boxPlot({ title, groups, format = value => formatNumber(value) }) {
+    const top = 30;
+    const height = top + groups.length * ROW_HEIGHT + 24;
+    const scale = niceScale(Math.max(...groups.flatMap(group => group.values)));
+    const plotWidth = CHART_WIDTH - LABEL_WIDTH - 40;
+    const x = value => LABEL_WIDTH + value / scale.max * plotWidth;
+    const bottom = top + groups.length * ROW_HEIGHT;
+
+    const rows = groups.map((group, index) => {
+        const y = top + index * ROW_HEIGHT;
+        const middle = y + ROW_HEIGHT / 2;
+        const sorted = [...group.values].sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const q3 = quantile(sorted, 0.75);
+        const median = quantile(sorted, 0.5);
+        const fence = 1.5 * (q3 - q1);
+        const inside = sorted.filter(value => value >= q1 - fence && value <= q3 + fence);
+        const low = inside[0];
+        const high = inside[inside.length - 1];
+        const summary = `${group.label}: n=${sorted.length}, median ${format(median)}, quartiles ${format(q1)}–${format(q3)}, range ${format(sorted[0])}–${format(sorted[sorted.length - 1])}`;
+        const outliers = sorted.filter(value => value < low || value > high)
+            .map(value => `<circle cx="${x(value)}" cy="${middle}" r="3" fill="none" stroke="${group.color}"><title>${escapeHtml(format(value))}</title></circle>`);
+        return `<text x="${LABEL_WIDTH - 8}" y="${middle + 4}" text-anchor="end">${escapeHtml(group.label)}</text>` +
+            `<g><title>${escapeHtml(summary)}</title>` +
+            `<line x1="${x(low)}" x2="${x(high)}" y1="${middle}" y2="${middle}" stroke="${group.color}"/>` +
+            `<line x1="${x(low)}" x2="${x(low)}" y1="${y + 9}" y2="${y + ROW_HEIGHT - 9}" stroke="${group.color}"/>` +
+            `<line x1="${x(high)}" x2="${x(high)}" y1="${y + 9}" y2="${y + ROW_HEIGHT - 9}" stroke="${group.color}"/>` +
+            `<rect x="${x(q1)}" y="${y + 5}" width="${Math.max(1, x(q3) - x(q1))}" height="${ROW_HEIGHT - 10}" fill="${group.color}" fill-opacity="0.25" stroke="${group.color}"/>` +
+            `<line x1="${x(median)}" x2="${x(median)}" y1="${y + 5}" y2="${y + ROW_HEIGHT - 5}" stroke="${group.color}" stroke-width="2.5"/>` +
+            `</g>` +
+            outliers.join('');
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${height}" role="img" aria-label="${escapeHtml(title)}">` +
+        `<text x="0" y="16" font-weight="bold" font-size="14">${escapeHtml(title)}</text>` +
+        valueAxis(scale, top, bottom, x, format) +
+        rows.join('') +
+        `</svg>`;
+}
+
+/**
+ * Renders a line chart with a legend.
+ * @param {object} chart
+ * @param {string} chart.title The chart title.
+ * @param {Array<{label: string, points: Array<{x: number, y: number}>, color: string}>} chart.series The lines.
+ * @param {function(number): string} chart.formatX Formats x values.
+ * @param {function(number): string} chart.formatY Formats y values.
+ * @returns {string} The SVG.
+ */
+function lineChart({ title, series, formatX, formatY }) {
+    const left = 70;
+    const top = 30;
+    const plotHeight = 220;
+    const plotWidth = CHART_WIDTH - left - 20;
+    const legendTop = top + plotHeight + 34;
+    const height = legendTop + Math.ceil(series.length / 4) * 18 + 6;
+    const points = series.flatMap(line => line.points);
+    const xScale = niceScale(Math.max(...points.map(point => point.x)));
+    const yScale = niceScale(Math.max(...points.map(point => point.y)));
+    const x = value => left + value / xScale.max * plotWidth;
+    const y = value => top + plotHeight - value / yScale.max * plotHeight;
+
+    const grid = [];
+    for (let value = 0; value <= yScale.max + yScale.step / 2; value += yScale.step) {
+        grid.push(`<line x1="${left}" x2="${left + plotWidth}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e7eb"/>` +
+            `<text x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${escapeHtml(formatY(value))}</text>`);
+    }
+    for (let value = 0; value <= xScale.max + xScale.step / 2; value += xScale.step) {
+        grid.push(`<text x="${x(value)}" y="${top + plotHeight + 16}" text-anchor="middle">${escapeHtml(formatX(value))}</text>`);
+    }
+    const lines = series.map(line => `<polyline fill="none" stroke="${line.color}" stroke-width="2" points="${line.points.map(point => `${x(point.x).toFixed(1)},${y(point.y).toFixed(1)}`).join(' ')}"><title>${escapeHtml(line.label)}</title></polyline>`);
+    const legend = series.map((line, index) => {
+        const lx = left + (index % 4) * 170;
+        const ly = legendTop + Math.floor(index / 4) * 18;
+        return `<rect x="${lx}" y="${ly - 9}" width="10" height="10" fill="${line.color}"/><text x="${lx + 16}" y="${ly}">${escapeHtml(line.label)}</text>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${height}" role="img" aria-label="${escapeHtml(title)}">` +
+        `<text x="0" y="16" font-weight="bold" font-size="14">${escapeHtml(title)}</text>` +
+        grid.join('') +
+        `<line x1="${left}" x2="${left}" y1="${top}" y2="${top + plotHeight}" stroke="#9ca3af"/>` +
+        `<line x1="${left}" x2="${left + plotWidth}" y1="${top + plotHeight}" y2="${top + plotHeight}" stroke="#9ca3af"/>` +
+        lines.join('') +
+        legend.join('') +
+        `</svg>`;
+}
+
+/**
+ * Renders a table.
+ * @param {string[]} headers Column headings.
+ * @param {Array<Array<string|{html: string, number?: boolean}>>} rows Cells: plain text, or `{ html }` for
+ *   markup that is already escaped, with `number` to right-align it.
+ * @param {function(number): string} [rowClass] CSS class of each row.
+ * @returns {string} The HTML.
+ */
+function table(headers, rows, rowClass = () => '') {
+    const cell = value => value !== null && typeof value === 'object'
+        ? `<td${value.number ? ' class="number"' : ''}>${value.html}</td>`
+        : `<td>${escapeHtml(value)}</td>`;
+    return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.map((row, index) => `<tr${rowClass(index) ? ` class="${rowClass(index)}"` : ''}>${row.map(cell).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * A right-aligned number cell.
+ * @param {number|null|undefined} value The number.
+ * @param {number} [digits=0] Decimal places.
+ * @returns {{html: string, number: boolean}} The cell.
+ */
+function numberCell(value, digits = 0) {
+    return { html: formatNumber(value, digits), number: true };
+}
+
+/**
+ * Formats a byte count in MB.
+ * @param {number} bytes The byte count.
+ * @returns {string} E.g. "48.3 MB".
+ */
+function formatMegabytes(bytes) {
+    return `${formatNumber(bytes / (1024 * 1024), 1)} MB`;
+}
+
+/**
+ * Describes the runtime of a results document.
+ * @param {object} results The results document.
+ * @returns {string} E.g. "node 20.11.1", or 'unknown' for documents without environment information.
+ */
+function runtimeLabel(results) {
+    const runtime = results.environment && results.environment.runtime;
+    return runtime ? `${runtime.name} ${runtime.version || ''}`.trim() : 'unknown';
+}
+
+/**
+ * Renders the system information and configuration of one document.
+ * @param {object} results The results document.
+ * @returns {string} The HTML table.
+ */
+function systemSection(results) {
+    const system = results.systemInfo || {};
+    const info = results.benchmarkInfo || {};
+    const configuration = results.configuration || {};
+    const environment = results.environment || {};
+    const labels = Object.entries(info.labels || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+    const rows = [
+        ['Hostname', system.hostname],
+        ['CPU', `${system.cpuModel || 'N/A'} (${system.cpuCores} cores${system.hostCpuCores && system.hostCpuCores !== system.cpuCores ? ` of ${system.hostCpuCores}` : ''})`],
+        ['RAM', system.totalRAM],
+        ['Runtime', `${runtimeLabel(results)}${environment.platform ? ` on ${environment.platform}/${environment.arch}` : ''}`],
+        ['Environment Hash', environment.hash],
+        ['Mode', configuration.mode === 'fixed-work' && configuration.work
+            ? `fixed work: ${configuration.work.workload} x ${configuration.work.iterations} per worker`
+            : `${formatNumber((configuration.benchmarkDurationMs || 0) / 1000)} s per run`],
+        ['Threads', [].concat(configuration.threads || []).join(', ')],
+        ['Workloads', (configuration.workloads || []).join(', ')],
+        ['Runs', `${info.completedRuns} of ${info.totalRuns} completed${info.stopReason ? ` (stopped: ${info.stopReason})` : ''}`],
+        ['Started', info.startTime],
+        ['Labels', labels],
+        ['Signed', results.signature ? `${results.signature.algorithm}, key ${results.signature.keyId}` : '']
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return table(['Property', 'Value'], rows);
+}
+
+/**
+ * Renders the per-run table of one document, completed runs first, then partial runs.
+ * @param {object} results The results document.
+ * @returns {string} The HTML table.
+ */
+function runsSection(results) {
+    const runs = [...(results.individualRuns || []), ...(results.partialRuns || [])];
+    if (runs.length === 0) {
+        return '<p>No runs completed.</p>';
+    }
+    const rows = runs.map((run) => {
+        const metrics = run.performanceMetrics || {};
+        const memory = run.memoryUsage || {};
+        const outlier = run.outlier && (run.outlier.iqr || run.outlier.mad) ? [run.outlier.iqr ? 'IQR' : null, run.outlier.mad ? 'MAD' : null].filter(Boolean).join(', ') : '';
+        return [
+            String(run.runNumber),
+            run.workload || 'fibonacci',
+            String(run.threads),
+            numberCell(metrics.overallScore),
+            numberCell(metrics.calculationsPerSecond),
+            numberCell(run.configuration ? run.configuration.actualDurationMs : null, 1),
+            { html: memory.peakBytes ? escapeHtml(formatMegabytes(memory.peakBytes.rss)) : escapeHtml(memory.peak ? memory.peak.rss : '–'), number: true },
+            numberCell(run.gc && run.gc.supported ? run.gc.count : null),
+            numberCell(run.gc && run.gc.supported ? run.gc.totalPauseMs : null, 1),
+            outlier,
+            run.partial ? `partial (${run.stopReason})` : 'completed'
+        ];
+    });
+    return table(['Run', 'Workload', 'Threads', 'Score', 'Calc/s', 'Duration (ms)', 'Peak RSS', 'GCs', 'GC Pause (ms)', 'Outlier', 'Status'],
+        rows, index => runs[index].partial ? 'partial' : '');
+}
+
+/**
+ * Renders the memory-over-time chart of one document, one line per run with samples.
+ * @param {object} results The results document.
+ * @returns {string} The SVG, or '' when no run recorded memory samples.
+ */
+function memorySection(results) {
+    const runs = [...(results.individualRuns || []), ...(results.partialRuns || [])]
+        .filter(run => run.memoryUsage && Array.isArray(run.memoryUsage.samples) && run.memoryUsage.samples.length > 1);
+    if (runs.length === 0) {
+        return '';
+    }
+    return lineChart({
+        title: 'Memory over time (RSS)',
+        series: runs.map((run, index) => ({
+            label: `Run ${run.runNumber}${run.threads ? ` (${run.workload || 'fibonacci'}, ${run.threads} thread${run.threads === 1 ? '' : 's'})` : ''}`,
+            color: PALETTE[index % PALETTE.length],
+            points: run.memoryUsage.samples.map(sample => ({ x: sample.elapsedMs / 1000, y: sample.rssBytes / (1024 * 1024) }))
+        })),
+        formatX: value => `${formatNumber(value, value % 1 === 0 ? 0 : 1)} s`,
+        formatY: value => `${formatNumber(value)} MB`
+    });
+}
+
+/**
+ * Renders the comparison of all documents: a summary table, bar charts of the average
+ * score and throughput, and a box plot of the run scores.
+ * @param {Array<{label: string, results: object}>} documents The documents with their colors.
+ * @returns {string} The HTML.
+ */
+function comparisonSection(documents) {
+    const rows = documents.map(({ label, results, color }) => {
+        const aggregated = results.aggregatedResults || {};
+        const interval = aggregated.scoreConfidenceInterval95;
+        return [
+            { html: `<span class="swatch" style="background:${color}"></span>${escapeHtml(label)}` },
+            results.systemInfo.hostname,
+            runtimeLabel(results),
+            `${results.benchmarkInfo.completedRuns} of ${results.benchmarkInfo.totalRuns}`,
+            numberCell(aggregated.averageScore),
+            { html: interval ? `± ${formatNumber(interval.margin)}` : '–', number: true },
+            numberCell(aggregated.statistics && aggregated.statistics.calculationsPerSecond ? aggregated.statistics.calculationsPerSecond.mean : null)
+        ];
+    });
+    const parts = [table(['Results', 'Host', 'Runtime', 'Runs', 'Average Score', '95% CI', 'Calc/s (mean)'], rows)];
+
+    parts.push(barChart({
+        title: 'Average score (higher is better; error bars: 95% confidence interval)',
+        bars: documents.map(({ label, results, color }) => {
+            const interval = results.aggregatedResults.scoreConfidenceInterval95;
+            return { label, color, value: results.aggregatedResults.averageScore, lower: interval ? interval.lower : undefined, upper: interval ? interval.upper : undefined };
+        })
+    }));
+    const throughput = documents.filter(({ results }) => results.aggregatedResults.statistics && results.aggregatedResults.statistics.calculationsPerSecond);
+    if (throughput.length > 0) {
+        parts.push(barChart({
+            title: 'Calculations per second (mean of runs)',
+            bars: throughput.map(({ label, results, color }) => ({ label, color, value: results.aggregatedResults.statistics.calculationsPerSecond.mean }))
+        }));
+    }
+    const distributions = documents
+        .map(({ label, results, color }) => ({ label, color, values: (results.individualRuns || []).map(run => run.performanceMetrics && run.performanceMetrics.overallScore).filter(value => typeof value === 'number') }))
+        .filter(group => group.values.length > 0);
+    if (distributions.length > 0) {
+        parts.push(boxPlot({ title: 'Run score distribution (box: quartiles, line: median, whiskers: 1.5 IQR)', groups: distributions }));
+    }
+    return parts.join('\n');
+}
+
+/**
+ * Renders the HTML report.
+ * @param {Array<{label: string, results: object}>} documents Results documents with a label each (e.g. the file
+ *   name), in the order to show them.
+ * @param {object} [options]
+ * @param {string} [options.title='Fibonacci Benchmark Report'] The page title.
+ * @param {Date} [options.generatedAt=new Date()] When the report was made.
+ * @returns {string} The complete HTML document.
+ */
+function renderHtmlReport(documents, options = {}) {
+    const title = options.title || 'Fibonacci Benchmark Report';
+    const generatedAt = options.generatedAt || new Date();
+    const colored = documents.map((document, index) => ({ ...document, color: PALETTE[index % PALETTE.length] }));
+
+    const sections = colored.map(({ label, results, color }) => [
+        `<h2><span class="swatch" style="background:${color}"></span>${escapeHtml(label)}</h2>`,
+        '<h3>System</h3>',
+        systemSection(results),
+        '<h3>Runs</h3>',
+        runsSection(results),
+        memorySection(results)
+    ].join('\n'));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt.toISOString())} from ${documents.length} results file${documents.length === 1 ? '' : 's'}</p>
+<h2>${documents.length > 1 ? 'Comparison' : 'Summary'}</h2>
+${comparisonSection(colored)}
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+export {
+    escapeHtml,
+    renderHtmlReport
+};
@@ -0,0 +1,370 @@
+/**
+ * Multi-Runtime Comparison
+ *
+ * Runs benchmark.js under several JavaScript runtimes (Node.js, Deno, Bun, or several
+ * builds of one of them) and compares their results. Every runtime is started with
+ * `--json`, so its stdout is exactly the results document and nothing has to be parsed
+ * out of log text; the human-readable progress on stderr is passed through and kept
+ * as a log.
+ *
+ * A runtime is described by a display name, the command (binary name or path) and its
+ * type, which decides how the benchmark script is launched (Deno needs permissions).
+ * The type is inferred from the binary name, or from its `--version` output.
+ */
+
+import { spawn, spawnSync } from 'node:child_process';
+import path from 'node:path';
+import { formatBytes } from './telemetry.js';
+
+// How each runtime type launches a script
+const RUNTIME_TYPES = {
+    node: {
+        label: 'Node.js',
+        scriptArgs: script => [script]
+    },
+    deno: {
+        label: 'Deno',
+        scriptArgs: script => ['run', '--allow-read', '--allow-write', '--allow-net', '--allow-sys', '--allow-env', script]
+    },
+    bun: {
+        label: 'Bun',
+        scriptArgs: script => ['run', script]
+    }
+};
+
+const DEFAULT_RUNTIMES = [
+    { name: 'Node.js', command: 'node', type: 'node' },
+    { name: 'Deno', command: 'deno', type: 'deno' },
+    { name: 'Bun', command: 'bun', type: 'bun' }
+];
+
+// `--version` must answer quickly; anything slower is treated as unavailable
+const VERSION_TIMEOUT_MS = 10000;
+
+/**
+ * Infers the runtime type from a binary name, e.g. "/opt/node-18/bin/node" or "bun.exe".
+ * @param {string} command The command or path.
+ * @returns {string|null} The runtime type, or null if the name is not recognized.
+ */
+function inferRuntimeType(command) {
+    const base = path.basename(String(command)).toLowerCase().replace(/\.(exe|cmd)$/, '');
+    for (const type of Object.keys(RUNTIME_TYPES)) {
+        if (base === type || base.startsWith(`${type}-`) || base.startsWith(`${type}js`) || base.startsWith(`${type}@`)) {
+            return type;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses a runtime specification from the command line: `<command>` or `<name>=<command>`,
+ * e.g. `bun` or `node18=/opt/node-18/bin/node`.
+ * @param {string} spec The specification.
+ * @returns {{name: string, command: string, type: string|null}} The runtime description.
+ * @throws {Error} If the specification is empty.
+ */
+function parseRuntimeSpec(spec) {
+    const text = String(spec).trim();
+    const separator = text.indexOf('=');
+    const name = separator > 0 ? text.slice(0, separator).trim() : null;
+    const command = separator > 0 ? text.slice(separator + 1).trim() : text;
+    if (!command) {
+        throw new Error(`Invalid runtime '${spec}'. Expected <command> or <name>=<command>, e.g. node18=/opt/node-18/bin/node`);
+    }
+
+    const type = inferRuntimeType(command);
+    const preset = DEFAULT_RUNTIMES.find(runtime => runtime.command === command);
+    return {
+        name: name || (preset ? preset.name : command),
+        command,
+        type
+    };
+}
+
+/**
+ * Normalizes runtime descriptions from a config file or parseRuntimeSpec().
+ * @param {Array<string|object>} runtimes Specs or objects with name, command, optional type and args.
+ * @returns {object[]} Runtime descriptions with name, command, type (or null) and args.
+ * @throws {Error} If an entry has no command or an unknown type.
+ */
+function resolveRuntimes(runtimes) {
+    return runtimes.map(entry => {
+        const runtime = typeof entry === 'string' ? parseRuntimeSpec(entry) : { ...entry };
+        if (!runtime.command) {
+            throw new Error(`Runtime '${runtime.name || JSON.stringify(entry)}' has no command`);
+        }
+        if (runtime.type && !RUNTIME_TYPES[runtime.type]) {
+            throw new Error(`Unknown runtime type '${runtime.type}'. Expected one of: ${Object.keys(RUNTIME_TYPES).join(', ')}`);
+        }
+        return {
+            name: runtime.name || runtime.command,
+            command: runtime.command,
+            type: runtime.type || inferRuntimeType(runtime.command),
+            args: Array.isArray(runtime.args) ? runtime.args.map(String) : []
+        };
+    });
+}
+
+/**
+ * Checks whether a runtime is installed and finds its version (and type, if still unknown).
+ * @param {object} runtime A runtime description.
+ * @returns {{available: boolean, version: string|null, type: string|null}} The detection result.
+ */
+function detectRuntime(runtime) {
+    const result = spawnSync(runtime.command, ['--version'], {
+        encoding: 'utf8',
+        timeout: VERSION_TIMEOUT_MS,
+        windowsHide: true
+    });
+    if (result.error || result.status !== 0) {
+        return { available: false, version: null, type: runtime.type };
+    }
+
+    const version = String(result.stdout).split(/\r?\n/)[0].trim();
+    let type = runtime.type;
+    if (!type) {
+        // node prints "v20.11.0", deno "deno 1.40.0 (...)", bun "1.0.25"
+        type = /^deno\b/i.test(version) ? 'deno' : /^v\d/.test(version) ? 'node' : /^\d/.test(version) ? 'bun' : null;
+    }
+    return { available: type !== null, version, type };
+}
+
+/**
+ * Runs the benchmark under one runtime.
+ * @param {object} runtime A runtime description with a known type.
+ * @param {string} scriptPath Path to benchmark.js.
+ * @param {string[]} benchmarkArgs Arguments for the benchmark (without --json, which is added).
+ * @param {function(string): void} [onOutput] Receives the runtime's progress output (stderr) as it arrives.
+ * @returns {Promise<{exitCode: number|null, results: object|null, stdout: string, log: string, error: string|null}>}
+ *   The outcome; results is the parsed results document.
+ */
+function runRuntimeBenchmark(runtime, scriptPath, benchmarkArgs, onOutput = () => {}) {
+    return new Promise((resolve) => {
+        const args = [...runtime.args, ...RUNTIME_TYPES[runtime.type].scriptArgs(scriptPath), ...benchmarkArgs, '--json'];
+        let stdout = '';
+        let log = '';
+        let settled = false;
+        const finish = outcome => {
+            if (!settled) {
+                settled = true;
+                resolve({ stdout, log, ...outcome });
+            }
+        };
+
+        const child = spawn(runtime.command, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+        child.stdout.on('data', (chunk) => {
+            stdout += chunk.toString();
+        });
+        child.stderr.on('data', (chunk) => {
+            log += chunk.toString();
+            onOutput(chunk.toString());
+        });
+        child.on('error', (error) => {
+            finish({ exitCode: null, results: null, error: error.message });
+        });
+        child.on('close', (code) => {
+            let results = null;
+            let error = code === 0 ? null : `exited with code ${code}`;
+            try {
+                results = JSON.parse(stdout);
+            } catch (parseError) {
+                error = error || `did not print a results document (${parseError.message})`;
+            }
+            finish({ exitCode: code, results, error });
+        });
+    });
+}
+
+/**
+ * Builds the comparison from the runtime outcomes: one row per runtime and a ranking.
+ * Duration runs are ranked by average score, fixed-work runs by average wall time.
+ * @param {object[]} entries Runtime descriptions with version, available, and the outcome of runRuntimeBenchmark().
+ * @returns {object} The comparison with rows, ranking (runtime names, best first) and the winner.
+ */
+function buildRuntimeComparison(entries) {
+    const rows = entries.map(entry => {
+        const row = {
+            name: entry.name,
+            command: entry.command,
+            type: entry.type,
+            version: entry.version,
+            status: !entry.available ? 'not found' : entry.error ? 'failed' : 'ok',
+            error: entry.error || null
+        };
+        if (entry.results) {
+            const aggregated = entry.results.aggregatedResults;
+            const runs = entry.results.individualRuns;
+            const scoreStatistics = aggregated.statistics && aggregated.statistics.overallScore;
+            const durationStatistics = aggregated.statistics && aggregated.statistics.actualDurationMs;
+            // The runtime's peak is the highest of its runs
+            const peakRssBytes = runs.reduce((peak, run) => run.memoryUsage.peakBytes ? Math.max(peak, run.memoryUsage.peakBytes.rss) : peak, 0) || null;
+            Object.assign(row, {
+                mode: entry.results.configuration.mode,
+                runtime: entry.results.environment ? entry.results.environment.runtime : null,
+                environmentHash: entry.results.environment ? entry.results.environment.hash : null,
+                completedRuns: entry.results.benchmarkInfo.completedRuns,
+                averageScore: aggregated.averageScore,
+                scoreMargin95: scoreStatistics && scoreStatistics.confidenceInterval95 ? scoreStatistics.confidenceInterval95.margin : null,
+                totalCalculations: aggregated.totalCalculations,
+                averageDurationMs: durationStatistics ? durationStatistics.mean : null,
+                averageWallTimeMs: aggregated.averageWallTimeMs !== undefined ? aggregated.averageWallTimeMs : null,
+                peakRssBytes: peakRssBytes,
+                peakMemory: peakRssBytes !== null ? formatBytes(peakRssBytes) : null
+            });
+        }
+        return row;
+    });
+
+    const ranked = rows.filter(row => row.status === 'ok');
+    const fixedWork = ranked.length > 0 && ranked.every(row => row.averageWallTimeMs !== null);
+    ranked.sort((a, b) => fixedWork ? a.averageWallTimeMs - b.averageWallTimeMs : b.averageScore - a.averageScore);
+    const best = ranked[0] || null;
+    for (const row of ranked) {
+        // Relative performance against the best runtime (100 = best)
+        row.relativePercent = fixedWork
+            ? parseFloat((best.averageWallTimeMs / row.averageWallTimeMs * 100).toFixed(1))
+            : best.averageScore > 0 ? parseFloat((row.averageScore / best.averageScore * 100).toFixed(1)) : null;
+    }
+
+    return {
+        rankedBy: fixedWork ? 'averageWallTimeMs' : 'averageScore',
+        rows,
+        ranking: ranked.map(row => row.name),
+        best: best ? best.name : null
+    };
+}
+
+/**
+ * Formats the comparison as a fixed-width text table.
+ * @param {object} comparison The result of buildRuntimeComparison().
+ * @returns {string} The table.
+ */
+function formatRuntimeTable(comparison) {
+    const header = ['Runtime', 'Version', 'Overall Score', 'Calculations', 'Duration (ms)', 'Peak Memory', 'Relative'];
+    const lines = comparison.rows.map(row => row.status !== 'ok'
+        ? [row.name, row.version || '-', row.status, '', '', '', '']
+        : [
+            row.name,
+            row.version || '-',
+            `${row.averageScore.toLocaleString()}${row.scoreMargin95 !== null ? ` ± ${Math.round(row.scoreMargin95).toLocaleString()}` : ''}`,
+            row.totalCalculations.toLocaleString(),
+            row.averageWallTimeMs !== null ? `${row.averageWallTimeMs.toFixed(2)} (wall)` : row.averageDurationMs !== null ? row.averageDurationMs.toFixed(2) : '-',
+            row.peakMemory || '-',
+            row.relativePercent !== null ? `${row.relativePercent}%` : '-'
+        ]);
+
+    const widths = header.map((title, column) => Math.max(title.length, ...lines.map(line => line[column].length)));
+    const formatLine = line => line.map((cell, column) => cell.padEnd(widths[column])).join(' | ').trimEnd();
+    return [formatLine(header), widths.map(width => '-'.repeat(width)).join('-|-'), ...lines.map(formatLine)].join('\n');
+}
+
+/**
+ * Derives the recommendations of the summary report from the measured comparison: the
+ * fastest runtime, whether its lead is outside the confidence intervals, the runtime with
+ * the lowest peak memory, and the runtimes that could not be compared.
+ * @param {object} comparison The result of buildRuntimeComparison().
+ * @returns {string[]} Markdown list items.
+ */
+function recommendationLines(comparison) {
+    const byName = new Map(comparison.rows.map(row => [row.name, row]));
+    const ranked = comparison.ranking.map(name => byName.get(name));
+    if (ranked.length === 0) {
+        return ['- No runtime completed the benchmark, so there is nothing to recommend.'];
+    }
+
+    const [best, runnerUp] = ranked;
+    const fixedWork = comparison.rankedBy === 'averageWallTimeMs';
+    const lines = [fixedWork
+        ? `- **Performance**: ${best.name} completed the fixed work fastest (${best.averageWallTimeMs.toFixed(2)} ms on average)`
+        : `- **Performance**: ${best.name} reached the highest overall score (${best.averageScore.toLocaleString('en-US')} on average)`];
+    if (runnerUp) {
+        lines[0] += `; ${ranked.slice(1).map(row => `${row.name} ${row.relativePercent !== null ? `${row.relativePercent}%` : 'n/a'}`).join(', ')} of it`;
+        if (!fixedWork && best.scoreMargin95 !== null && runnerUp.scoreMargin95 !== null) {
+            const overlapping = best.averageScore - best.scoreMargin95 <= runnerUp.averageScore + runnerUp.scoreMargin95;
+            lines.push(overlapping
+                ? `- **Confidence**: the lead of ${best.name} over ${runnerUp.name} is within the 95% confidence intervals; add runs (\`-n\`) before choosing on speed`
+                : `- **Confidence**: the lead of ${best.name} over ${runnerUp.name} is outside the 95% confidence intervals`);
+        } else if (!fixedWork) {
+            lines.push('- **Confidence**: single runs have no confidence interval; use `-n 3` or more to tell close results apart');
+        }
+    }
+
+    const measured = ranked.filter(row => row.peakRssBytes !== null);
+    if (measured.length > 1) {
+        const leanest = measured.reduce((lowest, row) => row.peakRssBytes < lowest.peakRssBytes ? row : lowest);
+        lines.push(`- **Memory**: ${leanest.name} had the lowest peak RSS (${leanest.peakMemory})${leanest !== best ? `, against ${best.peakMemory || 'n/a'} for ${best.name}; prefer it where memory is tight` : ''}`);
+    }
+
+    const skipped = comparison.rows.filter(row => row.status !== 'ok');
+    if (skipped.length > 0) {
+        lines.push(`- **Not compared**: ${skipped.map(row => `${row.name} (${row.status}${row.error ? `: ${row.error}` : ''})`).join(', ')}`);
+    }
+    return lines;
+}
+
+/**
+ * Formats the comparison as a Markdown summary report.
+ * @param {object} comparison The result of buildRuntimeComparison().
+ * @param {object} details Report context: generatedAt, platform, arch and benchmarkArgs.
+ * @returns {string} The Markdown text.
+ */
+function formatRuntimeReport(comparison, details) {
+    const cell = value => value === null || value === undefined || value === '' ? '-' : String(value).replace(/\|/g, '\\|');
+    const lines = [
+        '# Runtime Performance Comparison Report',
+        '',
+        `Generated on: ${details.generatedAt}`,
+        '',
+        '## Test Configuration',
+        `- Benchmark Arguments: \`${details.benchmarkArgs.join(' ') || '(defaults)'}\``,
+        `- Test Environment: ${details.platform} ${details.arch}`,
+        `- Ranked By: ${comparison.rankedBy === 'averageWallTimeMs' ? 'average wall time (lower is better)' : 'average overall score (higher is better)'}`,
+        '',
+        '## Results Summary',
+        '',
+        '| Rank | Runtime | Version | Overall Score | Calculations | Duration (ms) | Peak Memory | Relative |',
+        '| --- | --- | --- | --- | --- | --- | --- | --- |'
+    ];
+
+    for (const row of comparison.rows) {
+        const rank = comparison.ranking.indexOf(row.name);
+        if (row.status !== 'ok') {
+            lines.push(`| - | ${cell(row.name)} | ${cell(row.version)} | ${cell(row.status)}${row.error ? `: ${cell(row.error)}` : ''} | - | - | - | - |`);
+            continue;
+        }
+        lines.push(`| ${rank + 1} | ${cell(row.name)} | ${cell(row.version)} | ${row.averageScore.toLocaleString('en-US')}${row.scoreMargin95 !== null ? ` ± ${Math.round(row.scoreMargin95).toLocaleString('en-US')}` : ''} | ${row.totalCalculations.toLocaleString('en-US')} | ${cell(row.averageWallTimeMs !== null ? row.averageWallTimeMs : row.averageDurationMs)} | ${cell(row.peakMemory)} | ${cell(row.relativePercent !== null ? `${row.relativePercent}%` : null)} |`);
+    }
+
+    if (comparison.best) {
+        lines.push('', `**Best Performance:** ${comparison.best}`);
+    }
+
+    lines.push(
+        '',
+        '## Recommendations',
+        '',
+        ...recommendationLines(comparison),
+        '',
+        '## Files Generated',
+        '',
+        '- `comparison.json`: Structured comparison data',
+        '- `*_output.log`: Progress output from each runtime',
+        '- `*_results.json`: Complete JSON results from each runtime',
+        '- `summary_report.md`: This summary report',
+        ''
+    );
+    return lines.join('\n');
+}
+
+export {
+    RUNTIME_TYPES,
+    DEFAULT_RUNTIMES,
+    inferRuntimeType,
+    parseRuntimeSpec,
+    resolveRuntimes,
+    detectRuntime,
+    runRuntimeBenchmark,
+    buildRuntimeComparison,
+    formatRuntimeTable,
+    formatRuntimeReport
+};
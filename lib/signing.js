@@ -0,0 +1,204 @@
+/**
+ * Signed Results
+ *
+ * Signs results documents so a collector, leaderboard or regression gate can tell that a
+ * document comes from a holder of the key and was not edited afterwards. Two schemes:
+ *
+ *   hmac-sha256  a shared secret (any text of at least 16 bytes), for a collector that
+ *                holds the same secret
+ *   ed25519      a private key in PEM format signs, the public key verifies; the public
+ *                key can be handed out freely
+ *
+ * The signature covers the canonical JSON of the document (object keys sorted, the
+ * `signature` property left out), so it survives pretty-printing and key reordering.
+ * It is stored in the document as `signature: { algorithm, keyId, value }`, or sent in
+ * the X-Benchmark-Signature header of an upload. The key id is derived from the key,
+ * so a verifier can tell "signed with another key" from "modified".
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { canonicalJson } from './environment.js';
+
+const SIGNING_ALGORITHMS = ['hmac-sha256', 'ed25519'];
+
+// Upload header carrying the signature when it is not embedded in the document
+const SIGNATURE_HEADER = 'X-Benchmark-Signature';
+
+// Shorter HMAC secrets are rejected as too easy to guess
+const MIN_HMAC_KEY_BYTES = 16;
+
+/**
+ * Parses a signing key.
+ * @param {string} text A PEM key (Ed25519 private or public key) or an HMAC secret.
+ * @param {string|null} [algorithm=null] 'hmac-sha256' or 'ed25519'; detected from the key when null.
+ * @returns {object} `{ algorithm, keyId, canSign, ... }` for signResults() and verifyResults().
+ * @throws {Error} If the key does not fit the algorithm or is too weak.
+ */
+function parseSigningKey(text, algorithm = null) {
+    if (algorithm !== null && !SIGNING_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unknown signing algorithm '${algorithm}' (expected one of: ${SIGNING_ALGORITHMS.join(', ')})`);
+    }
+    const isPem = text.includes('-----BEGIN');
+    if (algorithm === 'ed25519' || (algorithm === null && isPem)) {
+        if (!isPem) {
+            throw new Error('An ed25519 key must be in PEM format');
+        }
+        let privateKey = null;
+        let publicKey;
+        if (/-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(text)) {
+            privateKey = crypto.createPrivateKey(text);
+            publicKey = crypto.createPublicKey(privateKey);
+        } else {
+            publicKey = crypto.createPublicKey(text);
+        }
+        if (publicKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`Unsupported key type '${publicKey.asymmetricKeyType}' (expected an ed25519 key)`);
+        }
+        const spki = publicKey.export({ type: 'spki', format: 'der' });
+        return {
+            algorithm: 'ed25519',
+            keyId: crypto.createHash('sha256').update(spki).digest('hex').slice(0, 16),
+            canSign: privateKey !== null,
+            privateKey,
+            publicKey
+        };
+    }
+
+    const secret = Buffer.from(text.trim(), 'utf8');
+    if (secret.length < MIN_HMAC_KEY_BYTES) {
+        throw new Error(`An hmac-sha256 key must be at least ${MIN_HMAC_KEY_BYTES} bytes long`);
+    }
+    return {
+        algorithm: 'hmac-sha256',
+        // Derived with the key itself, so the id reveals nothing about the secret
+        keyId: crypto.createHmac('sha256', secret).update('fibonacci-benchmark key id').digest('hex').slice(0, 16),
+        canSign: true,
+        secret
+    };
+}
+
+/**
+ * Loads the signing key from the `signing` config section or the environment: a key file
+ * (keyFile, FIBO_SIGNING_KEY_FILE) or the key itself in a variable (keyEnv, FIBO_SIGNING_KEY).
+ * @param {object|null} [config] The `signing` config section: keyFile, keyEnv, algorithm.
+ * @param {object} [env=process.env] The environment.
+ * @returns {object|null} The key (see parseSigningKey()), or null if none is configured.
+ * @throws {Error} If the key cannot be read or parsed.
+ */
+function loadSigningKey(config = {}, env = process.env) {
+    config = config || {};
+    const algorithm = config.algorithm || null;
+    const keyFile = config.keyFile || (config.keyEnv ? null : env.FIBO_SIGNING_KEY_FILE) || null;
+    if (keyFile) {
+        let text;
+        try {
+            text = fs.readFileSync(keyFile, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read signing key ${keyFile}: ${error.message}`);
+        }
+        return parseSigningKey(text, algorithm);
+    }
+    const text = env[config.keyEnv || 'FIBO_SIGNING_KEY'];
+    return text ? parseSigningKey(text, algorithm) : null;
+}
+
+/**
+ * Gets the signed content of a document: its canonical JSON without the signature. The
+ * document goes through JSON first, so the signature matches what is written to disk.
+ * @param {object} document The results document.
+ * @returns {Buffer} The bytes to sign.
+ */
+function signedContent(document) {
+    const { signature, ...unsigned } = JSON.parse(JSON.stringify(document));
+    return Buffer.from(canonicalJson(unsigned), 'utf8');
+}
+
+/**
+ * Signs a results document.
+ * @param {object} document The results document (an existing signature is ignored).
+ * @param {object} key A key from parseSigningKey() or loadSigningKey().
+ * @returns {{algorithm: string, keyId: string, value: string}} The signature (value in base64), to store
+ *   as `document.signature` or send with formatSignatureHeader().
+ * @throws {Error} If the key cannot sign (an ed25519 public key).
+ */
+function signResults(document, key) {
+    if (!key.canSign) {
+        throw new Error('Cannot sign with a public key; use the ed25519 private key');
+    }
+    const content = signedContent(document);
+    const value = key.algorithm === 'ed25519'
+        ? crypto.sign(null, content, key.privateKey)
+        : crypto.createHmac('sha256', key.secret).update(content).digest();
+    return { algorithm: key.algorithm, keyId: key.keyId, value: value.toString('base64') };
+}
+
+/**
+ * Verifies the signature of a results document.
+ * @param {object} document The results document.
+ * @param {object} key A key from parseSigningKey() or loadSigningKey(); the public key is enough for ed25519.
+ * @param {object} [signature=document.signature] The signature, e.g. from parseSignatureHeader().
+ * @returns {{valid: boolean, reason: string|null, algorithm: string|null, keyId: string|null}} The outcome;
+ *   reason says why an invalid document failed.
+ */
+function verifyResults(document, key, signature = document.signature) {
+    if (!signature || typeof signature.value !== 'string') {
+        return { valid: false, reason: 'not signed', algorithm: null, keyId: null };
+    }
+    const outcome = { valid: false, reason: null, algorithm: signature.algorithm || null, keyId: signature.keyId || null };
+    if (signature.algorithm !== key.algorithm) {
+        outcome.reason = `signed with ${signature.algorithm}, but the key is for ${key.algorithm}`;
+        return outcome;
+    }
+    if (signature.keyId && signature.keyId !== key.keyId) {
+        outcome.reason = `signed with another key (key id ${signature.keyId}, expected ${key.keyId})`;
+        return outcome;
+    }
+
+    const content = signedContent(document);
+    const value = Buffer.from(signature.value, 'base64');
+    if (key.algorithm === 'ed25519') {
+        outcome.valid = crypto.verify(null, content, key.publicKey, value);
+    } else {
+        const expected = crypto.createHmac('sha256', key.secret).update(content).digest();
+        outcome.valid = value.length === expected.length && crypto.timingSafeEqual(value, expected);
+    }
+    outcome.reason = outcome.valid ? null : 'signature mismatch (the document was modified)';
+    return outcome;
+}
+
+/**
+ * Formats a signature as the value of the X-Benchmark-Signature header.
+ * @param {object} signature The signature from signResults().
+ * @returns {string} E.g. "algorithm=ed25519; keyId=1f2e3d4c5b6a7980; value=<base64>".
+ */
+function formatSignatureHeader(signature) {
+    return `algorithm=${signature.algorithm}; keyId=${signature.keyId}; value=${signature.value}`;
+}
+
+/**
+ * Parses an X-Benchmark-Signature header value.
+ * @param {string} value The header value.
+ * @returns {object|null} The signature `{ algorithm, keyId, value }`, or null if it is malformed.
+ */
+function parseSignatureHeader(value) {
+    const fields = {};
+    for (const part of (value || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+        }
+    }
+    return fields.algorithm && fields.value ? { algorithm: fields.algorithm, keyId: fields.keyId || null, value: fields.value } : null;
+}
+
+export {
+    SIGNING_ALGORITHMS,
+    SIGNATURE_HEADER,
+    parseSigningKey,
+    loadSigningKey,
+    signResults,
+    verifyResults,
+    formatSignatureHeader,
+    parseSignatureHeader
+};
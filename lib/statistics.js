@@ -0,0 +1,344 @@
+/**
+ * Run Statistics
+ *
+ * Descriptive statistics over the values of one metric across benchmark runs
+ * (e.g. the overall score of every run): central tendency, spread, a 95% confidence
+ * interval for the mean and outlier detection.
+ *
+ * - Standard deviation and variance are sample statistics (n - 1).
+ * - Quantiles use linear interpolation between closest ranks (R type 7, as in most
+ *   spreadsheets), so Q1/Q3 and the IQR are defined for any number of runs.
+ * - The confidence interval uses Student's t distribution, which matters for the
+ *   small run counts benchmarks typically have.
+ * - Outliers are flagged with either the IQR rule (outside Q1 - 1.5·IQR .. Q3 + 1.5·IQR)
+ *   or the MAD rule (modified z-score above 3.5, after Iglewicz and Hoaglin).
+ * - Two sets of runs are compared with Welch's t-test, which does not assume equal
+ *   variances (two machines or runtimes rarely have them).
+ */
+
+// Two-sided 95% critical values of Student's t distribution, indexed by degrees of freedom
+const T_CRITICAL_95 = [
+    null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const OUTLIER_METHODS = ['iqr', 'mad'];
+const IQR_FENCE_FACTOR = 1.5;
+const MAD_SCORE_THRESHOLD = 3.5;
+const MIN_OUTLIER_SAMPLES = 3;
+
+/**
+ * Rounds a statistic for the results document.
+ * @param {number|null} value The value.
+ * @returns {number|null} The value rounded to two decimals.
+ */
+function round(value) {
+    return value === null || !Number.isFinite(value) ? value : parseFloat(value.toFixed(2));
+}
+
+/**
+ * Calculates the arithmetic mean.
+ * @param {number[]} values The values.
+ * @returns {number|null} The mean, or null without values.
+ */
+function mean(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Calculates a quantile with linear interpolation between closest ranks.
+ * @param {number[]} values The values.
+ * @param {number} q The quantile in [0, 1], e.g. 0.25 for the first quartile.
+ * @returns {number|null} The quantile, or null without values.
+ */
+function quantile(values, q) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Calculates the median.
+ * @param {number[]} values The values.
+ * @returns {number|null} The median, or null without values.
+ */
+function median(values) {
+    return quantile(values, 0.5);
+}
+
+/**
+ * Calculates the sample variance (n - 1 denominator).
+ * @param {number[]} values The values.
+ * @returns {number|null} The variance, or null with fewer than two values.
+ */
+function variance(values) {
+    if (values.length < 2) {
+        return null;
+    }
+    const average = mean(values);
+    return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Calculates the sample standard deviation.
+ * @param {number[]} values The values.
+ * @returns {number|null} The standard deviation, or null with fewer than two values.
+ */
+function standardDeviation(values) {
+    const result = variance(values);
+    return result === null ? null : Math.sqrt(result);
+}
+
+/**
+ * Calculates the median absolute deviation from the median.
+ * @param {number[]} values The values.
+ * @returns {number|null} The MAD, or null without values.
+ */
+function medianAbsoluteDeviation(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const center = median(values);
+    return median(values.map(value => Math.abs(value - center)));
+}
+
+/**
+ * Looks up the two-sided 95% critical value of Student's t distribution.
+ * Between tabulated degrees of freedom the next lower entry is used, which keeps the
+ * interval on the conservative (wider) side.
+ * @param {number} degreesOfFreedom Degrees of freedom (at least 1).
+ * @returns {number} The critical value.
+ */
+function tCritical95(degreesOfFreedom) {
+    if (degreesOfFreedom < T_CRITICAL_95.length) {
+        return T_CRITICAL_95[degreesOfFreedom];
+    }
+    if (degreesOfFreedom < 40) {
+        return T_CRITICAL_95[T_CRITICAL_95.length - 1];
+    }
+    if (degreesOfFreedom < 60) {
+        return 2.021;
+    }
+    if (degreesOfFreedom < 120) {
+        return 2.000;
+    }
+    return degreesOfFreedom < 1000 ? 1.980 : 1.960;
+}
+
+/**
+ * Calculates the 95% confidence interval for the mean.
+ * @param {number[]} values The values.
+ * @returns {{lower: number, upper: number, margin: number}|null} The interval, or null with fewer than two values.
+ */
+function confidenceInterval95(values) {
+    const deviation = standardDeviation(values);
+    if (deviation === null) {
+        return null;
+    }
+    const average = mean(values);
+    const margin = tCritical95(values.length - 1) * deviation / Math.sqrt(values.length);
+    return { lower: average - margin, upper: average + margin, margin };
+}
+
+/**
+ * Flags outliers with the IQR or MAD rule. Fewer than three values never contain outliers.
+ * @param {number[]} values The values.
+ * @param {string} [method='iqr'] 'iqr' (Tukey fences) or 'mad' (modified z-score).
+ * @returns {boolean[]} One flag per value, true for outliers.
+ * @throws {Error} If the method is unknown.
+ */
+function detectOutliers(values, method = 'iqr') {
+    if (!OUTLIER_METHODS.includes(method)) {
+        throw new Error(`Unknown outlier method '${method}'. Expected one of: ${OUTLIER_METHODS.join(', ')}`);
+    }
+    if (values.length < MIN_OUTLIER_SAMPLES) {
+        return values.map(() => false);
+    }
+
+    if (method === 'iqr') {
+        const q1 = quantile(values, 0.25);
+        const q3 = quantile(values, 0.75);
+        const fence = IQR_FENCE_FACTOR * (q3 - q1);
+        return values.map(value => value < q1 - fence || value > q3 + fence);
+    }
+
+    // A MAD of zero means more than half the values are identical: nothing can be scored
+    const center = median(values);
+    const mad = medianAbsoluteDeviation(values);
+    if (mad === 0) {
+        return values.map(() => false);
+    }
+    return values.map(value => Math.abs(0.6745 * (value - center) / mad) > MAD_SCORE_THRESHOLD);
+}
+
+/**
+ * Calculates the natural logarithm of the gamma function (Lanczos approximation).
+ * @param {number} x A positive number.
+ * @returns {number} ln Γ(x).
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+        series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Evaluates the continued fraction of the incomplete beta function (modified Lentz's method).
+ * @param {number} x The integration limit in [0, 1].
+ * @param {number} a First shape parameter.
+ * @param {number} b Second shape parameter.
+ * @returns {number} The continued fraction value.
+ */
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + term * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + term / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        result *= d * c;
+
+        term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + term * d;
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        c = 1 + term / c;
+        c = Math.abs(c) < tiny ? tiny : c;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 1e-12) {
+            break;
+        }
+    }
+    return result;
+}
+
+/**
+ * Calculates the regularized incomplete beta function I_x(a, b).
+ * @param {number} x The integration limit in [0, 1].
+ * @param {number} a First shape parameter.
+ * @param {number} b Second shape parameter.
+ * @returns {number} The function value in [0, 1].
+ */
+function incompleteBeta(x, a, b) {
+    if (x <= 0) {
+        return 0;
+    }
+    if (x >= 1) {
+        return 1;
+    }
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    // The continued fraction converges quickly only on one side of the mean
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Compares the means of two samples with Welch's t-test.
+ * @param {number[]} a The first sample (e.g. baseline runs).
+ * @param {number[]} b The second sample (e.g. current runs).
+ * @returns {{t: number, degreesOfFreedom: number, pValue: number}|null} The two-sided test result,
+ *   or null if either sample has fewer than two values.
+ */
+function welchTTest(a, b) {
+    if (a.length < 2 || b.length < 2) {
+        return null;
+    }
+    const varianceA = variance(a) / a.length;
+    const varianceB = variance(b) / b.length;
+    const standardError = Math.sqrt(varianceA + varianceB);
+    const difference = mean(b) - mean(a);
+
+    // Without any spread, the means are either identical or certainly different
+    if (standardError === 0) {
+        return { t: difference === 0 ? 0 : Math.sign(difference) * Infinity, degreesOfFreedom: a.length + b.length - 2, pValue: difference === 0 ? 1 : 0 };
+    }
+
+    const t = difference / standardError;
+    const degreesOfFreedom = (varianceA + varianceB) ** 2 /
+        (varianceA ** 2 / (a.length - 1) + varianceB ** 2 / (b.length - 1));
+    const pValue = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+    return { t, degreesOfFreedom, pValue: Math.min(1, Math.max(0, pValue)) };
+}
+
+/**
+ * Summarizes the values of one metric across runs.
+ * @param {number[]} values The values, one per run.
+ * @returns {object} count, mean, median, min, max, stdDev, variance, coefficientOfVariationPercent,
+ *   confidenceInterval95 {lower, upper, margin}, q1, q3, iqr, mad and the indices of outliers by rule.
+ *   Statistics that need more values are null.
+ */
+function summarize(values) {
+    const average = mean(values);
+    const deviation = standardDeviation(values);
+    const interval = confidenceInterval95(values);
+    const q1 = quantile(values, 0.25);
+    const q3 = quantile(values, 0.75);
+    const outlierIndices = method => detectOutliers(values, method)
+        .map((isOutlier, index) => isOutlier ? index : -1)
+        .filter(index => index >= 0);
+
+    return {
+        count: values.length,
+        mean: round(average),
+        median: round(median(values)),
+        min: values.length > 0 ? Math.min(...values) : null,
+        max: values.length > 0 ? Math.max(...values) : null,
+        stdDev: round(deviation),
+        variance: round(variance(values)),
+        coefficientOfVariationPercent: deviation !== null && average !== 0 ? round(deviation / Math.abs(average) * 100) : null,
+        confidenceInterval95: interval ? {
+            lower: round(interval.lower),
+            upper: round(interval.upper),
+            margin: round(interval.margin)
+        } : null,
+        q1: round(q1),
+        q3: round(q3),
+        iqr: q1 !== null ? round(q3 - q1) : null,
+        mad: round(medianAbsoluteDeviation(values)),
+        outliers: {
+            iqr: outlierIndices('iqr'),
+            mad: outlierIndices('mad')
+        }
+    };
+}
+
+export {
+    OUTLIER_METHODS,
+    mean,
+    median,
+    quantile,
+    variance,
+    standardDeviation,
+    medianAbsoluteDeviation,
+    tCritical95,
+    confidenceInterval95,
+    detectOutliers,
+    welchTTest,
+    summarize
+};
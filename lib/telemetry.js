@@ -0,0 +1,199 @@
+/**
+ * Garbage Collection and Heap Telemetry
+ *
+ * BigInt Fibonacci allocates heavily, so how a runtime collects garbage shapes its score.
+ * Each worker observes its own isolate's 'gc' performance entries (count, pause time,
+ * longest pause, collections per kind) and reads v8.getHeapStatistics() when it stops;
+ * the main thread merges the per-worker summaries into one per run.
+ *
+ * GC entries are delivered on the event loop: a worker that computes without yielding
+ * receives them once it yields, so the summary is taken after one setImmediate. Entries
+ * are assigned to the warm-up or the measured window by their start time, so late
+ * delivery does not move them; collections after the measured window are left out.
+ * Runtimes without 'gc' entries or v8 heap statistics report `supported: false` / null.
+ */
+
+import { PerformanceObserver, performance } from 'node:perf_hooks';
+import v8 from 'node:v8';
+
+// GC kinds of perf_hooks 'gc' entries (constants.NODE_PERFORMANCE_GC_*)
+const GC_KINDS = {
+    1: 'minor',
+    4: 'major',
+    8: 'incremental',
+    16: 'weakcb'
+};
+
+/**
+ * Formats a byte count with the largest fitting unit.
+ * @param {number} bytes The byte count.
+ * @returns {string} The formatted size, e.g. "48.25 MB".
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    } else if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    } else if (bytes >= 1024) {
+        return `${(bytes / 1024).toFixed(2)} KB`;
+    } else {
+        return `${bytes} B`;
+    }
+}
+
+/**
+ * Creates an empty GC summary.
+ * @param {boolean} supported Whether the runtime reports GC events.
+ * @returns {object} `{ supported, count, totalPauseMs, maxPauseMs, kinds }`.
+ */
+function emptyGcSummary(supported) {
+    return { supported, count: 0, totalPauseMs: 0, maxPauseMs: 0, kinds: {} };
+}
+
+/**
+ * Adds GC performance entries to a summary.
+ * @param {object} summary The summary to update.
+ * @param {PerformanceEntry[]} entries 'gc' entries.
+ */
+function addGcEntries(summary, entries) {
+    for (const entry of entries) {
+        const kindId = entry.detail ? entry.detail.kind : entry.kind;
+        const kind = GC_KINDS[kindId] || `kind${kindId}`;
+        summary.count++;
+        summary.totalPauseMs += entry.duration;
+        summary.maxPauseMs = Math.max(summary.maxPauseMs, entry.duration);
+        if (!summary.kinds[kind]) {
+            summary.kinds[kind] = { count: 0, totalPauseMs: 0 };
+        }
+        summary.kinds[kind].count++;
+        summary.kinds[kind].totalPauseMs += entry.duration;
+    }
+}
+
+/**
+ * Rounds the pause times of a summary to microseconds.
+ * @param {object} summary The summary.
+ * @returns {object} A rounded copy.
+ */
+function roundGcSummary(summary) {
+    const round = ms => parseFloat(ms.toFixed(3));
+    const kinds = {};
+    for (const [kind, stats] of Object.entries(summary.kinds)) {
+        kinds[kind] = { count: stats.count, totalPauseMs: round(stats.totalPauseMs) };
+    }
+    return { ...summary, totalPauseMs: round(summary.totalPauseMs), maxPauseMs: round(summary.maxPauseMs), kinds };
+}
+
+/**
+ * Creates a GC monitor for a runtime without 'gc' entries.
+ * @returns {object} A monitor whose summaries are `supported: false`.
+ */
+function unsupportedGcMonitor() {
+    return {
+        beginMeasure() {},
+        endMeasure() {},
+        stop: () => ({ measured: emptyGcSummary(false), warmup: emptyGcSummary(false) })
+    };
+}
+
+/**
+ * Starts observing garbage collections of the current thread. Collections before
+ * beginMeasure() count as warm-up (setup included), those up to endMeasure() as measured.
+ * @returns {{beginMeasure: function(): void, endMeasure: function(): void, stop: function(): object}}
+ *   Call beginMeasure() and endMeasure() at the edges of the measured window, then stop() (after
+ *   yielding to the event loop) to end the observation and get `{ measured, warmup }`, each a
+ *   summary `{ supported, count, totalPauseMs, maxPauseMs, kinds }`, where kinds holds
+ *   `{ count, totalPauseMs }` per GC kind.
+ */
+function createGcMonitor() {
+    const supportedTypes = PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+    if (!Array.isArray(supportedTypes) || !supportedTypes.includes('gc')) {
+        return unsupportedGcMonitor();
+    }
+
+    const measured = emptyGcSummary(true);
+    const warmup = emptyGcSummary(true);
+    let measureStart = null;
+    let measureEnd = null;
+    const record = (entries) => {
+        addGcEntries(warmup, entries.filter(entry => measureStart === null || entry.startTime < measureStart));
+        addGcEntries(measured, entries.filter(entry => measureStart !== null && entry.startTime >= measureStart && (measureEnd === null || entry.startTime < measureEnd)));
+    };
+    const observer = new PerformanceObserver(list => record(list.getEntries()));
+    try {
+        observer.observe({ entryTypes: ['gc'] });
+    } catch (error) {
+        return unsupportedGcMonitor();
+    }
+    return {
+        beginMeasure() {
+            if (measureStart === null) {
+                measureStart = performance.now();
+            }
+        },
+        endMeasure() {
+            if (measureStart !== null && measureEnd === null) {
+                measureEnd = performance.now();
+            }
+        },
+        stop() {
+            record(observer.takeRecords());
+            observer.disconnect();
+            return { measured: roundGcSummary(measured), warmup: roundGcSummary(warmup) };
+        }
+    };
+}
+
+/**
+ * Merges the GC summaries of several workers.
+ * @param {object[]} summaries Summaries from createGcMonitor().stop() (measured or warmup).
+ * @returns {object} The combined summary; supported if any worker reported GC events.
+ */
+function mergeGcSummaries(summaries) {
+    const merged = emptyGcSummary(summaries.some(summary => summary && summary.supported));
+    for (const summary of summaries) {
+        if (!summary || !summary.supported) {
+            continue;
+        }
+        merged.count += summary.count;
+        merged.totalPauseMs += summary.totalPauseMs;
+        merged.maxPauseMs = Math.max(merged.maxPauseMs, summary.maxPauseMs);
+        for (const [kind, stats] of Object.entries(summary.kinds)) {
+            if (!merged.kinds[kind]) {
+                merged.kinds[kind] = { count: 0, totalPauseMs: 0 };
+            }
+            merged.kinds[kind].count += stats.count;
+            merged.kinds[kind].totalPauseMs += stats.totalPauseMs;
+        }
+    }
+    return roundGcSummary(merged);
+}
+
+/**
+ * Reads the V8 heap statistics of the current thread.
+ * @returns {object|null} `{ usedHeapSizeBytes, totalHeapSizeBytes, heapSizeLimitBytes, mallocedMemoryBytes,
+ *   peakMallocedMemoryBytes, externalMemoryBytes }`, or null if the runtime has no v8 heap statistics.
+ */
+function collectHeapStatistics() {
+    try {
+        const statistics = v8.getHeapStatistics();
+        return {
+            usedHeapSizeBytes: statistics.used_heap_size,
+            totalHeapSizeBytes: statistics.total_heap_size,
+            heapSizeLimitBytes: statistics.heap_size_limit,
+            mallocedMemoryBytes: statistics.malloced_memory,
+            peakMallocedMemoryBytes: statistics.peak_malloced_memory,
+            externalMemoryBytes: statistics.external_memory !== undefined ? statistics.external_memory : null
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+export {
+    GC_KINDS,
+    formatBytes,
+    createGcMonitor,
+    mergeGcSummaries,
+    collectHeapStatistics
+};
@@ -0,0 +1,444 @@
+/**
+ * Result Upload
+ *
+ * Posts results documents to a collector over HTTP(S). Connection errors, timeouts,
+ * 408, 425, 429 and 5xx answers are retried with exponential backoff (honouring Retry-After);
+ * other answers are final. Requests can carry a bearer token and custom headers, be
+ * gzip-compressed and go through an HTTP proxy (CONNECT tunnels for https targets). The
+ * signature of a signed document can travel in the X-Benchmark-Signature header instead.
+ *
+ * An upload that still fails is written to a spool directory, one JSON file per results
+ * document, and flushSpool() resends those files later, so results from sites with a
+ * flaky connection reach the collector eventually.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
+import path from 'node:path';
+import tls from 'node:tls';
+import zlib from 'node:zlib';
+import { SIGNATURE_HEADER, formatSignatureHeader } from './signing.js';
+
+const USER_AGENT = 'Node.js-Fibonacci-Benchmark/1.0';
+
+// Used for every setting that is neither configured nor given in the environment
+const DEFAULT_UPLOAD_OPTIONS = {
+    retries: 3,
+    timeoutMs: 30000,
+    backoffMs: 1000,
+    maxBackoffMs: 60000,
+    gzip: false,
+    signatureHeader: false,
+    token: null,
+    headers: {},
+    httpProxy: null,
+    httpsProxy: null,
+    noProxy: null,
+    spoolDir: null
+};
+
+// Answers worth another attempt: the collector may accept the same request later
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+/**
+ * Parses header lines ("Name: value", separated by newlines or semicolons).
+ * @param {string|undefined} text The header lines, e.g. from FIBO_UPLOAD_HEADERS.
+ * @returns {object} Header names and values.
+ * @throws {Error} If a line has no name.
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    for (const line of (text || '').split(/[;\n]/)) {
+        if (line.trim() === '') {
+            continue;
+        }
+        const separator = line.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Invalid upload header '${line.trim()}' (expected Name: value)`);
+        }
+        headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Resolves the upload settings from the `upload` section of the config file and the
+ * environment. Config values win; the token can also come from the variable named by
+ * `tokenEnv` or from FIBO_UPLOAD_TOKEN, so it never has to be written into a file.
+ * @param {object|null} [config] The `upload` config section: retries, timeoutMs, backoffMs, maxBackoffMs,
+ *   gzip, signatureHeader, token, tokenEnv, headers, proxy, noProxy, spoolDir.
+ * @param {object} [env=process.env] The environment: FIBO_UPLOAD_TOKEN, FIBO_UPLOAD_HEADERS, FIBO_SPOOL_DIR,
+ *   HTTP_PROXY, HTTPS_PROXY and NO_PROXY (or their lower-case forms).
+ * @returns {object} Options for uploadResults() and flushSpool().
+ * @throws {Error} If a setting is invalid.
+ */
+function resolveUploadOptions(config = {}, env = process.env) {
+    config = config || {};
+    const pick = key => config[key] !== undefined && config[key] !== null ? config[key] : DEFAULT_UPLOAD_OPTIONS[key];
+    const options = {
+        retries: pick('retries'),
+        timeoutMs: pick('timeoutMs'),
+        backoffMs: pick('backoffMs'),
+        maxBackoffMs: pick('maxBackoffMs'),
+        gzip: pick('gzip'),
+        signatureHeader: pick('signatureHeader'),
+        token: config.token || (config.tokenEnv ? env[config.tokenEnv] : null) || env.FIBO_UPLOAD_TOKEN || null,
+        headers: { ...parseHeaderLines(env.FIBO_UPLOAD_HEADERS), ...(config.headers || {}) },
+        httpProxy: config.proxy || env.HTTP_PROXY || env.http_proxy || null,
+        httpsProxy: config.proxy || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || null,
+        noProxy: config.noProxy || env.NO_PROXY || env.no_proxy || null,
+        spoolDir: config.spoolDir || env.FIBO_SPOOL_DIR || null
+    };
+
+    if (!(Number.isInteger(options.retries) && options.retries >= 0)) {
+        throw new Error(`Invalid upload retries: ${options.retries}`);
+    }
+    for (const key of ['timeoutMs', 'backoffMs', 'maxBackoffMs']) {
+        if (!(typeof options[key] === 'number' && options[key] > 0)) {
+            throw new Error(`Invalid upload ${key}: ${options[key]}`);
+        }
+    }
+    for (const key of ['gzip', 'signatureHeader']) {
+        if (typeof options[key] !== 'boolean') {
+            throw new Error(`Invalid upload ${key}: ${options[key]} (expected true or false)`);
+        }
+    }
+    for (const [name, value] of Object.entries(options.headers)) {
+        if (typeof value !== 'string') {
+            throw new Error(`Invalid upload header '${name}': values must be strings`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Removes credentials from a URL, for log output.
+ * @param {string} url The URL.
+ * @returns {string} The URL without user name and password.
+ */
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.username = '';
+        parsed.password = '';
+        return parsed.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Checks whether a host is excluded from proxying by a NO_PROXY list.
+ * @param {string} hostname The target host.
+ * @param {string|null} noProxy Comma-separated hosts or domain suffixes, or '*'.
+ * @returns {boolean} True to connect directly.
+ */
+function bypassesProxy(hostname, noProxy) {
+    if (!noProxy) {
+        return false;
+    }
+    const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    return noProxy.split(',').map(entry => entry.trim().toLowerCase().replace(/:\d+$/, '')).some(entry => {
+        if (entry === '*') {
+            return true;
+        }
+        const domain = entry.replace(/^\*?\./, '');
+        return entry !== '' && (host === domain || host.endsWith(`.${domain}`));
+    });
+}
+
+/**
+ * Gets the Proxy-Authorization header for a proxy URL with credentials.
+ * @param {URL} proxy The proxy URL.
+ * @returns {object} The header, or no headers.
+ */
+function proxyAuthorization(proxy) {
+    if (!proxy.username) {
+        return {};
+    }
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+/**
+ * Sends one POST request.
+ * @param {string} url The target URL.
+ * @param {Buffer} body The request body.
+ * @param {object} headers The request headers.
+ * @param {object} options Upload options: timeoutMs, proxy (or httpProxy/httpsProxy) and noProxy.
+ * @returns {Promise<{statusCode: number, headers: object, body: string}>} The answer.
+ */
+function sendRequest(url, body, headers, options) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const isHttps = target.protocol === 'https:';
+        if (!isHttps && target.protocol !== 'http:') {
+            throw new Error(`Unsupported upload protocol '${target.protocol}'`);
+        }
+        const proxyUrl = options.proxy || (isHttps ? options.httpsProxy : options.httpProxy);
+        const proxy = proxyUrl && !bypassesProxy(target.hostname, options.noProxy) ? new URL(proxyUrl) : null;
+        if (proxy && proxy.protocol !== 'http:') {
+            throw new Error(`Unsupported proxy protocol '${proxy.protocol}' (only http:// proxies are supported)`);
+        }
+
+        const port = target.port || (isHttps ? 443 : 80);
+        const requestHeaders = { ...headers, 'Content-Length': body.length };
+        if (target.username) {
+            requestHeaders.Authorization = `Basic ${Buffer.from(`${decodeURIComponent(target.username)}:${decodeURIComponent(target.password)}`).toString('base64')}`;
+        }
+        const pending = [];
+        let settled = false;
+        const finish = (error, response) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            if (error) {
+                pending.forEach(stream => stream.destroy());
+                reject(error);
+            } else {
+                resolve(response);
+            }
+        };
+        // One deadline for the whole exchange, including the proxy tunnel
+        const timer = setTimeout(() => finish(new Error(`timed out after ${options.timeoutMs} ms`)), options.timeoutMs);
+
+        const send = (client, requestOptions) => {
+            const request = client.request({ method: 'POST', headers: requestHeaders, ...requestOptions }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => finish(null, { statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+                res.on('error', finish);
+            });
+            pending.push(request);
+            request.on('error', finish);
+            request.end(body);
+        };
+
+        if (!proxy) {
+            send(isHttps ? https : http, { hostname: target.hostname, port, path: target.pathname + target.search });
+        } else if (!isHttps) {
+            // Plain HTTP through a proxy: the proxy gets the absolute URL
+            Object.assign(requestHeaders, { Host: target.host }, proxyAuthorization(proxy));
+            send(http, { hostname: proxy.hostname, port: proxy.port || 80, path: `${target.protocol}//${target.host}${target.pathname}${target.search}` });
+        } else {
+            // HTTPS through a proxy: open a CONNECT tunnel, then speak TLS inside it
+            const connect = http.request({
+                hostname: proxy.hostname,
+                port: proxy.port || 80,
+                method: 'CONNECT',
+                path: `${target.hostname}:${port}`,
+                headers: { Host: `${target.hostname}:${port}`, ...proxyAuthorization(proxy) }
+            });
+            pending.push(connect);
+            connect.on('connect', (res, socket) => {
+                pending.push(socket);
+                if (res.statusCode !== 200) {
+                    finish(new Error(`proxy refused the tunnel (status ${res.statusCode})`));
+                    return;
+                }
+                send(https, {
+                    hostname: target.hostname,
+                    port,
+                    path: target.pathname + target.search,
+                    agent: false,
+                    createConnection: () => tls.connect({ socket, servername: target.hostname })
+                });
+            });
+            connect.on('error', finish);
+            connect.end();
+        }
+    });
+}
+
+/**
+ * Parses a Retry-After header.
+ * @param {string|undefined} value Seconds or an HTTP date.
+ * @returns {number|null} The delay in milliseconds, or null.
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes the delay before the next attempt: exponential backoff with jitter, or the
+ * server's Retry-After, capped at maxBackoffMs.
+ * @param {number} attempt The attempt that just failed (1-based).
+ * @param {object} options Upload options: backoffMs and maxBackoffMs.
+ * @param {number|null} retryAfterMs The delay the server asked for.
+ * @returns {number} The delay in milliseconds.
+ */
+function backoffDelay(attempt, options, retryAfterMs) {
+    if (retryAfterMs !== null) {
+        return Math.min(retryAfterMs, options.maxBackoffMs);
+    }
+    // Half fixed, half random, so many sites failing at once do not retry in lockstep
+    const delay = Math.min(options.backoffMs * 2 ** (attempt - 1), options.maxBackoffMs);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Writes a results document that could not be uploaded to the spool directory.
+ * @param {string} spoolDir The spool directory (created if missing).
+ * @param {string} url The upload target.
+ * @param {object} results The results document.
+ * @param {object} failure `{ attempts, error }` of the failed upload.
+ * @returns {string} The spool file.
+ */
+function spoolResults(spoolDir, url, results, failure) {
+    fs.mkdirSync(spoolDir, { recursive: true });
+    const spooledAt = new Date().toISOString();
+    const filePath = path.join(spoolDir, `${spooledAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`);
+    const entry = { url, spooledAt, attempts: failure.attempts, lastError: failure.error, results };
+    // Write then rename, so a crash never leaves a half-written entry behind
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(entry, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    return filePath;
+}
+
+/**
+ * Uploads a results document, retrying transient failures and spooling it if every
+ * attempt fails.
+ * @param {object} results The results document.
+ * @param {string} url The collector URL (http or https).
+ * @param {object} [options] Upload options, as from resolveUploadOptions(); `proxy` sets the proxy for both
+ *   protocols.
+ * @param {object} [logger=console] Console-like object for status output.
+ * @returns {Promise<object>} `{ ok, attempts, statusCode, error, spooledTo }`; never rejects.
+ */
+async function uploadResults(results, url, options = {}, logger = console) {
+    const settings = { ...DEFAULT_UPLOAD_OPTIONS, ...options };
+    const target = redactUrl(url);
+    const outcome = { ok: false, attempts: 0, statusCode: null, error: null, spooledTo: null };
+
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT, ...settings.headers };
+    let payload = results;
+    if (settings.signatureHeader && results.signature) {
+        // The signature covers the document without it, so the body is exactly what was signed
+        const { signature, ...unsigned } = results;
+        payload = unsigned;
+        headers[SIGNATURE_HEADER] = formatSignatureHeader(signature);
+    }
+    let body;
+    try {
+        body = Buffer.from(JSON.stringify(payload));
+    } catch (error) {
+        outcome.error = error.message;
+        logger.error(`❌ Error posting results: ${error.message}`);
+        return outcome;
+    }
+    if (settings.token) {
+        headers.Authorization = `Bearer ${settings.token}`;
+    }
+    if (settings.gzip) {
+        body = zlib.gzipSync(body);
+        headers['Content-Encoding'] = 'gzip';
+    }
+
+    while (outcome.attempts <= settings.retries) {
+        outcome.attempts++;
+        let retryable = true;
+        let retryAfterMs = null;
+        try {
+            const response = await sendRequest(url, body, headers, settings);
+            outcome.statusCode = response.statusCode;
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                outcome.ok = true;
+                outcome.error = null;
+                const retried = outcome.attempts > 1 ? `, attempt ${outcome.attempts}` : '';
+                logger.log(`✅ Results posted to: ${target} (Status: ${response.statusCode}${retried})`);
+                return outcome;
+            }
+            outcome.error = `status ${response.statusCode}`;
+            retryable = response.statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(response.statusCode);
+            retryAfterMs = parseRetryAfter(response.headers['retry-after']);
+        } catch (error) {
+            outcome.error = error.message;
+        }
+        if (!retryable || outcome.attempts > settings.retries) {
+            break;
+        }
+        const delayMs = backoffDelay(outcome.attempts, settings, retryAfterMs);
+        logger.warn(`⚠️  Upload to ${target} failed (${outcome.error}), retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${outcome.attempts + 1}/${settings.retries + 1})`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    logger.error(`❌ Error posting results to ${target}: ${outcome.error} after ${outcome.attempts} attempt(s)`);
+    if (settings.spoolDir) {
+        try {
+            outcome.spooledTo = spoolResults(settings.spoolDir, url, results, outcome);
+            logger.warn(`📥 Results spooled to ${outcome.spooledTo}; resend them with: node benchmark.js flush ${settings.spoolDir}`);
+        } catch (error) {
+            logger.error(`❌ Error spooling results to ${settings.spoolDir}: ${error.message}`);
+        }
+    }
+    return outcome;
+}
+
+/**
+ * Resends the spooled results documents, oldest first. Sent entries are deleted; entries
+ * that fail again stay in the spool with their attempt count and last error updated.
+ * @param {string} spoolDir The spool directory.
+ * @param {object} [options] Upload options, as from resolveUploadOptions(), plus `url` to send every entry
+ *   to instead of the URL it was spooled for.
+ * @param {object} [logger=console] Console-like object for status output.
+ * @returns {Promise<{sent: number, failed: number, remaining: number}>} What happened to the entries.
+ */
+async function flushSpool(spoolDir, options = {}, logger = console) {
+    const summary = { sent: 0, failed: 0, remaining: 0 };
+    if (!fs.existsSync(spoolDir)) {
+        logger.log(`📭 Spool directory ${spoolDir} does not exist, nothing to send`);
+        return summary;
+    }
+    const files = fs.readdirSync(spoolDir).filter(name => name.endsWith('.json')).sort();
+    logger.log(`📤 Sending ${files.length} spooled result(s) from ${spoolDir}`);
+
+    for (const name of files) {
+        const filePath = path.join(spoolDir, name);
+        let entry;
+        try {
+            entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            logger.error(`❌ Skipping unreadable spool entry ${filePath}: ${error.message}`);
+            summary.failed++;
+            continue;
+        }
+        const url = options.url || entry.url;
+        if (!url) {
+            logger.error(`❌ Skipping spool entry ${filePath}: no upload URL`);
+            summary.failed++;
+            continue;
+        }
+        // Already spooled: a failure updates this entry instead of adding another
+        const outcome = await uploadResults(entry.results, url, { ...options, spoolDir: null }, logger);
+        if (outcome.ok) {
+            fs.unlinkSync(filePath);
+            summary.sent++;
+        } else {
+            const updated = { ...entry, attempts: (entry.attempts || 0) + outcome.attempts, lastError: outcome.error, lastAttemptAt: new Date().toISOString() };
+            fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(updated, null, 2));
+            fs.renameSync(`${filePath}.tmp`, filePath);
+            summary.failed++;
+        }
+    }
+    summary.remaining = fs.readdirSync(spoolDir).filter(name => name.endsWith('.json')).length;
+    return summary;
+}
+
+export {
+    DEFAULT_UPLOAD_OPTIONS,
+    resolveUploadOptions,
+    uploadResults,
+    flushSpool
+};
@@ -0,0 +1,350 @@
+/**
+ * Workload Registry
+ *
+ * Each workload is a CPU kernel that a worker thread executes in a loop. A workload
+ * describes how to prepare its per-worker state once (`setup`) and how to perform one
+ * iteration of work (`run`). The value returned by `run` is reported back to the main
+ * thread as the workload's last result, so it should be cheap to stringify.
+ *
+ * Every workload has a problem size (`defaultSize`, in `sizeUnit`) that `setup` receives;
+ * fixed-work specs such as `fib:100000x50` override it (see parseWorkSpec).
+ *
+ * Workloads:
+ * - fibonacci: iterative BigInt Fibonacci with a growing index (the original benchmark)
+ * - sha256:    SHA-256 digests of a buffer through node:crypto
+ * - json:      JSON.stringify / JSON.parse round trips of a nested document
+ * - regex:     regular expression matching over a block of log lines
+ * - matrix:    dense Float64Array matrix multiplication
+ * - sort:      sorting arrays of pseudo-random numbers
+ * - string:    building strings from many small pieces
+ */
+
+import crypto from 'node:crypto';
+
+/**
+ * Calculates the nth Fibonacci number iteratively.
+ * This approach is efficient for large numbers as it avoids recursion overhead
+ * and stack overflow issues. It uses BigInt to handle numbers larger than
+ * JavaScript's standard Number type can safely represent.
+ * @param {number} n The index of the Fibonacci number to calculate.
+ * @returns {BigInt} The nth Fibonacci number.
+ */
+function calculateFibonacci(n) {
+    if (n <= 1) {
+        return BigInt(n);
+    }
+
+    let a = 0n; // Use BigInt for large numbers
+    let b = 1n; // Use BigInt for large numbers
+
+    for (let i = 2; i <= n; i++) {
+        let temp = a + b;
+        a = b;
+        b = temp;
+    }
+    return b;
+}
+
+/**
+ * Creates a small deterministic pseudo-random number generator (mulberry32),
+ * so every worker and every runtime operates on identical input data.
+ * @param {number} seed The 32-bit seed.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const WORKLOADS = {
+    fibonacci: {
+        aliases: ['fib'],
+        description: 'BigInt Fibonacci numbers with a growing index',
+        // No default size: the index grows with every iteration
+        defaultSize: null,
+        sizeUnit: 'index',
+        setup(workerId, size) {
+            return { size };
+        },
+        // Start from small numbers and grow the index with every iteration, unless a fixed index was given
+        run(state, iteration) {
+            return calculateFibonacci(state.size !== null ? state.size : iteration);
+        }
+    },
+
+    sha256: {
+        aliases: ['hash'],
+        description: 'SHA-256 digests of a buffer through node:crypto',
+        defaultSize: 64 * 1024,
+        sizeUnit: 'bytes',
+        setup(workerId, size) {
+            const random = createRandom(0x5A256 + workerId);
+            const buffer = Buffer.alloc(Math.max(4, size));
+            for (let i = 0; i < buffer.length; i++) {
+                buffer[i] = Math.floor(random() * 256);
+            }
+            return { buffer };
+        },
+        run(state, iteration) {
+            // Mix the iteration into the input so digests cannot be cached
+            state.buffer.writeUInt32LE(iteration >>> 0, 0);
+            return crypto.createHash('sha256').update(state.buffer).digest('hex');
+        }
+    },
+
+    json: {
+        description: 'JSON stringify/parse round trips of a nested document',
+        defaultSize: 200,
+        sizeUnit: 'items',
+        setup(workerId, size) {
+            const random = createRandom(0x15011 + workerId);
+            const document = { id: workerId, items: [] };
+            for (let i = 0; i < size; i++) {
+                document.items.push({
+                    id: i,
+                    name: `item-${i}`,
+                    price: Math.round(random() * 100000) / 100,
+                    tags: ['alpha', 'beta', 'gamma'].slice(0, 1 + (i % 3)),
+                    active: i % 2 === 0,
+                    dimensions: { width: random(), height: random(), depth: random() }
+                });
+            }
+            return { document };
+        },
+        run(state, iteration) {
+            state.document.id = iteration;
+            const parsed = JSON.parse(JSON.stringify(state.document));
+            return parsed.items.length;
+        }
+    },
+
+    regex: {
+        description: 'Regular expression matching over log lines',
+        defaultSize: 500,
+        sizeUnit: 'lines',
+        setup(workerId, size) {
+            const random = createRandom(0x4E6E + workerId);
+            const methods = ['GET', 'POST', 'PUT', 'DELETE'];
+            const lines = [];
+            for (let i = 0; i < size; i++) {
+                const ip = [0, 0, 0, 0].map(() => Math.floor(random() * 256)).join('.');
+                const method = methods[Math.floor(random() * methods.length)];
+                const status = [200, 201, 301, 404, 500][Math.floor(random() * 5)];
+                lines.push(`${ip} - user${i}@example.com [2024-01-15T10:30:${String(i % 60).padStart(2, '0')}Z] "${method} /api/v1/items/${i} HTTP/1.1" ${status}`);
+            }
+            return {
+                text: lines.join('\n'),
+                pattern: /^(\d{1,3}(?:\.\d{1,3}){3}) - ([\w.+-]+@[\w-]+\.\w+) \[([^\]]+)\] "(GET|POST|PUT|DELETE) ([^ ]+) HTTP\/1\.1" (\d{3})$/gm
+            };
+        },
+        run(state) {
+            state.pattern.lastIndex = 0;
+            let matches = 0;
+            while (state.pattern.exec(state.text) !== null) {
+                matches++;
+            }
+            return matches;
+        }
+    },
+
+    matrix: {
+        description: 'Float64Array square matrix multiplication',
+        defaultSize: 64,
+        sizeUnit: 'rows',
+        setup(workerId, size) {
+            const random = createRandom(0x3A7 + workerId);
+            const a = new Float64Array(size * size);
+            const b = new Float64Array(size * size);
+            for (let i = 0; i < size * size; i++) {
+                a[i] = random();
+                b[i] = random();
+            }
+            return { size, a, b, c: new Float64Array(size * size) };
+        },
+        run(state) {
+            const { size, a, b, c } = state;
+            c.fill(0);
+            for (let i = 0; i < size; i++) {
+                for (let k = 0; k < size; k++) {
+                    const aik = a[i * size + k];
+                    for (let j = 0; j < size; j++) {
+                        c[i * size + j] += aik * b[k * size + j];
+                    }
+                }
+            }
+            // Use the trace as a checksum so the work cannot be optimized away
+            let trace = 0;
+            for (let i = 0; i < size; i++) {
+                trace += c[i * size + i];
+            }
+            return trace;
+        }
+    },
+
+    sort: {
+        description: 'Sorting pseudo-random numbers',
+        defaultSize: 10000,
+        sizeUnit: 'elements',
+        setup(workerId, size) {
+            const random = createRandom(0x5027 + workerId);
+            const source = new Float64Array(size);
+            for (let i = 0; i < source.length; i++) {
+                source[i] = random();
+            }
+            return { source, values: [] };
+        },
+        run(state) {
+            // Sort a plain array with a comparator, as application code typically does
+            state.values = Array.from(state.source);
+            state.values.sort((x, y) => x - y);
+            return state.values[state.values.length >> 1];
+        }
+    },
+
+    string: {
+        description: 'Building strings from many small pieces',
+        defaultSize: 2000,
+        sizeUnit: 'pieces',
+        setup(workerId, size) {
+            return { size };
+        },
+        run(state, iteration) {
+            let text = '';
+            for (let i = 0; i < state.size; i++) {
+                text += `<li id="row-${i}" data-iteration="${iteration}">${i * 7}</li>`;
+            }
+            const parts = [];
+            for (let i = 0; i < state.size; i++) {
+                parts.push(String.fromCharCode(97 + (i % 26)).repeat(1 + (i % 8)));
+            }
+            return text.length + parts.join(',').length;
+        }
+    }
+};
+
+const DEFAULT_WORKLOADS = ['fibonacci'];
+
+/**
+ * Gets the names of all registered workloads.
+ * @returns {string[]} Workload names in registry order.
+ */
+function getWorkloadNames() {
+    return Object.keys(WORKLOADS);
+}
+
+/**
+ * Formats a problem size of a workload with its unit, e.g. "65,536 bytes".
+ * @param {string} name The workload name or alias.
+ * @param {number|null} [size] The size; the workload's default size when omitted.
+ * @returns {string|null} The formatted size, or null for workloads without one (Fibonacci).
+ */
+function formatWorkloadSize(name, size) {
+    const workload = getWorkload(name);
+    const value = size !== undefined ? size : workload.defaultSize;
+    return value !== null ? `${value.toLocaleString('en-US')} ${workload.sizeUnit}` : null;
+}
+
+/**
+ * Maps a workload name or alias (e.g. "fib") to its registered name.
+ * @param {string} name The workload name or alias.
+ * @returns {string} The registered workload name.
+ * @throws {Error} If no workload with that name or alias is registered.
+ */
+function canonicalWorkloadName(name) {
+    if (Object.prototype.hasOwnProperty.call(WORKLOADS, name)) {
+        return name;
+    }
+    for (const workloadName of getWorkloadNames()) {
+        if ((WORKLOADS[workloadName].aliases || []).includes(name)) {
+            return workloadName;
+        }
+    }
+    throw new Error(`Unknown workload '${name}'. Available workloads: ${getWorkloadNames().join(', ')}`);
+}
+
+/**
+ * Looks up a workload by name or alias.
+ * @param {string} name The workload name.
+ * @returns {object} The workload definition.
+ * @throws {Error} If no workload with that name is registered.
+ */
+function getWorkload(name) {
+    return WORKLOADS[canonicalWorkloadName(name)];
+}
+
+/**
+ * Resolves a workload selection into a list of unique, registered workload names.
+ * Accepts an array or a comma-separated string; the special name "all" selects every workload.
+ * @param {string|string[]} selection The requested workloads.
+ * @returns {string[]} The resolved workload names.
+ * @throws {Error} If the selection is empty or names an unknown workload.
+ */
+function resolveWorkloads(selection) {
+    const requested = (Array.isArray(selection) ? selection : String(selection).split(','))
+        .map(name => String(name).trim())
+        .filter(name => name.length > 0);
+
+    if (requested.length === 0) {
+        throw new Error(`No workload selected. Available workloads: ${getWorkloadNames().join(', ')}`);
+    }
+
+    const names = [];
+    for (const name of requested) {
+        const expanded = name === 'all' ? getWorkloadNames() : [canonicalWorkloadName(name)];
+        for (const workloadName of expanded) {
+            if (!names.includes(workloadName)) {
+                names.push(workloadName);
+            }
+        }
+    }
+    return names;
+}
+
+/**
+ * Parses a fixed-work specification of the form `<workload>:[<size>x]<iterations>`,
+ * e.g. `fib:100000x50` (Fibonacci index 100000, 50 times per worker) or `sha256:2000`
+ * (2000 digests of the default buffer size per worker).
+ * @param {string|object} spec The specification string, or an already parsed object.
+ * @returns {{workload: string, size: number|null, iterations: number}} The parsed work.
+ * @throws {Error} If the specification is malformed or names an unknown workload.
+ */
+function parseWorkSpec(spec) {
+    if (spec !== null && typeof spec === 'object') {
+        return parseWorkSpec(`${spec.workload}:${spec.size !== undefined && spec.size !== null ? `${spec.size}x` : ''}${spec.iterations}`);
+    }
+
+    const match = /^([\w-]+):(?:(\d+)x)?(\d+)$/.exec(String(spec).trim());
+    if (!match) {
+        throw new Error(`Invalid work specification '${spec}'. Expected <workload>:[<size>x]<iterations>, e.g. fib:100000x50`);
+    }
+
+    const workload = canonicalWorkloadName(match[1]);
+    const size = match[2] !== undefined ? parseInt(match[2], 10) : WORKLOADS[workload].defaultSize;
+    const iterations = parseInt(match[3], 10);
+
+    if (iterations < 1) {
+        throw new Error(`Invalid work specification '${spec}': iterations must be at least 1`);
+    }
+    if (size !== null && size < 1) {
+        throw new Error(`Invalid work specification '${spec}': size must be at least 1`);
+    }
+
+    return { workload, size, iterations };
+}
+
+export {
+    WORKLOADS,
+    DEFAULT_WORKLOADS,
+    calculateFibonacci,
+    formatWorkloadSize,
+    getWorkload,
+    getWorkloadNames,
+    parseWorkSpec,
+    resolveWorkloads
+};
@@ -6,8 +6,13 @@
  */
 
 import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
 import fs from 'node:fs';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
 import path from 'node:path';
+import zlib from 'node:zlib';
 import { fileURLToPath } from 'node:url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -51,12 +56,13 @@ function logTest(name, status, details = '') {
 }
 
 // Helper function to run benchmark with options
-function runBenchmark(options = [], timeout = 10000) {
+function runBenchmark(options = [], timeout = 10000, env = {}) {
     return new Promise((resolve, reject) => {
         const args = [BENCHMARK_SCRIPT, ...options];
         const child = spawn('node', args, {
             stdio: ['pipe', 'pipe', 'pipe'],
-            timeout: timeout
+            timeout: timeout,
+            env: { ...process.env, ...env }
         });
 
         let stdout = '';
@@ -91,7 +97,8 @@ async function testHelpOption() {
         if (result.exitCode === 0 && 
             result.stdout.includes('Usage: node benchmark.js [options]') &&
             result.stdout.includes('--help') &&
-            result.stdout.includes('--duration')) {
+            result.stdout.includes('--duration') &&
+            result.stdout.includes('SHA-256 digests of a buffer through node:crypto (default size 65,536 bytes)')) {
             logTest('Help Option', 'PASS');
             testResults.passed++;
         } else {
@@ -378,8 +385,10 @@ async function testInvalidConfigFile() {
         
         const result = await runBenchmark(['-c', configFile, '-d', '1']);
         
-        if (result.exitCode === 0 && 
-            result.stdout.includes('Warning: Could not load config file')) {
+        // An unreadable config is an error naming the file, not a warning
+        if (result.exitCode === 1 && 
+            result.stderr.includes(`Could not load config file '${configFile}'`) &&
+            !result.stdout.includes('Starting Fibonacci benchmark')) {
             
             // Clean up
             fs.unlinkSync(configFile);
@@ -387,7 +396,7 @@ async function testInvalidConfigFile() {
             logTest('Invalid Config File Handling', 'PASS');
             testResults.passed++;
         } else {
-            logTest('Invalid Config File Handling', 'FAIL', 'Invalid config not handled gracefully');
+            logTest('Invalid Config File Handling', 'FAIL', 'Invalid config not reported');
             testResults.failed++;
         }
     } catch (error) {
@@ -396,6 +405,212 @@ async function testInvalidConfigFile() {
     }
 }
 
+async function testConfigValidation() {
+    testResults.total++;
+    const configFile = 'test-strict-config.json';
+    
+    try {
+        // Every invalid or unknown setting is reported with the file, the field and what was expected
+        fs.writeFileSync(configFile, JSON.stringify({ duration: '60s', runz: 2, upload: { retries: -1 } }));
+        const invalid = await runBenchmark(['-c', configFile]);
+        const invalidOption = await runBenchmark(['-d', 'abc']);
+        const invalidEnv = await runBenchmark(['-d', '1'], 10000, { FIBO_RUNS: 'three' });
+        
+        // Layers: config file < FIBO_* environment < command line
+        // Credentials (token, auth headers, URL userinfo) are never printed
+        fs.writeFileSync(configFile, JSON.stringify({
+            duration: 5, runs: 2, warmup: 1, labels: { team: 'infra' },
+            postUrl: 'https://user:pw@collector.example/results',
+            upload: { token: 't0ken', headers: { Authorization: 'Bearer s3cret', 'X-Site': 'edge-1' } }
+        }));
+        const printed = await runBenchmark(['-c', configFile, '-d', '7', '--label', 'site=a', '--print-config', '--json'], 10000, { FIBO_RUNS: '3', FIBO_WORKLOADS: 'sha256,json' });
+        const effective = JSON.parse(printed.stdout);
+        const table = await runBenchmark(['-c', configFile, '--print-config'], 10000);
+        
+        // Clean up
+        fs.unlinkSync(configFile);
+        
+        if (invalid.exitCode === 1 &&
+            invalid.stderr.includes(`Invalid config file '${configFile}'`) &&
+            invalid.stderr.includes('duration: expected a positive number, got "60s"') &&
+            invalid.stderr.includes("runz: unknown setting (did you mean 'runs'?)") &&
+            invalid.stderr.includes('upload.retries: expected an integer of at least 0, got -1') &&
+            invalidOption.exitCode === 1 &&
+            invalidOption.stderr.includes('Invalid value for -d: expected a positive number, got "abc"') &&
+            invalidEnv.exitCode === 1 &&
+            invalidEnv.stderr.includes('FIBO_RUNS: expected a positive integer, got "three"') &&
+            printed.exitCode === 0 &&
+            effective.values.duration === 7 && effective.sources.duration === 'command line --duration' &&
+            effective.values.runs === 3 && effective.sources.runs === 'environment FIBO_RUNS' &&
+            effective.values.warmup === 1 && effective.sources.warmup === `config file ${configFile}` &&
+            effective.values.workloads.join(',') === 'sha256,json' &&
+            effective.values.threads === 'max' && effective.sources.threads === 'default' &&
+            effective.sources['labels.team'] === `config file ${configFile}` &&
+            effective.sources['labels.site'] === 'command line --label' &&
+            effective.values.postUrl === 'https://collector.example/results' &&
+            effective.values.upload.token === '********' &&
+            effective.values.upload.headers.Authorization === '********' &&
+            effective.values.upload.headers['X-Site'] === 'edge-1' &&
+            table.exitCode === 0 && table.stdout.includes('edge-1') &&
+            !/s3cret|t0ken|user:pw/.test(printed.stdout + table.stdout)) {
+            logTest('Config Validation and Layers (--print-config)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Config Validation and Layers (--print-config)', 'FAIL', `Unexpected outcome: exit ${invalid.exitCode}/${invalidOption.exitCode}/${invalidEnv.exitCode}/${printed.exitCode}, ${invalid.stderr.trim()}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Config Validation and Layers (--print-config)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testScenarioSuite() {
+    testResults.total++;
+    const configFile = 'test-suite-config.json';
+    const outputFile = 'test-suite-output.json';
+    const singleFile = 'test-suite-single.json';
+    
+    try {
+        // Two scenarios from "matrix" after the listed one, all in one document
+        fs.writeFileSync(configFile, JSON.stringify({
+            duration: 1,
+            labels: { team: 'infra' },
+            scenarios: [{ name: 'one-thread', threads: 1, labels: { kind: 'single' } }],
+            matrix: { threads: [1, 2] }
+        }));
+        const suite = await runBenchmark(['-c', configFile, '-o', outputFile], 30000);
+        const suiteDoc = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+        const single = await runBenchmark(['-c', configFile, '--scenario', 'threads-2', '-o', singleFile], 15000);
+        const singleDoc = JSON.parse(fs.readFileSync(singleFile, 'utf8'));
+        const unknown = await runBenchmark(['-c', configFile, '--scenario', 'thread-2']);
+        
+        fs.writeFileSync(configFile, JSON.stringify({ scenarios: [{ name: 'threads-1' }], matrix: { threads: [1] } }));
+        const duplicate = await runBenchmark(['-c', configFile]);
+        
+        // A short name that shares nothing with the scenarios is not a typo of one
+        fs.writeFileSync(configFile, JSON.stringify({ scenarios: [{ name: 'a1' }] }));
+        const unrelated = await runBenchmark(['-c', configFile, '--scenario', 'zz']);
+        
+        // Clean up
+        [configFile, outputFile, singleFile].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+        
+        const oneThread = suiteDoc.scenarios && suiteDoc.scenarios['one-thread'];
+        if (suite.exitCode === 0 &&
+            suite.stdout.includes('Scenario 1/3: one-thread') &&
+            suite.stdout.includes('SUITE COMPLETED') &&
+            suiteDoc.suite.scenarios.join(',') === 'one-thread,threads-1,threads-2' &&
+            suiteDoc.suite.completedScenarios === 3 &&
+            oneThread.benchmarkInfo.scenario === 'one-thread' &&
+            oneThread.benchmarkInfo.labels.team === 'infra' &&
+            oneThread.benchmarkInfo.labels.kind === 'single' &&
+            oneThread.configuration.threads.join(',') === '1' &&
+            suiteDoc.scenarios['threads-2'].configuration.threads.join(',') === '2' &&
+            single.exitCode === 0 &&
+            !singleDoc.suite &&
+            singleDoc.benchmarkInfo.scenario === 'threads-2' &&
+            singleDoc.configuration.threads.join(',') === '2' &&
+            unknown.exitCode === 1 &&
+            unknown.stderr.includes("Unknown scenario 'thread-2' (did you mean 'threads-2'?)") &&
+            duplicate.exitCode === 1 &&
+            duplicate.stderr.includes("duplicate scenario name 'threads-1'") &&
+            unrelated.exitCode === 1 &&
+            unrelated.stderr.includes("Unknown scenario 'zz'") &&
+            !unrelated.stderr.includes('did you mean')) {
+            logTest('Scenario Suites (--scenario)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Scenario Suites (--scenario)', 'FAIL', `Unexpected outcome: exit ${suite.exitCode}/${single.exitCode}/${unknown.exitCode}/${duplicate.exitCode}/${unrelated.exitCode}, ${suite.stderr.trim()}${unknown.stderr.trim()}${duplicate.stderr.trim()}${unrelated.stderr.trim()}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        [configFile, outputFile, singleFile].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+        logTest('Scenario Suites (--scenario)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testSubcommands() {
+    testResults.total++;
+    const historyDir = 'test-history';
+    const configFile = 'test-validate-config.json';
+    
+    try {
+        // Help generated from the option definitions: the overview and per command
+        const overview = await runBenchmark(['--help']);
+        const compareHelp = await runBenchmark(['compare', '--help']);
+        const serveHelp = await runBenchmark(['help', 'serve']);
+        
+        // --option=value and aliases
+        fs.mkdirSync(historyDir, { recursive: true });
+        const run = await runBenchmark(['run', '--duration=1', '--threads=1', '--workloads=sha256', `--output=${historyDir}/first.json`, '--json']);
+        const results = JSON.parse(run.stdout);
+        
+        // Unknown commands and misplaced or malformed options are errors
+        const typo = await runBenchmark(['reprot', 'a.json']);
+        const misplaced = await runBenchmark(['serve', '-d', '1']);
+        const switchValue = await runBenchmark(['--json=yes']);
+        
+        fs.writeFileSync(configFile, JSON.stringify({ duration: 1, scenarios: [{ name: 'quick', runs: 2 }] }));
+        const valid = await runBenchmark(['validate-config', configFile, '--json']);
+        fs.writeFileSync(configFile, JSON.stringify({ durration: 1 }));
+        const invalid = await runBenchmark(['validate-config', configFile]);
+        
+        const info = await runBenchmark(['info', '--json']);
+        const history = await runBenchmark(['history', historyDir, '--json']);
+        const entries = JSON.parse(history.stdout);
+        
+        // Clean up
+        fs.rmSync(historyDir, { recursive: true, force: true });
+        fs.unlinkSync(configFile);
+        
+        const verdict = JSON.parse(valid.stdout);
+        if (overview.exitCode === 0 &&
+            overview.stdout.includes('       node benchmark.js <command> [options]') &&
+            overview.stdout.includes('validate-config') &&
+            overview.stdout.includes('Benchmark duration in seconds (default: 30)') &&
+            compareHelp.exitCode === 0 &&
+            compareHelp.stdout.includes('Usage: node benchmark.js compare <baseline.json> <current.json> [options]') &&
+            compareHelp.stdout.includes('--runtime <spec>') &&
+            !compareHelp.stdout.includes('--port') &&
+            serveHelp.exitCode === 0 &&
+            serveHelp.stdout.includes('--store <file>') &&
+            serveHelp.stdout.includes('default: results.jsonl') &&
+            run.exitCode === 0 &&
+            results.configuration.benchmarkDurationMs === 1000 &&
+            results.configuration.workloads.join(',') === 'sha256' &&
+            results.configuration.threads.join(',') === '1' &&
+            typo.exitCode === 1 &&
+            typo.stderr.includes("Unknown command 'reprot' (did you mean 'report'?)") &&
+            misplaced.exitCode === 1 &&
+            misplaced.stderr.includes("Option '-d' is not available for serve (it is an option of: run, compare)") &&
+            switchValue.exitCode === 1 &&
+            switchValue.stderr.includes('Option --json does not take a value') &&
+            valid.exitCode === 0 &&
+            verdict.valid === true && verdict.scenarios.join(',') === 'quick' &&
+            invalid.exitCode === 1 &&
+            invalid.stderr.includes("durration: unknown setting (did you mean 'duration'?)") &&
+            info.exitCode === 0 &&
+            typeof JSON.parse(info.stdout).hostname === 'string' &&
+            history.exitCode === 0 &&
+            entries.length === 1 &&
+            entries[0].averageScore === results.aggregatedResults.averageScore &&
+            entries[0].workloads.join(',') === 'sha256' &&
+            entries[0].changePercent === null) {
+            logTest('Subcommands (help, --option=value, validate-config, history)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Subcommands (help, --option=value, validate-config, history)', 'FAIL', `Unexpected outcome: exit ${overview.exitCode}/${run.exitCode}/${typo.exitCode}/${misplaced.exitCode}/${valid.exitCode}/${invalid.exitCode}/${history.exitCode}, ${run.stderr.trim().split('\n').pop()}${typo.stderr.trim()}${misplaced.stderr.trim()}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        fs.rmSync(historyDir, { recursive: true, force: true });
+        fs.rmSync(configFile, { force: true });
+        logTest('Subcommands (help, --option=value, validate-config, history)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
 async function testCombinedOptions() {
     testResults.total++;
     const outputFile = 'test-combined-output.json';
@@ -450,15 +665,20 @@ async function testDefaultBehavior() {
 async function testInvalidOptions() {
     testResults.total++;
     try {
-        const result = await runBenchmark(['--invalid-option'], 35000); // 35 second timeout for 30 second benchmark
+        const result = await runBenchmark(['--invalid-option']);
+        const typo = await runBenchmark(['--duraton', '5']);
         
-        // Should still run with defaults even with invalid options
-        if (result.exitCode === 0 && 
-            result.stdout.includes('Starting Fibonacci benchmark')) {
+        // Unknown options stop before running, suggesting the closest option, as usage errors
+        if (result.exitCode === 1 &&
+            result.stderr.includes("Unknown option '--invalid-option'") &&
+            !result.stdout.includes('Starting Fibonacci benchmark') &&
+            typo.exitCode === 1 &&
+            typo.stderr.includes("❌ Unknown option '--duraton' (did you mean '--duration'?)") &&
+            !typo.stderr.includes('Benchmark failed')) {
             logTest('Invalid Options Handling', 'PASS');
             testResults.passed++;
         } else {
-            logTest('Invalid Options Handling', 'FAIL', 'Invalid options not handled gracefully');
+            logTest('Invalid Options Handling', 'FAIL', `Invalid options not rejected: exit ${result.exitCode}/${typo.exitCode}, ${typo.stderr.trim()}`);
             testResults.failed++;
         }
     } catch (error) {
@@ -467,6 +687,1222 @@ async function testInvalidOptions() {
     }
 }
 
+async function testWorkloadOption() {
+    testResults.total++;
+    const outputFile = 'test-workload-output.json';
+    
+    try {
+        const result = await runBenchmark(['-w', 'sha256,json', '-d', '1', '-o', outputFile]);
+        
+        if (result.exitCode === 0 && 
+            result.stdout.includes('Workloads: sha256, json') &&
+            fs.existsSync(outputFile)) {
+            
+            const results = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+            
+            // Clean up
+            fs.unlinkSync(outputFile);
+            
+            // Statistics are per workload; the headline numbers do not pool unrelated kernels
+            const aggregated = results.aggregatedResults;
+            const workloads = aggregated.workloads;
+            if (workloads.sha256.averageScore > 0 &&
+                workloads.json.averageScore > 0 &&
+                workloads.sha256.statistics.overallScore.count === 1 &&
+                aggregated.averageScore > 0 &&
+                Object.keys(aggregated.statistics).length === 0 &&
+                aggregated.scoreConfidenceInterval95 === null && aggregated.medianScore === null &&
+                aggregated.outliers.iqr.length === 0 &&
+                results.individualRuns.map(run => run.workload).join(',') === 'sha256,json' &&
+                new Set(results.individualRuns.map(run => run.runId)).size === 2) {
+                logTest('Workload Option (-w)', 'PASS');
+                testResults.passed++;
+            } else {
+                logTest('Workload Option (-w)', 'FAIL', 'Per-workload scores missing');
+                testResults.failed++;
+            }
+        } else {
+            logTest('Workload Option (-w)', 'FAIL', 'Workloads not selected correctly');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Workload Option (-w)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testUnknownWorkload() {
+    testResults.total++;
+    try {
+        const result = await runBenchmark(['--workload', 'nope', '-d', '1']);
+        
+        if (result.exitCode !== 0 && 
+            result.stderr.includes("Unknown workload 'nope'")) {
+            logTest('Unknown Workload Handling', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Unknown Workload Handling', 'FAIL', 'Unknown workload not rejected');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Unknown Workload Handling', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testFixedWorkMode() {
+    testResults.total++;
+    const outputFile = 'test-fixed-work-output.json';
+    
+    try {
+        const result = await runBenchmark(['--work', 'fib:2000x20', '-o', outputFile]);
+        
+        if (result.exitCode === 0 && 
+            result.stdout.includes('fixed work: fibonacci') &&
+            fs.existsSync(outputFile)) {
+            
+            const results = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+            
+            // Clean up
+            fs.unlinkSync(outputFile);
+            
+            const run = results.individualRuns[0];
+            if (results.configuration.mode === 'fixed-work' &&
+                run.fixedWork.iterationsPerWorker === 20 &&
+                run.totalCalculations === 20 * run.cpuCores &&
+                run.fixedWork.workerCompletionTimesMs.length === run.cpuCores &&
+                run.fixedWork.completionSpreadMs >= 0) {
+                logTest('Fixed-Work Mode (--work)', 'PASS');
+                testResults.passed++;
+            } else {
+                logTest('Fixed-Work Mode (--work)', 'FAIL', 'Fixed-work timings missing or incorrect');
+                testResults.failed++;
+            }
+        } else {
+            logTest('Fixed-Work Mode (--work)', 'FAIL', 'Fixed-work mode not started');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Fixed-Work Mode (--work)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testProgressModes() {
+    testResults.total++;
+    const sharedFile = 'test-progress-shared.json';
+    const messageFile = 'test-progress-message.json';
+    
+    try {
+        const shared = await runBenchmark(['-d', '1', '-o', sharedFile]);
+        const message = await runBenchmark(['-d', '1', '--progress', 'message', '-o', messageFile]);
+        
+        if (shared.exitCode === 0 && message.exitCode === 0 &&
+            fs.existsSync(sharedFile) && fs.existsSync(messageFile)) {
+            
+            const sharedRun = JSON.parse(fs.readFileSync(sharedFile, 'utf8')).individualRuns[0];
+            const messageRun = JSON.parse(fs.readFileSync(messageFile, 'utf8')).individualRuns[0];
+            
+            // Clean up
+            fs.unlinkSync(sharedFile);
+            fs.unlinkSync(messageFile);
+            
+            // Shared counters: one final message per worker; message mode: one per iteration
+            if (sharedRun.progressReporting.mode === 'shared' &&
+                sharedRun.progressReporting.messagesReceived === sharedRun.cpuCores &&
+                sharedRun.totalCalculations > 0 &&
+                messageRun.progressReporting.mode === 'message' &&
+                messageRun.progressReporting.messagesReceived === messageRun.totalCalculations) {
+                logTest('Progress Reporting Modes (--progress)', 'PASS');
+                testResults.passed++;
+            } else {
+                logTest('Progress Reporting Modes (--progress)', 'FAIL', 'Unexpected message counts');
+                testResults.failed++;
+            }
+        } else {
+            logTest('Progress Reporting Modes (--progress)', 'FAIL', 'Benchmark runs failed');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Progress Reporting Modes (--progress)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testWarmupOption() {
+    testResults.total++;
+    const outputFile = 'test-warmup.json';
+    
+    try {
+        const result = await runBenchmark(['-d', '1', '--warmup', '1', '-o', outputFile]);
+        
+        if (result.exitCode === 0 && fs.existsSync(outputFile)) {
+            const results = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
+            const run = results.individualRuns[0];
+            
+            // Clean up
+            fs.unlinkSync(outputFile);
+            
+            // The warm-up is reported separately and not counted in the measured window
+            if (results.configuration.warmupMs === 1000 &&
+                run.warmup.configuredMs === 1000 &&
+                run.warmup.actualDurationMs >= 1000 &&
+                run.warmup.calculations > 0 &&
+                run.warmup.calculationsPerSecond > 0 &&
+                run.configuration.actualDurationMs < 1500 &&
+                run.totalCalculations === run.workerCalculations.reduce((sum, count) => sum + count, 0)) {
+                logTest('Warm-Up Phase (--warmup)', 'PASS');
+                testResults.passed++;
+            } else {
+                logTest('Warm-Up Phase (--warmup)', 'FAIL', 'Warm-up not reported separately');
+                testResults.failed++;
+            }
+        } else {
+            logTest('Warm-Up Phase (--warmup)', 'FAIL', 'Benchmark run failed');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Warm-Up Phase (--warmup)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testThreadsSweep() {
+    testResults.total++;
+    try {
+        const sweep = await runBenchmark(['-d', '1', '-t', '1,2', '--json']);
+        const invalid = await runBenchmark(['-d', '1', '-t', '0']);
+        const results = JSON.parse(sweep.stdout);
+        const scaling = results.aggregatedResults.scaling.workloads.fibonacci;
+        
+        // Each run measures one and two threads; efficiency is relative to the single-thread pass
+        if (sweep.exitCode === 0 &&
+            results.individualRuns.map(run => run.threads).join(',') === '1,2' &&
+            results.individualRuns[1].workerCalculations.length === 2 &&
+            results.individualRuns[0].performanceMetrics.parallelEfficiency === 100 &&
+            results.individualRuns[1].performanceMetrics.parallelEfficiency > 0 &&
+            scaling.threads.length === 2 &&
+            scaling.threads[0].speedup === 1 &&
+            Math.abs(scaling.threads[1].parallelEfficiencyPercent - scaling.threads[1].speedup / 2 * 100) < 1 &&
+            scaling.singleCoreScore > 0 && scaling.multiCoreScore > 0 &&
+            results.aggregatedResults.statistics.overallScore.count === 1 &&
+            !('coreEfficiency' in results.individualRuns[0].performanceMetrics) &&
+            sweep.stderr.includes('Scaling') &&
+            invalid.exitCode !== 0 && invalid.stderr.includes('Invalid value for -t: expected a thread count')) {
+            logTest('Thread Count Sweep (--threads)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Thread Count Sweep (--threads)', 'FAIL', 'Unexpected scaling results');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Thread Count Sweep (--threads)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testCgroupDetection() {
+    testResults.total++;
+    const fakeRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fibo-cgroups-'));
+    const writeFile = (file, contents) => {
+        fs.mkdirSync(path.dirname(path.join(fakeRoot, file)), { recursive: true });
+        fs.writeFileSync(path.join(fakeRoot, file), contents);
+    };
+    
+    try {
+        const { detectCgroupLimits, effectiveCpuCount } = await import('./lib/cgroups.js');
+        const { getSystemInfo } = await import('./benchmark.js');
+        
+        // cgroup v2 pod: quota on the pod, no limit on the parent
+        writeFile('v2/cgroup.controllers', 'cpuset cpu memory');
+        writeFile('v2/kubepods/cpu.max', 'max 100000');
+        writeFile('v2/kubepods/pod1/cpu.max', '150000 100000');
+        writeFile('v2/kubepods/pod1/cpuset.cpus.effective', '0-3');
+        writeFile('v2/kubepods/pod1/memory.max', '536870912');
+        writeFile('v2.cgroup', '0::/kubepods/pod1\n');
+        const v2Options = { cgroupRoot: path.join(fakeRoot, 'v2'), procSelfCgroup: path.join(fakeRoot, 'v2.cgroup') };
+        const v2 = detectCgroupLimits(v2Options);
+        
+        // cgroup v1 container inside a cgroup namespace: its group path is not below the mounts
+        writeFile('v1/cpu,cpuacct/cpu.cfs_quota_us', '200000');
+        writeFile('v1/cpu,cpuacct/cpu.cfs_period_us', '100000');
+        writeFile('v1/cpuset/cpuset.cpus', '0-1,4');
+        writeFile('v1/memory/memory.limit_in_bytes', '9223372036854771712');
+        writeFile('v1.cgroup', '4:cpu,cpuacct:/docker/abc\n3:cpuset:/docker/abc\n2:memory:/docker/abc\n');
+        const v1 = detectCgroupLimits({ cgroupRoot: path.join(fakeRoot, 'v1'), procSelfCgroup: path.join(fakeRoot, 'v1.cgroup') });
+        
+        const none = detectCgroupLimits({ cgroupRoot: path.join(fakeRoot, 'missing'), procSelfCgroup: path.join(fakeRoot, 'missing.cgroup') });
+        const systemInfo = getSystemInfo(v2Options);
+        
+        if (v2.version === 2 && v2.cpuQuota === 1.5 && v2.cpusetCpus === 4 && v2.memoryLimitBytes === 536870912 &&
+            v1.version === 1 && v1.cpuQuota === 2 && v1.cpusetCpus === 3 && v1.memoryLimitBytes === null &&
+            none.version === null && none.cpuQuota === null &&
+            effectiveCpuCount(16, v2, 16) === 2 && effectiveCpuCount(16, v1, 16) === 2 && effectiveCpuCount(4, none, null) === 4 &&
+            systemInfo.cpu.hostCores === os.cpus().length &&
+            systemInfo.cpu.cores === Math.min(2, systemInfo.cpu.hostCores) &&
+            systemInfo.ram === '0.50 GB' && systemInfo.memory.hostBytes === os.totalmem()) {
+            logTest('Cgroup-Aware CPU and Memory Detection', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Cgroup-Aware CPU and Memory Detection', 'FAIL', `Unexpected limits: ${JSON.stringify({ v2, v1, none })}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Cgroup-Aware CPU and Memory Detection', 'FAIL', error.message);
+        testResults.failed++;
+    } finally {
+        fs.rmSync(fakeRoot, { recursive: true, force: true });
+    }
+}
+
+async function testHardwareFingerprint() {
+    testResults.total++;
+    const fakeRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'fibo-hardware-'));
+    const writeFile = (file, contents) => {
+        fs.mkdirSync(path.dirname(path.join(fakeRoot, file)), { recursive: true });
+        fs.writeFileSync(path.join(fakeRoot, file), contents);
+    };
+    
+    try {
+        const { collectHardwareInfo } = await import('./lib/hardware.js');
+        
+        // Two sockets with two cores each and two SMT threads per core, on a KVM guest in Kubernetes
+        const cpuInfo = [];
+        for (let cpu = 0; cpu < 8; cpu++) {
+            const socket = Math.floor(cpu / 4);
+            const core = Math.floor(cpu / 2) % 2;
+            cpuInfo.push(`processor\t: ${cpu}\nvendor_id\t: AuthenticAMD\ncpu family\t: 25\nmodel\t\t: 1\nmodel name\t: AMD EPYC 7763 64-Core Processor\nstepping\t: 1\ncpu MHz\t\t: 2445.404\nphysical id\t: ${socket}\ncore id\t\t: ${core}\nflags\t\t: fpu sse2 hypervisor\n`);
+            writeFile(`sys/devices/system/cpu/cpu${cpu}/topology/physical_package_id`, `${socket}\n`);
+            writeFile(`sys/devices/system/cpu/cpu${cpu}/topology/core_id`, `${core}\n`);
+            writeFile(`sys/devices/system/cpu/cpu${cpu}/cpufreq/scaling_cur_freq`, '3000000\n');
+        }
+        writeFile('proc/cpuinfo', cpuInfo.join('\n'));
+        writeFile('proc/1/cgroup', '0::/kubepods/burstable/pod1/abc\n');
+        writeFile('sys/devices/system/cpu/cpu0/cpufreq/cpuinfo_max_freq', '3500000\n');
+        writeFile('sys/devices/system/cpu/cpu0/cpufreq/scaling_governor', 'performance\n');
+        [['1', 'Data', '32K'], ['1', 'Instruction', '32K'], ['2', 'Unified', '512K'], ['3', 'Unified', '32768K']].forEach(([level, type, size], index) => {
+            writeFile(`sys/devices/system/cpu/cpu0/cache/index${index}/level`, `${level}\n`);
+            writeFile(`sys/devices/system/cpu/cpu0/cache/index${index}/type`, `${type}\n`);
+            writeFile(`sys/devices/system/cpu/cpu0/cache/index${index}/size`, `${size}\n`);
+        });
+        writeFile('sys/devices/system/node/node0/cpulist', '0-3\n');
+        writeFile('sys/devices/system/node/node1/cpulist', '4-7\n');
+        writeFile('sys/class/dmi/id/sys_vendor', 'QEMU\n');
+        fs.mkdirSync(path.join(fakeRoot, 'root'));
+        
+        const hardware = collectHardwareInfo({ procRoot: path.join(fakeRoot, 'proc'), sysRoot: path.join(fakeRoot, 'sys'), rootDir: path.join(fakeRoot, 'root') });
+        const info = await runBenchmark(['--info', '--json']);
+        const text = await runBenchmark(['--info']);
+        const systemInfo = JSON.parse(info.stdout);
+        
+        if (hardware.cpu.vendor === 'AuthenticAMD' && hardware.cpu.family === 25 && hardware.cpu.stepping === 1 &&
+            hardware.cpu.sockets === 2 && hardware.cpu.physicalCores === 4 && hardware.cpu.logicalProcessors === 8 && hardware.cpu.threadsPerCore === 2 &&
+            hardware.cpu.maxMHz === 3500 && hardware.cpu.currentMHz === 3000 && hardware.governor === 'performance' &&
+            hardware.cpu.caches.L1d === 32768 && hardware.cpu.caches.L3 === 32 * 1024 * 1024 &&
+            hardware.numaNodes.map(node => node.cpus).join() === '4,4' &&
+            hardware.virtualization.hypervisor === 'QEMU' && hardware.virtualization.container === 'kubernetes' &&
+            info.exitCode === 0 && systemInfo.hardware.kernel.release === os.release() && systemInfo.hardware.loadAverage.length === 3 &&
+            text.exitCode === 0 && text.stdout.includes('System Fingerprint') && !text.stdout.includes('Starting Fibonacci benchmark')) {
+            logTest('Hardware Fingerprint (--info)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Hardware Fingerprint (--info)', 'FAIL', `Unexpected fingerprint: ${JSON.stringify(hardware)}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Hardware Fingerprint (--info)', 'FAIL', error.message);
+        testResults.failed++;
+    } finally {
+        fs.rmSync(fakeRoot, { recursive: true, force: true });
+    }
+}
+
+async function testRuntimeIdentity() {
+    testResults.total++;
+    const savedEnv = { NODE_OPTIONS: process.env.NODE_OPTIONS, UV_THREADPOOL_SIZE: process.env.UV_THREADPOOL_SIZE };
+    
+    try {
+        const { hashEnvironment } = await import('./lib/environment.js');
+        
+        // The child process inherits these
+        process.env.NODE_OPTIONS = '--max-old-space-size=512';
+        process.env.UV_THREADPOOL_SIZE = '8';
+        const result = await runBenchmark(['-d', '1', '--json']);
+        const { environment } = JSON.parse(result.stdout);
+        
+        // Arguments and key order do not change the hash; an environment variable does
+        const sameSetup = { ...environment, argv: ['-d', '60'], variables: { UV_THREADPOOL_SIZE: '8', NODE_OPTIONS: '--max-old-space-size=512' } };
+        const otherSetup = { ...environment, variables: { ...environment.variables, UV_THREADPOOL_SIZE: '4' } };
+        const machine = { cpuModel: 'Test CPU', cpuCores: 4, totalRAM: '8.00 GB' };
+        
+        if (result.exitCode === 0 &&
+            environment.runtime.name === 'node' &&
+            environment.runtime.version === process.versions.node &&
+            environment.runtime.engine === 'V8' &&
+            environment.runtime.engineVersion === process.versions.v8 &&
+            environment.platform === process.platform && environment.arch === process.arch &&
+            environment.argv.join(' ') === '-d 1 --json' &&
+            environment.variables.NODE_OPTIONS === '--max-old-space-size=512' &&
+            environment.variables.UV_THREADPOOL_SIZE === '8' &&
+            /^[0-9a-f]{16}$/.test(environment.hash) &&
+            hashEnvironment(environment, machine) === hashEnvironment(sameSetup, machine) &&
+            hashEnvironment(environment, machine) !== hashEnvironment(otherSetup, machine) &&
+            result.stderr.includes(`Environment Hash: ${environment.hash}`)) {
+            logTest('Runtime Identity and Environment Hash', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Runtime Identity and Environment Hash', 'FAIL', `Unexpected environment: ${JSON.stringify(environment)}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Runtime Identity and Environment Hash', 'FAIL', error.message);
+        testResults.failed++;
+    } finally {
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    }
+}
+
+async function testRuntimeAdapter() {
+    testResults.total++;
+    
+    try {
+        const { createRuntimeAdapter } = await import('./lib/adapter.js');
+        
+        // Deno: native APIs win over the node: compat module
+        const fakeOs = { cpus: () => [], totalmem: () => 1024, freemem: () => 512, hostname: () => 'compat-host', availableParallelism: undefined };
+        const deno = createRuntimeAdapter({
+            runtime: 'deno',
+            os: fakeOs,
+            deno: {
+                systemMemoryInfo: () => ({ total: 8 * 1024 ** 3, available: 2 * 1024 ** 3 }),
+                hostname: () => 'deno-host',
+                memoryUsage: () => ({ rss: 100, heapUsed: 50, heapTotal: 80, external: 10 })
+            },
+            navigator: { hardwareConcurrency: 6 },
+            readFile: () => null,
+            runCommand: () => null
+        });
+        
+        // Node without os.cpus(): files and commands, never NODE_OPTIONS
+        const files = { '/sys/devices/system/cpu/online': null, '/proc/cpuinfo': 'processor\t: 0\nprocessor\t: 1\nmodel name\t: Test CPU\n' };
+        const fallback = createRuntimeAdapter({
+            runtime: 'node',
+            os: { ...fakeOs, hostname: () => { throw new Error('no hostname'); } },
+            deno: null,
+            navigator: null,
+            readFile: file => files[file] !== undefined ? files[file] : null,
+            runCommand: command => command === 'hostname' ? 'cmd-host\n' : null
+        });
+        const empty = createRuntimeAdapter({ runtime: 'node', os: { ...fakeOs, totalmem: () => 0 }, readFile: () => null, runCommand: () => null });
+        
+        const result = await runBenchmark(['--info', '--json']);
+        const info = JSON.parse(result.stdout);
+        
+        const same = (probe, value, method) => JSON.stringify(probe) === JSON.stringify({ value, method });
+        if (same(deno.cpuCount(), 6, 'navigator.hardwareConcurrency') &&
+            same(deno.totalMemory(), 8 * 1024 ** 3, 'Deno.systemMemoryInfo') &&
+            same(deno.freeMemory(), 2 * 1024 ** 3, 'Deno.systemMemoryInfo') &&
+            same(deno.hostname(), 'deno-host', 'Deno.hostname') &&
+            deno.processMemory().method === 'Deno.memoryUsage' &&
+            same(fallback.cpuCount(), 2, '/proc/cpuinfo') &&
+            same(fallback.cpuModel(), 'Test CPU', '/proc/cpuinfo') &&
+            same(fallback.totalMemory(), 1024, 'os.totalmem()') &&
+            same(fallback.hostname(), 'cmd-host', 'hostname') &&
+            same(empty.cpuCount(), 1, 'default') &&
+            empty.totalMemory().method === 'default' &&
+            result.exitCode === 0 &&
+            info.probes.runtime === 'node' &&
+            info.probes.cpuCount === 'os.cpus()' &&
+            info.probes.processMemory === 'process.memoryUsage()') {
+            logTest('Runtime Adapter Probes', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Runtime Adapter Probes', 'FAIL', `Unexpected probes: ${JSON.stringify(info.probes)}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Runtime Adapter Probes', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testNodePrefixedImports() {
+    testResults.total++;
+    
+    try {
+        // Deno only loads Node built-ins as node:<name>, so no module may import them bare
+        const { builtinModules } = await import('node:module');
+        const files = ['benchmark.js', ...fs.readdirSync(path.join(__dirname, 'lib')).filter(name => name.endsWith('.js')).map(name => path.join('lib', name))];
+        const bare = [];
+        for (const file of files) {
+            const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+            for (const match of source.matchAll(/(?:\bfrom\s+|\bimport\s*\(\s*|^import\s+)['"]([^'"]+)['"]/gm)) {
+                if (builtinModules.includes(match[1])) {
+                    bare.push(`${file}: '${match[1]}'`);
+                }
+            }
+        }
+        
+        if (files.length > 1 && bare.length === 0) {
+            logTest('node: Prefixed Built-in Imports', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('node: Prefixed Built-in Imports', 'FAIL', `Built-ins imported without node: ${bare.join(', ')}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('node: Prefixed Built-in Imports', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testGcTelemetry() {
+    testResults.total++;
+    
+    try {
+        const { mergeGcSummaries } = await import('./lib/telemetry.js');
+        
+        // Every worker reports GC and heap statistics, in both progress modes; warm-up GC is counted apart
+        const shared = await runBenchmark(['-d', '1', '--warmup', '1', '-t', '2', '-w', 'fibonacci', '--json']);
+        const message = await runBenchmark(['-d', '1', '--warmup', '1', '-t', '2', '-w', 'fibonacci', '--progress', 'message', '--json']);
+        const runs = [shared, message].map(result => JSON.parse(result.stdout).individualRuns[0]);
+        
+        const merged = mergeGcSummaries([
+            { supported: true, count: 2, totalPauseMs: 1.5, maxPauseMs: 1, kinds: { minor: { count: 2, totalPauseMs: 1.5 } } },
+            { supported: true, count: 1, totalPauseMs: 3, maxPauseMs: 3, kinds: { major: { count: 1, totalPauseMs: 3 } } },
+            null
+        ]);
+        
+        const valid = run => run.gc.supported &&
+            run.gc.count > 0 &&
+            run.gc.maxPauseMs <= run.gc.totalPauseMs &&
+            Object.values(run.gc.kinds).reduce((sum, kind) => sum + kind.count, 0) === run.gc.count &&
+            run.gc.workers.length === 2 && run.gc.workers.every(worker => worker && worker.supported) &&
+            run.warmup.gc.supported && run.warmup.gc.count > 0 &&
+            run.memoryUsage.workerHeaps.length === 2 &&
+            run.memoryUsage.workerHeaps.every(heap => heap && heap.usedHeapSizeBytes > 0 && heap.heapSizeLimitBytes > heap.usedHeapSizeBytes) &&
+            typeof run.memoryUsage.peakBytes.rss === 'number' && typeof run.memoryUsage.peak.rss === 'string' &&
+            run.totalCalculations === run.workerCalculations.reduce((sum, count) => sum + count, 0);
+        
+        if (shared.exitCode === 0 && message.exitCode === 0 &&
+            runs.every(valid) &&
+            shared.stderr.includes('GC: ') && shared.stderr.includes('Worker Heaps: ') &&
+            merged.count === 3 && merged.totalPauseMs === 4.5 && merged.maxPauseMs === 3 &&
+            merged.kinds.minor.count === 2 && merged.kinds.major.count === 1) {
+            logTest('GC and Heap Telemetry', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('GC and Heap Telemetry', 'FAIL', `Unexpected telemetry: ${JSON.stringify(runs.map(run => ({ gc: run.gc, warmupGc: run.warmup.gc, heaps: run.memoryUsage.workerHeaps })))}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('GC and Heap Telemetry', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testMemoryLimits() {
+    testResults.total++;
+    
+    try {
+        // Sorting a million numbers needs more than a 32 MB worker heap
+        const heap = await runBenchmark(['--work', 'sort:1000000x20', '-t', '1', '--max-worker-heap', '32', '--json']);
+        // Any worker pushes the process RSS past 40 MB; the RSS check runs every second, and -r leaves the worker heaps alone
+        const rss = await runBenchmark(['-d', '5', '-t', '1', '-r', '40', '--json']);
+        const heapResults = JSON.parse(heap.stdout);
+        const rssResults = JSON.parse(rss.stdout);
+        const heapHit = heapResults.benchmarkInfo.limitExceeded;
+        const rssHit = rssResults.benchmarkInfo.limitExceeded;
+        const rssPartial = rssResults.partialRuns[0];
+        
+        if (heap.exitCode === 0 && rss.exitCode === 0 &&
+            heapResults.benchmarkInfo.stopReason === 'WORKER_HEAP_LIMIT' &&
+            heapHit.limit === 'worker-heap' && heapHit.workerId === 0 && heapHit.limitMB === 32 &&
+            heapHit.elapsedMs > 0 && !isNaN(Date.parse(heapHit.timestamp)) &&
+            heapResults.individualRuns.length === 0 &&
+            (heapHit.phase !== 'measured' || heapResults.partialRuns[0].configuration.workerHeapLimitEnforced === true) &&
+            heap.stderr.includes('Worker 0 reached its heap limit of 32 MB') &&
+            rssResults.benchmarkInfo.stopReason === 'RAM_LIMIT_EXCEEDED' &&
+            rssHit.limit === 'process-rss' && rssHit.workerId === null && rssHit.rssBytes > 40 * 1024 * 1024 &&
+            rssHit.phase === 'measured' && rssHit.measuredMs > 0 &&
+            rssPartial.partial === true && rssPartial.stopReason === 'RAM_LIMIT_EXCEEDED' &&
+            rssPartial.totalCalculations > 0 &&
+            rssPartial.configuration.workerHeapLimitMB === null &&
+            rssResults.individualRuns.length === 0) {
+            logTest('Memory Limits and Partial Results', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Memory Limits and Partial Results', 'FAIL', `Unexpected limit records: ${JSON.stringify([heapHit, rssHit])}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Memory Limits and Partial Results', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+/**
+ * Runs the benchmark and sends signals once a line of its progress output appears.
+ * @param {string[]} options Benchmark arguments.
+ * @param {string} trigger Text in the progress output (stderr) to wait for.
+ * @param {Array<{delay: number, signal: string}>} signals Signals to send, delays relative to the trigger.
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null}>} The outcome.
+ */
+function runBenchmarkWithSignals(options, trigger, signals) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('node', [BENCHMARK_SCRIPT, ...options], {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            timeout: TEST_TIMEOUT
+        });
+        let stdout = '';
+        let stderr = '';
+        let triggered = false;
+        child.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+            if (!triggered && stderr.includes(trigger)) {
+                triggered = true;
+                for (const { delay, signal } of signals) {
+                    setTimeout(() => child.kill(signal), delay);
+                }
+            }
+        });
+        child.on('close', (code) => resolve({ stdout, stderr, exitCode: code }));
+        child.on('error', reject);
+    });
+}
+
+function runWithHangingUpload(options, trigger) {
+    const configFile = 'test-hanging-upload-config.json';
+    return new Promise((resolve, reject) => {
+        let child = null;
+        let uploadStarted = false;
+        // Accepts the upload but never answers it
+        const server = http.createServer(() => {
+            uploadStarted = true;
+            child.kill('SIGINT');
+        });
+        server.listen(0, '127.0.0.1', () => {
+            fs.writeFileSync(configFile, JSON.stringify({ duration: 3, postUrl: `http://127.0.0.1:${server.address().port}/results` }));
+            child = spawn('node', [BENCHMARK_SCRIPT, ...options, '-c', configFile], {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                timeout: TEST_TIMEOUT
+            });
+            let stdout = '';
+            let stderr = '';
+            let triggered = false;
+            child.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+            child.stderr.on('data', (data) => {
+                stderr += data.toString();
+                if (!triggered && stderr.includes(trigger)) {
+                    triggered = true;
+                    setTimeout(() => child.kill('SIGINT'), 300);
+                }
+            });
+            child.on('close', (code) => {
+                fs.unlinkSync(configFile);
+                server.closeAllConnections();
+                server.close();
+                resolve({ stdout, stderr, exitCode: code, uploadStarted });
+            });
+            child.on('error', reject);
+        });
+    });
+}
+
+async function testGracefulInterruption() {
+    testResults.total++;
+    const outputFile = 'test-interrupted.json';
+    
+    try {
+        // SIGTERM one second into run 2 of 3: run 1 is kept, run 2 becomes a partial run
+        const interrupted = await runBenchmarkWithSignals(['-n', '3', '-d', '3', '-t', '1', '-o', outputFile, '--json'], 'Starting run 2/3', [{ delay: 1000, signal: 'SIGTERM' }]);
+        // SIGTERM during the warm-up: the run is kept as an empty partial run of its phase
+        const early = await runBenchmarkWithSignals(['-n', '2', '-d', '1', '-t', '1', '--warmup', '5', '--json'], 'Warming up', [{ delay: 500, signal: 'SIGTERM' }]);
+        // SIGINT stops the run; a second SIGINT while the results upload hangs exits at once
+        const forced = await runWithHangingUpload(['-n', '3', '-t', '1', '--json'], 'Starting run 1/3');
+        
+        const saved = fs.existsSync(outputFile) ? JSON.parse(fs.readFileSync(outputFile, 'utf8')) : null;
+        if (saved) {
+            fs.unlinkSync(outputFile);
+        }
+        const results = JSON.parse(interrupted.stdout);
+        const partial = results.partialRuns[0];
+        const earlyResults = JSON.parse(early.stdout);
+        const earlyPartial = earlyResults.partialRuns[0];
+        
+        if (interrupted.exitCode === 128 + os.constants.signals.SIGTERM &&
+            results.benchmarkInfo.stopReason === 'INTERRUPTED' &&
+            results.benchmarkInfo.interruptedBy === 'SIGTERM' &&
+            results.benchmarkInfo.completedRuns === 1 &&
+            results.individualRuns.length === 1 &&
+            results.aggregatedResults.totalCalculations === results.individualRuns[0].totalCalculations &&
+            partial && partial.runNumber === 2 && partial.partial === true && partial.stopReason === 'INTERRUPTED' &&
+            partial.configuration.actualDurationMs > 0 && partial.configuration.actualDurationMs < 3000 && partial.stopPhase === 'measured' &&
+            earlyResults.benchmarkInfo.stopReason === 'INTERRUPTED' && earlyResults.benchmarkInfo.completedRuns === 0 &&
+            earlyPartial && earlyPartial.runNumber === 1 && earlyPartial.stopReason === 'INTERRUPTED' && earlyPartial.stopPhase === 'warmup' &&
+            earlyPartial.configuration.actualDurationMs === 0 && earlyPartial.totalCalculations === 0 &&
+            saved && saved.benchmarkInfo.stopReason === 'INTERRUPTED' && saved.partialRuns.length === 1 &&
+            interrupted.stderr.includes('BENCHMARK INTERRUPTED') &&
+            forced.exitCode === 128 + os.constants.signals.SIGINT &&
+            forced.uploadStarted &&
+            forced.stderr.includes('exiting immediately')) {
+            logTest('Graceful Interruption (SIGINT/SIGTERM)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Graceful Interruption (SIGINT/SIGTERM)', 'FAIL', `Unexpected outcome: exit ${interrupted.exitCode}/${forced.exitCode}, ${JSON.stringify(results.benchmarkInfo)}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Graceful Interruption (SIGINT/SIGTERM)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testResultUpload() {
+    testResults.total++;
+    const spoolDir = 'test-upload-spool';
+    const requests = [];
+    let flakyFailures = 0;
+    // Collector stand-in: /flaky fails twice, /hang never answers, everything else is accepted
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            const body = req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw) : raw;
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body.toString('utf8')) });
+            if (req.url === '/hang') {
+                return;
+            }
+            if (req.url === '/flaky' && flakyFailures < 2) {
+                flakyFailures++;
+                res.writeHead(503);
+                res.end();
+                return;
+            }
+            res.writeHead(201);
+            res.end('{}');
+        });
+    });
+    
+    try {
+        const { uploadResults } = await import('./lib/upload.js');
+        const silentLogger = { log() {}, warn() {}, error() {} };
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const document = { benchmarkInfo: { completedRuns: 1 } };
+        
+        const retried = await uploadResults(document, `${base}/flaky`, { retries: 3, backoffMs: 10, gzip: true, token: 'secret', headers: { 'X-Site': 'edge-1' } }, silentLogger);
+        const accepted = requests[requests.length - 1];
+        const proxied = await uploadResults(document, 'http://collector.invalid/results', { retries: 0, proxy: base }, silentLogger);
+        const proxiedRequest = requests[requests.length - 1];
+        const spooled = await uploadResults(document, `${base}/hang`, { retries: 1, timeoutMs: 200, backoffMs: 10, spoolDir }, silentLogger);
+        const spoolFiles = fs.existsSync(spoolDir) ? fs.readdirSync(spoolDir) : [];
+        
+        // flush resends the spooled document, with the token from the environment
+        process.env.FIBO_UPLOAD_TOKEN = 'from-env';
+        const flush = await runBenchmark(['flush', spoolDir, '--post-url', `${base}/ok`, '--json']);
+        delete process.env.FIBO_UPLOAD_TOKEN;
+        const flushed = requests[requests.length - 1];
+        const flushSummary = JSON.parse(flush.stdout);
+        const spoolLeft = fs.readdirSync(spoolDir);
+        fs.rmSync(spoolDir, { recursive: true, force: true });
+        
+        if (retried.ok && retried.attempts === 3 && retried.statusCode === 201 &&
+            accepted.headers.authorization === 'Bearer secret' &&
+            accepted.headers['x-site'] === 'edge-1' &&
+            accepted.headers['content-encoding'] === 'gzip' &&
+            accepted.body.benchmarkInfo.completedRuns === 1 &&
+            proxied.ok && proxiedRequest.url === 'http://collector.invalid/results' &&
+            !spooled.ok && spooled.attempts === 2 && spooled.error.includes('timed out') &&
+            spoolFiles.length === 1 && spooled.spooledTo === path.join(spoolDir, spoolFiles[0]) &&
+            flush.exitCode === 0 && flushSummary.sent === 1 && flushSummary.remaining === 0 &&
+            flushed.url === '/ok' && flushed.headers.authorization === 'Bearer from-env' &&
+            flushed.body.benchmarkInfo.completedRuns === 1 &&
+            spoolLeft.length === 0) {
+            logTest('Result Upload (retries, auth, gzip, proxy, spool, flush)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Result Upload (retries, auth, gzip, proxy, spool, flush)', 'FAIL', `Unexpected outcome: ${JSON.stringify({ retried, proxied, spooled, flush: flushSummary })}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Result Upload (retries, auth, gzip, proxy, spool, flush)', 'FAIL', error.message);
+        testResults.failed++;
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+}
+
+async function testResultSigning() {
+    testResults.total++;
+    const privateKeyFile = 'test-signing.pem';
+    const publicKeyFile = 'test-signing.pub.pem';
+    const signedFile = 'test-signed.json';
+    const hmacFile = 'test-signed-hmac.json';
+    
+    try {
+        const { formatSignatureHeader, parseSignatureHeader, parseSigningKey, signResults, verifyResults } = await import('./lib/signing.js');
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+        fs.writeFileSync(privateKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+        fs.writeFileSync(publicKeyFile, publicKey.export({ type: 'spki', format: 'pem' }));
+        
+        // ed25519: sign a run with the private key, verify with the public key, then tamper
+        const run = await runBenchmark(['-d', '1', '-t', '1', '-o', signedFile, '--key', privateKeyFile, '--json']);
+        const signed = JSON.parse(fs.readFileSync(signedFile, 'utf8'));
+        const verified = await runBenchmark(['verify', signedFile, '--key', publicKeyFile, '--json']);
+        signed.aggregatedResults.averageScore += 1;
+        fs.writeFileSync(signedFile, JSON.stringify(signed));
+        const tampered = await runBenchmark(['verify', signedFile, '--key', publicKeyFile, '--json']);
+        
+        // HMAC: the secret comes from the environment; another secret is told apart from tampering
+        const secret = 'a-shared-collector-secret';
+        const hmacDocument = { ...signed };
+        hmacDocument.signature = signResults(hmacDocument, parseSigningKey(secret));
+        fs.writeFileSync(hmacFile, JSON.stringify(hmacDocument, null, 4));
+        process.env.FIBO_SIGNING_KEY = secret;
+        const hmacVerified = await runBenchmark(['verify', hmacFile, '--json']);
+        process.env.FIBO_SIGNING_KEY = 'another-shared-secret-value';
+        const otherKey = await runBenchmark(['verify', hmacFile, '--json']);
+        delete process.env.FIBO_SIGNING_KEY;
+        
+        // Header form: the body without the signature verifies against the parsed header
+        const { signature, ...body } = hmacDocument;
+        const headerSignature = parseSignatureHeader(formatSignatureHeader(signature));
+        let weakKeyRejected = false;
+        try {
+            parseSigningKey('short');
+        } catch (error) {
+            weakKeyRejected = true;
+        }
+        
+        for (const file of [privateKeyFile, publicKeyFile, signedFile, hmacFile]) {
+            fs.unlinkSync(file);
+        }
+        const verdict = JSON.parse(verified.stdout);
+        const tamperedVerdict = JSON.parse(tampered.stdout);
+        const otherKeyVerdict = JSON.parse(otherKey.stdout);
+        
+        if (run.exitCode === 0 &&
+            signed.signature.algorithm === 'ed25519' &&
+            JSON.parse(run.stdout).signature.value === signed.signature.value &&
+            verified.exitCode === 0 && verdict.valid === true && verdict.keyId === signed.signature.keyId &&
+            tampered.exitCode === 1 && tamperedVerdict.valid === false && tamperedVerdict.reason.includes('modified') &&
+            hmacVerified.exitCode === 0 && JSON.parse(hmacVerified.stdout).algorithm === 'hmac-sha256' &&
+            otherKey.exitCode === 1 && otherKeyVerdict.reason.includes('another key') &&
+            verifyResults(body, parseSigningKey(secret), headerSignature).valid &&
+            weakKeyRejected) {
+            logTest('Signed Results (HMAC, ed25519, verify)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Signed Results (HMAC, ed25519, verify)', 'FAIL', `Unexpected outcome: ${JSON.stringify({ verdict, tamperedVerdict, otherKeyVerdict, exitCodes: [run.exitCode, verified.exitCode, tampered.exitCode, hmacVerified.exitCode, otherKey.exitCode] })}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Signed Results (HMAC, ed25519, verify)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+// Sends a request line as written (fetch would reject or normalize a malformed target) and returns the status code
+function sendRawRequest(baseUrl, requestLine) {
+    const { hostname, port } = new URL(baseUrl);
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(Number(port), hostname, () => {
+            socket.end(`${requestLine}\r\nHost: ${hostname}\r\nConnection: close\r\n\r\n`);
+        });
+        let response = '';
+        socket.on('data', (data) => {
+            response += data.toString();
+        });
+        socket.on('end', () => resolve(Number((response.match(/^HTTP\/1\.1 (\d+)/) || [])[1]) || null));
+        socket.on('error', reject);
+    });
+}
+
+function startCollector(options) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('node', [BENCHMARK_SCRIPT, 'serve', '--port', '0', ...options], {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            timeout: TEST_TIMEOUT
+        });
+        let output = '';
+        const exited = new Promise(resolveExit => child.on('close', code => resolveExit({ exitCode: code, output })));
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+            const match = output.match(/listening on (http:\/\/[^/\s]+)/);
+            if (match) {
+                resolve({ child, url: match[1], exited });
+            }
+        });
+        child.on('error', reject);
+        exited.then(({ exitCode }) => reject(new Error(`Collector exited with code ${exitCode}: ${output}`)));
+    });
+}
+
+async function testResultsCollector() {
+    testResults.total++;
+    const storeFile = 'test-collector.jsonl';
+    let collector = null;
+    
+    try {
+        collector = await startCollector(['--store', storeFile]);
+        const post = (document) => fetch(`${collector.url}/results`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(document) });
+        const get = async (endpoint) => (await fetch(`${collector.url}${endpoint}`)).json();
+        
+        // A labelled run posts to the collector; a second, faster setup is posted twice
+        const run = await runBenchmark(['-d', '1', '-t', '1', '--label', 'team=infra', '--label', 'site=a', '--post-url', `${collector.url}/results`, '--json']);
+        const results = JSON.parse(run.stdout);
+        const other = JSON.parse(run.stdout);
+        other.systemInfo.hostname = 'other-host';
+        other.environment.hash = 'other-setup';
+        other.benchmarkInfo.labels = { team: 'web' };
+        other.aggregatedResults.averageScore = results.aggregatedResults.averageScore + 1000;
+        const stored = await post(other);
+        const duplicate = await (await post(other)).json();
+        const invalid = await post({ benchmarkInfo: {} });
+        
+        const infra = await get('/results?label.team=infra');
+        const byHost = await get('/results?host=other-host');
+        const byRuntime = await get(`/results?runtime=node@${process.versions.node}`);
+        const leaderboard = await get('/leaderboard');
+        const entry = await get(`/results/${infra.results[0] ? infra.results[0].id : 'none'}`);
+        // Malformed request targets are answered with 400 and leave the server running
+        const badTarget = await sendRawRequest(collector.url, 'GET //[ HTTP/1.1');
+        const badId = (await fetch(`${collector.url}/results/%E0%A4%A`)).status;
+        const health = await get('/health');
+        
+        collector.child.kill('SIGTERM');
+        const { exitCode } = await collector.exited;
+        collector = null;
+        const lines = fs.readFileSync(storeFile, 'utf8').trim().split('\n');
+        fs.unlinkSync(storeFile);
+        
+        if (run.exitCode === 0 &&
+            results.benchmarkInfo.labels.team === 'infra' && results.benchmarkInfo.labels.site === 'a' &&
+            stored.status === 201 && duplicate.duplicate === true && invalid.status === 422 &&
+            infra.total === 1 && infra.results[0].hostname === results.systemInfo.hostname &&
+            byHost.total === 1 && byHost.results[0].labels.team === 'web' &&
+            byRuntime.total === 2 &&
+            leaderboard.entries.length === 2 &&
+            leaderboard.entries[0].rank === 1 && leaderboard.entries[0].hostname === 'other-host' &&
+            leaderboard.entries[1].score === results.aggregatedResults.averageScore &&
+            entry.results.aggregatedResults.totalCalculations === results.aggregatedResults.totalCalculations &&
+            badTarget === 400 && badId === 400 &&
+            health.results === 2 &&
+            exitCode === 0 && lines.length === 2) {
+            logTest('Results Collector (serve, labels, leaderboard)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Results Collector (serve, labels, leaderboard)', 'FAIL', `Unexpected outcome: ${JSON.stringify({ infra: infra.total, byHost: byHost.total, byRuntime: byRuntime.total, leaderboard: leaderboard.entries, badTarget, badId, health, exitCode, lines: lines.length })}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Results Collector (serve, labels, leaderboard)', 'FAIL', error.message);
+        testResults.failed++;
+    } finally {
+        if (collector) {
+            collector.child.kill('SIGTERM');
+        }
+        if (fs.existsSync(storeFile)) {
+            fs.unlinkSync(storeFile);
+        }
+    }
+}
+
+async function testStatistics() {
+    testResults.total++;
+    try {
+        const { summarize, detectOutliers } = await import('./lib/statistics.js');
+        const { runBenchmark: runProgrammatic } = await import('./benchmark.js');
+
+        // Known values: one obvious outlier among six runs
+        const summary = summarize([10, 11, 12, 11, 10, 50]);
+        const single = summarize([5]);
+        const lines = [];
+        const capturingLogger = { log(line) { lines.push(String(line)); }, warn() {}, error() {} };
+        const results = await runProgrammatic({ duration: 1, runs: 2, logger: capturingLogger });
+        const scoreStatistics = results.aggregatedResults.statistics.overallScore;
+        const averageLine = lines.find(line => line.includes('Average Score:'));
+        // A single run has no interval, so the summary must not claim one
+        lines.length = 0;
+        await runProgrammatic({ duration: 1, runs: 1, logger: capturingLogger });
+        const singleAverageLine = lines.find(line => line.includes('Average Score:'));
+
+        if (summary.median === 11 &&
+            summary.q1 === 10.25 && summary.q3 === 11.75 && summary.iqr === 1.5 &&
+            summary.confidenceInterval95.margin === 16.82 &&
+            summary.outliers.iqr.join() === '5' && summary.outliers.mad.join() === '5' &&
+            detectOutliers([10, 11, 12], 'mad').every(flag => !flag) &&
+            single.stdDev === null && single.confidenceInterval95 === null &&
+            scoreStatistics.count === 2 &&
+            scoreStatistics.confidenceInterval95 !== null &&
+            averageLine && averageLine.includes(' ± ') && averageLine.endsWith('(95% CI)') &&
+            singleAverageLine && !singleAverageLine.includes('±') && !singleAverageLine.includes('95% CI') &&
+            results.aggregatedResults.statistics.calculationsPerSecond.count === 2 &&
+            results.individualRuns.every(run => run.outlier.iqr === false && run.outlier.mad === false)) {
+            logTest('Run Statistics (median, CI, outliers)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Run Statistics (median, CI, outliers)', 'FAIL', 'Unexpected statistics');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Run Statistics (median, CI, outliers)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testBaselineComparison() {
+    testResults.total++;
+    const baselineFile = 'test-baseline.json';
+    const currentFile = 'test-current.json';
+    
+    try {
+        const first = await runBenchmark(['-d', '1', '-o', baselineFile]);
+        if (first.exitCode !== 0 || !fs.existsSync(baselineFile)) {
+            logTest('Baseline Comparison (--baseline)', 'FAIL', 'Baseline run failed');
+            testResults.failed++;
+            return;
+        }
+        
+        // Make the baseline ten times faster than any real run
+        const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+        for (const run of baseline.individualRuns) {
+            run.performanceMetrics.overallScore *= 10;
+            run.performanceMetrics.calculationsPerSecond *= 10;
+        }
+        fs.writeFileSync(baselineFile, JSON.stringify(baseline));
+        
+        const regressed = await runBenchmark(['-d', '1', '--baseline', baselineFile, '--fail-on-regression', '5', '-o', currentFile]);
+        const current = fs.existsSync(currentFile) ? JSON.parse(fs.readFileSync(currentFile, 'utf8')) : null;
+        const unchanged = await runBenchmark(['compare', baselineFile, baselineFile, '--fail-on-regression', '5']);
+        
+        // Clean up
+        fs.unlinkSync(baselineFile);
+        if (fs.existsSync(currentFile)) {
+            fs.unlinkSync(currentFile);
+        }
+        
+        if (regressed.exitCode === 2 &&
+            regressed.stdout.includes('Comparison with baseline') &&
+            regressed.stderr.includes('regressed by more than 5%') &&
+            current && current.baselineComparison.regressions.length > 0 &&
+            unchanged.exitCode === 0 &&
+            unchanged.stdout.includes('No regression beyond 5%')) {
+            logTest('Baseline Comparison (--baseline)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Baseline Comparison (--baseline)', 'FAIL', `Unexpected exit codes ${regressed.exitCode}/${unchanged.exitCode}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Baseline Comparison (--baseline)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testHtmlReport() {
+    testResults.total++;
+    const firstFile = 'test-report-a.json';
+    const secondFile = 'test-report-b.json';
+    const reportFile = 'test-report.html';
+    
+    try {
+        const run = await runBenchmark(['-d', '2', '-n', '2', '-t', '1', '-o', firstFile]);
+        if (run.exitCode !== 0 || !fs.existsSync(firstFile)) {
+            logTest('HTML Report (report)', 'FAIL', 'Benchmark run failed');
+            testResults.failed++;
+            return;
+        }
+        
+        // A second file whose hostname must come out escaped
+        const results = JSON.parse(fs.readFileSync(firstFile, 'utf8'));
+        results.systemInfo.hostname = '<script>alert(1)</script>';
+        fs.writeFileSync(secondFile, JSON.stringify(results));
+        
+        const report = await runBenchmark(['report', firstFile, secondFile, '-o', reportFile]);
+        const html = fs.existsSync(reportFile) ? fs.readFileSync(reportFile, 'utf8') : '';
+        
+        // Clean up
+        [firstFile, secondFile, reportFile].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+        
+        // Self-contained: inline SVG charts and styles, nothing fetched, hostile text escaped
+        const samples = results.individualRuns[0].memoryUsage.samples;
+        if (report.exitCode === 0 &&
+            report.stdout.includes('Report written to') &&
+            samples.length >= 3 && samples.every(sample => sample.rssBytes > 0 && sample.elapsedMs >= 0) &&
+            html.startsWith('<!DOCTYPE html>') &&
+            html.includes('test-report-a') && html.includes('test-report-b') &&
+            (html.match(/<svg /g) || []).length >= 5 &&
+            html.includes('Run score distribution') &&
+            html.includes('Memory over time') && html.includes('<polyline') &&
+            (html.match(/<td>completed<\/td>/g) || []).length === 4 &&
+            !html.includes('<script') && html.includes('&lt;script&gt;') &&
+            !/(src|href)="/.test(html)) {
+            logTest('HTML Report (report)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('HTML Report (report)', 'FAIL', `Unexpected report (exit code ${report.exitCode}, ${html.length} bytes, ${samples ? samples.length : 0} memory samples)`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('HTML Report (report)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testOutputFormats() {
+    testResults.total++;
+    const basePath = 'test-formats';
+    const extensions = ['.json', '.csv', '.md', '.xml', '.prom'];
+    
+    try {
+        const result = await runBenchmark(['-d', '1', '-o', `${basePath}.json`, '-f', 'json,csv', '-f', 'markdown', '-f', 'junit,prometheus']);
+        const contents = {};
+        for (const extension of extensions) {
+            if (fs.existsSync(basePath + extension)) {
+                contents[extension] = fs.readFileSync(basePath + extension, 'utf8');
+                fs.unlinkSync(basePath + extension);
+            }
+        }
+        
+        if (result.exitCode === 0 &&
+            Object.keys(contents).length === extensions.length &&
+            JSON.parse(contents['.json']).individualRuns.length === 1 &&
+            contents['.csv'].split('\r\n')[0].startsWith('runNumber,workload,') &&
+            contents['.csv'].split('\r\n')[1].startsWith('1,fibonacci,') &&
+            contents['.md'].includes('| Workload | Average Score (95% CI)') &&
+            contents['.xml'].includes('<testcase classname="fibonacci_benchmark.fibonacci" name="run 1"') &&
+            contents['.xml'].includes('<property name="overallScore"') &&
+            /^fibonacci_benchmark_run_score\{hostname="[^"]*",workload="fibonacci",threads="\d+",run="1"\} \d+$/m.test(contents['.prom'])) {
+            logTest('Output Formats (--format)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Output Formats (--format)', 'FAIL', `Missing or malformed output: ${extensions.filter(extension => !contents[extension]).join(', ')}`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Output Formats (--format)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testMachineReadableOutput() {
+    testResults.total++;
+    try {
+        const json = await runBenchmark(['-d', '1', '--json', '--label', 'team=infra', '--label', 'site=a']);
+        const ndjson = await runBenchmark(['-d', '1', '--ndjson', '--quiet']);
+        
+        const results = JSON.parse(json.stdout);
+        const events = ndjson.stdout.trim().split('\n').map(line => JSON.parse(line));
+        
+        // stdout is only machine-readable output; progress and warnings go to stderr
+        if (json.exitCode === 0 && ndjson.exitCode === 0 &&
+            results.individualRuns.length === 1 &&
+            json.stderr.includes('Labels: team=infra, site=a') &&
+            json.stderr.includes('BENCHMARK COMPLETED') &&
+            events.map(event => event.event).join(',') === 'start,run,complete' &&
+            events[2].results.aggregatedResults.totalCalculations > 0 &&
+            !ndjson.stderr.includes('BENCHMARK COMPLETED')) {
+            logTest('Machine-Readable Output (--json/--ndjson)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Machine-Readable Output (--json/--ndjson)', 'FAIL', 'Unexpected stdout/stderr split');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Machine-Readable Output (--json/--ndjson)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testRuntimeComparison() {
+    testResults.total++;
+    const outputDir = 'test-runtime-comparison';
+    
+    try {
+        // Two names for the same Node.js binary, plus one runtime that does not exist
+        const result = await runBenchmark(['compare', '-d', '1', '--json', '--output-dir', outputDir,
+            '--runtime', 'first=node', '--runtime', `second=${process.execPath}`, '--runtime', 'missing=no-such-runtime-binary'], 30000);
+        const comparison = result.exitCode === 0 ? JSON.parse(result.stdout) : null;
+        const files = fs.existsSync(outputDir) ? fs.readdirSync(outputDir).sort() : [];
+        const reportFile = path.join(outputDir, 'summary_report.md');
+        const report = fs.existsSync(reportFile) ? fs.readFileSync(reportFile, 'utf8') : '';
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        
+        // The peak memory of a runtime is the highest of its runs, not the last one
+        const { buildRuntimeComparison } = await import('./lib/runtimes.js');
+        const megabytes = count => count * 1024 * 1024;
+        const twoRuns = buildRuntimeComparison([{
+            name: 'node', command: 'node', type: 'node', version: process.version, available: true,
+            results: {
+                configuration: { mode: 'duration' },
+                benchmarkInfo: { completedRuns: 2 },
+                aggregatedResults: { averageScore: 100, totalCalculations: 20, statistics: {} },
+                individualRuns: [{ memoryUsage: { peakBytes: { rss: megabytes(3) } } }, { memoryUsage: { peakBytes: { rss: megabytes(2) } } }]
+            }
+        }]);
+        
+        if (comparison &&
+            comparison.ranking.length === 2 &&
+            comparison.rows.find(row => row.name === 'missing').status === 'not found' &&
+            comparison.rows.filter(row => row.status === 'ok').every(row => row.type === 'node' && row.averageScore > 0) &&
+            report.includes(`- **Performance**: ${comparison.best} reached the highest overall score`) &&
+            report.includes('- **Not compared**: missing (not found)') &&
+            twoRuns.rows[0].peakRssBytes === megabytes(3) && twoRuns.rows[0].peakMemory === '3.00 MB' &&
+            files.join() === 'comparison.json,first_output.log,first_results.json,second_output.log,second_results.json,summary_report.md') {
+            logTest('Runtime Comparison (compare --runtime)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Runtime Comparison (compare --runtime)', 'FAIL', `Unexpected comparison (exit code ${result.exitCode}, files: ${files.join(', ')})`);
+            testResults.failed++;
+        }
+    } catch (error) {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        logTest('Runtime Comparison (compare --runtime)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
+async function testProgrammaticApi() {
+    testResults.total++;
+    try {
+        const { runBenchmark, getSystemInfo, calculateFibonacci } = await import('./benchmark.js');
+        const silentLogger = { log() {}, warn() {}, error() {} };
+
+        const systemInfo = getSystemInfo();
+        const results = await runBenchmark({ duration: 1, runs: 1, logger: silentLogger });
+
+        if (calculateFibonacci(10) === 55n &&
+            systemInfo.cpu.cores >= 1 &&
+            results.benchmarkInfo.completedRuns === 1 &&
+            results.individualRuns.length === 1 &&
+            results.aggregatedResults.totalCalculations > 0) {
+            logTest('Programmatic API (runBenchmark)', 'PASS');
+            testResults.passed++;
+        } else {
+            logTest('Programmatic API (runBenchmark)', 'FAIL', 'Unexpected results object');
+            testResults.failed++;
+        }
+    } catch (error) {
+        logTest('Programmatic API (runBenchmark)', 'FAIL', error.message);
+        testResults.failed++;
+    }
+}
+
 // Main test runner
 async function runTests() {
     log('\n🧪 Starting Fibonacci Benchmark Test Suite\n', 'cyan');
@@ -485,9 +1921,36 @@ async function runTests() {
         testConfigFileOption,
         testLongConfigFileOption,
         testInvalidConfigFile,
+        testConfigValidation,
+        testScenarioSuite,
+        testSubcommands,
         testCombinedOptions,
         testDefaultBehavior,
-        testInvalidOptions
+        testInvalidOptions,
+        testWorkloadOption,
+        testUnknownWorkload,
+        testFixedWorkMode,
+        testProgressModes,
+        testWarmupOption,
+        testThreadsSweep,
+        testCgroupDetection,
+        testHardwareFingerprint,
+        testRuntimeIdentity,
+        testRuntimeAdapter,
+        testNodePrefixedImports,
+        testGcTelemetry,
+        testMemoryLimits,
+        testGracefulInterruption,
+        testResultUpload,
+        testResultSigning,
+        testResultsCollector,
+        testStatistics,
+        testBaselineComparison,
+        testOutputFormats,
+        testHtmlReport,
+        testMachineReadableOutput,
+        testRuntimeComparison,
+        testProgrammaticApi
     ];
     
     for (const test of tests) {